@@ -1,12 +1,13 @@
 import React from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { SessionProvider } from './context/SessionContext';
-import { AuthProvider } from './context/AuthContext';
+import { AuthProvider, ADMIN_PERMISSIONS } from './context/AuthContext';
 import Sidebar from './components/shared/Sidebar';
 import ProtectedRoute from './components/shared/ProtectedRoute';
 import UserChat from './pages/UserChat';
 import Login from './pages/Login';
 import ITSupport from './pages/ITSupport';
+import Incidents from './pages/Incidents';
 import AdminSettings from './pages/AdminSettings';
 
 const App = () => {
@@ -27,15 +28,23 @@ const App = () => {
                 <Route
                   path="/it-support"
                   element={
-                    <ProtectedRoute requiredRole="it_support">
+                    <ProtectedRoute requiredPermission="tickets.read">
                       <ITSupport />
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/incidents"
+                  element={
+                    <ProtectedRoute requiredPermission="tickets.read">
+                      <Incidents />
+                    </ProtectedRoute>
+                  }
+                />
                 <Route
                   path="/admin/settings"
                   element={
-                    <ProtectedRoute requiredRole="admin">
+                    <ProtectedRoute requiredPermission={ADMIN_PERMISSIONS}>
                       <AdminSettings />
                     </ProtectedRoute>
                   }
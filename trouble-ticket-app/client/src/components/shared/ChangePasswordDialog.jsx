@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { usersApi } from '../../services/api';
+import './ChangePasswordDialog.css';
+
+/**
+ * Dialog for changing the signed-in user's own password
+ * Other sessions of the account are signed out by the server
+ */
+const ChangePasswordDialog = ({ onClose }) => {
+  const [formData, setFormData] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage({ type: '', text: '' });
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setMessage({ type: 'error', text: 'New passwords do not match' });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await usersApi.changePassword(formData.currentPassword, formData.newPassword);
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setMessage({ type: 'success', text: 'Password changed. Your other sessions have been signed out.' });
+    } catch (error) {
+      const text = error.data?.details?.[0]?.message || error.data?.error || 'Failed to change password';
+      setMessage({ type: 'error', text });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="password-dialog-overlay" onClick={onClose}>
+      <div className="password-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="password-dialog-header">
+          <h3>Change Password</h3>
+          <button className="password-dialog-close" onClick={onClose}>×</button>
+        </div>
+
+        {message.text && (
+          <div className={`message ${message.type}`}>{message.text}</div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="current-password">Current Password</label>
+            <input
+              type="password"
+              id="current-password"
+              value={formData.currentPassword}
+              onChange={(e) => setFormData({ ...formData, currentPassword: e.target.value })}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="new-password">New Password</label>
+            <input
+              type="password"
+              id="new-password"
+              value={formData.newPassword}
+              onChange={(e) => setFormData({ ...formData, newPassword: e.target.value })}
+              placeholder="At least 8 characters"
+              autoComplete="new-password"
+              minLength={8}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="confirm-password">Confirm New Password</label>
+            <input
+              type="password"
+              id="confirm-password"
+              value={formData.confirmPassword}
+              onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+          <div className="password-dialog-actions">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Close
+            </button>
+            <button type="submit" className="btn-primary" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Change Password'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordDialog;
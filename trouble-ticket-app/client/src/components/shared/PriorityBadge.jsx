@@ -0,0 +1,34 @@
+import React from 'react';
+
+/**
+ * Priority badge for tickets, with the severity as a tooltip
+ * Untriaged tickets (no priority) show nothing
+ */
+export const PRIORITY_LABELS = {
+  p1: 'P1 - Now',
+  p2: 'P2 - Today',
+  p3: 'P3 - Few days',
+  p4: 'P4 - When possible'
+};
+
+export const SEVERITY_LABELS = {
+  critical: 'Critical',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+const PriorityBadge = ({ priority, severity }) => {
+  if (!priority) return null;
+
+  return (
+    <span
+      className={`priority-badge ${priority}`}
+      title={severity ? `Severity: ${SEVERITY_LABELS[severity] || severity}` : undefined}
+    >
+      {priority.toUpperCase()}
+    </span>
+  );
+};
+
+export default PriorityBadge;
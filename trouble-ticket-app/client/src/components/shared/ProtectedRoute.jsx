@@ -5,10 +5,11 @@ import { useAuth } from '../../context/AuthContext';
 /**
  * Protected route wrapper
  * Redirects to login if not authenticated
- * Redirects to appropriate page if role doesn't match
+ * Redirects to the account's landing page if it lacks every required permission
+ * @param {string|string[]} requiredPermission - Any one of these grants access
  */
-const ProtectedRoute = ({ children, requiredRole }) => {
-  const { isAuthenticated, role, isLoading } = useAuth();
+const ProtectedRoute = ({ children, requiredPermission }) => {
+  const { isAuthenticated, isLoading, hasPermission, homePath } = useAuth();
 
   // Show loading state while checking auth
   if (isLoading) {
@@ -25,23 +26,12 @@ const ProtectedRoute = ({ children, requiredRole }) => {
     return <Navigate to="/login" replace />;
   }
 
-  // Admin can access everything
-  if (role === 'admin') {
-    return children;
+  const required = [].concat(requiredPermission || []);
+  if (required.length > 0 && !hasPermission(...required)) {
+    return <Navigate to={homePath} replace />;
   }
 
-  // IT Support can access IT pages but not admin pages
-  if (requiredRole === 'admin' && role !== 'admin') {
-    return <Navigate to="/it-support" replace />;
-  }
-
-  // IT Support trying to access IT Support pages is OK
-  if (requiredRole === 'it_support' && (role === 'it_support' || role === 'admin')) {
-    return children;
-  }
-
-  // Default: redirect to chat
-  return <Navigate to="/chat" replace />;
+  return children;
 };
 
 export default ProtectedRoute;
@@ -1,14 +1,16 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { NavLink, useNavigate } from 'react-router-dom';
-import { useAuth } from '../../context/AuthContext';
+import { useAuth, ADMIN_PERMISSIONS } from '../../context/AuthContext';
+import ChangePasswordDialog from './ChangePasswordDialog';
 import './Sidebar.css';
 
 const Sidebar = () => {
-  const { isAuthenticated, role, logout } = useAuth();
+  const { isAuthenticated, user, hasPermission, logout } = useAuth();
   const navigate = useNavigate();
+  const [showPasswordDialog, setShowPasswordDialog] = useState(false);
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/chat');
   };
 
@@ -37,15 +39,21 @@ const Sidebar = () => {
           </div>
         ) : (
           <>
-            <div className="nav-section">
-              <span className="nav-section-title">Support</span>
-              <NavLink to="/it-support" className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}>
-                <span className="nav-icon">🎫</span>
-                <span>Tickets</span>
-              </NavLink>
-            </div>
+            {hasPermission('tickets.read') && (
+              <div className="nav-section">
+                <span className="nav-section-title">Support</span>
+                <NavLink to="/it-support" className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}>
+                  <span className="nav-icon">🎫</span>
+                  <span>Tickets</span>
+                </NavLink>
+                <NavLink to="/incidents" className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}>
+                  <span className="nav-icon">🚨</span>
+                  <span>Incidents</span>
+                </NavLink>
+              </div>
+            )}
 
-            {role === 'admin' && (
+            {hasPermission(...ADMIN_PERMISSIONS) && (
               <div className="nav-section">
                 <span className="nav-section-title">Admin</span>
                 <NavLink to="/admin/settings" className={({ isActive }) => `nav-link ${isActive ? 'active' : ''}`}>
@@ -61,13 +69,19 @@ const Sidebar = () => {
       {isAuthenticated && (
         <div className="sidebar-footer">
           <div className="user-info">
-            <span className="user-role">{role === 'admin' ? 'Administrator' : 'IT Support'}</span>
+            {user && <span className="user-name">{user.displayName}</span>}
+            <span className="user-role">{user?.roleName}</span>
           </div>
+          <button className="logout-btn password-btn" onClick={() => setShowPasswordDialog(true)}>
+            Change Password
+          </button>
           <button className="logout-btn" onClick={handleLogout}>
             Logout
           </button>
         </div>
       )}
+
+      {showPasswordDialog && <ChangePasswordDialog onClose={() => setShowPasswordDialog(false)} />}
     </aside>
   );
 };
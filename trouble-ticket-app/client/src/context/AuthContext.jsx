@@ -1,83 +1,134 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { authApi, AUTH_EXPIRED_EVENT } from '../services/api';
 
 const AuthContext = createContext(null);
 
+// Refresh the session this long before it expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Permissions that open at least one Admin Settings tab
+export const ADMIN_PERMISSIONS = [
+  'analytics.read',
+  'settings.llm',
+  'settings.embeddings',
+  'documents.read',
+  'kb.write',
+  'users.manage',
+  'roles.manage',
+  'queues.manage',
+  'sla.manage',
+  'tokens.manage',
+  'audit.read'
+];
+
+/**
+ * Landing page for a set of permissions: Admin Settings, else the ticket queue, else chat
+ */
+export function getHomePath(permissions = []) {
+  if (ADMIN_PERMISSIONS.some(permission => permissions.includes(permission))) return '/admin/settings';
+  if (permissions.includes('tickets.read')) return '/it-support';
+  return '/chat';
+}
+
 /**
  * Auth provider component
- * Manages authentication state for IT Support and Admin roles
+ * Manages authentication state for per-user staff accounts
+ * The session token lives in an HttpOnly cookie; only the account details (including the
+ * permissions granted by the account's role) are kept here
  */
 export function AuthProvider({ children }) {
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [role, setRole] = useState(null);
+  const [user, setUser] = useState(null);
+  const [expiresAt, setExpiresAt] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
-  // Check for existing auth on mount
+  const applySession = ({ user: account, expiresAt: expiry }) => {
+    setUser(account);
+    setExpiresAt(expiry);
+  };
+
+  const clearSession = () => {
+    setUser(null);
+    setExpiresAt(null);
+  };
+
+  // Restore an existing session on mount
   useEffect(() => {
-    const credentials = localStorage.getItem('auth_credentials');
-    const storedRole = localStorage.getItem('auth_role');
+    // Basic Auth credentials were kept in localStorage before sessions; drop them
+    localStorage.removeItem('auth_credentials');
+    localStorage.removeItem('auth_role');
+    localStorage.removeItem('auth_user');
 
-    if (credentials && storedRole) {
-      setIsAuthenticated(true);
-      setRole(storedRole);
-    }
+    authApi.getCurrentUser()
+      .then(applySession)
+      .catch(clearSession)
+      .finally(() => setIsLoading(false));
+  }, []);
 
-    setIsLoading(false);
+  // Sign out locally whenever the server rejects the session
+  useEffect(() => {
+    window.addEventListener(AUTH_EXPIRED_EVENT, clearSession);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, clearSession);
   }, []);
 
+  // Refresh the session shortly before it expires
+  useEffect(() => {
+    if (!expiresAt) return;
+
+    const delay = Math.max(new Date(expiresAt).getTime() - Date.now() - REFRESH_MARGIN_MS, 30 * 1000);
+    const timer = setTimeout(() => {
+      authApi.refresh().then(applySession).catch(clearSession);
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [expiresAt]);
+
   /**
-   * Login with role and password
+   * Login with username and password
+   * Resolves with the account's landing page so the caller can navigate there
    */
-  const login = async (userRole, password) => {
-    const credentials = btoa(`${userRole}:${password}`);
-
-    // Test credentials by hitting a protected endpoint
+  const login = async (username, password) => {
     try {
-      const response = await fetch('/api/settings', {
-        headers: { Authorization: `Basic ${credentials}` }
-      });
-
-      if (response.ok) {
-        localStorage.setItem('auth_credentials', credentials);
-        localStorage.setItem('auth_role', userRole);
-        setIsAuthenticated(true);
-        setRole(userRole);
-        return { success: true };
-      } else if (response.status === 401 || response.status === 403) {
-        return { success: false, error: 'Invalid credentials' };
-      } else {
-        return { success: false, error: 'Server error' };
-      }
+      const session = await authApi.login(username, password);
+      applySession(session);
+      return { success: true, homePath: getHomePath(session.user.permissions) };
     } catch (error) {
-      return { success: false, error: 'Network error' };
+      // 429: locked out after too many failed attempts; the message says for how long
+      if (error.status === 400 || error.status === 401 || error.status === 429) {
+        return { success: false, error: error.message || 'Invalid credentials' };
+      }
+      return { success: false, error: error.status ? 'Server error' : 'Network error' };
     }
   };
 
   /**
-   * Logout and clear credentials
+   * Logout: revoke the session on the server and clear local state
    */
-  const logout = () => {
-    localStorage.removeItem('auth_credentials');
-    localStorage.removeItem('auth_role');
-    setIsAuthenticated(false);
-    setRole(null);
+  const logout = async () => {
+    try {
+      await authApi.logout();
+    } catch (error) {
+      console.error('Logout failed:', error);
+    } finally {
+      clearSession();
+    }
   };
 
+  const permissions = user?.permissions || [];
+
   /**
-   * Get auth headers for API requests
+   * Check whether the signed-in account holds any of the given permissions
    */
-  const getAuthHeaders = () => {
-    const credentials = localStorage.getItem('auth_credentials');
-    if (!credentials) return {};
-    return { Authorization: `Basic ${credentials}` };
-  };
+  const hasPermission = (...names) => names.some(name => permissions.includes(name));
 
   const value = {
-    isAuthenticated,
-    role,
+    isAuthenticated: !!user,
+    role: user?.role || null,
+    user,
+    permissions,
+    hasPermission,
+    homePath: getHomePath(permissions),
     isLoading,
     login,
-    logout,
-    getAuthHeaders
+    logout
   };
 
   return (
@@ -6,15 +6,9 @@ const SessionContext = createContext(null);
 const SESSIONS_STORAGE_KEY = 'chat_sessions';
 const ACTIVE_SESSION_KEY = 'active_session_id';
 
-/**
- * Generate a unique session ID
- */
-function generateSessionId() {
-  return 'sess_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
-}
-
 /**
  * Load sessions from localStorage
+ * Sessions saved before the server issued secrets have none; they're kept and claimed on load
  */
 function loadSessions() {
   try {
@@ -47,6 +41,7 @@ export function SessionProvider({ children }) {
   });
   const [notifications, setNotifications] = useState({}); // { sessionId: count }
   const notificationsRef = useRef(notifications);
+  const sessionsRef = useRef(sessions);
 
   // Create initial session if none exist
   useEffect(() => {
@@ -60,9 +55,32 @@ export function SessionProvider({ children }) {
     }
   }, []);
 
+  // Claim a secret for each session saved before the server issued them
+  // Sessions the server won't issue one for (no open ticket, or already claimed) stay listed
+  // but are marked unclaimable, so the user is told instead of the chat silently failing
+  useEffect(() => {
+    const unclaimed = sessions.filter(s => !s.secret && !s.unclaimable);
+    if (unclaimed.length === 0) return;
+
+    (async () => {
+      for (const session of unclaimed) {
+        let updates;
+        try {
+          const issued = await chatApi.claimSession(session.id);
+          updates = { secret: issued.sessionSecret };
+        } catch (error) {
+          console.warn(`Could not reopen conversation ${session.id}:`, error.message);
+          updates = { unclaimable: true };
+        }
+        setSessions(prev => prev.map(s => (s.id === session.id ? { ...s, ...updates } : s)));
+      }
+    })();
+  }, []);
+
   // Save sessions whenever they change
   useEffect(() => {
     saveSessions(sessions);
+    sessionsRef.current = sessions;
   }, [sessions]);
 
   // Keep notificationsRef in sync
@@ -74,9 +92,9 @@ export function SessionProvider({ children }) {
   useEffect(() => {
     const checkAllNotifications = async () => {
       const newNotifications = {};
-      for (const session of sessions) {
+      for (const session of sessions.filter(s => s.secret)) {
         try {
-          const result = await chatApi.checkNotifications(session.id);
+          const result = await chatApi.checkNotifications(session.id, session.secret);
           if (result.count > 0) {
             newNotifications[session.id] = result.count;
           }
@@ -94,11 +112,21 @@ export function SessionProvider({ children }) {
 
   /**
    * Create a new session
+   * The server issues the id and the secret that every request for the session must carry
    */
-  const createNewSession = useCallback(() => {
-    const newId = generateSessionId();
+  const createNewSession = useCallback(async () => {
+    let issued;
+    try {
+      issued = await chatApi.createSession();
+    } catch (error) {
+      console.error('Failed to start chat session:', error);
+      return null;
+    }
+
+    const newId = issued.sessionId;
     const newSession = {
       id: newId,
+      secret: issued.sessionSecret,
       createdAt: new Date().toISOString(),
       preview: 'New conversation',
       application: null,
@@ -122,7 +150,7 @@ export function SessionProvider({ children }) {
 
       // Clear notification for this session
       if (notifications[sessionId]) {
-        chatApi.markAsRead(sessionId).catch(() => {});
+        chatApi.markAsRead(sessionId, session.secret).catch(() => {});
         setNotifications(prev => {
           const updated = { ...prev };
           delete updated[sessionId];
@@ -185,11 +213,12 @@ export function SessionProvider({ children }) {
   /**
    * Mark a specific session as read (clears notifications)
    * Use this when user is actively viewing a session
-   * Uses ref to avoid changing callback reference on notification updates
+   * Uses refs to avoid changing callback reference on session and notification updates
    */
   const markSessionAsRead = useCallback((sessionId) => {
-    if (notificationsRef.current[sessionId]) {
-      chatApi.markAsRead(sessionId).catch(() => {});
+    const session = sessionsRef.current.find(s => s.id === sessionId);
+    if (session && notificationsRef.current[sessionId]) {
+      chatApi.markAsRead(sessionId, session.secret).catch(() => {});
       setNotifications(prev => {
         const updated = { ...prev };
         delete updated[sessionId];
@@ -201,6 +230,8 @@ export function SessionProvider({ children }) {
   const value = {
     // Current session
     sessionId: activeSessionId,
+    sessionSecret: sessions.find(s => s.id === activeSessionId)?.secret || null,
+    sessionUnclaimable: Boolean(sessions.find(s => s.id === activeSessionId)?.unclaimable),
 
     // All sessions
     sessions,
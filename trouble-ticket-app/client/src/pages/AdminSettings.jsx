@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { settingsApi, ticketApi, knowledgeApi, documentsApi } from '../services/api';
+import { settingsApi, ticketApi, knowledgeApi, documentsApi, usersApi, rolesApi, queuesApi, slaApi, tokensApi, auditApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { PRIORITY_LABELS } from '../components/shared/PriorityBadge';
 import './AdminSettings.css';
 
 const PROVIDERS = [
@@ -9,8 +11,26 @@ const PROVIDERS = [
   { id: 'custom', name: 'Custom/Local', models: [] }
 ];
 
+// Settings tabs and the permission each one needs
+const TABS = [
+  { id: 'analytics', label: 'Analytics', permission: 'analytics.read' },
+  { id: 'api', label: 'API Configuration', permission: 'settings.llm' },
+  { id: 'embeddings', label: 'Embeddings', permission: 'settings.embeddings' },
+  { id: 'documents', label: 'Documents', permission: 'documents.read' },
+  { id: 'knowledge', label: 'Knowledge Base', permission: 'kb.write' },
+  { id: 'prompt', label: 'System Prompt', permission: 'settings.llm' },
+  { id: 'users', label: 'Users', permission: 'users.manage' },
+  { id: 'roles', label: 'Roles', permission: 'roles.manage' },
+  { id: 'queues', label: 'Queues', permission: 'queues.manage' },
+  { id: 'sla', label: 'SLA', permission: 'sla.manage' },
+  { id: 'tokens', label: 'API Tokens', permission: 'tokens.manage' },
+  { id: 'audit', label: 'Audit Log', permission: 'audit.read' }
+];
+
 const AdminSettings = () => {
-  const [activeTab, setActiveTab] = useState('analytics');
+  const { hasPermission } = useAuth();
+  const tabs = TABS.filter(tab => hasPermission(tab.permission));
+  const [activeTab, setActiveTab] = useState(tabs[0]?.id);
 
   return (
     <div className="admin-settings-container">
@@ -19,42 +39,15 @@ const AdminSettings = () => {
       </header>
 
       <nav className="settings-tabs">
-        <button
-          className={activeTab === 'analytics' ? 'active' : ''}
-          onClick={() => setActiveTab('analytics')}
-        >
-          Analytics
-        </button>
-        <button
-          className={activeTab === 'api' ? 'active' : ''}
-          onClick={() => setActiveTab('api')}
-        >
-          API Configuration
-        </button>
-        <button
-          className={activeTab === 'embeddings' ? 'active' : ''}
-          onClick={() => setActiveTab('embeddings')}
-        >
-          Embeddings
-        </button>
-        <button
-          className={activeTab === 'documents' ? 'active' : ''}
-          onClick={() => setActiveTab('documents')}
-        >
-          Documents
-        </button>
-        <button
-          className={activeTab === 'knowledge' ? 'active' : ''}
-          onClick={() => setActiveTab('knowledge')}
-        >
-          Knowledge Base
-        </button>
-        <button
-          className={activeTab === 'prompt' ? 'active' : ''}
-          onClick={() => setActiveTab('prompt')}
-        >
-          System Prompt
-        </button>
+        {tabs.map(tab => (
+          <button
+            key={tab.id}
+            className={activeTab === tab.id ? 'active' : ''}
+            onClick={() => setActiveTab(tab.id)}
+          >
+            {tab.label}
+          </button>
+        ))}
       </nav>
 
       <main className="settings-content">
@@ -64,6 +57,12 @@ const AdminSettings = () => {
         {activeTab === 'documents' && <DocumentManager />}
         {activeTab === 'knowledge' && <KnowledgeBaseManager />}
         {activeTab === 'prompt' && <SystemPromptEditor />}
+        {activeTab === 'users' && <UserManager />}
+        {activeTab === 'roles' && <RoleManager />}
+        {activeTab === 'queues' && <QueueManager />}
+        {activeTab === 'sla' && <SlaManager />}
+        {activeTab === 'tokens' && <ApiTokenManager />}
+        {activeTab === 'audit' && <AuditLogViewer />}
       </main>
     </div>
   );
@@ -125,6 +124,59 @@ const AnalyticsDashboard = () => {
         <p>Closed tickets: {stats.closedTickets || 0}</p>
       </div>
 
+      {stats.sla?.trackedTickets > 0 && (
+        <div className="sla-report">
+          <h3>SLA</h3>
+          <div className="stats-grid">
+            <div className="stat-card">
+              <div className="stat-value">{stats.sla.compliancePercent}%</div>
+              <div className="stat-label">Within SLA ({stats.sla.trackedTickets} tickets)</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-value">{stats.sla.responseBreaches}</div>
+              <div className="stat-label">Response Breaches</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-value">{stats.sla.resolutionBreaches}</div>
+              <div className="stat-label">Resolution Breaches</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-value">{stats.sla.atRiskTickets}</div>
+              <div className="stat-label">At Risk Now</div>
+            </div>
+          </div>
+
+          {stats.sla.breaches.length > 0 && (
+            <table className="doc-table">
+              <thead>
+                <tr>
+                  <th>Ticket</th>
+                  <th>Application</th>
+                  <th>Priority</th>
+                  <th>Policy</th>
+                  <th>Breached</th>
+                  <th>Status</th>
+                  <th>Assignee</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.sla.breaches.map(breach => (
+                  <tr key={breach.ticket_id}>
+                    <td>{breach.ticket_id}</td>
+                    <td>{breach.application}</td>
+                    <td>{breach.priority.toUpperCase() || '—'}</td>
+                    <td>{breach.policy_name}</td>
+                    <td>{breach.breached.join(', ')}</td>
+                    <td>{breach.status}</td>
+                    <td>{breach.assignee || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
       <button className="btn-secondary" onClick={loadStats}>
         Refresh Stats
       </button>
@@ -709,6 +761,8 @@ const KnowledgeBaseManager = () => {
 
 // Document Manager Component (Vector DB)
 const DocumentManager = () => {
+  const { hasPermission } = useAuth();
+  const canUpload = hasPermission('documents.upload');
   const [documents, setDocuments] = useState([]);
   const [stats, setStats] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -933,9 +987,11 @@ const DocumentManager = () => {
     <div className="document-manager">
       <div className="doc-header">
         <h2>Document Management</h2>
-        <button className="btn-primary" onClick={() => setShowUploadForm(!showUploadForm)}>
-          {showUploadForm ? 'Cancel' : '+ Upload Document'}
-        </button>
+        {canUpload && (
+          <button className="btn-primary" onClick={() => setShowUploadForm(!showUploadForm)}>
+            {showUploadForm ? 'Cancel' : '+ Upload Document'}
+          </button>
+        )}
       </div>
 
       <p className="description">
@@ -1160,12 +1216,14 @@ const DocumentManager = () => {
                   <td>{formatFileSize(parseInt(doc.file_size) || 0)}</td>
                   <td>{formatDate(doc.upload_date)}</td>
                   <td>
-                    <button
-                      className="btn-danger btn-small"
-                      onClick={() => handleDelete(doc.doc_id, doc.filename)}
-                    >
-                      Delete
-                    </button>
+                    {canUpload && (
+                      <button
+                        className="btn-danger btn-small"
+                        onClick={() => handleDelete(doc.doc_id, doc.filename)}
+                      >
+                        Delete
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))}
@@ -1209,6 +1267,1314 @@ const DocumentManager = () => {
   );
 };
 
+// User Manager Component (staff accounts)
+const EMPTY_USER_FORM = { username: '', display_name: '', role: 'it_support', password: '' };
+
+const UserManager = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [lockouts, setLockouts] = useState([]);
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_USER_FORM);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const loadUsers = async () => {
+    try {
+      const [data, lockoutData, roleData] = await Promise.all([
+        usersApi.getUsers(),
+        usersApi.getLockouts(),
+        rolesApi.getRoles()
+      ]);
+      setUsers(data);
+      setLockouts(lockoutData);
+      setRoles(roleData.roles);
+    } catch (error) {
+      console.error('Failed to load users:', error);
+      setMessage({ type: 'error', text: 'Failed to load users' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Validation errors carry per-field details; show the first one
+  const errorText = (error, fallback) => error.data?.details?.[0]?.message || error.data?.error || fallback;
+
+  const handleNew = () => {
+    setSelectedUser(null);
+    setFormData(EMPTY_USER_FORM);
+    setIsEditing(true);
+  };
+
+  const handleEdit = (user) => {
+    setSelectedUser(user);
+    setFormData({
+      username: user.username,
+      display_name: user.display_name,
+      role: user.role,
+      password: ''
+    });
+    setIsEditing(true);
+  };
+
+  const handleSave = async () => {
+    setMessage({ type: '', text: '' });
+
+    try {
+      if (selectedUser) {
+        const updates = { display_name: formData.display_name, role: formData.role };
+        // Leave the password unchanged unless a new one was typed
+        if (formData.password) updates.password = formData.password;
+        await usersApi.updateUser(selectedUser.username, updates);
+        setMessage({ type: 'success', text: 'User updated!' });
+      } else {
+        await usersApi.createUser(formData);
+        setMessage({ type: 'success', text: 'User created!' });
+      }
+      loadUsers();
+      setIsEditing(false);
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to save user') });
+    }
+  };
+
+  const handleToggleEnabled = async (user) => {
+    setMessage({ type: '', text: '' });
+
+    try {
+      await usersApi.updateUser(user.username, { enabled: !user.enabled });
+      loadUsers();
+      setMessage({ type: 'success', text: `${user.username} ${user.enabled ? 'disabled' : 'enabled'}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to update user') });
+    }
+  };
+
+  const handleClearLockout = async (lockout) => {
+    setMessage({ type: '', text: '' });
+
+    try {
+      await usersApi.clearLockout(lockout.type, lockout.id);
+      loadUsers();
+      setMessage({ type: 'success', text: `Failed logins cleared for ${lockout.id}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to clear lockout') });
+    }
+  };
+
+  const roleNames = Object.fromEntries(roles.map(role => [role.role_id, role.name]));
+
+  if (isLoading) {
+    return <div className="loading">Loading users...</div>;
+  }
+
+  return (
+    <div className="user-manager">
+      <div className="kb-header">
+        <h2>Staff Accounts</h2>
+        <button className="btn-primary" onClick={handleNew}>
+          + Add User
+        </button>
+      </div>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>{message.text}</div>
+      )}
+
+      {lockouts.length > 0 && !isEditing && (
+        <div className="lockout-list">
+          <h3>Failed Logins</h3>
+          <table className="doc-table">
+            <thead>
+              <tr>
+                <th>Account / IP</th>
+                <th>Failures</th>
+                <th>Last Failure</th>
+                <th>Locked Until</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lockouts.map(lockout => (
+                <tr key={`${lockout.type}:${lockout.id}`}>
+                  <td>
+                    <strong>{lockout.id}</strong>
+                    <br />
+                    <small>{lockout.type === 'ip' ? 'IP address' : 'Account'}</small>
+                  </td>
+                  <td>{lockout.failures}</td>
+                  <td>{new Date(lockout.lastFailureAt).toLocaleString()}</td>
+                  <td>
+                    {lockout.lockedUntil
+                      ? new Date(lockout.lockedUntil).toLocaleString()
+                      : <span className="text-muted">Not locked</span>}
+                  </td>
+                  <td>
+                    <button className="btn-secondary btn-small" onClick={() => handleClearLockout(lockout)}>
+                      {lockout.lockedUntil ? 'Unlock' : 'Clear'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {isEditing ? (
+        <div className="kb-form">
+          <h3>{selectedUser ? `Edit ${selectedUser.username}` : 'New User'}</h3>
+          {!selectedUser && (
+            <div className="form-group">
+              <label>Username</label>
+              <input
+                type="text"
+                value={formData.username}
+                onChange={(e) => setFormData({ ...formData, username: e.target.value })}
+                placeholder="e.g., jsmith"
+              />
+            </div>
+          )}
+          <div className="form-group">
+            <label>Display Name</label>
+            <input
+              type="text"
+              value={formData.display_name}
+              onChange={(e) => setFormData({ ...formData, display_name: e.target.value })}
+              placeholder="Shown in the sidebar and ticket history"
+            />
+          </div>
+          <div className="form-group">
+            <label>Role</label>
+            <select
+              value={formData.role}
+              onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+            >
+              {roles.map(role => (
+                <option key={role.role_id} value={role.role_id}>{role.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>{selectedUser ? 'New Password (leave blank to keep)' : 'Password'}</label>
+            <input
+              type="password"
+              value={formData.password}
+              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+              placeholder="At least 8 characters"
+              autoComplete="new-password"
+            />
+          </div>
+          <div className="button-group">
+            <button className="btn-secondary" onClick={() => setIsEditing(false)}>
+              Cancel
+            </button>
+            <button className="btn-primary" onClick={handleSave}>
+              Save User
+            </button>
+          </div>
+        </div>
+      ) : (
+        <table className="doc-table">
+          <thead>
+            <tr>
+              <th>Username</th>
+              <th>Display Name</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Last Login</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(user => (
+              <tr key={user.username}>
+                <td><strong>{user.username}</strong></td>
+                <td>{user.display_name}</td>
+                <td>
+                  <span className="app-badge">{roleNames[user.role] || user.role}</span>
+                </td>
+                <td>{user.enabled ? 'Active' : <span className="text-muted">Disabled</span>}</td>
+                <td>{user.last_login_at ? new Date(user.last_login_at).toLocaleString() : <span className="text-muted">Never</span>}</td>
+                <td>
+                  <button className="btn-secondary btn-small" onClick={() => handleEdit(user)}>
+                    Edit
+                  </button>
+                  <button
+                    className={`${user.enabled ? 'btn-danger' : 'btn-secondary'} btn-small`}
+                    onClick={() => handleToggleEnabled(user)}
+                    disabled={user.username === currentUser?.username}
+                  >
+                    {user.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Role Manager Component (permission matrix)
+const EMPTY_ROLE_FORM = { role_id: '', name: '', description: '' };
+
+const RoleManager = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState({});
+  const [isCreating, setIsCreating] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_ROLE_FORM);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    loadRoles();
+  }, []);
+
+  const loadRoles = async () => {
+    try {
+      const data = await rolesApi.getRoles();
+      setRoles(data.roles);
+      setPermissions(data.permissions);
+    } catch (error) {
+      console.error('Failed to load roles:', error);
+      setMessage({ type: 'error', text: 'Failed to load roles' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const errorText = (error, fallback) => error.data?.details?.[0]?.message || error.data?.error || fallback;
+
+  const handleToggle = async (role, permission) => {
+    setMessage({ type: '', text: '' });
+    const granted = role.permissions.includes(permission)
+      ? role.permissions.filter(p => p !== permission)
+      : [...role.permissions, permission];
+
+    try {
+      const updated = await rolesApi.updateRole(role.role_id, { permissions: granted });
+      setRoles(roles.map(r => (r.role_id === updated.role_id ? updated : r)));
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to update role') });
+    }
+  };
+
+  const handleCreate = async () => {
+    setMessage({ type: '', text: '' });
+
+    try {
+      await rolesApi.createRole({ ...formData, permissions: [] });
+      setMessage({ type: 'success', text: 'Role created! Tick the permissions it should grant.' });
+      setFormData(EMPTY_ROLE_FORM);
+      setIsCreating(false);
+      loadRoles();
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to create role') });
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!confirm(`Delete the "${role.name}" role?`)) return;
+    setMessage({ type: '', text: '' });
+
+    try {
+      await rolesApi.deleteRole(role.role_id);
+      setMessage({ type: 'success', text: 'Role deleted!' });
+      loadRoles();
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to delete role') });
+    }
+  };
+
+  if (isLoading) {
+    return <div className="loading">Loading roles...</div>;
+  }
+
+  return (
+    <div className="role-manager">
+      <div className="kb-header">
+        <h2>Roles &amp; Permissions</h2>
+        <button className="btn-primary" onClick={() => setIsCreating(!isCreating)}>
+          {isCreating ? 'Cancel' : '+ Add Role'}
+        </button>
+      </div>
+
+      <p className="description">
+        Each staff account holds one role. Changes apply to signed-in users on their next request.
+        The Administrator role always has every permission.
+      </p>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>{message.text}</div>
+      )}
+
+      {isCreating && (
+        <div className="kb-form">
+          <h3>New Role</h3>
+          <div className="form-group">
+            <label>Role ID</label>
+            <input
+              type="text"
+              value={formData.role_id}
+              onChange={(e) => setFormData({ ...formData, role_id: e.target.value })}
+              placeholder="e.g., kb_editor"
+            />
+          </div>
+          <div className="form-group">
+            <label>Name</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="e.g., KB Editor"
+            />
+          </div>
+          <div className="form-group">
+            <label>Description</label>
+            <input
+              type="text"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              placeholder="What this role is for"
+            />
+          </div>
+          <div className="button-group">
+            <button className="btn-primary" onClick={handleCreate}>
+              Create Role
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="permission-matrix">
+        <table className="doc-table">
+          <thead>
+            <tr>
+              <th>Permission</th>
+              {roles.map(role => (
+                <th key={role.role_id} title={role.description}>
+                  {role.name}
+                  <br />
+                  <small className="text-muted">
+                    {role.user_count} {role.user_count === 1 ? 'account' : 'accounts'}
+                  </small>
+                  {!role.built_in && (
+                    <>
+                      <br />
+                      <button className="btn-link" onClick={() => handleDelete(role)}>Delete</button>
+                    </>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(permissions).map(([permission, description]) => (
+              <tr key={permission}>
+                <td>
+                  <strong>{permission}</strong>
+                  <br />
+                  <small>{description}</small>
+                </td>
+                {roles.map(role => (
+                  <td key={role.role_id} className="permission-cell">
+                    <input
+                      type="checkbox"
+                      checked={role.permissions.includes(permission)}
+                      disabled={!role.editable}
+                      onChange={() => handleToggle(role, permission)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Queue Manager Component
+const EMPTY_QUEUE_FORM = { queue_id: '', name: '', applications: '', members: [], assignment: 'manual' };
+
+const QueueManager = () => {
+  const [queues, setQueues] = useState([]);
+  const [strategies, setStrategies] = useState({});
+  const [staff, setStaff] = useState([]);
+  const [editingId, setEditingId] = useState(null); // null (closed), '' (new queue) or a queue id
+  const [formData, setFormData] = useState(EMPTY_QUEUE_FORM);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    loadQueues();
+  }, []);
+
+  const loadQueues = async () => {
+    try {
+      const data = await queuesApi.getQueues();
+      setQueues(data.queues);
+      setStrategies(data.strategies);
+      setStaff(data.assignableStaff);
+    } catch (error) {
+      console.error('Failed to load queues:', error);
+      setMessage({ type: 'error', text: 'Failed to load queues' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const errorText = (error, fallback) => error.data?.details?.[0]?.message || error.data?.error || fallback;
+  const staffName = (username) => staff.find(member => member.username === username)?.display_name || username;
+
+  const openForm = (queue) => {
+    setMessage({ type: '', text: '' });
+    setEditingId(queue ? queue.queue_id : '');
+    setFormData(queue
+      ? { ...queue, applications: queue.applications.join(', ') }
+      : EMPTY_QUEUE_FORM);
+  };
+
+  const toggleMember = (username) => {
+    const members = formData.members.includes(username)
+      ? formData.members.filter(m => m !== username)
+      : [...formData.members, username];
+    setFormData({ ...formData, members });
+  };
+
+  const handleSave = async () => {
+    setMessage({ type: '', text: '' });
+    const { queue_id, name, members, assignment } = formData;
+    const applications = formData.applications.split(',').map(app => app.trim()).filter(Boolean);
+
+    try {
+      if (editingId) {
+        await queuesApi.updateQueue(editingId, { name, applications, members, assignment });
+        setMessage({ type: 'success', text: 'Queue updated!' });
+      } else {
+        await queuesApi.createQueue({ queue_id, name, applications, members, assignment });
+        setMessage({ type: 'success', text: 'Queue created!' });
+      }
+      setEditingId(null);
+      loadQueues();
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to save queue') });
+    }
+  };
+
+  const handleDelete = async (queue) => {
+    if (!confirm(`Delete the "${queue.name}" queue?`)) return;
+    setMessage({ type: '', text: '' });
+
+    try {
+      await queuesApi.deleteQueue(queue.queue_id);
+      setMessage({ type: 'success', text: 'Queue deleted!' });
+      loadQueues();
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to delete queue') });
+    }
+  };
+
+  if (isLoading) {
+    return <div className="loading">Loading queues...</div>;
+  }
+
+  return (
+    <div className="queue-manager">
+      <div className="kb-header">
+        <h2>Ticket Queues</h2>
+        <button className="btn-primary" onClick={() => (editingId === null ? openForm(null) : setEditingId(null))}>
+          {editingId === null ? '+ Add Queue' : 'Cancel'}
+        </button>
+      </div>
+
+      <p className="description">
+        Tickets escalated from the chat go to the queue that lists their application and, unless the
+        queue assigns manually, to one of its members. Tickets for other applications stay unassigned
+        until someone claims them.
+      </p>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>{message.text}</div>
+      )}
+
+      {editingId !== null && (
+        <div className="kb-form">
+          <h3>{editingId ? `Edit ${formData.name}` : 'New Queue'}</h3>
+          {!editingId && (
+            <div className="form-group">
+              <label>Queue ID</label>
+              <input
+                type="text"
+                value={formData.queue_id}
+                onChange={(e) => setFormData({ ...formData, queue_id: e.target.value })}
+                placeholder="e.g., erp"
+              />
+            </div>
+          )}
+          <div className="form-group">
+            <label>Name</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="e.g., ERP Team"
+            />
+          </div>
+          <div className="form-group">
+            <label>Applications (comma-separated)</label>
+            <input
+              type="text"
+              value={formData.applications}
+              onChange={(e) => setFormData({ ...formData, applications: e.target.value })}
+              placeholder="e.g., SAP, Payroll"
+            />
+          </div>
+          <div className="form-group">
+            <label>Members</label>
+            <div className="scope-list">
+              {staff.map(member => (
+                <label key={member.username} className="scope-option">
+                  <input
+                    type="checkbox"
+                    checked={formData.members.includes(member.username)}
+                    onChange={() => toggleMember(member.username)}
+                  />
+                  <span><strong>{member.display_name}</strong> ({member.username})</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Auto-assignment</label>
+            <select
+              value={formData.assignment}
+              onChange={(e) => setFormData({ ...formData, assignment: e.target.value })}
+            >
+              {Object.entries(strategies).map(([strategy, description]) => (
+                <option key={strategy} value={strategy}>{description}</option>
+              ))}
+            </select>
+          </div>
+          <div className="button-group">
+            <button className="btn-primary" onClick={handleSave}>
+              {editingId ? 'Save Queue' : 'Create Queue'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {queues.length === 0 ? (
+        <p className="empty">No queues yet. All tickets share one unassigned pool.</p>
+      ) : (
+        <table className="doc-table">
+          <thead>
+            <tr>
+              <th>Queue</th>
+              <th>Applications</th>
+              <th>Members</th>
+              <th>Auto-assignment</th>
+              <th>Open</th>
+              <th>Unassigned</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {queues.map(queue => (
+              <tr key={queue.queue_id}>
+                <td>
+                  <strong>{queue.name}</strong>
+                  <br />
+                  <small className="text-muted">{queue.queue_id}</small>
+                </td>
+                <td>{queue.applications.join(', ') || '—'}</td>
+                <td>{queue.members.map(staffName).join(', ') || '—'}</td>
+                <td>{queue.assignment.replace('_', ' ')}</td>
+                <td>{queue.open_count}</td>
+                <td>{queue.unassigned_count}</td>
+                <td>
+                  <button className="btn-link" onClick={() => openForm(queue)}>Edit</button>
+                  {' '}
+                  <button className="btn-link" onClick={() => handleDelete(queue)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// SLA Manager Component
+const EMPTY_POLICY_FORM = {
+  name: '', application: '', priority: '', response_minutes: '60', resolution_minutes: '480', business_hours: false
+};
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// 90 -> "1h 30m", 2880 -> "48h"
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
+const SlaManager = () => {
+  const [policies, setPolicies] = useState([]);
+  const [businessHours, setBusinessHours] = useState(null);
+  const [editingId, setEditingId] = useState(null); // null (closed), '' (new policy) or a policy id
+  const [formData, setFormData] = useState(EMPTY_POLICY_FORM);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    loadPolicies();
+  }, []);
+
+  const loadPolicies = async () => {
+    try {
+      const data = await slaApi.getPolicies();
+      setPolicies(data.policies);
+      setBusinessHours(data.businessHours);
+    } catch (error) {
+      console.error('Failed to load SLA policies:', error);
+      setMessage({ type: 'error', text: 'Failed to load SLA policies' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const errorText = (error, fallback) => error.data?.details?.[0]?.message || error.data?.error || fallback;
+
+  const openForm = (policy) => {
+    setMessage({ type: '', text: '' });
+    setEditingId(policy ? policy.policy_id : '');
+    setFormData(policy
+      ? { ...policy, response_minutes: String(policy.response_minutes), resolution_minutes: String(policy.resolution_minutes) }
+      : EMPTY_POLICY_FORM);
+  };
+
+  const handleSave = async () => {
+    setMessage({ type: '', text: '' });
+    const { name, application, priority, business_hours } = formData;
+    const policy = {
+      name,
+      application,
+      priority,
+      business_hours,
+      response_minutes: parseInt(formData.response_minutes, 10),
+      resolution_minutes: parseInt(formData.resolution_minutes, 10)
+    };
+
+    try {
+      if (editingId) {
+        await slaApi.updatePolicy(editingId, policy);
+        setMessage({ type: 'success', text: 'Policy updated!' });
+      } else {
+        await slaApi.createPolicy(policy);
+        setMessage({ type: 'success', text: 'Policy created!' });
+      }
+      setEditingId(null);
+      loadPolicies();
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to save policy') });
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!confirm(`Delete the "${policy.name}" policy?`)) return;
+    setMessage({ type: '', text: '' });
+
+    try {
+      await slaApi.deletePolicy(policy.policy_id);
+      setMessage({ type: 'success', text: 'Policy deleted!' });
+      loadPolicies();
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to delete policy') });
+    }
+  };
+
+  const toggleDay = (day) => {
+    const days = businessHours.days.includes(day)
+      ? businessHours.days.filter(d => d !== day)
+      : [...businessHours.days, day];
+    setBusinessHours({ ...businessHours, days });
+  };
+
+  const handleSaveHours = async () => {
+    setMessage({ type: '', text: '' });
+
+    try {
+      setBusinessHours(await slaApi.setBusinessHours(businessHours));
+      setMessage({ type: 'success', text: 'Business hours saved!' });
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to save business hours') });
+    }
+  };
+
+  if (isLoading) {
+    return <div className="loading">Loading SLA policies...</div>;
+  }
+
+  return (
+    <div className="sla-manager">
+      <div className="kb-header">
+        <h2>SLA Policies</h2>
+        <button className="btn-primary" onClick={() => (editingId === null ? openForm(null) : setEditingId(null))}>
+          {editingId === null ? '+ Add Policy' : 'Cancel'}
+        </button>
+      </div>
+
+      <p className="description">
+        Each ticket follows the most specific policy that matches it: application and priority,
+        then application, then priority, then a default policy with neither. Timers pause while a
+        ticket waits for the user. A timer is at risk once less than a fifth of its target remains.
+      </p>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>{message.text}</div>
+      )}
+
+      {editingId !== null && (
+        <div className="kb-form">
+          <h3>{editingId ? `Edit ${formData.name}` : 'New Policy'}</h3>
+          <div className="form-group">
+            <label>Name</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="e.g., Payroll P1"
+            />
+          </div>
+          <div className="form-group">
+            <label>Application (blank for any)</label>
+            <input
+              type="text"
+              value={formData.application}
+              onChange={(e) => setFormData({ ...formData, application: e.target.value })}
+              placeholder="e.g., Payroll"
+            />
+          </div>
+          <div className="form-group">
+            <label>Priority</label>
+            <select
+              value={formData.priority}
+              onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+            >
+              <option value="">Any</option>
+              {Object.entries(PRIORITY_LABELS).map(([priority, label]) => (
+                <option key={priority} value={priority}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>First response target (minutes)</label>
+            <input
+              type="number"
+              min="1"
+              value={formData.response_minutes}
+              onChange={(e) => setFormData({ ...formData, response_minutes: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Resolution target (minutes)</label>
+            <input
+              type="number"
+              min="1"
+              value={formData.resolution_minutes}
+              onChange={(e) => setFormData({ ...formData, resolution_minutes: e.target.value })}
+            />
+          </div>
+          <div className="form-group checkbox-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={formData.business_hours}
+                onChange={(e) => setFormData({ ...formData, business_hours: e.target.checked })}
+              />
+              Count business hours only
+            </label>
+          </div>
+          <div className="button-group">
+            <button className="btn-primary" onClick={handleSave}>
+              {editingId ? 'Save Policy' : 'Create Policy'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {policies.length === 0 ? (
+        <p className="empty">No SLA policies yet. Tickets have no response or resolution targets.</p>
+      ) : (
+        <table className="doc-table">
+          <thead>
+            <tr>
+              <th>Policy</th>
+              <th>Application</th>
+              <th>Priority</th>
+              <th>First Response</th>
+              <th>Resolution</th>
+              <th>Clock</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {policies.map(policy => (
+              <tr key={policy.policy_id}>
+                <td><strong>{policy.name}</strong></td>
+                <td>{policy.application || 'Any'}</td>
+                <td>{policy.priority ? policy.priority.toUpperCase() : 'Any'}</td>
+                <td>{formatMinutes(policy.response_minutes)}</td>
+                <td>{formatMinutes(policy.resolution_minutes)}</td>
+                <td>{policy.business_hours ? 'Business hours' : '24/7'}</td>
+                <td>
+                  <button className="btn-link" onClick={() => openForm(policy)}>Edit</button>
+                  {' '}
+                  <button className="btn-link" onClick={() => handleDelete(policy)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {businessHours && (
+        <div className="kb-form">
+          <h3>Business Hours</h3>
+          <p className="description">Used by policies that count business hours, in the server's time zone.</p>
+          <div className="form-group">
+            <label>Days</label>
+            <div className="scope-list">
+              {WEEKDAYS.map((label, day) => (
+                <label key={day} className="scope-option">
+                  <input
+                    type="checkbox"
+                    checked={businessHours.days.includes(day)}
+                    onChange={() => toggleDay(day)}
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Opens</label>
+            <input
+              type="time"
+              value={businessHours.start}
+              onChange={(e) => setBusinessHours({ ...businessHours, start: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Closes</label>
+            <input
+              type="time"
+              value={businessHours.end}
+              onChange={(e) => setBusinessHours({ ...businessHours, end: e.target.value })}
+            />
+          </div>
+          <div className="button-group">
+            <button className="btn-primary" onClick={handleSaveHours}>
+              Save Business Hours
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// API Token Manager Component (machine integrations)
+const EMPTY_TOKEN_FORM = { name: '', scopes: [], expiresInDays: '90' };
+
+const ApiTokenManager = () => {
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState({});
+  const [isCreating, setIsCreating] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_TOKEN_FORM);
+  const [newToken, setNewToken] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const loadTokens = async () => {
+    try {
+      const data = await tokensApi.getTokens();
+      setTokens(data.tokens);
+      setScopes(data.scopes);
+    } catch (error) {
+      console.error('Failed to load API tokens:', error);
+      setMessage({ type: 'error', text: 'Failed to load API tokens' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const errorText = (error, fallback) => error.data?.details?.[0]?.message || error.data?.error || fallback;
+
+  const toggleScope = (scope) => {
+    setFormData({
+      ...formData,
+      scopes: formData.scopes.includes(scope)
+        ? formData.scopes.filter(s => s !== scope)
+        : [...formData.scopes, scope]
+    });
+  };
+
+  const handleCreate = async () => {
+    setMessage({ type: '', text: '' });
+
+    try {
+      const result = await tokensApi.createToken({
+        name: formData.name,
+        scopes: formData.scopes,
+        expiresInDays: formData.expiresInDays ? parseInt(formData.expiresInDays, 10) : null
+      });
+      setNewToken(result.token);
+      setFormData(EMPTY_TOKEN_FORM);
+      setIsCreating(false);
+      loadTokens();
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to create API token') });
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!confirm(`Revoke "${token.name}"? Integrations using it will stop working immediately.`)) return;
+    setMessage({ type: '', text: '' });
+
+    try {
+      await tokensApi.revokeToken(token.token_id);
+      setMessage({ type: 'success', text: 'Token revoked' });
+      loadTokens();
+    } catch (error) {
+      setMessage({ type: 'error', text: errorText(error, 'Failed to revoke API token') });
+    }
+  };
+
+  if (isLoading) {
+    return <div className="loading">Loading API tokens...</div>;
+  }
+
+  return (
+    <div className="token-manager">
+      <div className="kb-header">
+        <h2>API Tokens</h2>
+        <button className="btn-primary" onClick={() => setIsCreating(!isCreating)}>
+          {isCreating ? 'Cancel' : '+ New Token'}
+        </button>
+      </div>
+
+      <p className="description">
+        Tokens let other systems call the ticket, knowledge base and document APIs with
+        an <code>Authorization: Bearer</code> header. Each token can only do what its scopes allow.
+      </p>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>{message.text}</div>
+      )}
+
+      {newToken && (
+        <div className="new-token">
+          <p><strong>Copy this token now.</strong> It won't be shown again.</p>
+          <code>{newToken}</code>
+          <div className="button-group">
+            <button className="btn-secondary" onClick={() => navigator.clipboard.writeText(newToken)}>
+              Copy
+            </button>
+            <button className="btn-primary" onClick={() => setNewToken(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {isCreating && (
+        <div className="kb-form">
+          <h3>New API Token</h3>
+          <div className="form-group">
+            <label>Name</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="e.g., Monitoring"
+            />
+          </div>
+          <div className="form-group">
+            <label>Scopes</label>
+            <div className="scope-list">
+              {Object.entries(scopes).map(([scope, description]) => (
+                <label key={scope} className="scope-option">
+                  <input
+                    type="checkbox"
+                    checked={formData.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                  />
+                  <span><strong>{scope}</strong> — {description}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Expires</label>
+            <select
+              value={formData.expiresInDays}
+              onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value })}
+            >
+              <option value="30">In 30 days</option>
+              <option value="90">In 90 days</option>
+              <option value="365">In 1 year</option>
+              <option value="">Never</option>
+            </select>
+          </div>
+          <div className="button-group">
+            <button className="btn-primary" onClick={handleCreate}>
+              Create Token
+            </button>
+          </div>
+        </div>
+      )}
+
+      {tokens.length === 0 ? (
+        <p className="empty">No API tokens yet.</p>
+      ) : (
+        <table className="doc-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Scopes</th>
+              <th>Expires</th>
+              <th>Last Used</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map(token => (
+              <tr key={token.token_id}>
+                <td>
+                  <strong>{token.name}</strong>
+                  <br />
+                  <small className="text-muted">{token.token_prefix}… by {token.created_by}</small>
+                </td>
+                <td>
+                  {token.scopes.map(scope => (
+                    <span key={scope} className="app-badge">{scope}</span>
+                  ))}
+                </td>
+                <td>{token.expires_at ? new Date(token.expires_at).toLocaleDateString() : 'Never'}</td>
+                <td>
+                  {token.last_used_at
+                    ? <>{new Date(token.last_used_at).toLocaleString()}<br /><small className="text-muted">{token.last_used_ip}</small></>
+                    : <span className="text-muted">Never</span>}
+                </td>
+                <td>{token.status === 'active' ? 'Active' : <span className="text-muted">{token.status === 'revoked' ? 'Revoked' : 'Expired'}</span>}</td>
+                <td>
+                  {token.status === 'active' && (
+                    <button className="btn-danger btn-small" onClick={() => handleRevoke(token)}>
+                      Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Audit Log Viewer Component
+const AUDIT_PAGE_SIZE = 50;
+const EMPTY_AUDIT_FILTERS = { actor: '', entityType: '', entityId: '', from: '', to: '' };
+
+// Render a before/after value compactly
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AuditLogViewer = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [filterOptions, setFilterOptions] = useState({ actors: [], entityTypes: [] });
+  const [expandedId, setExpandedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    auditApi.getFilters()
+      .then(setFilterOptions)
+      .catch(error => console.error('Failed to load audit filters:', error));
+    loadEntries(EMPTY_AUDIT_FILTERS);
+  }, []);
+
+  const loadEntries = async (activeFilters, offset = 0) => {
+    setIsLoading(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const data = await auditApi.getEntries({ ...activeFilters, limit: AUDIT_PAGE_SIZE, offset });
+      setEntries(prev => (offset === 0 ? data.entries : [...prev, ...data.entries]));
+      setTotal(data.total);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.data?.details?.[0]?.message || 'Failed to load audit log' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadEntries(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_AUDIT_FILTERS);
+    loadEntries(EMPTY_AUDIT_FILTERS);
+  };
+
+  const changedKeys = (entry) => [...new Set([
+    ...Object.keys(entry.before || {}),
+    ...Object.keys(entry.after || {})
+  ])];
+
+  return (
+    <div className="audit-log">
+      <h2>Audit Log</h2>
+      <p className="description">
+        Every staff and admin change, with the values before and after. Secrets are shown as [redacted].
+      </p>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>{message.text}</div>
+      )}
+
+      <form className="audit-filters" onSubmit={handleSearch}>
+        <div className="form-group">
+          <label>Actor</label>
+          <select value={filters.actor} onChange={(e) => setFilters({ ...filters, actor: e.target.value })}>
+            <option value="">All</option>
+            {filterOptions.actors.map(actor => (
+              <option key={actor} value={actor}>{actor}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Entity</label>
+          <select value={filters.entityType} onChange={(e) => setFilters({ ...filters, entityType: e.target.value })}>
+            <option value="">All</option>
+            {filterOptions.entityTypes.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Entity ID</label>
+          <input
+            type="text"
+            value={filters.entityId}
+            onChange={(e) => setFilters({ ...filters, entityId: e.target.value })}
+            placeholder="e.g. TKT-000042"
+          />
+        </div>
+        <div className="form-group">
+          <label>From</label>
+          <input type="date" value={filters.from} onChange={(e) => setFilters({ ...filters, from: e.target.value })} />
+        </div>
+        <div className="form-group">
+          <label>To</label>
+          <input type="date" value={filters.to} onChange={(e) => setFilters({ ...filters, to: e.target.value })} />
+        </div>
+        <div className="button-group">
+          <button type="button" className="btn-secondary" onClick={handleReset}>Reset</button>
+          <button type="submit" className="btn-primary">Search</button>
+        </div>
+      </form>
+
+      {entries.length === 0 && !isLoading ? (
+        <p className="empty">No audit entries match these filters.</p>
+      ) : (
+        <table className="doc-table audit-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Actor</th>
+              <th>Action</th>
+              <th>Entity</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <React.Fragment key={entry.audit_id}>
+                <tr
+                  className="audit-row"
+                  onClick={() => setExpandedId(expandedId === entry.audit_id ? null : entry.audit_id)}
+                >
+                  <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                  <td>
+                    <strong>{entry.actor}</strong>
+                    {entry.ip && <><br /><small className="text-muted">{entry.ip}</small></>}
+                  </td>
+                  <td><span className="app-badge">{entry.action}</span></td>
+                  <td>{entry.entity_type} {entry.entity_id && <small>{entry.entity_id}</small>}</td>
+                  <td>{changedKeys(entry).join(', ') || <span className="text-muted">—</span>}</td>
+                </tr>
+                {expandedId === entry.audit_id && changedKeys(entry).length > 0 && (
+                  <tr className="audit-detail">
+                    <td colSpan={5}>
+                      <table className="audit-diff">
+                        <thead>
+                          <tr><th>Field</th><th>Before</th><th>After</th></tr>
+                        </thead>
+                        <tbody>
+                          {changedKeys(entry).map(key => (
+                            <tr key={key}>
+                              <td>{key}</td>
+                              <td>{formatAuditValue(entry.before?.[key])}</td>
+                              <td>{formatAuditValue(entry.after?.[key])}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {isLoading && <div className="loading">Loading audit log...</div>}
+
+      {!isLoading && entries.length < total && (
+        <button className="btn-secondary audit-more" onClick={() => loadEntries(filters, entries.length)}>
+          Load more ({total - entries.length} remaining)
+        </button>
+      )}
+    </div>
+  );
+};
+
 // System Prompt Editor Component
 const SystemPromptEditor = () => {
   const [customPrompt, setCustomPrompt] = useState('');
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { ticketApi } from '../services/api';
+import { ticketApi, queuesApi, incidentsApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import StatusBadge from '../components/shared/StatusBadge';
+import PriorityBadge, { PRIORITY_LABELS, SEVERITY_LABELS } from '../components/shared/PriorityBadge';
 import './ITSupport.css';
 
 // Canned responses for quick replies
@@ -22,25 +24,202 @@ const CANNED_RESPONSES = [
   }
 ];
 
+// Changes for the tickets selected in the list; input is what the change needs besides
+// the tickets (a staff member, a queue or a message)
+const BULK_ACTIONS = {
+  close: { label: 'Close', permission: 'tickets.close', change: () => ({ status: 'closed' }) },
+  confirm: { label: 'Request confirmation', change: () => ({ status: 'waiting_confirmation' }) },
+  reopen: { label: 'Reopen', change: () => ({ status: 'open' }) },
+  assign: { label: 'Assign to...', permission: 'tickets.assign', input: 'staff', change: value => ({ assignee: value }) },
+  queue: { label: 'Move to queue...', permission: 'tickets.assign', input: 'queue', change: value => ({ queue: value }) },
+  comment: { label: 'Add comment...', input: 'text', change: value => ({ comment: value }) },
+  clarify: { label: 'Ask clarification...', input: 'text', change: value => ({ question: value }) }
+};
+
+// How each SLA timer state reads in the ticket detail
+const SLA_STATE_LABELS = {
+  met: 'Met',
+  breached: 'Breached',
+  on_track: 'Due',
+  at_risk: 'At risk, due',
+  paused: 'Paused (waiting for user)'
+};
+
+const formatSlaTimer = (timer) => {
+  const label = SLA_STATE_LABELS[timer.state] || timer.state;
+  return timer.due_at ? `${label} ${new Date(timer.due_at).toLocaleString()}` : label;
+};
+
+// One line of detail for a timeline event (the server supplies the event's label)
+const describeEvent = ({ type, data }) => {
+  const change = `${data.from || '—'} → ${data.to || '—'}`;
+  switch (type) {
+    case 'created':
+      return `From ${data.source}${data.queue ? `, queue ${data.queue}` : ''}${data.priority ? `, ${data.priority.toUpperCase()}` : ''}`;
+    case 'status_changed':
+    case 'severity_changed':
+    case 'priority_changed':
+    case 'assignee_changed':
+    case 'queue_changed':
+      return change;
+    case 'notes_updated':
+      return data.to ? `"${data.to}"` : 'Notes cleared';
+    case 'comment_added':
+    case 'comment_edited':
+      return data.mentions?.length ? `Mentions ${data.mentions.map(name => `@${name}`).join(', ')}` : '';
+    case 'clarification_requested':
+      return `"${data.question}"`;
+    case 'auto_closed':
+      return data.reason;
+    case 'log_matched':
+      return data.log_id;
+    case 'merged':
+      return `Into ${data.into}${data.from ? ` (moved from ${data.from})` : ''}`;
+    case 'duplicates_merged':
+      return data.ticket_ids.join(', ');
+    case 'incident_linked':
+      return `${data.incident_id}: ${data.title}${data.from ? ` (moved from ${data.from})` : ''}`;
+    case 'incident_unlinked':
+      return data.incident_id;
+    case 'incident_resolved':
+      return `${data.incident_id}: "${data.resolution}"`;
+    default:
+      return '';
+  }
+};
+
+// Comment text with the staff it mentions highlighted (an @ inside a word, as in an email
+// address, is not a mention)
+const CommentBody = ({ comment }) => {
+  const parts = comment.body.split(/(@[a-z0-9._-]+)/i);
+  return (
+    <p className="comment-body">
+      {parts.map((part, index) => {
+        const isMention = part.startsWith('@')
+          && !/[\w.]$/.test(parts[index - 1] || '')
+          && comment.mentions.includes(part.slice(1).toLowerCase().replace(/[.-]+$/, ''));
+        return isMention ? <span key={index} className="mention">{part}</span> : part;
+      })}
+    </p>
+  );
+};
+
+// Breached or at-risk flag for the ticket list; nothing while the SLA is on track
+const SlaFlag = ({ sla }) => {
+  if (sla?.breached) return <span className="sla-flag breached">SLA breached</span>;
+  if (sla?.at_risk) return <span className="sla-flag at-risk">SLA at risk</span>;
+  return null;
+};
+
 const ITSupport = () => {
+  const { user, hasPermission } = useAuth();
+  const canUpdate = hasPermission('tickets.update');
+  const canClose = hasPermission('tickets.close');
+  const canAssign = hasPermission('tickets.assign');
   const [tickets, setTickets] = useState([]);
   const [selectedTicket, setSelectedTicket] = useState(null);
   const [filter, setFilter] = useState('open');
+  const [assigneeFilter, setAssigneeFilter] = useState(''); // '' (anyone), 'me' or 'none'
+  const [queueFilter, setQueueFilter] = useState(''); // '' (any queue), 'none' or a queue id
+  const [severityFilter, setSeverityFilter] = useState(''); // '' (any), 'none' or a severity
+  const [priorityFilter, setPriorityFilter] = useState(''); // '' (any), 'none' or a priority
+  const [sortOrder, setSortOrder] = useState('priority');
+  const [slaFilter, setSlaFilter] = useState(''); // '', 'breached' or 'at_risk'
+  const [queues, setQueues] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [assignError, setAssignError] = useState('');
   const [clarificationText, setClarificationText] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [isSending, setIsSending] = useState(false);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysis, setAnalysis] = useState(null);
+  const [conflict, setConflict] = useState(null); // { updates, current } after a 409
+  const [timeline, setTimeline] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [commentText, setCommentText] = useState('');
+  const [editingComment, setEditingComment] = useState(null); // { comment_id, body }
+  const [openHistory, setOpenHistory] = useState(null); // comment_id whose earlier versions are shown
+  const [commentError, setCommentError] = useState('');
+  const [duplicates, setDuplicates] = useState(null); // { duplicates } or { error } once loaded
+  const [mergeSelection, setMergeSelection] = useState([]);
+  const [isMerging, setIsMerging] = useState(false);
+  const [incidents, setIncidents] = useState([]); // open incidents, for linking
+  const [incidentError, setIncidentError] = useState('');
+  const [bulkSelection, setBulkSelection] = useState([]);
+  const [bulkAction, setBulkAction] = useState(canClose ? 'close' : 'confirm');
+  const [bulkValue, setBulkValue] = useState('');
+  const [bulkResult, setBulkResult] = useState(null); // response of the last bulk change
+  const [isApplyingBulk, setIsApplyingBulk] = useState(false);
 
   useEffect(() => {
     loadTickets();
     const interval = setInterval(loadTickets, 15000);
     return () => clearInterval(interval);
-  }, [filter]);
+  }, [filter, assigneeFilter, queueFilter, severityFilter, priorityFilter, sortOrder, slaFilter]);
+
+  // A selection only makes sense for the tickets it was made from
+  useEffect(() => {
+    setBulkSelection([]);
+    setBulkResult(null);
+  }, [filter, assigneeFilter, queueFilter, severityFilter, priorityFilter, slaFilter]);
+
+  useEffect(() => {
+    queuesApi.getQueues()
+      .then(data => {
+        setQueues(data.queues);
+        setStaff(data.assignableStaff);
+      })
+      .catch(error => console.error('Failed to load queues:', error));
+    incidentsApi.getIncidents('open')
+      .then(data => setIncidents(data.incidents))
+      .catch(error => console.error('Failed to load incidents:', error));
+  }, []);
+
+  const loadTimeline = (ticketId) => {
+    ticketApi.getTimeline(ticketId)
+      .then(data => setTimeline(data.events))
+      .catch(error => console.error('Failed to load timeline:', error));
+  };
+
+  // Every change bumps updated_at, so this reloads the timeline after each update
+  // (comments don't change the ticket, so their handlers reload it themselves)
+  useEffect(() => {
+    if (!selectedTicket) return;
+    loadTimeline(selectedTicket.ticket_id);
+  }, [selectedTicket?.ticket_id, selectedTicket?.updated_at]);
+
+  useEffect(() => {
+    if (!selectedTicket) return;
+    loadDuplicates(selectedTicket.ticket_id);
+  }, [selectedTicket?.ticket_id]);
+
+  useEffect(() => {
+    if (!selectedTicket) return;
+    ticketApi.getComments(selectedTicket.ticket_id)
+      .then(setComments)
+      .catch(error => console.error('Failed to load comments:', error));
+  }, [selectedTicket?.ticket_id]);
+
+  // Embedding every open ticket can take a moment, so this loads separately from the ticket
+  const loadDuplicates = (ticketId) => {
+    setDuplicates(null);
+    setMergeSelection([]);
+    ticketApi.getDuplicates(ticketId)
+      .then(data => setDuplicates({ duplicates: data.duplicates }))
+      .catch(error => setDuplicates({ error: error.message }));
+  };
 
   const loadTickets = async () => {
     try {
-      const data = await ticketApi.getTickets(filter === 'all' ? null : filter);
+      const data = await ticketApi.getTickets({
+        status: filter === 'all' ? null : filter,
+        assignee: assigneeFilter,
+        queue: queueFilter,
+        severity: severityFilter,
+        priority: priorityFilter,
+        sla: slaFilter,
+        sort: sortOrder
+      });
       setTickets(data);
     } catch (error) {
       console.error('Failed to load tickets:', error);
@@ -52,6 +231,14 @@ const ITSupport = () => {
   const handleTicketSelect = async (ticket) => {
     try {
       setAnalysis(null); // Clear previous analysis
+      setConflict(null);
+      setTimeline([]);
+      setComments([]);
+      setCommentText('');
+      setEditingComment(null);
+      setCommentError('');
+      setAssignError('');
+      setIncidentError('');
       const fullTicket = await ticketApi.getTicket(ticket.ticket_id);
       setSelectedTicket(fullTicket);
     } catch (error) {
@@ -76,18 +263,53 @@ const ITSupport = () => {
     }
   };
 
-  const handleStatusChange = async (ticketId, newStatus) => {
+  // Send an update with the version we last saw; a 409 means someone else changed the ticket first
+  const saveTicketUpdate = async (updates, version) => {
     try {
-      await ticketApi.updateTicket(ticketId, { status: newStatus });
+      const updated = await ticketApi.updateTicket(selectedTicket.ticket_id, { ...updates, version });
+      setConflict(null);
+      setSelectedTicket(prev => ({ ...prev, ...updated }));
       loadTickets();
-      if (selectedTicket?.ticket_id === ticketId) {
-        setSelectedTicket({ ...selectedTicket, status: newStatus });
+    } catch (error) {
+      if (error.status === 409 && error.data?.current) {
+        setConflict({ updates, current: error.data.current });
+      } else {
+        console.error('Failed to update ticket:', error);
       }
+    }
+  };
+
+  const handleStatusChange = (newStatus) => saveTicketUpdate({ status: newStatus }, selectedTicket.version);
+  const handleTriageChange = (changes) => saveTicketUpdate(changes, selectedTicket.version);
+
+  // Conflict resolution: re-apply our change on top of the current version, or take theirs
+  const handleConflictOverwrite = () => saveTicketUpdate(conflict.updates, conflict.current.version);
+
+  const handleConflictDiscard = () => {
+    setSelectedTicket(prev => ({ ...prev, ...conflict.current }));
+    setConflict(null);
+    loadTickets();
+  };
+
+  const staffName = (username) => staff.find(member => member.username === username)?.display_name || username;
+  const queueName = (queueId) => queues.find(queue => queue.queue_id === queueId)?.name || queueId;
+
+  // Claim, unassign and assign all return the updated ticket
+  const applyAssignment = async (request) => {
+    setAssignError('');
+    try {
+      const updated = await request(selectedTicket.ticket_id);
+      setSelectedTicket(prev => ({ ...prev, ...updated }));
+      loadTickets();
     } catch (error) {
-      console.error('Failed to update status:', error);
+      setAssignError(error.message);
     }
   };
 
+  const handleClaim = () => applyAssignment(ticketApi.claimTicket);
+  const handleUnassign = () => applyAssignment(ticketApi.unassignTicket);
+  const handleAssign = (changes) => applyAssignment(ticketId => ticketApi.assignTicket(ticketId, changes));
+
   const handleAskClarification = async () => {
     if (!clarificationText.trim() || !selectedTicket) return;
 
@@ -105,6 +327,112 @@ const ITSupport = () => {
     }
   };
 
+  const handleAddComment = async () => {
+    if (!commentText.trim()) return;
+
+    setCommentError('');
+    try {
+      const comment = await ticketApi.addComment(selectedTicket.ticket_id, commentText);
+      setComments(prev => [...prev, comment]);
+      setCommentText('');
+      loadTimeline(selectedTicket.ticket_id);
+    } catch (error) {
+      setCommentError(error.message);
+    }
+  };
+
+  const handleSaveCommentEdit = async () => {
+    if (!editingComment.body.trim()) return;
+
+    setCommentError('');
+    try {
+      const updated = await ticketApi.editComment(selectedTicket.ticket_id, editingComment.comment_id, editingComment.body);
+      setComments(prev => prev.map(comment => comment.comment_id === updated.comment_id ? updated : comment));
+      setEditingComment(null);
+      loadTimeline(selectedTicket.ticket_id);
+    } catch (error) {
+      setCommentError(error.message);
+    }
+  };
+
+  // Link to an incident (or unlink with ''), then reload the ticket for its new incident_id
+  const handleIncidentChange = async (incidentId) => {
+    setIncidentError('');
+    try {
+      if (incidentId) {
+        await incidentsApi.linkTickets(incidentId, [selectedTicket.ticket_id]);
+      } else {
+        await incidentsApi.unlinkTicket(selectedTicket.incident_id, selectedTicket.ticket_id);
+      }
+      const fullTicket = await ticketApi.getTicket(selectedTicket.ticket_id);
+      setSelectedTicket(fullTicket);
+      loadTickets();
+    } catch (error) {
+      setIncidentError(error.message);
+    }
+  };
+
+  // Undefined when the ticket's incident is no longer open
+  const linkedIncident = incidents.find(incident => incident.incident_id === selectedTicket?.incident_id);
+
+  const toggleMergeSelection = (ticketId) => {
+    setMergeSelection(prev => prev.includes(ticketId) ? prev.filter(id => id !== ticketId) : [...prev, ticketId]);
+  };
+
+  const handleMerge = async () => {
+    if (mergeSelection.length === 0) return;
+
+    setIsMerging(true);
+    try {
+      await ticketApi.mergeTickets(selectedTicket.ticket_id, mergeSelection);
+      const fullTicket = await ticketApi.getTicket(selectedTicket.ticket_id);
+      setSelectedTicket(fullTicket);
+      loadDuplicates(selectedTicket.ticket_id);
+      loadTickets();
+    } catch (error) {
+      setDuplicates(prev => ({ ...prev, mergeError: error.message }));
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  const bulkActions = Object.entries(BULK_ACTIONS).filter(([, action]) => !action.permission || hasPermission(action.permission));
+  const allSelected = tickets.length > 0 && tickets.every(ticket => bulkSelection.includes(ticket.ticket_id));
+
+  const toggleBulkSelection = (ticketId) => {
+    setBulkSelection(prev => prev.includes(ticketId) ? prev.filter(id => id !== ticketId) : [...prev, ticketId]);
+  };
+
+  const toggleSelectAll = () => {
+    setBulkSelection(allSelected ? [] : tickets.map(ticket => ticket.ticket_id));
+  };
+
+  const handleBulkActionChange = (action) => {
+    setBulkAction(action);
+    setBulkValue('');
+  };
+
+  // Failed tickets stay selected so the change can be retried on them
+  const handleBulkApply = async () => {
+    const action = BULK_ACTIONS[bulkAction];
+    setIsApplyingBulk(true);
+    setBulkResult(null);
+    try {
+      const result = await ticketApi.bulkUpdate({ ticket_ids: bulkSelection, ...action.change(bulkValue.trim()) });
+      setBulkResult(result);
+      setBulkSelection(result.results.filter(entry => !entry.success).map(entry => entry.ticket_id));
+      if (action.input === 'text') setBulkValue('');
+      loadTickets();
+      if (selectedTicket && bulkSelection.includes(selectedTicket.ticket_id)) {
+        setSelectedTicket(await ticketApi.getTicket(selectedTicket.ticket_id));
+      }
+    } catch (error) {
+      setBulkResult({ error: error.message });
+    } finally {
+      setIsApplyingBulk(false);
+    }
+  };
+
   const insertCannedResponse = (text) => {
     setClarificationText(prev => prev + (prev ? '\n\n' : '') + text);
   };
@@ -129,6 +457,109 @@ const ITSupport = () => {
           ))}
         </div>
 
+        <div className="ticket-filters">
+          <select value={assigneeFilter} onChange={(e) => setAssigneeFilter(e.target.value)}>
+            <option value="">Anyone</option>
+            <option value="me">My tickets</option>
+            <option value="none">Unassigned</option>
+          </select>
+          <select value={queueFilter} onChange={(e) => setQueueFilter(e.target.value)}>
+            <option value="">All queues</option>
+            {queues.map(queue => (
+              <option key={queue.queue_id} value={queue.queue_id}>{queue.name}</option>
+            ))}
+            <option value="none">No queue</option>
+          </select>
+          <select value={slaFilter} onChange={(e) => setSlaFilter(e.target.value)}>
+            <option value="">Any SLA</option>
+            <option value="breached">SLA breached</option>
+            <option value="at_risk">SLA at risk</option>
+          </select>
+        </div>
+
+        <div className="ticket-filters">
+          <select value={priorityFilter} onChange={(e) => setPriorityFilter(e.target.value)}>
+            <option value="">Any priority</option>
+            {Object.entries(PRIORITY_LABELS).map(([priority, label]) => (
+              <option key={priority} value={priority}>{label}</option>
+            ))}
+            <option value="none">Not set</option>
+          </select>
+          <select value={severityFilter} onChange={(e) => setSeverityFilter(e.target.value)}>
+            <option value="">Any severity</option>
+            {Object.entries(SEVERITY_LABELS).map(([severity, label]) => (
+              <option key={severity} value={severity}>{label}</option>
+            ))}
+            <option value="none">Not set</option>
+          </select>
+          <select value={sortOrder} onChange={(e) => setSortOrder(e.target.value)}>
+            <option value="priority">Sort: priority</option>
+            <option value="severity">Sort: severity</option>
+            <option value="newest">Sort: newest</option>
+            <option value="oldest">Sort: oldest</option>
+          </select>
+        </div>
+
+        {canUpdate && tickets.length > 0 && (
+          <div className="bulk-bar">
+            <label className="bulk-select-all">
+              <input type="checkbox" checked={allSelected} onChange={toggleSelectAll} />
+              {bulkSelection.length > 0 ? `${bulkSelection.length} selected` : 'Select all'}
+            </label>
+            {bulkSelection.length > 0 && (
+              <div className="bulk-controls">
+                <select value={bulkAction} onChange={(e) => handleBulkActionChange(e.target.value)}>
+                  {bulkActions.map(([value, action]) => (
+                    <option key={value} value={value}>{action.label}</option>
+                  ))}
+                </select>
+                {BULK_ACTIONS[bulkAction].input === 'staff' && (
+                  <select value={bulkValue} onChange={(e) => setBulkValue(e.target.value)}>
+                    <option value="">Unassigned</option>
+                    {staff.map(member => (
+                      <option key={member.username} value={member.username}>{member.display_name}</option>
+                    ))}
+                  </select>
+                )}
+                {BULK_ACTIONS[bulkAction].input === 'queue' && (
+                  <select value={bulkValue} onChange={(e) => setBulkValue(e.target.value)}>
+                    <option value="">No queue</option>
+                    {queues.map(queue => (
+                      <option key={queue.queue_id} value={queue.queue_id}>{queue.name}</option>
+                    ))}
+                  </select>
+                )}
+                {BULK_ACTIONS[bulkAction].input === 'text' && (
+                  <textarea
+                    value={bulkValue}
+                    onChange={(e) => setBulkValue(e.target.value)}
+                    placeholder={bulkAction === 'clarify' ? "Question for each ticket's user..." : 'Internal comment for IT staff...'}
+                    rows={2}
+                  />
+                )}
+                <button
+                  className="btn-primary"
+                  onClick={handleBulkApply}
+                  disabled={isApplyingBulk || (BULK_ACTIONS[bulkAction].input === 'text' && !bulkValue.trim())}
+                >
+                  {isApplyingBulk ? 'Applying...' : `Apply to ${bulkSelection.length}`}
+                </button>
+              </div>
+            )}
+            {bulkResult?.error && <p className="error-text">{bulkResult.error}</p>}
+            {bulkResult?.results && (
+              <div className="bulk-result">
+                <p>{bulkResult.succeeded} updated{bulkResult.failed > 0 && `, ${bulkResult.failed} failed (still selected)`}</p>
+                <ul>
+                  {bulkResult.results.filter(entry => !entry.success).map(entry => (
+                    <li key={entry.ticket_id}>{entry.ticket_id}: {entry.error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="ticket-list">
           {isLoading ? (
             <div className="loading">Loading tickets...</div>
@@ -142,13 +573,31 @@ const ITSupport = () => {
                 onClick={() => handleTicketSelect(ticket)}
               >
                 <div className="ticket-header">
-                  <span className="ticket-id">{ticket.ticket_id}</span>
+                  <span className="ticket-id">
+                    {canUpdate && (
+                      <input
+                        type="checkbox"
+                        className="bulk-checkbox"
+                        checked={bulkSelection.includes(ticket.ticket_id)}
+                        onChange={() => toggleBulkSelection(ticket.ticket_id)}
+                        onClick={(e) => e.stopPropagation()}
+                      />
+                    )}
+                    {ticket.ticket_id}{' '}
+                    <PriorityBadge priority={ticket.priority} severity={ticket.severity} />
+                    <SlaFlag sla={ticket.sla} />
+                  </span>
                   <StatusBadge status={ticket.status} />
                 </div>
                 <div className="ticket-app">{ticket.application}</div>
                 <div className="ticket-summary">{ticket.problem_summary}</div>
                 <div className="ticket-time">
                   {new Date(ticket.reported_at).toLocaleDateString()}
+                  <span className="ticket-assignee">
+                    {ticket.incident_id && `${ticket.incident_id} · `}
+                    {ticket.queue && `${queueName(ticket.queue)} · `}
+                    {ticket.assignee ? staffName(ticket.assignee) : 'Unassigned'}
+                  </span>
                 </div>
               </div>
             ))
@@ -164,11 +613,170 @@ const ITSupport = () => {
               <StatusBadge status={selectedTicket.status} />
             </div>
 
+            {selectedTicket.merged_into && (
+              <p className="merge-note">
+                Merged into{' '}
+                <button className="link-button" onClick={() => handleTicketSelect({ ticket_id: selectedTicket.merged_into })}>
+                  {selectedTicket.merged_into}
+                </button>
+                , which now tracks this problem.
+              </p>
+            )}
+            {selectedTicket.merged_tickets?.length > 0 && (
+              <p className="merge-note">
+                Merged duplicates: {selectedTicket.merged_tickets.map(merged => merged.ticket_id).join(', ')}.
+                Clarification questions also go to their users.
+              </p>
+            )}
+
             <div className="detail-section">
               <h3>Application</h3>
               <p>{selectedTicket.application}</p>
             </div>
 
+            {selectedTicket.sla && (
+              <div className="detail-section">
+                <h3>SLA: {selectedTicket.sla.policy_name}</h3>
+                <p className={`sla-timer ${selectedTicket.sla.response.state}`}>
+                  First response: {formatSlaTimer(selectedTicket.sla.response)}
+                </p>
+                <p className={`sla-timer ${selectedTicket.sla.resolution.state}`}>
+                  Resolution: {formatSlaTimer(selectedTicket.sla.resolution)}
+                </p>
+                {selectedTicket.sla.business_hours && (
+                  <p className="sla-note">Counted in business hours</p>
+                )}
+              </div>
+            )}
+
+            <div className="detail-section">
+              <h3>Priority &amp; Severity</h3>
+              {canUpdate ? (
+                <div className="detail-controls">
+                  <label>
+                    Priority
+                    <select
+                      value={selectedTicket.priority || ''}
+                      onChange={(e) => handleTriageChange({ priority: e.target.value })}
+                      disabled={!!conflict}
+                    >
+                      <option value="">Not set</option>
+                      {Object.entries(PRIORITY_LABELS).map(([priority, label]) => (
+                        <option key={priority} value={priority}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Severity
+                    <select
+                      value={selectedTicket.severity || ''}
+                      onChange={(e) => handleTriageChange({ severity: e.target.value })}
+                      disabled={!!conflict}
+                    >
+                      <option value="">Not set</option>
+                      {Object.entries(SEVERITY_LABELS).map(([severity, label]) => (
+                        <option key={severity} value={severity}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              ) : (
+                <p>
+                  {PRIORITY_LABELS[selectedTicket.priority] || 'No priority'}
+                  {' · '}
+                  {SEVERITY_LABELS[selectedTicket.severity] || 'No severity'}
+                </p>
+              )}
+            </div>
+
+            <div className="detail-section">
+              <h3>Assignment</h3>
+              {canAssign ? (
+                <div className="detail-controls">
+                  <label>
+                    Queue
+                    <select
+                      value={selectedTicket.queue || ''}
+                      onChange={(e) => handleAssign({ queue: e.target.value })}
+                    >
+                      <option value="">No queue</option>
+                      {queues.map(queue => (
+                        <option key={queue.queue_id} value={queue.queue_id}>{queue.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Assignee
+                    <select
+                      value={selectedTicket.assignee || ''}
+                      onChange={(e) => handleAssign({ assignee: e.target.value })}
+                    >
+                      <option value="">Unassigned</option>
+                      {staff.map(member => (
+                        <option key={member.username} value={member.username}>{member.display_name}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              ) : (
+                <p>
+                  {selectedTicket.queue ? queueName(selectedTicket.queue) : 'No queue'}
+                  {' · '}
+                  {selectedTicket.assignee ? staffName(selectedTicket.assignee) : 'Unassigned'}
+                </p>
+              )}
+              {canUpdate && (
+                <div className="action-buttons">
+                  {selectedTicket.assignee !== user?.username && (canAssign || !selectedTicket.assignee) && (
+                    <button className="btn-secondary" onClick={handleClaim}>
+                      Claim
+                    </button>
+                  )}
+                  {selectedTicket.assignee && (canAssign || selectedTicket.assignee === user?.username) && (
+                    <button className="btn-secondary" onClick={handleUnassign}>
+                      Unassign
+                    </button>
+                  )}
+                </div>
+              )}
+              {assignError && <p className="error-text">{assignError}</p>}
+            </div>
+
+            {(selectedTicket.incident_id || (canUpdate && incidents.length > 0)) && (
+              <div className="detail-section">
+                <h3>Incident</h3>
+                {canUpdate && selectedTicket.status !== 'closed' ? (
+                  <div className="detail-controls">
+                    <label>
+                      Part of
+                      <select
+                        value={selectedTicket.incident_id || ''}
+                        onChange={(e) => handleIncidentChange(e.target.value)}
+                      >
+                        <option value="">No incident</option>
+                        {selectedTicket.incident_id && !linkedIncident && (
+                          <option value={selectedTicket.incident_id}>{selectedTicket.incident_id}</option>
+                        )}
+                        {incidents.map(incident => (
+                          <option key={incident.incident_id} value={incident.incident_id}>
+                            {incident.incident_id}: {incident.title}
+                            {incident.application && incident.application === selectedTicket.application ? ' (same application)' : ''}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                ) : (
+                  <p>
+                    {selectedTicket.incident_id}
+                    {linkedIncident && `: ${linkedIncident.title}`}
+                  </p>
+                )}
+                <p className="sla-note">Resolving the incident sends its resolution to this ticket's user and closes the ticket.</p>
+                {incidentError && <p className="error-text">{incidentError}</p>}
+              </div>
+            )}
+
             <div className="detail-section">
               <h3>Problem Summary</h3>
               <p>{selectedTicket.problem_summary}</p>
@@ -186,16 +794,60 @@ const ITSupport = () => {
               </div>
             )}
 
+            {duplicates && (duplicates.error || duplicates.duplicates.length > 0) && (
+              <div className="detail-section">
+                <h3>Possible Duplicates</h3>
+                {duplicates.error ? (
+                  <p className="sla-note">Duplicate detection is unavailable: {duplicates.error}</p>
+                ) : (
+                  <>
+                    <ul className="duplicate-list">
+                      {duplicates.duplicates.map(match => (
+                        <li key={match.ticket_id} className={`duplicate-item ${match.match}`}>
+                          {canUpdate && !selectedTicket.merged_into && (
+                            <input
+                              type="checkbox"
+                              checked={mergeSelection.includes(match.ticket_id)}
+                              onChange={() => toggleMergeSelection(match.ticket_id)}
+                            />
+                          )}
+                          <button className="link-button" onClick={() => handleTicketSelect(match)}>
+                            {match.ticket_id}
+                          </button>
+                          <span className="duplicate-summary">{match.problem_summary}</span>
+                          <span className="duplicate-match">
+                            {match.match === 'duplicate' ? 'Likely duplicate' : 'Related'} · {Math.round(match.similarity * 100)}%
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                    {canUpdate && !selectedTicket.merged_into && (
+                      <button
+                        className="btn-secondary"
+                        onClick={handleMerge}
+                        disabled={mergeSelection.length === 0 || isMerging}
+                      >
+                        {isMerging ? 'Merging...' : `Merge ${mergeSelection.length > 0 ? `${mergeSelection.length} ` : ''}into ${selectedTicket.ticket_id}`}
+                      </button>
+                    )}
+                    {duplicates.mergeError && <p className="error-text">{duplicates.mergeError}</p>}
+                  </>
+                )}
+              </div>
+            )}
+
             <div className="detail-section log-section">
               <div className="section-header">
                 <h3>System Logs & Analysis</h3>
-                <button
-                  className="btn-analyze"
-                  onClick={handleAnalyze}
-                  disabled={isAnalyzing}
-                >
-                  {isAnalyzing ? 'Analyzing...' : '🤖 Analyze with AI'}
-                </button>
+                {canUpdate && (
+                  <button
+                    className="btn-analyze"
+                    onClick={handleAnalyze}
+                    disabled={isAnalyzing}
+                  >
+                    {isAnalyzing ? 'Analyzing...' : '🤖 Analyze with AI'}
+                  </button>
+                )}
               </div>
 
               {selectedTicket.mockLog ? (
@@ -225,75 +877,218 @@ const ITSupport = () => {
                   ) : (
                     <div className="analysis-content">
                       <pre>{analysis.analysis}</pre>
+                      {analysis.suggestedSeverity && analysis.suggestedSeverity !== selectedTicket.severity && (
+                        <div className="analysis-suggestion">
+                          Suggested severity: <strong>{SEVERITY_LABELS[analysis.suggestedSeverity]}</strong>
+                          {' '}
+                          <button
+                            className="btn-secondary"
+                            onClick={() => handleTriageChange({
+                              severity: analysis.suggestedSeverity,
+                              priority: analysis.suggestedPriority
+                            })}
+                            disabled={!!conflict}
+                          >
+                            Apply ({PRIORITY_LABELS[analysis.suggestedPriority]})
+                          </button>
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
               )}
             </div>
 
-            {selectedTicket.messages && selectedTicket.messages.length > 0 && (
-              <div className="detail-section">
-                <h3>Conversation History</h3>
-                <div className="conversation-history">
-                  {selectedTicket.messages.slice(-10).map((msg, index) => (
-                    <div key={index} className={`history-msg ${msg.sender}`}>
-                      <span className="sender">
-                        {msg.sender === 'user' ? 'User' : msg.sender === 'ai' ? 'AI' : 'IT Support'}:
-                      </span>
-                      <span className="content">{msg.content}</span>
-                    </div>
-                  ))}
+            <div className="history-columns">
+              {selectedTicket.messages && selectedTicket.messages.length > 0 && (
+                <div className="detail-section">
+                  <h3>Conversation History</h3>
+                  <div className="conversation-history">
+                    {selectedTicket.messages.slice(-10).map((msg, index) => (
+                      <div key={index} className={`history-msg ${msg.sender}`}>
+                        <span className="sender">
+                          {msg.sender === 'user' ? 'User' : msg.sender === 'ai' ? 'AI' : 'IT Support'}
+                          {msg.session_id !== selectedTicket.session_id && (
+                            ` (${selectedTicket.merged_tickets?.find(merged => merged.session_id === msg.session_id)?.ticket_id})`
+                          )}:
+                        </span>
+                        <span className="content">{msg.content}</span>
+                      </div>
+                    ))}
+                  </div>
                 </div>
-              </div>
-            )}
+              )}
 
-            <div className="detail-section">
-              <h3>Actions</h3>
-              <div className="action-buttons">
-                <button
-                  className="btn-secondary"
-                  onClick={() => handleStatusChange(selectedTicket.ticket_id, 'waiting_confirmation')}
-                  disabled={selectedTicket.status === 'closed'}
-                >
-                  Request Confirmation
-                </button>
-                <button
-                  className="btn-primary"
-                  onClick={() => handleStatusChange(selectedTicket.ticket_id, 'closed')}
-                  disabled={selectedTicket.status === 'closed'}
-                >
-                  Close Ticket
-                </button>
-              </div>
+              {timeline.length > 0 && (
+                <div className="detail-section">
+                  <h3>Timeline</h3>
+                  <ol className="ticket-timeline">
+                    {timeline.map(event => (
+                      <li key={event.event_id} className={`timeline-event ${event.type}`}>
+                        <div className="timeline-meta">
+                          {new Date(event.timestamp).toLocaleString()} · {event.actor === 'chat' ? 'User (chat)' : event.actor}
+                        </div>
+                        <div>
+                          <strong>{event.label}</strong>
+                          {describeEvent(event) && <span className="timeline-detail"> {describeEvent(event)}</span>}
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
             </div>
 
             <div className="detail-section">
-              <h3>Ask Clarification</h3>
-              <div className="canned-responses">
-                {CANNED_RESPONSES.map(response => (
+              <h3>Internal Comments</h3>
+              <p className="sla-note">Only IT staff can see comments; they are never shown in the user's chat.</p>
+              {comments.length > 0 && (
+                <ul className="comment-thread">
+                  {comments.map(comment => (
+                    <li key={comment.comment_id} className="comment">
+                      <div className="comment-meta">
+                        <strong>{comment.author}</strong> · {new Date(comment.created_at).toLocaleString()}
+                        {comment.edited && (
+                          <button
+                            className="link-button"
+                            onClick={() => setOpenHistory(openHistory === comment.comment_id ? null : comment.comment_id)}
+                          >
+                            (edited {new Date(comment.updated_at).toLocaleString()})
+                          </button>
+                        )}
+                        {canUpdate && comment.author === user?.username && editingComment?.comment_id !== comment.comment_id && (
+                          <button
+                            className="link-button"
+                            onClick={() => setEditingComment({ comment_id: comment.comment_id, body: comment.body })}
+                          >
+                            Edit
+                          </button>
+                        )}
+                      </div>
+                      {editingComment?.comment_id === comment.comment_id ? (
+                        <div className="comment-edit">
+                          <textarea
+                            value={editingComment.body}
+                            onChange={(e) => setEditingComment(prev => ({ ...prev, body: e.target.value }))}
+                            rows={3}
+                          />
+                          <div className="action-buttons">
+                            <button className="btn-primary" onClick={handleSaveCommentEdit} disabled={!editingComment.body.trim()}>
+                              Save
+                            </button>
+                            <button className="btn-secondary" onClick={() => setEditingComment(null)}>
+                              Cancel
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <CommentBody comment={comment} />
+                      )}
+                      {openHistory === comment.comment_id && (
+                        <ol className="comment-history">
+                          {comment.history.map((version, index) => (
+                            <li key={index}>
+                              <span className="comment-meta">{new Date(version.updated_at).toLocaleString()}</span>
+                              <p className="comment-body">{version.body}</p>
+                            </li>
+                          ))}
+                        </ol>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {canUpdate && (
+                <>
+                  <textarea
+                    value={commentText}
+                    onChange={(e) => setCommentText(e.target.value)}
+                    placeholder={`Add a comment for IT staff. Mention someone with @username${staff.length ? ` (e.g. @${staff[0].username})` : ''}`}
+                    rows={3}
+                  />
+                  <button className="btn-primary" onClick={handleAddComment} disabled={!commentText.trim()}>
+                    Add Comment
+                  </button>
+                </>
+              )}
+              {commentError && <p className="error-text">{commentError}</p>}
+            </div>
+
+            {canUpdate && (
+              <>
+                <div className="detail-section">
+                  <h3>Actions</h3>
+                  {conflict && (
+                    <div className="conflict-prompt">
+                      <p>
+                        This ticket was changed by someone else while you were viewing it.
+                        It is now <strong>{conflict.current.status}</strong>
+                        {conflict.current.updated_at && ` (updated ${new Date(conflict.current.updated_at).toLocaleString()})`}.
+                      </p>
+                      {Object.entries(conflict.updates).map(([field, value]) => (
+                        <p key={field} className="conflict-change">
+                          Your change: {field} → <strong>{value}</strong> (current: {conflict.current[field] || '—'})
+                        </p>
+                      ))}
+                      <div className="action-buttons">
+                        <button className="btn-primary" onClick={handleConflictOverwrite}>
+                          Apply My Change Anyway
+                        </button>
+                        <button className="btn-secondary" onClick={handleConflictDiscard}>
+                          Keep Their Version
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                  <div className="action-buttons">
+                    <button
+                      className="btn-secondary"
+                      onClick={() => handleStatusChange('waiting_confirmation')}
+                      disabled={selectedTicket.status === 'closed' || !!conflict}
+                    >
+                      Request Confirmation
+                    </button>
+                    {canClose && (
+                      <button
+                        className="btn-primary"
+                        onClick={() => handleStatusChange('closed')}
+                        disabled={selectedTicket.status === 'closed' || !!conflict}
+                      >
+                        Close Ticket
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                <div className="detail-section">
+                  <h3>Ask Clarification</h3>
+                  <div className="canned-responses">
+                    {CANNED_RESPONSES.map(response => (
+                      <button
+                        key={response.id}
+                        className="canned-btn"
+                        onClick={() => insertCannedResponse(response.text)}
+                      >
+                        + {response.label}
+                      </button>
+                    ))}
+                  </div>
+                  <textarea
+                    value={clarificationText}
+                    onChange={(e) => setClarificationText(e.target.value)}
+                    placeholder="Type your question for the user..."
+                    rows={4}
+                  />
                   <button
-                    key={response.id}
-                    className="canned-btn"
-                    onClick={() => insertCannedResponse(response.text)}
+                    className="btn-primary"
+                    onClick={handleAskClarification}
+                    disabled={!clarificationText.trim() || isSending}
                   >
-                    + {response.label}
+                    {isSending ? 'Sending...' : 'Send to User'}
                   </button>
-                ))}
-              </div>
-              <textarea
-                value={clarificationText}
-                onChange={(e) => setClarificationText(e.target.value)}
-                placeholder="Type your question for the user..."
-                rows={4}
-              />
-              <button
-                className="btn-primary"
-                onClick={handleAskClarification}
-                disabled={!clarificationText.trim() || isSending}
-              >
-                {isSending ? 'Sending...' : 'Send to User'}
-              </button>
-            </div>
+                </div>
+              </>
+            )}
           </div>
         ) : (
           <div className="no-selection">
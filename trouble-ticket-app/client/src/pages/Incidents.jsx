@@ -0,0 +1,336 @@
+import React, { useState, useEffect } from 'react';
+import { incidentsApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import './ITSupport.css';
+import './Incidents.css';
+
+const EMPTY_INCIDENT = { title: '', description: '', application: '' };
+
+const parseTicketIds = (text) => text.split(/[\s,]+/).map(id => id.trim()).filter(Boolean);
+
+const Incidents = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('incidents.manage');
+  const canUpdate = hasPermission('tickets.update');
+  const [incidents, setIncidents] = useState([]);
+  const [statuses, setStatuses] = useState({});
+  const [filter, setFilter] = useState('open'); // 'open' or '' (all)
+  const [isLoading, setIsLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_INCIDENT);
+  const [linkText, setLinkText] = useState('');
+  const [resolution, setResolution] = useState('');
+  const [isResolving, setIsResolving] = useState(false);
+  const [resolveResult, setResolveResult] = useState(null); // { closed_tickets, notified_sessions }
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadIncidents();
+  }, [filter]);
+
+  const loadIncidents = async () => {
+    try {
+      const data = await incidentsApi.getIncidents(filter);
+      setIncidents(data.incidents);
+      setStatuses(data.statuses);
+    } catch (err) {
+      console.error('Failed to load incidents:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSelect = async (incidentId) => {
+    try {
+      setIsCreating(false);
+      setError('');
+      setLinkText('');
+      setResolution('');
+      setResolveResult(null);
+      setSelected(await incidentsApi.getIncident(incidentId));
+    } catch (err) {
+      console.error('Failed to load incident:', err);
+    }
+  };
+
+  const startCreate = () => {
+    setSelected(null);
+    setDraft(EMPTY_INCIDENT);
+    setError('');
+    setIsCreating(true);
+  };
+
+  const handleCreate = async () => {
+    setError('');
+    try {
+      const incident = await incidentsApi.createIncident(draft);
+      await loadIncidents();
+      await handleSelect(incident.incident_id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Runs an incident change, then shows the incident as the server returned it
+  const applyChange = async (change) => {
+    setError('');
+    try {
+      setSelected(await change());
+      loadIncidents();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleStatusChange = (status) => {
+    applyChange(async () => {
+      await incidentsApi.updateIncident(selected.incident_id, { status });
+      return incidentsApi.getIncident(selected.incident_id);
+    });
+  };
+
+  const handleLink = () => {
+    applyChange(async () => {
+      const incident = await incidentsApi.linkTickets(selected.incident_id, parseTicketIds(linkText));
+      setLinkText('');
+      return incident;
+    });
+  };
+
+  const handleUnlink = (ticketId) => {
+    applyChange(() => incidentsApi.unlinkTicket(selected.incident_id, ticketId));
+  };
+
+  const handleResolve = async () => {
+    const open = selected.open_ticket_count;
+    if (!window.confirm(`Resolve ${selected.incident_id}? The resolution is sent to every affected user and ${open} open ticket${open === 1 ? '' : 's'} will be closed.`)) {
+      return;
+    }
+
+    setIsResolving(true);
+    setError('');
+    try {
+      const result = await incidentsApi.resolveIncident(selected.incident_id, resolution.trim());
+      setResolveResult(result);
+      setResolution('');
+      setSelected(await incidentsApi.getIncident(selected.incident_id));
+      loadIncidents();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  const isResolved = selected?.status === 'resolved';
+
+  return (
+    <div className="it-support-container">
+      <aside className="ticket-sidebar">
+        <h2>Major Incidents</h2>
+        <div className="filter-tabs">
+          <button className={filter === 'open' ? 'active' : ''} onClick={() => setFilter('open')}>
+            Open
+          </button>
+          <button className={filter === '' ? 'active' : ''} onClick={() => setFilter('')}>
+            All
+          </button>
+          {canManage && (
+            <button className="incident-declare" onClick={startCreate}>
+              + Declare Incident
+            </button>
+          )}
+        </div>
+
+        <div className="ticket-list">
+          {isLoading ? (
+            <div className="loading">Loading...</div>
+          ) : incidents.length === 0 ? (
+            <div className="empty">No incidents</div>
+          ) : (
+            incidents.map(incident => (
+              <div
+                key={incident.incident_id}
+                className={`ticket-item ${selected?.incident_id === incident.incident_id ? 'selected' : ''}`}
+                onClick={() => handleSelect(incident.incident_id)}
+              >
+                <div className="ticket-header">
+                  <span className="ticket-id">{incident.incident_id}</span>
+                  <span className={`incident-status ${incident.status}`}>
+                    {statuses[incident.status] || incident.status}
+                  </span>
+                </div>
+                {incident.application && <div className="ticket-app">{incident.application}</div>}
+                <div className="ticket-summary">{incident.title}</div>
+                <div className="ticket-time">
+                  {new Date(incident.created_at).toLocaleString()}
+                  <span className="ticket-assignee">
+                    {incident.open_ticket_count} open / {incident.ticket_count} tickets
+                  </span>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </aside>
+
+      <main className="ticket-detail-area">
+        {isCreating ? (
+          <div className="ticket-detail">
+            <div className="detail-header">
+              <h2>Declare Incident</h2>
+            </div>
+            <div className="form-group">
+              <label>Title</label>
+              <input
+                value={draft.title}
+                onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                placeholder="e.g. LDAP login failures"
+              />
+            </div>
+            <div className="form-group">
+              <label>Application</label>
+              <input
+                value={draft.application}
+                onChange={(e) => setDraft({ ...draft, application: e.target.value })}
+                placeholder="Affected application (optional)"
+              />
+            </div>
+            <div className="form-group">
+              <label>Description</label>
+              <textarea
+                value={draft.description}
+                onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                rows={4}
+              />
+            </div>
+            <div className="action-buttons">
+              <button className="btn-primary" onClick={handleCreate} disabled={!draft.title.trim()}>
+                Declare
+              </button>
+              <button className="btn-secondary" onClick={() => setIsCreating(false)}>
+                Cancel
+              </button>
+            </div>
+            {error && <p className="error-text">{error}</p>}
+          </div>
+        ) : selected ? (
+          <div className="ticket-detail">
+            <div className="detail-header">
+              <h2>{selected.incident_id}: {selected.title}</h2>
+              <span className={`incident-status ${selected.status}`}>
+                {statuses[selected.status] || selected.status}
+              </span>
+            </div>
+
+            <div className="detail-section">
+              <h3>Details</h3>
+              {selected.application && <p><strong>Application:</strong> {selected.application}</p>}
+              <p>
+                Declared by {selected.created_by} on {new Date(selected.created_at).toLocaleString()}
+              </p>
+              {selected.description && <p className="problem-details">{selected.description}</p>}
+            </div>
+
+            {canManage && !isResolved && (
+              <div className="detail-section">
+                <h3>Status</h3>
+                <div className="detail-controls">
+                  <label>
+                    Status
+                    <select value={selected.status} onChange={(e) => handleStatusChange(e.target.value)}>
+                      {Object.entries(statuses)
+                        .filter(([value]) => value !== 'resolved')
+                        .map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                  </label>
+                </div>
+              </div>
+            )}
+
+            <div className="detail-section">
+              <h3>Tickets ({selected.open_ticket_count} open of {selected.ticket_count})</h3>
+              {selected.tickets.length === 0 ? (
+                <p className="sla-note">No tickets linked yet.</p>
+              ) : (
+                <ul className="incident-tickets">
+                  {selected.tickets.map(ticket => (
+                    <li key={ticket.ticket_id}>
+                      <span className="ticket-id">{ticket.ticket_id}</span>
+                      <span className={`status-badge ${ticket.status}`}>{ticket.status.replace('_', ' ')}</span>
+                      <span className="incident-ticket-summary">
+                        {ticket.application && `${ticket.application}: `}{ticket.problem_summary}
+                      </span>
+                      <span className="sla-note">{ticket.reported_by}</span>
+                      {canUpdate && !isResolved && (
+                        <button className="link-button" onClick={() => handleUnlink(ticket.ticket_id)}>
+                          Unlink
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {canUpdate && !isResolved && (
+                <div className="incident-link">
+                  <input
+                    value={linkText}
+                    onChange={(e) => setLinkText(e.target.value)}
+                    placeholder="Ticket IDs to link, e.g. TKT-000123, TKT-000124"
+                  />
+                  <button className="btn-secondary" onClick={handleLink} disabled={parseTicketIds(linkText).length === 0}>
+                    Link Tickets
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {isResolved ? (
+              <div className="detail-section">
+                <h3>Resolution</h3>
+                <p className="problem-details">{selected.resolution}</p>
+                <p className="sla-note">
+                  Resolved by {selected.resolved_by} on {new Date(selected.resolved_at).toLocaleString()}
+                </p>
+                {resolveResult && (
+                  <p className="merge-note">
+                    Sent to {resolveResult.notified_sessions} user{resolveResult.notified_sessions === 1 ? '' : 's'};
+                    closed {resolveResult.closed_tickets.length} ticket{resolveResult.closed_tickets.length === 1 ? '' : 's'}.
+                  </p>
+                )}
+              </div>
+            ) : canManage && (
+              <div className="detail-section">
+                <h3>Resolve</h3>
+                <textarea
+                  value={resolution}
+                  onChange={(e) => setResolution(e.target.value)}
+                  placeholder="Message for the affected users, e.g. what was fixed and whether they need to do anything"
+                  rows={4}
+                />
+                <button
+                  className="btn-primary"
+                  onClick={handleResolve}
+                  disabled={!resolution.trim() || isResolving}
+                >
+                  {isResolving ? 'Resolving...' : 'Resolve Incident'}
+                </button>
+              </div>
+            )}
+
+            {error && <p className="error-text">{error}</p>}
+          </div>
+        ) : (
+          <div className="no-selection">
+            <p>Select an incident to view details</p>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Incidents;
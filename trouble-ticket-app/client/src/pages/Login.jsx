@@ -5,8 +5,8 @@ import './Login.css';
 
 const Login = () => {
   const navigate = useNavigate();
-  const { login, isAuthenticated, role } = useAuth();
-  const [selectedRole, setSelectedRole] = useState('it_support');
+  const { login, isAuthenticated, homePath } = useAuth();
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
@@ -14,9 +14,9 @@ const Login = () => {
   // Redirect if already authenticated
   React.useEffect(() => {
     if (isAuthenticated) {
-      navigate(role === 'admin' ? '/admin/settings' : '/it-support');
+      navigate(homePath);
     }
-  }, [isAuthenticated, role, navigate]);
+  }, [isAuthenticated, homePath, navigate]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -24,9 +24,9 @@ const Login = () => {
     setIsLoading(true);
 
     try {
-      const result = await login(selectedRole, password);
+      const result = await login(username.trim().toLowerCase(), password);
       if (result.success) {
-        navigate(selectedRole === 'admin' ? '/admin/settings' : '/it-support');
+        navigate(result.homePath);
       } else {
         setError(result.error || 'Invalid credentials');
       }
@@ -47,15 +47,16 @@ const Login = () => {
 
         <form onSubmit={handleSubmit}>
           <div className="form-group">
-            <label htmlFor="role">Role</label>
-            <select
-              id="role"
-              value={selectedRole}
-              onChange={(e) => setSelectedRole(e.target.value)}
-            >
-              <option value="it_support">IT Support</option>
-              <option value="admin">Administrator</option>
-            </select>
+            <label htmlFor="username">Username</label>
+            <input
+              type="text"
+              id="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Enter your username"
+              autoComplete="username"
+              required
+            />
           </div>
 
           <div className="form-group">
@@ -66,6 +67,7 @@ const Login = () => {
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               placeholder="Enter your password"
+              autoComplete="current-password"
               required
             />
           </div>
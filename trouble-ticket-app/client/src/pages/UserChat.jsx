@@ -11,9 +11,40 @@ const CONVERSATION_STARTERS = [
   { icon: '🔐', text: "I can't log into the app" }
 ];
 
+/**
+ * An image attached to a chat message, loaded with the session secret
+ */
+const ChatImage = ({ src, sessionId, secret }) => {
+  const [objectUrl, setObjectUrl] = useState(null);
+
+  useEffect(() => {
+    let created = null;
+    let cancelled = false;
+    chatApi.getImage(src, sessionId, secret)
+      .then(url => {
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+          return;
+        }
+        created = url;
+        setObjectUrl(url);
+      })
+      .catch(error => console.warn('Failed to load chat image:', error.message));
+
+    return () => {
+      cancelled = true;
+      if (created) URL.revokeObjectURL(created);
+    };
+  }, [src, sessionId, secret]);
+
+  return objectUrl ? <img src={objectUrl} alt="Attached screenshot" /> : null;
+};
+
 const UserChat = () => {
   const {
     sessionId,
+    sessionSecret,
+    sessionUnclaimable,
     sessions,
     notifications,
     totalNotifications,
@@ -47,17 +78,15 @@ const UserChat = () => {
 
   // Load existing messages when session changes
   useEffect(() => {
-    if (!sessionId) return;
+    if (!sessionId || !sessionSecret) {
+      setMessages([]);
+      return;
+    }
 
     const loadMessages = async () => {
       try {
-        const history = await chatApi.getSession(sessionId);
-        // Map image_url to image for display consistency
-        const mappedHistory = history.map(msg => ({
-          ...msg,
-          image: msg.image_url || null
-        }));
-        setMessages(mappedHistory);
+        const history = await chatApi.getSession(sessionId, sessionSecret);
+        setMessages(history);
         // Mark messages as read when viewing this session
         markSessionAsRead(sessionId);
       } catch (error) {
@@ -66,10 +95,10 @@ const UserChat = () => {
       }
     };
     loadMessages();
-  }, [sessionId, markSessionAsRead]);
+  }, [sessionId, sessionSecret, markSessionAsRead]);
 
   const handleSend = async () => {
-    if ((!inputValue.trim() && !selectedImage) || isLoading || !sessionId) return;
+    if ((!inputValue.trim() && !selectedImage) || isLoading || !sessionId || !sessionSecret) return;
 
     // Build user message content
     const userMessageContent = inputValue.trim() || (selectedImage ? 'Please help me with this screenshot.' : '');
@@ -93,7 +122,7 @@ const UserChat = () => {
       if (imageToSend) {
         setIsUploadingImage(true);
         try {
-          const uploadResult = await chatApi.uploadImage(imageToSend.file);
+          const uploadResult = await chatApi.uploadImage(sessionId, sessionSecret, imageToSend.file);
           imageId = uploadResult.imageId;
         } catch (uploadError) {
           console.error('Image upload failed:', uploadError);
@@ -109,16 +138,16 @@ const UserChat = () => {
         setIsUploadingImage(false);
       }
 
-      const response = await chatApi.sendMessage(sessionId, sentMessage, imageId);
+      const response = await chatApi.sendMessage(sessionId, sessionSecret, sentMessage, imageId);
 
-      // Update the user message with the persisted image URL (replacing blob URL)
+      // Update the user message with the persisted image (replacing the preview blob URL)
       if (response.savedImageUrl && imageToSend) {
         setMessages(prev => prev.map((msg, idx) => {
           // Find the user message we just added (second to last, before AI response)
           if (idx === prev.length - 1 && msg.sender === 'user' && msg.image) {
             // Revoke the temporary blob URL
             URL.revokeObjectURL(msg.image);
-            return { ...msg, image: response.savedImageUrl };
+            return { ...msg, image: null, image_url: response.savedImageUrl };
           }
           return msg;
         }));
@@ -191,7 +220,7 @@ const UserChat = () => {
   const handleExport = async () => {
     if (messages.length === 0) return;
     try {
-      await chatApi.exportTranscript(sessionId);
+      await chatApi.exportTranscript(sessionId, sessionSecret);
     } catch (error) {
       console.error('Failed to export:', error);
     }
@@ -345,7 +374,19 @@ const UserChat = () => {
         </header>
 
         <div className="chat-window">
-          {messages.length === 0 ? (
+          {sessionUnclaimable ? (
+            <div className="conversation-starters">
+              <p className="starters-title">This conversation can't be reopened</p>
+              <p className="legacy-session-note">
+                It was started before conversations were secured and has no open ticket,
+                or it has already been reopened in another browser.
+              </p>
+              <div className="legacy-session-actions">
+                <button className="starter-btn" onClick={handleNewChat}>Start a new conversation</button>
+                <button className="starter-btn" onClick={(e) => handleDeleteSession(e, sessionId)}>Delete it</button>
+              </div>
+            </div>
+          ) : messages.length === 0 ? (
             <div className="conversation-starters">
               <p className="starters-title">How can I help you today?</p>
               <div className="starter-buttons">
@@ -370,6 +411,11 @@ const UserChat = () => {
                       <img src={msg.image} alt="Attached screenshot" />
                     </div>
                   )}
+                  {!msg.image && msg.image_url && (
+                    <div className="message-image">
+                      <ChatImage src={msg.image_url} sessionId={sessionId} secret={sessionSecret} />
+                    </div>
+                  )}
                   <div className="message-content">{msg.content}</div>
                   {msg.relatedPages && msg.relatedPages.length > 0 && (
                     <div className="related-pages">
@@ -466,7 +512,7 @@ const UserChat = () => {
             <button
               className="image-upload-btn"
               onClick={() => imageInputRef.current?.click()}
-              disabled={isLoading}
+              disabled={isLoading || !sessionSecret}
               title="Attach screenshot"
             >
               📷
@@ -477,12 +523,12 @@ const UserChat = () => {
               onChange={(e) => setInputValue(e.target.value)}
               onKeyPress={(e) => e.key === 'Enter' && handleSend()}
               placeholder={selectedImage ? "Add a message about your screenshot..." : "Describe your issue..."}
-              disabled={isLoading}
+              disabled={isLoading || !sessionSecret}
             />
             <button
               className="btn-primary"
               onClick={handleSend}
-              disabled={isLoading || (!inputValue.trim() && !selectedImage)}
+              disabled={isLoading || !sessionSecret || (!inputValue.trim() && !selectedImage)}
             >
               {isUploadingImage ? '...' : 'Send'}
             </button>
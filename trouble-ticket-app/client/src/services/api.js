@@ -4,21 +4,33 @@
 
 const API_BASE = '/api';
 
+// Fired when the server rejects the session cookie; AuthContext listens and signs out
+export const AUTH_EXPIRED_EVENT = 'auth:expired';
+
 /**
- * Get auth headers from localStorage
+ * Throw an Error carrying the response status and body
  */
-function getAuthHeaders() {
-  const credentials = localStorage.getItem('auth_credentials');
-  if (!credentials) return {};
-  return { Authorization: `Basic ${credentials}` };
+async function throwResponseError(response, fallback = 'Request failed') {
+  const error = await response.json().catch(() => ({ error: fallback }));
+  const err = new Error(error.error || error.message || fallback);
+  // Expose the status and body so callers can handle e.g. 409 conflicts
+  err.status = response.status;
+  err.data = error;
+
+  if (response.status === 401) {
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  throw err;
 }
 
 /**
  * Generic fetch wrapper with error handling
+ * Staff requests are authenticated by the HttpOnly session cookie, sent automatically
  */
 async function fetchApi(endpoint, options = {}) {
   const response = await fetch(`${API_BASE}${endpoint}`, {
     ...options,
+    credentials: 'same-origin',
     headers: {
       'Content-Type': 'application/json',
       ...options.headers
@@ -26,35 +38,76 @@ async function fetchApi(endpoint, options = {}) {
   });
 
   if (!response.ok) {
-    const error = await response.json().catch(() => ({ error: 'Request failed' }));
-    throw new Error(error.error || error.message || 'Request failed');
+    await throwResponseError(response);
   }
 
   return response.json();
 }
 
+// ============================================
+// AUTH API
+// ============================================
+
+export const authApi = {
+  login: async (username, password) => {
+    return fetchApi('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password })
+    });
+  },
+
+  refresh: async () => {
+    return fetchApi('/auth/refresh', { method: 'POST' });
+  },
+
+  logout: async () => {
+    return fetchApi('/auth/logout', { method: 'POST' });
+  },
+
+  getCurrentUser: async () => {
+    return fetchApi('/users/me');
+  }
+};
+
 // ============================================
 // CHAT API
 // ============================================
 
+// Every session-scoped chat request carries the secret the server issued with the session
+const sessionHeaders = (secret) => ({ 'X-Session-Secret': secret });
+
 export const chatApi = {
-  sendMessage: async (sessionId, message, imageId = null) => {
+  createSession: async () => {
+    return fetchApi('/chat/session', { method: 'POST' });
+  },
+
+  // Get the secret for a conversation started before sessions had secrets
+  claimSession: async (sessionId) => {
+    return fetchApi('/chat/session/claim', {
+      method: 'POST',
+      body: JSON.stringify({ sessionId })
+    });
+  },
+
+  sendMessage: async (sessionId, secret, message, imageId = null) => {
     const body = { sessionId, message };
     if (imageId) {
       body.imageId = imageId;
     }
     return fetchApi('/chat/message', {
       method: 'POST',
+      headers: sessionHeaders(secret),
       body: JSON.stringify(body)
     });
   },
 
-  uploadImage: async (file) => {
+  uploadImage: async (sessionId, secret, file) => {
     const formData = new FormData();
     formData.append('image', file);
 
-    const response = await fetch(`${API_BASE}/chat/upload-image`, {
+    const response = await fetch(`${API_BASE}/chat/upload-image?sessionId=${encodeURIComponent(sessionId)}`, {
       method: 'POST',
+      headers: sessionHeaders(secret),
       body: formData
     });
 
@@ -66,23 +119,32 @@ export const chatApi = {
     return response.json();
   },
 
-  getSession: async (sessionId) => {
-    return fetchApi(`/chat/session/${sessionId}`);
+  getSession: async (sessionId, secret) => {
+    return fetchApi(`/chat/session/${sessionId}`, { headers: sessionHeaders(secret) });
   },
 
-  checkNotifications: async (sessionId) => {
-    return fetchApi(`/chat/notifications/${sessionId}`);
+  checkNotifications: async (sessionId, secret) => {
+    return fetchApi(`/chat/notifications/${sessionId}`, { headers: sessionHeaders(secret) });
   },
 
-  markAsRead: async (sessionId) => {
+  markAsRead: async (sessionId, secret) => {
     return fetchApi('/chat/mark-read', {
       method: 'POST',
+      headers: sessionHeaders(secret),
       body: JSON.stringify({ sessionId })
     });
   },
 
-  exportTranscript: async (sessionId) => {
-    const response = await fetch(`${API_BASE}/chat/export/${sessionId}`);
+  // <img> tags can't send headers, so chat images are fetched with the secret and shown from
+  // an object URL (the caller revokes it once the image is no longer shown)
+  getImage: async (imageUrl, sessionId, secret) => {
+    const response = await fetch(`${imageUrl}?sessionId=${encodeURIComponent(sessionId)}`, { headers: sessionHeaders(secret) });
+    if (!response.ok) throw new Error('Failed to load image');
+    return window.URL.createObjectURL(await response.blob());
+  },
+
+  exportTranscript: async (sessionId, secret) => {
+    const response = await fetch(`${API_BASE}/chat/export/${sessionId}`, { headers: sessionHeaders(secret) });
     if (!response.ok) throw new Error('Failed to export transcript');
 
     const blob = await response.blob();
@@ -102,39 +164,212 @@ export const chatApi = {
 // ============================================
 
 export const ticketApi = {
-  getTickets: async (status) => {
-    const url = status ? `/tickets?status=${status}` : '/tickets';
-    return fetchApi(url, { headers: getAuthHeaders() });
+  // filters: { status, queue, assignee } (assignee 'me' or 'none'; queue 'none' for tickets outside any queue)
+  getTickets: async (filters = {}) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    const query = params.toString();
+    return fetchApi(query ? `/tickets?${query}` : '/tickets');
   },
 
   getTicket: async (ticketId) => {
-    return fetchApi(`/tickets/${ticketId}`, { headers: getAuthHeaders() });
+    return fetchApi(`/tickets/${ticketId}`);
+  },
+
+  getTimeline: async (ticketId) => {
+    return fetchApi(`/tickets/${ticketId}/timeline`);
   },
 
   updateTicket: async (ticketId, updates) => {
     return fetchApi(`/tickets/${ticketId}`, {
       method: 'PATCH',
-      headers: getAuthHeaders(),
       body: JSON.stringify(updates)
     });
   },
 
+  getDuplicates: async (ticketId) => {
+    return fetchApi(`/tickets/${ticketId}/duplicates`);
+  },
+
+  mergeTickets: async (ticketId, ticketIds) => {
+    return fetchApi(`/tickets/${ticketId}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ ticket_ids: ticketIds })
+    });
+  },
+
+  // change: { ticket_ids } or { filter }, plus any of status, comment, assignee, queue, question
+  bulkUpdate: async (change) => {
+    return fetchApi('/tickets/bulk', {
+      method: 'POST',
+      body: JSON.stringify(change)
+    });
+  },
+
+  getComments: async (ticketId) => {
+    return fetchApi(`/tickets/${ticketId}/comments`);
+  },
+
+  addComment: async (ticketId, body) => {
+    return fetchApi(`/tickets/${ticketId}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body })
+    });
+  },
+
+  editComment: async (ticketId, commentId, body) => {
+    return fetchApi(`/tickets/${ticketId}/comments/${commentId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ body })
+    });
+  },
+
   askClarification: async (ticketId, question) => {
     return fetchApi(`/tickets/${ticketId}/clarify`, {
       method: 'POST',
-      headers: getAuthHeaders(),
       body: JSON.stringify({ question })
     });
   },
 
   getAnalytics: async () => {
-    return fetchApi('/tickets/analytics', { headers: getAuthHeaders() });
+    return fetchApi('/tickets/analytics');
   },
 
   analyzeTicket: async (ticketId) => {
     return fetchApi(`/tickets/${ticketId}/analyze`, {
+      method: 'POST'
+    });
+  },
+
+  claimTicket: async (ticketId) => {
+    return fetchApi(`/tickets/${ticketId}/claim`, { method: 'POST' });
+  },
+
+  unassignTicket: async (ticketId) => {
+    return fetchApi(`/tickets/${ticketId}/unassign`, { method: 'POST' });
+  },
+
+  // changes: { assignee, queue } ('' clears either)
+  assignTicket: async (ticketId, changes) => {
+    return fetchApi(`/tickets/${ticketId}/assign`, {
+      method: 'POST',
+      body: JSON.stringify(changes)
+    });
+  }
+};
+
+// ============================================
+// QUEUES API
+// ============================================
+
+export const queuesApi = {
+  getQueues: async () => {
+    return fetchApi('/queues');
+  },
+
+  createQueue: async (queue) => {
+    return fetchApi('/queues', {
       method: 'POST',
-      headers: getAuthHeaders()
+      body: JSON.stringify(queue)
+    });
+  },
+
+  updateQueue: async (queueId, updates) => {
+    return fetchApi(`/queues/${queueId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  deleteQueue: async (queueId) => {
+    return fetchApi(`/queues/${queueId}`, {
+      method: 'DELETE'
+    });
+  }
+};
+
+// ============================================
+// SLA API
+// ============================================
+
+export const slaApi = {
+  getPolicies: async () => {
+    return fetchApi('/sla');
+  },
+
+  createPolicy: async (policy) => {
+    return fetchApi('/sla/policies', {
+      method: 'POST',
+      body: JSON.stringify(policy)
+    });
+  },
+
+  updatePolicy: async (policyId, updates) => {
+    return fetchApi(`/sla/policies/${policyId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  deletePolicy: async (policyId) => {
+    return fetchApi(`/sla/policies/${policyId}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // hours: { days: [0-6], start: 'HH:MM', end: 'HH:MM' }
+  setBusinessHours: async (hours) => {
+    return fetchApi('/sla/business-hours', {
+      method: 'PUT',
+      body: JSON.stringify(hours)
+    });
+  }
+};
+
+// ============================================
+// INCIDENTS API
+// ============================================
+
+export const incidentsApi = {
+  // status: a status, 'open' for every unresolved incident, or empty for all
+  getIncidents: async (status = '') => {
+    return fetchApi(`/incidents${status ? `?status=${status}` : ''}`);
+  },
+
+  getIncident: async (incidentId) => {
+    return fetchApi(`/incidents/${incidentId}`);
+  },
+
+  createIncident: async (incident) => {
+    return fetchApi('/incidents', {
+      method: 'POST',
+      body: JSON.stringify(incident)
+    });
+  },
+
+  updateIncident: async (incidentId, updates) => {
+    return fetchApi(`/incidents/${incidentId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  linkTickets: async (incidentId, ticketIds) => {
+    return fetchApi(`/incidents/${incidentId}/tickets`, {
+      method: 'POST',
+      body: JSON.stringify({ ticket_ids: ticketIds })
+    });
+  },
+
+  unlinkTicket: async (incidentId, ticketId) => {
+    return fetchApi(`/incidents/${incidentId}/tickets/${ticketId}`, {
+      method: 'DELETE'
+    });
+  },
+
+  resolveIncident: async (incidentId, resolution) => {
+    return fetchApi(`/incidents/${incidentId}/resolve`, {
+      method: 'POST',
+      body: JSON.stringify({ resolution })
     });
   }
 };
@@ -145,13 +380,12 @@ export const ticketApi = {
 
 export const settingsApi = {
   getSettings: async () => {
-    return fetchApi('/settings', { headers: getAuthHeaders() });
+    return fetchApi('/settings');
   },
 
   updateApiSettings: async (settings) => {
     return fetchApi('/settings/api', {
       method: 'PUT',
-      headers: getAuthHeaders(),
       body: JSON.stringify(settings)
     });
   },
@@ -159,36 +393,33 @@ export const settingsApi = {
   testApiConnection: async (settings) => {
     return fetchApi('/settings/test-api', {
       method: 'POST',
-      headers: getAuthHeaders(),
       body: JSON.stringify(settings)
     });
   },
 
   getSystemPrompt: async () => {
-    return fetchApi('/settings/system-prompt', { headers: getAuthHeaders() });
+    return fetchApi('/settings/system-prompt');
   },
 
   updateSystemPrompt: async (prompt) => {
     return fetchApi('/settings/system-prompt', {
       method: 'PUT',
-      headers: getAuthHeaders(),
       body: JSON.stringify({ prompt })
     });
   },
 
   // Embedding settings
   getEmbeddingProviders: async () => {
-    return fetchApi('/settings/embedding-providers', { headers: getAuthHeaders() });
+    return fetchApi('/settings/embedding-providers');
   },
 
   getEmbeddingSettings: async () => {
-    return fetchApi('/settings/embeddings', { headers: getAuthHeaders() });
+    return fetchApi('/settings/embeddings');
   },
 
   updateEmbeddingSettings: async (settings) => {
     return fetchApi('/settings/embeddings', {
       method: 'PUT',
-      headers: getAuthHeaders(),
       body: JSON.stringify(settings)
     });
   },
@@ -196,20 +427,18 @@ export const settingsApi = {
   testEmbeddingConnection: async (settings) => {
     return fetchApi('/settings/test-embeddings', {
       method: 'POST',
-      headers: getAuthHeaders(),
       body: JSON.stringify(settings)
     });
   },
 
   // Image extraction settings
   getImageExtractionSettings: async () => {
-    return fetchApi('/settings/image-extraction', { headers: getAuthHeaders() });
+    return fetchApi('/settings/image-extraction');
   },
 
   updateImageExtractionSettings: async (settings) => {
     return fetchApi('/settings/image-extraction', {
       method: 'PUT',
-      headers: getAuthHeaders(),
       body: JSON.stringify(settings)
     });
   }
@@ -231,7 +460,6 @@ export const knowledgeApi = {
   addDocument: async (doc) => {
     return fetchApi('/knowledge', {
       method: 'POST',
-      headers: getAuthHeaders(),
       body: JSON.stringify(doc)
     });
   },
@@ -239,26 +467,135 @@ export const knowledgeApi = {
   updateDocument: async (docId, doc) => {
     return fetchApi(`/knowledge/${docId}`, {
       method: 'PUT',
-      headers: getAuthHeaders(),
       body: JSON.stringify(doc)
     });
   },
 
   deleteDocument: async (docId) => {
     return fetchApi(`/knowledge/${docId}`, {
-      method: 'DELETE',
-      headers: getAuthHeaders()
+      method: 'DELETE'
+    });
+  }
+};
+
+// ============================================
+// USERS API
+// ============================================
+
+export const usersApi = {
+  getUsers: async () => {
+    return fetchApi('/users');
+  },
+
+  createUser: async (user) => {
+    return fetchApi('/users', {
+      method: 'POST',
+      body: JSON.stringify(user)
+    });
+  },
+
+  updateUser: async (username, updates) => {
+    return fetchApi(`/users/${encodeURIComponent(username)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  getLockouts: async () => {
+    return fetchApi('/users/lockouts');
+  },
+
+  clearLockout: async (type, id) => {
+    return fetchApi(`/users/lockouts/${type}/${encodeURIComponent(id)}`, {
+      method: 'DELETE'
+    });
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    return fetchApi('/users/me/password', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
+  }
+};
+
+// ============================================
+// ROLES API
+// ============================================
+
+export const rolesApi = {
+  getRoles: async () => {
+    return fetchApi('/roles');
+  },
+
+  createRole: async (role) => {
+    return fetchApi('/roles', {
+      method: 'POST',
+      body: JSON.stringify(role)
+    });
+  },
+
+  updateRole: async (roleId, updates) => {
+    return fetchApi(`/roles/${roleId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  deleteRole: async (roleId) => {
+    return fetchApi(`/roles/${roleId}`, {
+      method: 'DELETE'
     });
   }
 };
 
+// ============================================
+// API TOKENS API
+// ============================================
+
+export const tokensApi = {
+  getTokens: async () => {
+    return fetchApi('/tokens');
+  },
+
+  createToken: async (token) => {
+    return fetchApi('/tokens', {
+      method: 'POST',
+      body: JSON.stringify(token)
+    });
+  },
+
+  revokeToken: async (tokenId) => {
+    return fetchApi(`/tokens/${tokenId}`, {
+      method: 'DELETE'
+    });
+  }
+};
+
+// ============================================
+// AUDIT LOG API
+// ============================================
+
+export const auditApi = {
+  getEntries: async (filters = {}) => {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    );
+    return fetchApi(`/audit?${params}`);
+  },
+
+  getFilters: async () => {
+    return fetchApi('/audit/filters');
+  }
+};
+
 // ============================================
 // DOCUMENTS API (Vector DB)
 // ============================================
 
 export const documentsApi = {
   getDocuments: async () => {
-    return fetchApi('/documents', { headers: getAuthHeaders() });
+    return fetchApi('/documents');
   },
 
   getApplications: async () => {
@@ -266,7 +603,7 @@ export const documentsApi = {
   },
 
   getDocument: async (docId) => {
-    return fetchApi(`/documents/${docId}`, { headers: getAuthHeaders() });
+    return fetchApi(`/documents/${docId}`);
   },
 
   uploadDocument: async (file, title, application) => {
@@ -275,18 +612,14 @@ export const documentsApi = {
     formData.append('title', title);
     formData.append('application', application);
 
-    const credentials = localStorage.getItem('auth_credentials');
-    const headers = credentials ? { Authorization: `Basic ${credentials}` } : {};
-
     const response = await fetch(`${API_BASE}/documents/upload`, {
       method: 'POST',
-      headers: headers,
+      credentials: 'same-origin',
       body: formData
     });
 
     if (!response.ok) {
-      const error = await response.json().catch(() => ({ error: 'Upload failed' }));
-      throw new Error(error.error || error.message || 'Upload failed');
+      await throwResponseError(response, 'Upload failed');
     }
 
     return response.json();
@@ -294,8 +627,7 @@ export const documentsApi = {
 
   deleteDocument: async (docId) => {
     return fetchApi(`/documents/${docId}`, {
-      method: 'DELETE',
-      headers: getAuthHeaders()
+      method: 'DELETE'
     });
   },
 
@@ -307,11 +639,11 @@ export const documentsApi = {
   },
 
   getStats: async () => {
-    return fetchApi('/documents/stats/summary', { headers: getAuthHeaders() });
+    return fetchApi('/documents/stats/summary');
   },
 
   getDocumentImages: async (docId) => {
-    return fetchApi(`/documents/${docId}/images`, { headers: getAuthHeaders() });
+    return fetchApi(`/documents/${docId}/images`);
   },
 
   // Helper to get image URL (legacy)
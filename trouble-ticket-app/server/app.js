@@ -4,6 +4,8 @@ const express = require('express');
 const cors = require('cors');
 const { errorHandler } = require('./middleware/errorHandler');
 const { sanitizeInput } = require('./middleware/sanitize');
+const { runMigrations } = require('./services/migrationService');
+const storage = require('./services/storage');
 
 // Import routes
 const chatRoutes = require('./routes/chat');
@@ -12,10 +14,26 @@ const settingsRoutes = require('./routes/settings');
 const knowledgeRoutes = require('./routes/knowledge');
 const healthRoutes = require('./routes/health');
 const documentsRoutes = require('./routes/documents');
+const backupRoutes = require('./routes/backup');
+const userRoutes = require('./routes/users');
+const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+const roleRoutes = require('./routes/roles');
+const tokenRoutes = require('./routes/tokens');
+const queueRoutes = require('./routes/queues');
+const slaRoutes = require('./routes/sla');
+const incidentRoutes = require('./routes/incidents');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, trust X-Forwarded-For so req.ip (used for login throttling) is the client
+// e.g. TRUST_PROXY=1 for one proxy hop; see Express "trust proxy"
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -31,6 +49,15 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/knowledge', knowledgeRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/documents', documentsRoutes);
+app.use('/api/backup', backupRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/queues', queueRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/incidents', incidentRoutes);
 
 // Error handling
 app.use(errorHandler);
@@ -40,9 +67,38 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-});
+/**
+ * Apply pending schema migrations, start replaying queued writes, then start listening
+ * Set AUTO_MIGRATE=false to manage migrations manually with `npm run migrate`
+ */
+async function start() {
+  if (process.env.AUTO_MIGRATE !== 'false') {
+    try {
+      const applied = await runMigrations();
+      if (applied.length > 0) {
+        console.log(`Applied ${applied.length} migration(s): ${applied.join(', ')}`);
+      }
+    } catch (error) {
+      // Keep serving so /api/health can report the storage problem
+      console.error('Schema migration failed:', error.message);
+    }
+  }
+
+  // Replay runs in the background; new writes queue behind it to keep their order
+  try {
+    storage.startOutbox();
+  } catch (error) {
+    // Another server owns the outbox file; queuing into it would lose writes
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/api/health`);
+  });
+}
+
+start();
 
 module.exports = app;
@@ -0,0 +1,72 @@
+/**
+ * Backup and restore CLI
+ * Run with: node backup.js create [file]              (write an archive, default backups/backup-<time>.json.gz)
+ *           node backup.js restore <file> --dry-run   (show what a restore would change)
+ *           node backup.js restore <file>             (replace all data with the archive)
+ *           node backup.js restore <file> --sessions  (also replace login sessions)
+ * Archives contain password hashes, encrypted API keys, chat transcripts and documents
+ */
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const storage = require('./services/storage');
+const { createBackup, restoreBackup } = require('./services/backupService');
+
+/**
+ * Print a table/file diff from restoreBackup()
+ */
+function printDiff(diff) {
+  for (const [table, changes] of Object.entries(diff.tables)) {
+    if (changes.skipped) {
+      console.log(`  ${table}: ${changes.reason}, left unchanged`);
+      continue;
+    }
+    console.log(`  ${table}: ${changes.current} → ${changes.archive} rows (+${changes.added.length} -${changes.removed.length} ~${changes.changed.length})`);
+  }
+  const { added, removed, changed } = diff.files;
+  console.log(`  files: +${added.length} -${removed.length} ~${changed.length}`);
+  removed.forEach(relPath => console.log(`    - ${relPath}`));
+}
+
+async function main() {
+  const [command, file] = process.argv.slice(2);
+  const dryRun = process.argv.includes('--dry-run');
+  const restoreSessions = process.argv.includes('--sessions');
+  console.log(`📊 Storage backend: ${storage.backend}\n`);
+
+  if (command === 'create') {
+    const outPath = file || path.join(__dirname, 'backups', `backup-${new Date().toISOString().replace(/[:.]/g, '-')}.json.gz`);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    // Readable only by the owner: the archive holds credentials
+    const manifest = await createBackup(fs.createWriteStream(outPath, { mode: 0o600 }));
+
+    for (const [table, count] of Object.entries(manifest.tables)) {
+      console.log(`  ${table}: ${count} rows`);
+    }
+    console.log(`  files: ${manifest.files}`);
+    console.log(`\n✨ Backup written to ${outPath}`);
+    return;
+  }
+
+  if (command === 'restore' && file) {
+    const result = await restoreBackup(file, { dryRun, restoreSessions });
+    console.log(`Archive created ${result.archive.createdAt} from the ${result.archive.backend} backend\n`);
+    printDiff(result.diff);
+
+    if (dryRun) {
+      console.log('\n🔍 Dry run - nothing was changed');
+    } else {
+      console.log(`\n✨ Restore complete${result.migrationsApplied.length ? ` (applied migrations: ${result.migrationsApplied.join(', ')})` : ''}`);
+    }
+    return;
+  }
+
+  console.error('❌ Usage: node backup.js create [file] | node backup.js restore <file> [--dry-run] [--sessions]');
+  process.exit(1);
+}
+
+main().catch(error => {
+  console.error('❌ Backup failed:', error.message);
+  process.exit(1);
+});
@@ -1,87 +1,296 @@
 /**
- * Simple role-based authentication middleware
- * Uses Basic Auth with password hashes stored in Google Sheets settings
+ * Permission-based authentication middleware
+ * Staff sign in through POST /api/auth/login and are identified by an HttpOnly session cookie;
+ * Basic Auth (username:password) is still accepted for scripts. Routers that opt in with
+ * acceptApiTokens also take admin-issued API tokens (Authorization: Bearer), whose scopes
+ * stand in for permissions (services/apiTokenService.js).
+ * Endpoints require named permissions, granted by the account's role (services/roleService.js)
  */
 const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('../services/passwordService');
+const loginThrottle = require('../services/loginThrottle');
+const { resolveRole, hasPermission } = require('../services/roleService');
+const apiTokenService = require('../services/apiTokenService');
 
-// Lazy-load googleSheets to avoid circular dependency
-let googleSheets = null;
-function getGoogleSheets() {
-  if (!googleSheets) {
-    googleSheets = require('../services/googleSheets');
+// Lazy-load storage to avoid circular dependency
+let storage = null;
+function getStorage() {
+  if (!storage) {
+    storage = require('../services/storage');
   }
-  return googleSheets;
+  return storage;
 }
 
+// Lazy-load sessions for the same reason (sessionService requires storage)
+let sessionService = null;
+function getSessionService() {
+  if (!sessionService) {
+    sessionService = require('../services/sessionService');
+  }
+  return sessionService;
+}
+
+// Send the cookie only over HTTPS in production (override with COOKIE_SECURE=true|false)
+const COOKIE_SECURE = process.env.COOKIE_SECURE
+  ? process.env.COOKIE_SECURE === 'true'
+  : process.env.NODE_ENV === 'production';
+
 /**
- * Hash a password using SHA-256
- * @param {string} password - The plaintext password
- * @returns {string} - The hashed password
+ * Strip secrets from a user record for req.user and API responses
+ * @param {Object} user - Stored account
+ * @param {Object} access - { role, permissions } from resolveRole()
  */
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
+function toRequestUser(user, { role, permissions }) {
+  return {
+    username: user.username,
+    displayName: user.display_name || user.username,
+    role: user.role,
+    roleName: role?.name || user.role,
+    permissions
+  };
 }
 
 /**
- * Middleware factory to require a specific role
- * @param {string} role - The required role ('it_support' or 'admin')
- * @returns {Function} - Express middleware
+ * Build req.user for an account, looking up its role's permissions
  */
-function requireRole(role) {
-  return async (req, res, next) => {
-    const authHeader = req.headers.authorization;
+async function loadRequestUser(user) {
+  return toRequestUser(user, await resolveRole(user.role));
+}
 
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-      return res.status(401).json({
-        error: 'Authentication required',
-        message: 'Please provide valid credentials'
-      });
+// Hash checked for unknown usernames
+let dummyHash = null;
+
+/**
+ * Check a username and password against the users table
+ * Attempts count towards per-IP and per-account lockouts (services/loginThrottle.js);
+ * legacy or outdated password hashes are upgraded after a successful check
+ * @param {string} username - Account name
+ * @param {string} password - Plaintext password
+ * @param {Object} client - { ip } of the request
+ * @returns {Promise<{user?: Object, error?: string, retryAfterSeconds?: number}>} - The account,
+ *   or why it was refused (retryAfterSeconds is set while locked out)
+ */
+async function authenticateCredentials(username, password, { ip } = {}) {
+  // Reserved while the password is checked, so parallel guesses see each other
+  const attempt = { ip, username };
+  const lock = loginThrottle.reserveAttempt(attempt);
+  if (lock) {
+    return {
+      error: `Too many failed login attempts. Try again in ${lock.retryAfterSeconds} seconds`,
+      retryAfterSeconds: lock.retryAfterSeconds
+    };
+  }
+
+  let user;
+  let valid = false;
+  let needsRehash = false;
+  try {
+    user = await getStorage().getUser(username);
+    if (user) {
+      ({ valid, needsRehash } = await verifyPassword(password, user.password_hash));
+    } else {
+      // Take as long to reject an unknown username as a wrong password
+      dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+      await verifyPassword(password, dummyHash);
     }
+  } catch (error) {
+    loginThrottle.releaseAttempt(attempt);
+    throw error;
+  }
 
-    try {
-      // Decode Basic Auth credentials
-      const credentials = Buffer.from(authHeader.slice(6), 'base64').toString();
-      const colonIndex = credentials.indexOf(':');
+  if (!valid) {
+    loginThrottle.recordFailure(attempt);
+    return { error: 'Invalid username or password' };
+  }
+  loginThrottle.recordSuccess(attempt);
 
-      if (colonIndex === -1) {
-        return res.status(401).json({
-          error: 'Invalid credentials format'
-        });
-      }
+  if (user.enabled === 'FALSE') {
+    return { error: 'This account is disabled' };
+  }
 
-      const providedRole = credentials.substring(0, colonIndex);
-      const password = credentials.substring(colonIndex + 1);
+  if (needsRehash) {
+    user.password_hash = await hashPassword(password);
+    await getStorage().updateUser(user.username, { password_hash: user.password_hash });
+    console.log(`Upgraded password hash for ${user.username}`);
+  }
+  return { user };
+}
 
-      // Check if provided role matches required role or is admin (admin can access everything)
-      if (providedRole !== role && providedRole !== 'admin') {
-        return res.status(403).json({
-          error: 'Access denied',
-          message: `This endpoint requires ${role} role`
-        });
-      }
+// ============================================
+// SESSION COOKIE
+// ============================================
 
-      // Get stored password hash from settings
-      const sheets = getGoogleSheets();
-      const storedHash = await sheets.getSetting(`${providedRole}_password_hash`);
+/**
+ * Parse the Cookie header into an object
+ */
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+}
 
-      if (!storedHash) {
-        console.error(`No password hash found for role: ${providedRole}`);
-        return res.status(500).json({
-          error: 'Configuration error',
-          message: 'Authentication not configured. Please set up password hashes in settings.'
-        });
+/**
+ * Read the session token from the request cookie
+ */
+function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[getSessionService().SESSION_COOKIE] || null;
+}
+
+/**
+ * Set the session cookie (HttpOnly, so page scripts can never read the token)
+ */
+function setSessionCookie(res, token, session) {
+  res.cookie(getSessionService().SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: COOKIE_SECURE,
+    path: '/api',
+    expires: new Date(session.expires_at)
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(getSessionService().SESSION_COOKIE, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: COOKIE_SECURE,
+    path: '/api'
+  });
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Resolve the account making a request from its session cookie or Basic Auth header
+ * @returns {Promise<{user?: Object, session?: Object, status?: number, body?: Object, retryAfterSeconds?: number}>}
+ */
+async function resolveRequestUser(req) {
+  const token = getSessionToken(req);
+  if (token) {
+    const session = await getSessionService().getActiveSession(token);
+    const user = session ? await getStorage().getUser(session.username) : null;
+    if (!user) {
+      return { status: 401, body: { error: 'Session expired', message: 'Please log in again' } };
+    }
+    if (user.enabled === 'FALSE') {
+      return { status: 403, body: { error: 'Access denied', message: 'This account is disabled' } };
+    }
+    return { user, session };
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Basic ')) {
+    return {
+      status: 401,
+      body: { error: 'Authentication required', message: 'Please provide valid credentials' }
+    };
+  }
+
+  // Decode Basic Auth credentials
+  const credentials = Buffer.from(authHeader.slice(6), 'base64').toString();
+  const colonIndex = credentials.indexOf(':');
+
+  if (colonIndex === -1) {
+    return { status: 401, body: { error: 'Invalid credentials format' } };
+  }
+
+  const { user, error, retryAfterSeconds } = await authenticateCredentials(
+    credentials.substring(0, colonIndex),
+    credentials.substring(colonIndex + 1),
+    { ip: req.ip }
+  );
+  if (retryAfterSeconds) {
+    return { status: 429, body: { error: 'Too many attempts', message: error }, retryAfterSeconds };
+  }
+  if (error) {
+    return { status: 403, body: { error: 'Access denied', message: error } };
+  }
+  return { user };
+}
+
+/**
+ * Read the token from an "Authorization: Bearer <token>" header
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+}
+
+/**
+ * Resolve an API token to a request user
+ * Unknown tokens count as failed attempts from the client IP, like wrong passwords. A token
+ * lookup is quick, so it isn't reserved: only a locked-out IP is refused up front, and
+ * valid tokens never count against the IP
+ * @returns {Promise<{requestUser?: Object, status?: number, body?: Object, retryAfterSeconds?: number}>}
+ */
+async function resolveApiToken(req, token) {
+  if (!req.acceptApiTokens) {
+    return { status: 401, body: { error: 'API tokens are not accepted for this endpoint' } };
+  }
+
+  const lock = loginThrottle.checkLock({ ip: req.ip });
+  if (lock) {
+    return {
+      status: 429,
+      body: { error: 'Too many attempts', message: `Try again in ${lock.retryAfterSeconds} seconds` },
+      retryAfterSeconds: lock.retryAfterSeconds
+    };
+  }
+
+  const apiToken = await apiTokenService.authenticateToken(token, { ip: req.ip });
+  if (!apiToken) {
+    loginThrottle.recordFailure({ ip: req.ip }, { reserved: false });
+    return { status: 401, body: { error: 'Invalid API token', message: 'The token is unknown, expired or revoked' } };
+  }
+  return { requestUser: apiTokenService.toTokenUser(apiToken) };
+}
+
+/**
+ * Middleware letting the routes after it accept API tokens as well as staff logins
+ */
+function acceptApiTokens(req, res, next) {
+  req.acceptApiTokens = true;
+  next();
+}
+
+/**
+ * Middleware factory to require any one of the given permissions
+ * Sets req.user ({ username, displayName, role, roleName, permissions }) and, for cookie
+ * logins, req.authSession. A request authenticates once; later checks reuse req.user.
+ * For API tokens, req.user.role is 'api_token' and req.user.tokenId is set
+ * @param {...string} permissions - Permission names; none means any signed-in staff account
+ * @returns {Function} - Express middleware
+ */
+function requirePermission(...permissions) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        const bearerToken = getBearerToken(req);
+        const { user, requestUser, session, status, body, retryAfterSeconds } = bearerToken
+          ? await resolveApiToken(req, bearerToken)
+          : await resolveRequestUser(req);
+        if (status) {
+          if (retryAfterSeconds) {
+            res.set('Retry-After', String(retryAfterSeconds));
+          }
+          return res.status(status).json(body);
+        }
+
+        // Add user to request for downstream use
+        req.user = requestUser || await loadRequestUser(user);
+        req.userRole = req.user.role;
+        req.authSession = session || null;
       }
 
-      // Verify password
-      if (hashPassword(password) !== storedHash) {
+      if (permissions.length > 0 && !hasPermission(req.user, ...permissions)) {
         return res.status(403).json({
           error: 'Access denied',
-          message: 'Invalid password'
+          message: `This endpoint requires the ${permissions.join(' or ')} permission`
         });
       }
-
-      // Add role to request for downstream use
-      req.userRole = providedRole;
       next();
     } catch (error) {
       console.error('Auth middleware error:', error);
@@ -93,6 +302,13 @@ function requireRole(role) {
   };
 }
 
+/**
+ * Middleware to require any signed-in staff account
+ */
+function requireAuth() {
+  return requirePermission();
+}
+
 /**
  * Optional auth middleware - doesn't require auth but attaches role if provided
  */
@@ -117,4 +333,14 @@ function optionalAuth(req, res, next) {
   next();
 }
 
-module.exports = { requireRole, optionalAuth, hashPassword };
+module.exports = {
+  requirePermission,
+  requireAuth,
+  acceptApiTokens,
+  optionalAuth,
+  loadRequestUser,
+  authenticateCredentials,
+  getSessionToken,
+  setSessionCookie,
+  clearSessionCookie
+};
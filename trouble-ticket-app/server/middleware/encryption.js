@@ -1,56 +1,192 @@
 /**
  * Encryption utilities for sensitive data (API keys)
- * Uses AES-256-CBC encryption
+ * Uses AES-256-GCM, so a value decrypted with the wrong key fails instead of returning garbage.
+ * Each value records the id of the key that encrypted it ("v2:<keyId>:<iv>:<tag>:<ciphertext>"),
+ * which lets several keys be active at once: new values use the primary key, older values
+ * still decrypt with the key they name until `npm run rotate-keys` re-encrypts them.
+ * Values written before key ids existed (AES-256-CBC "iv:ciphertext") are still readable
  */
 const crypto = require('crypto');
 
-// SECURITY: Require encryption key from environment - no fallback
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
-if (!ENCRYPTION_KEY || ENCRYPTION_KEY.length !== 32) {
-  console.error('ENCRYPTION_KEY environment variable must be exactly 32 characters');
-  console.error('Generate one with: node -e "console.log(require(\'crypto\').randomBytes(16).toString(\'hex\'))"');
+const VERSION = 'v2';
+const IV_LENGTH = 12;
+const LEGACY_IV_LENGTH = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+const LEGACY_KEY_ID = 'default';
+
+/**
+ * Thrown when a stored value can't be decrypted with any configured key
+ */
+class DecryptionError extends Error {
+  constructor(message, keyId = null) {
+    super(message);
+    this.name = 'DecryptionError';
+    this.keyId = keyId;
+  }
+}
+
+function exitWithConfigError(message) {
+  console.error(message);
+  console.error('Generate a key with: node -e "console.log(require(\'crypto\').randomBytes(16).toString(\'hex\'))"');
   process.exit(1);
 }
 
-const IV_LENGTH = 16;
+/**
+ * Build the keyring from the environment
+ * ENCRYPTION_KEYS="<id>:<key>,<id>:<key>" lists keys newest first; the first is the primary.
+ * ENCRYPTION_KEY is the single key used before key ids existed and is known as "default"
+ * @returns {{ primaryKeyId: string, keys: Map<string, Buffer> }}
+ */
+function loadKeyring() {
+  const keys = new Map();
+
+  for (const entry of (process.env.ENCRYPTION_KEYS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = entry.slice(separator + 1);
+    if (separator < 1 || !KEY_ID_PATTERN.test(keyId)) {
+      exitWithConfigError(`ENCRYPTION_KEYS entries must look like <id>:<key> (id: letters, digits, "_", "-", "."), got "${entry.slice(0, 12)}..."`);
+    }
+    if (key.length !== 32) {
+      exitWithConfigError(`Encryption key "${keyId}" must be exactly 32 characters`);
+    }
+    if (keys.has(keyId)) {
+      exitWithConfigError(`Encryption key id "${keyId}" is listed twice in ENCRYPTION_KEYS`);
+    }
+    keys.set(keyId, Buffer.from(key));
+  }
+
+  // SECURITY: Require an encryption key from the environment - no fallback
+  const legacyKey = process.env.ENCRYPTION_KEY;
+  if (legacyKey && !keys.has(LEGACY_KEY_ID)) {
+    if (legacyKey.length !== 32) {
+      exitWithConfigError('ENCRYPTION_KEY environment variable must be exactly 32 characters');
+    }
+    keys.set(LEGACY_KEY_ID, Buffer.from(legacyKey));
+  }
+
+  if (keys.size === 0) {
+    exitWithConfigError('Set ENCRYPTION_KEY (exactly 32 characters) or ENCRYPTION_KEYS (<id>:<key>,...)');
+  }
+
+  return { primaryKeyId: keys.keys().next().value, keys };
+}
+
+const { primaryKeyId: PRIMARY_KEY_ID, keys: KEYS } = loadKeyring();
 
 /**
- * Encrypt a string using AES-256-CBC
+ * Encrypt a string with the primary key
  * @param {string} text - The plaintext to encrypt
- * @returns {string} - The encrypted string in format: iv:encrypted
+ * @returns {string} - The encrypted string in format: v2:keyId:iv:tag:encrypted
  */
 function encrypt(text) {
   if (!text) return '';
 
   const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_KEY), iv);
-  let encrypted = cipher.update(text);
-  encrypted = Buffer.concat([encrypted, cipher.final()]);
+  const cipher = crypto.createCipheriv('aes-256-gcm', KEYS.get(PRIMARY_KEY_ID), iv);
+  cipher.setAAD(Buffer.from(PRIMARY_KEY_ID));
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+  return [VERSION, PRIMARY_KEY_ID, iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+}
+
+/**
+ * Decrypt an AES-256-CBC value written before key ids existed
+ * CBC has no integrity check, so try the legacy key first and accept the first clean result
+ */
+function decryptLegacy(text) {
+  const [ivHex, encryptedHex] = text.split(':');
+  const iv = Buffer.from(ivHex, 'hex');
+  const encryptedText = Buffer.from(encryptedHex, 'hex');
+  const keyIds = [LEGACY_KEY_ID, ...KEYS.keys()].filter((keyId, index, all) => KEYS.has(keyId) && all.indexOf(keyId) === index);
 
-  return iv.toString('hex') + ':' + encrypted.toString('hex');
+  for (const keyId of keyIds) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-cbc', KEYS.get(keyId), iv);
+      const decrypted = Buffer.concat([decipher.update(encryptedText), decipher.final()]);
+      return { plaintext: decrypted.toString(), keyId };
+    } catch {
+      // Wrong key (bad padding) - try the next one
+    }
+  }
+  throw new DecryptionError('Legacy value does not decrypt with any configured key');
+}
+
+/**
+ * Decrypt a value and report which key it used
+ * @param {string} text - A value produced by encrypt()
+ * @returns {{ plaintext: string, keyId: string, legacy: boolean }}
+ * @throws {DecryptionError} - Malformed value, unknown key id, or wrong key / tampered data
+ */
+function decryptWithInfo(text) {
+  const parts = text.split(':');
+
+  if (parts.length === 2 && parts[0].length === LEGACY_IV_LENGTH * 2) {
+    return { ...decryptLegacy(text), legacy: true };
+  }
+
+  const [version, keyId, ivHex, tagHex, encryptedHex] = parts;
+  if (version !== VERSION || parts.length !== 5) {
+    throw new DecryptionError('Value is not in a recognised encrypted format');
+  }
+  if (!KEYS.has(keyId)) {
+    throw new DecryptionError(`Value was encrypted with key "${keyId}", which is not in ENCRYPTION_KEYS`, keyId);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', KEYS.get(keyId), Buffer.from(ivHex, 'hex'));
+    decipher.setAAD(Buffer.from(keyId));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+    const decrypted = Buffer.concat([decipher.update(Buffer.from(encryptedHex, 'hex')), decipher.final()]);
+    return { plaintext: decrypted.toString('utf8'), keyId, legacy: false };
+  } catch {
+    throw new DecryptionError(`Value does not decrypt with key "${keyId}" (wrong key or corrupted data)`, keyId);
+  }
 }
 
 /**
  * Decrypt a string that was encrypted with encrypt()
- * @param {string} text - The encrypted string in format: iv:encrypted
+ * @param {string} text - The encrypted string
  * @returns {string} - The decrypted plaintext
+ * @throws {DecryptionError} - If no configured key can decrypt it
  */
 function decrypt(text) {
   if (!text) return '';
+  return decryptWithInfo(text).plaintext;
+}
+
+/**
+ * Check a stored value without exposing its plaintext
+ * @returns {{ status: 'not_set'|'ok'|'needs_rotation'|'undecryptable', keyId: string|null, error?: string }}
+ *   needs_rotation: readable, but legacy format or not encrypted with the primary key
+ */
+function inspect(text) {
+  if (!text) {
+    return { status: 'not_set', keyId: null };
+  }
 
   try {
-    const parts = text.split(':');
-    const iv = Buffer.from(parts.shift(), 'hex');
-    const encryptedText = Buffer.from(parts.join(':'), 'hex');
-    const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_KEY), iv);
-    let decrypted = decipher.update(encryptedText);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-
-    return decrypted.toString();
+    const { keyId, legacy } = decryptWithInfo(text);
+    const current = !legacy && keyId === PRIMARY_KEY_ID;
+    return { status: current ? 'ok' : 'needs_rotation', keyId: legacy ? `${keyId} (legacy)` : keyId };
   } catch (error) {
-    console.error('Decryption error:', error.message);
-    return '';
+    return { status: 'undecryptable', keyId: error.keyId || null, error: error.message };
   }
 }
 
-module.exports = { encrypt, decrypt };
+/**
+ * Ids of all configured keys, primary first
+ */
+function getKeyIds() {
+  return [...KEYS.keys()];
+}
+
+module.exports = {
+  PRIMARY_KEY_ID,
+  DecryptionError,
+  encrypt,
+  decrypt,
+  decryptWithInfo,
+  inspect,
+  getKeyIds
+};
@@ -0,0 +1,45 @@
+/**
+ * Hide legacy chat session ids from staff and API token responses
+ * A conversation started before session secrets can be claimed with its id alone, so
+ * ticket and incident responses show a stand-in instead (see chatSessionService)
+ */
+const { getSessionIdMask } = require('../services/chatSessionService');
+
+/**
+ * Recursively replace every session_id value in a response body
+ * @param {any} obj - Response body
+ * @param {Function} mask - Maps a session id to what may be shown
+ */
+function maskSessionIds(obj, mask) {
+  if (Array.isArray(obj)) {
+    return obj.map(item => maskSessionIds(item, mask));
+  }
+
+  if (obj !== null && typeof obj === 'object') {
+    const masked = {};
+    for (const key of Object.keys(obj)) {
+      masked[key] = key === 'session_id' && typeof obj[key] === 'string'
+        ? mask(obj[key])
+        : maskSessionIds(obj[key], mask);
+    }
+    return masked;
+  }
+
+  return obj;
+}
+
+/**
+ * Express middleware that masks legacy session ids in JSON responses
+ */
+async function hideLegacySessionIds(req, res, next) {
+  try {
+    const mask = await getSessionIdMask();
+    const json = res.json.bind(res);
+    res.json = body => json(maskSessionIds(body, mask));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = { hideLegacySessionIds, maskSessionIds };
@@ -2,6 +2,11 @@
  * Request validation middleware using express-validator
  */
 const { body, param, query, validationResult } = require('express-validator');
+const { PERMISSIONS } = require('../services/roleService');
+const { TOKEN_SCOPES } = require('../services/apiTokenService');
+const { ASSIGNMENT_STRATEGIES } = require('../services/queueService');
+const { SEVERITIES, PRIORITIES, TICKET_SORTS } = require('../services/triageService');
+const { INCIDENT_STATUSES } = require('../services/incidentService');
 
 /**
  * Middleware to check validation results and return errors
@@ -20,6 +25,14 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Ticket IDs: PREFIX-digits (e.g. TKT-000042, or legacy TKT-12345)
+const TICKET_ID_PATTERN = /^[A-Z][A-Z0-9]{0,9}-\d{4,10}$/;
+
+const TICKET_STATUSES = ['open', 'waiting_clarification', 'waiting_confirmation', 'closed'];
+
+// Most tickets one bulk change may touch, whether listed or matched by a filter
+const MAX_BULK_TICKETS = 200;
+
 // Chat message validation rules
 const chatMessageRules = [
   body('sessionId')
@@ -35,32 +48,128 @@ const chatMessageRules = [
     .withMessage('Message must be between 1 and 5000 characters')
 ];
 
+// Severity and priority ('' clears either); rules are rebuilt per use since chains are stateful
+const severityRule = () => body('severity')
+  .optional()
+  .isIn(['', ...Object.keys(SEVERITIES)])
+  .withMessage(`Severity must be one of: ${Object.keys(SEVERITIES).join(', ')}`);
+
+const priorityRule = () => body('priority')
+  .optional()
+  .isIn(['', ...Object.keys(PRIORITIES)])
+  .withMessage(`Priority must be one of: ${Object.keys(PRIORITIES).join(', ')}`);
+
+// Ticket list filter and sort validation rules
+const ticketListRules = [
+  query('severity')
+    .optional()
+    .isIn(['none', ...Object.keys(SEVERITIES)])
+    .withMessage('Invalid severity filter'),
+  query('priority')
+    .optional()
+    .isIn(['none', ...Object.keys(PRIORITIES)])
+    .withMessage('Invalid priority filter'),
+  query('sort')
+    .optional()
+    .isIn(TICKET_SORTS)
+    .withMessage(`Sort must be one of: ${TICKET_SORTS.join(', ')}`),
+  query('sla')
+    .optional()
+    .isIn(['breached', 'at_risk'])
+    .withMessage('SLA filter must be breached or at_risk')
+];
+
 // Ticket update validation rules
 const ticketUpdateRules = [
   param('id')
-    .matches(/^TKT-\d{5}$/)
+    .matches(TICKET_ID_PATTERN)
     .withMessage('Invalid ticket ID format'),
   body('status')
     .optional()
-    .isIn(['open', 'waiting_clarification', 'waiting_confirmation', 'closed'])
+    .isIn(TICKET_STATUSES)
     .withMessage('Invalid status value'),
   body('it_notes')
+    .not()
+    .exists()
+    .withMessage('IT notes have been replaced by comments (POST /api/tickets/:id/comments)'),
+  severityRule(),
+  priorityRule(),
+  body('version')
+    .isInt({ min: 0 })
+    .withMessage('Ticket version is required (from GET /api/tickets/:id)')
+    .toInt()
+];
+
+// Ticket creation (API integrations) validation rules
+const ticketCreateRules = [
+  body('application')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Application is required (max 100 characters)'),
+  body('problem_summary')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Problem summary is required (max 200 characters)'),
+  body('problem_details')
+    .optional()
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Problem details must be less than 5000 characters'),
+  body('reported_by')
     .optional()
     .isString()
-    .isLength({ max: 2000 })
-    .withMessage('IT notes must be less than 2000 characters')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reported by must be less than 100 characters'),
+  severityRule(),
+  priorityRule()
+];
+
+// Ticket ID param (claim, unassign)
+const ticketIdRules = [
+  param('id')
+    .matches(TICKET_ID_PATTERN)
+    .withMessage('Invalid ticket ID format')
+];
+
+// Internal comment validation rules
+const commentBodyRule = (field = 'body') => body(field)
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 4000 })
+  .withMessage('Comment must be between 1 and 4000 characters');
+
+const commentCreateRules = [
+  param('id')
+    .matches(TICKET_ID_PATTERN)
+    .withMessage('Invalid ticket ID format'),
+  commentBodyRule()
+];
+
+const commentUpdateRules = [
+  param('id')
+    .matches(TICKET_ID_PATTERN)
+    .withMessage('Invalid ticket ID format'),
+  param('commentId')
+    .isUUID()
+    .withMessage('Invalid comment ID'),
+  commentBodyRule()
 ];
 
 // Clarification request validation rules
+const questionRule = () => body('question')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 1000 })
+  .withMessage('Question must be between 1 and 1000 characters');
+
 const clarificationRules = [
   param('id')
-    .matches(/^TKT-\d{5}$/)
+    .matches(TICKET_ID_PATTERN)
     .withMessage('Invalid ticket ID format'),
-  body('question')
-    .isString()
-    .trim()
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Question must be between 1 and 1000 characters')
+  questionRule()
 ];
 
 // Settings update validation rules
@@ -109,6 +218,480 @@ const knowledgeDocRules = [
     .withMessage('Keywords must be less than 500 characters')
 ];
 
+// Login validation rules
+const loginRules = [
+  body('username')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .notEmpty()
+    .withMessage('Username is required'),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+// Staff account validation rules
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const ROLE_ID_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+
+const userCreateRules = [
+  body('username')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(USERNAME_PATTERN)
+    .withMessage('Username must be 3-32 characters: lowercase letters, digits, ".", "_" or "-"'),
+  body('display_name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Display name must be less than 100 characters'),
+  body('role')
+    .isString()
+    .matches(ROLE_ID_PATTERN)
+    .withMessage('Invalid role'),
+  body('password')
+    .isString()
+    .isLength({ min: 8, max: 200 })
+    .withMessage('Password must be between 8 and 200 characters')
+];
+
+const userUpdateRules = [
+  param('username')
+    .matches(USERNAME_PATTERN)
+    .withMessage('Invalid username'),
+  body('display_name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Display name must be less than 100 characters'),
+  body('role')
+    .optional()
+    .isString()
+    .matches(ROLE_ID_PATTERN)
+    .withMessage('Invalid role'),
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Enabled must be true or false'),
+  body('password')
+    .optional()
+    .isString()
+    .isLength({ min: 8, max: 200 })
+    .withMessage('Password must be between 8 and 200 characters')
+];
+
+const passwordChangeRules = [
+  body('currentPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isString()
+    .isLength({ min: 8, max: 200 })
+    .withMessage('Password must be between 8 and 200 characters')
+];
+
+// Role validation rules
+const rolePermissionsRule = () => body('permissions')
+  .isArray()
+  .withMessage('Permissions must be a list')
+  .custom(permissions => permissions.every(permission => PERMISSIONS[permission]))
+  .withMessage('Unknown permission');
+
+const roleCreateRules = [
+  body('role_id')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(ROLE_ID_PATTERN)
+    .withMessage('Role ID must be 2-32 characters: lowercase letters, digits or "_", starting with a letter'),
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required (max 100 characters)'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  rolePermissionsRule()
+];
+
+const roleUpdateRules = [
+  param('roleId')
+    .matches(ROLE_ID_PATTERN)
+    .withMessage('Invalid role ID'),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  rolePermissionsRule().optional()
+];
+
+// API token validation rules
+const apiTokenCreateRules = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required (max 100 characters)'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one scope')
+    .custom(scopes => scopes.every(scope => TOKEN_SCOPES.includes(scope)))
+    .withMessage('Unknown scope'),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Expiry must be between 1 and 730 days')
+    .toInt()
+];
+
+// Ticket queue validation rules
+const QUEUE_ID_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+const queueApplicationsRule = () => body('applications')
+  .isArray({ max: 50 })
+  .withMessage('Applications must be a list')
+  .custom(applications => applications.every(app => typeof app === 'string' && app.trim() && app.length <= 100 && !app.includes(',')))
+  .withMessage('Application names must be 1-100 characters without commas');
+
+const queueMembersRule = () => body('members')
+  .isArray({ max: 100 })
+  .withMessage('Members must be a list')
+  .custom(members => members.every(username => typeof username === 'string' && USERNAME_PATTERN.test(username)))
+  .withMessage('Members must be usernames');
+
+const queueAssignmentRule = () => body('assignment')
+  .isIn(Object.keys(ASSIGNMENT_STRATEGIES))
+  .withMessage(`Assignment must be one of: ${Object.keys(ASSIGNMENT_STRATEGIES).join(', ')}`);
+
+const queueCreateRules = [
+  body('queue_id')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(QUEUE_ID_PATTERN)
+    .withMessage('Queue ID must be 2-32 characters: lowercase letters, digits, "_" or "-", starting with a letter'),
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required (max 100 characters)'),
+  queueApplicationsRule().optional(),
+  queueMembersRule().optional(),
+  queueAssignmentRule().optional()
+];
+
+const queueUpdateRules = [
+  param('queueId')
+    .matches(QUEUE_ID_PATTERN)
+    .withMessage('Invalid queue ID'),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  queueApplicationsRule().optional(),
+  queueMembersRule().optional(),
+  queueAssignmentRule().optional()
+];
+
+// Ticket assignment: assignee and/or queue, where null or '' clears it
+const assigneeRule = () => body('assignee')
+  .optional({ values: 'null' })
+  .custom(assignee => assignee === '' || (typeof assignee === 'string' && USERNAME_PATTERN.test(assignee)))
+  .withMessage('Invalid assignee');
+
+const assignQueueRule = () => body('queue')
+  .optional({ values: 'null' })
+  .custom(queue => queue === '' || (typeof queue === 'string' && QUEUE_ID_PATTERN.test(queue)))
+  .withMessage('Invalid queue');
+
+const ticketAssignRules = [
+  param('id')
+    .matches(TICKET_ID_PATTERN)
+    .withMessage('Invalid ticket ID format'),
+  assigneeRule(),
+  assignQueueRule(),
+  body()
+    .custom(data => data.assignee !== undefined || data.queue !== undefined)
+    .withMessage('Provide an assignee or a queue')
+];
+
+const ticketMergeRules = [
+  param('id')
+    .matches(TICKET_ID_PATTERN)
+    .withMessage('Invalid ticket ID format'),
+  body('ticket_ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('ticket_ids must list 1 to 100 tickets to merge')
+    .custom(ids => ids.every(id => typeof id === 'string' && TICKET_ID_PATTERN.test(id)))
+    .withMessage('ticket_ids must be ticket IDs')
+];
+
+// Bulk ticket change: the tickets (listed, or matched by the ticket list filters) and the
+// change to apply to each
+const BULK_CHANGES = ['status', 'comment', 'assignee', 'queue', 'question'];
+
+const ticketBulkRules = [
+  body('ticket_ids')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_TICKETS })
+    .withMessage(`ticket_ids must list 1 to ${MAX_BULK_TICKETS} tickets`)
+    .custom(ids => ids.every(id => typeof id === 'string' && TICKET_ID_PATTERN.test(id)))
+    .withMessage('ticket_ids must be ticket IDs'),
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('filter must be an object of ticket list filters'),
+  body('filter.status')
+    .optional()
+    .isIn(TICKET_STATUSES)
+    .withMessage('Invalid status filter'),
+  body('filter.queue')
+    .optional()
+    .custom(queue => queue === 'none' || (typeof queue === 'string' && QUEUE_ID_PATTERN.test(queue)))
+    .withMessage('Invalid queue filter'),
+  body('filter.assignee')
+    .optional()
+    .custom(assignee => ['me', 'none'].includes(assignee) || (typeof assignee === 'string' && USERNAME_PATTERN.test(assignee)))
+    .withMessage('Invalid assignee filter'),
+  body('filter.severity')
+    .optional()
+    .isIn(['none', ...Object.keys(SEVERITIES)])
+    .withMessage('Invalid severity filter'),
+  body('filter.priority')
+    .optional()
+    .isIn(['none', ...Object.keys(PRIORITIES)])
+    .withMessage('Invalid priority filter'),
+  body('filter.sla')
+    .optional()
+    .isIn(['breached', 'at_risk'])
+    .withMessage('SLA filter must be breached or at_risk'),
+  body()
+    .custom(data => (data.ticket_ids === undefined) !== (data.filter === undefined))
+    .withMessage('Provide either ticket_ids or filter'),
+  body('status')
+    .optional()
+    .isIn(TICKET_STATUSES)
+    .withMessage('Invalid status value'),
+  commentBodyRule('comment').optional(),
+  assigneeRule(),
+  assignQueueRule(),
+  questionRule().optional(),
+  body()
+    .custom(data => BULK_CHANGES.some(field => data[field] !== undefined))
+    .withMessage(`Provide a change: ${BULK_CHANGES.join(', ')}`)
+    .custom(data => data.status === undefined || data.question === undefined)
+    .withMessage('A clarification question sets the status to waiting_clarification; send status or question, not both')
+];
+
+// SLA policy validation rules
+const SLA_MAX_MINUTES = 365 * 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const slaApplicationRule = () => body('application')
+  .isString()
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage('Application must be less than 100 characters');
+
+const slaTargetRule = (field, label) => body(field)
+  .isInt({ min: 1, max: SLA_MAX_MINUTES })
+  .withMessage(`${label} must be between 1 minute and 1 year (in minutes)`)
+  .toInt();
+
+const slaPolicyCreateRules = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required (max 100 characters)'),
+  slaApplicationRule().optional(),
+  priorityRule(),
+  slaTargetRule('response_minutes', 'Response target'),
+  slaTargetRule('resolution_minutes', 'Resolution target'),
+  body('business_hours')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('business_hours must be true or false')
+];
+
+const slaPolicyUpdateRules = [
+  param('policyId')
+    .isUUID()
+    .withMessage('Invalid policy ID'),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  slaApplicationRule().optional(),
+  priorityRule(),
+  slaTargetRule('response_minutes', 'Response target').optional(),
+  slaTargetRule('resolution_minutes', 'Resolution target').optional(),
+  body('business_hours')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('business_hours must be true or false')
+];
+
+const slaPolicyIdRules = [
+  param('policyId')
+    .isUUID()
+    .withMessage('Invalid policy ID')
+];
+
+const businessHoursRules = [
+  body('days')
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Select at least one business day')
+    .custom(days => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))
+    .withMessage('Days must be numbers from 0 (Sunday) to 6 (Saturday)'),
+  body('start')
+    .matches(TIME_PATTERN)
+    .withMessage('Start must be a time like 09:00'),
+  body('end')
+    .matches(TIME_PATTERN)
+    .withMessage('End must be a time like 17:00')
+    .custom((end, { req }) => end > req.body.start)
+    .withMessage('End must be after start')
+];
+
+// Incident validation rules
+const INCIDENT_ID_PATTERN = /^INC-\d{6,10}$/;
+
+const incidentIdRule = () => param('incidentId')
+  .matches(INCIDENT_ID_PATTERN)
+  .withMessage('Invalid incident ID');
+
+const incidentFieldRules = () => [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 4000 })
+    .withMessage('Description must be less than 4000 characters'),
+  body('application')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Application must be less than 100 characters'),
+  body('status')
+    .optional()
+    .isIn(Object.keys(INCIDENT_STATUSES))
+    .withMessage(`Status must be one of: ${Object.keys(INCIDENT_STATUSES).join(', ')}`)
+];
+
+const incidentListRules = [
+  query('status')
+    .optional()
+    .isIn(['open', ...Object.keys(INCIDENT_STATUSES)])
+    .withMessage('Invalid status filter')
+];
+
+const incidentCreateRules = [
+  body('title')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title is required (max 200 characters)'),
+  ...incidentFieldRules()
+];
+
+const incidentUpdateRules = [
+  incidentIdRule(),
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be 1-200 characters'),
+  ...incidentFieldRules()
+];
+
+const incidentIdRules = [
+  incidentIdRule()
+];
+
+const incidentLinkRules = [
+  incidentIdRule(),
+  body('ticket_ids')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('ticket_ids must list 1 to 500 tickets')
+    .custom(ids => ids.every(id => typeof id === 'string' && TICKET_ID_PATTERN.test(id)))
+    .withMessage('ticket_ids must be ticket IDs')
+];
+
+const incidentUnlinkRules = [
+  incidentIdRule(),
+  param('ticketId')
+    .matches(TICKET_ID_PATTERN)
+    .withMessage('Invalid ticket ID format')
+];
+
+const incidentResolveRules = [
+  incidentIdRule(),
+  body('resolution')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('A resolution message for the affected users is required (max 2000 characters)')
+];
+
+const apiTokenIdRules = [
+  param('tokenId')
+    .matches(/^[0-9a-f]{64}$/)
+    .withMessage('Invalid token ID')
+];
+
+// Login lockout (admin unlock) validation rules
+const lockoutRules = [
+  param('type')
+    .isIn(['account', 'ip'])
+    .withMessage('Lockout type must be account or ip'),
+  param('id')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid account or IP')
+];
+
+// Audit log query validation rules
+const auditQueryRules = [
+  query('actor').optional().isString().isLength({ max: 100 }),
+  query('entityType').optional().isString().isLength({ max: 50 }),
+  query('entityId').optional().isString().isLength({ max: 200 }),
+  query('action').optional().isString().isLength({ max: 100 }),
+  query('from')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('from must be an ISO date'),
+  query('to')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('to must be an ISO date'),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('offset').optional().isInt({ min: 0 })
+];
+
 // Session ID validation
 const sessionIdRules = [
   param('sessionId')
@@ -118,12 +701,55 @@ const sessionIdRules = [
     .withMessage('Invalid session ID')
 ];
 
+// Claiming a conversation started before sessions had secrets
+const sessionClaimRules = [
+  body('sessionId')
+    .isString()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('Invalid session ID')
+];
+
 module.exports = {
+  TICKET_ID_PATTERN,
+  MAX_BULK_TICKETS,
   validateRequest,
   chatMessageRules,
+  ticketListRules,
+  ticketCreateRules,
   ticketUpdateRules,
+  ticketIdRules,
+  ticketAssignRules,
+  ticketMergeRules,
+  ticketBulkRules,
+  incidentListRules,
+  incidentCreateRules,
+  incidentUpdateRules,
+  incidentIdRules,
+  incidentLinkRules,
+  incidentUnlinkRules,
+  incidentResolveRules,
+  commentCreateRules,
+  commentUpdateRules,
   clarificationRules,
   settingsRules,
   knowledgeDocRules,
-  sessionIdRules
+  loginRules,
+  userCreateRules,
+  userUpdateRules,
+  passwordChangeRules,
+  roleCreateRules,
+  roleUpdateRules,
+  queueCreateRules,
+  queueUpdateRules,
+  slaPolicyCreateRules,
+  slaPolicyUpdateRules,
+  slaPolicyIdRules,
+  businessHoursRules,
+  apiTokenCreateRules,
+  apiTokenIdRules,
+  lockoutRules,
+  auditQueryRules,
+  sessionIdRules,
+  sessionClaimRules
 };
@@ -0,0 +1,41 @@
+/**
+ * Schema migration CLI
+ * Run with: node migrate.js          (apply pending migrations)
+ *           node migrate.js status   (list applied and pending migrations)
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const storage = require('./services/storage');
+const { getMigrationStatus, runMigrations } = require('./services/migrationService');
+
+async function main() {
+  const command = process.argv[2] || 'up';
+  console.log(`📊 Storage backend: ${storage.backend}\n`);
+
+  if (command === 'status') {
+    const migrations = await getMigrationStatus();
+    for (const migration of migrations) {
+      const marker = migration.applied ? `✅ ${migration.appliedAt}` : '⏳ pending';
+      console.log(`  ${migration.id}  ${marker}  ${migration.description}`);
+    }
+    return;
+  }
+
+  if (command !== 'up') {
+    console.error(`❌ Unknown command "${command}". Use "up" or "status".`);
+    process.exit(1);
+  }
+
+  const applied = await runMigrations();
+  if (applied.length === 0) {
+    console.log('✨ Schema is up to date');
+  } else {
+    console.log(`\n✨ Applied ${applied.length} migration(s): ${applied.join(', ')}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
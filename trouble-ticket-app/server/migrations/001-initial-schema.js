@@ -0,0 +1,12 @@
+/**
+ * Create the original tabs: tickets, message, mock_logs, knowledge_base, settings
+ */
+module.exports = {
+  description: 'Create core tables',
+
+  async up(storage) {
+    for (const table of ['tickets', 'message', 'mock_logs', 'knowledge_base', 'settings']) {
+      await storage.ensureTable(table);
+    }
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Add reported_by to tickets (replaces migrate-add-reported-by.js)
+ */
+module.exports = {
+  description: 'Add reported_by column to tickets',
+
+  async up(storage) {
+    await storage.ensureColumns('tickets', ['reported_by']);
+  }
+};
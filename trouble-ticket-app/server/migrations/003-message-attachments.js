@@ -0,0 +1,11 @@
+/**
+ * Add related documentation pages and image attachments to chat messages
+ * (previously checked on every server start inside addMessage)
+ */
+module.exports = {
+  description: 'Add related_pages and image_url columns to message',
+
+  async up(storage) {
+    await storage.ensureColumns('message', ['related_pages', 'image_url']);
+  }
+};
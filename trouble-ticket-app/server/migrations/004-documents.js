@@ -0,0 +1,12 @@
+/**
+ * Create the documents tab used by uploads, including file_type
+ * (file_type was written by routes/documents.js but never declared)
+ */
+module.exports = {
+  description: 'Create documents table with file_type column',
+
+  async up(storage) {
+    await storage.ensureTable('documents');
+    await storage.ensureColumns('documents', ['file_type']);
+  }
+};
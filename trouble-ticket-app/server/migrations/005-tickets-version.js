@@ -0,0 +1,18 @@
+/**
+ * Add a version column to tickets for optimistic concurrency on updates
+ * Existing tickets start at version 1
+ */
+module.exports = {
+  description: 'Add version column to tickets',
+
+  async up(storage) {
+    await storage.ensureColumns('tickets', ['version']);
+
+    // updateRows bumps the (empty) version of each row to 1
+    const tickets = await storage.getRows('tickets');
+    const unversioned = tickets.filter(ticket => !ticket.version);
+    if (unversioned.length > 0) {
+      await storage.updateRows('tickets', unversioned.map(ticket => ({ id: ticket.ticket_id, updates: {} })));
+    }
+  }
+};
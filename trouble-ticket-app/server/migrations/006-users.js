@@ -0,0 +1,42 @@
+/**
+ * Add per-user staff accounts
+ * The shared role passwords become "admin" and "it_support" accounts,
+ * so existing logins (role name + password) keep working
+ */
+const LEGACY_ACCOUNTS = [
+  { username: 'admin', display_name: 'Administrator', role: 'admin' },
+  { username: 'it_support', display_name: 'IT Support', role: 'it_support' }
+];
+
+module.exports = {
+  description: 'Add users table and migrate shared role passwords to accounts',
+
+  async up(storage) {
+    await storage.ensureTable('users');
+
+    const existing = await storage.getRows('users');
+    if (existing.length > 0) {
+      return;
+    }
+
+    const settings = await storage.getRows('settings');
+    const now = new Date().toISOString();
+    const users = LEGACY_ACCOUNTS
+      .map(account => ({
+        ...account,
+        password_hash: settings.find(s => s.setting_key === `${account.role}_password_hash`)?.setting_value
+      }))
+      .filter(account => account.password_hash)
+      .map(account => ({
+        ...account,
+        enabled: 'TRUE',
+        created_at: now,
+        updated_at: now,
+        last_login_at: ''
+      }));
+
+    if (users.length > 0) {
+      await storage.addRows('users', users);
+    }
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Create the sessions tab for cookie-based staff logins
+ */
+module.exports = {
+  description: 'Create sessions table for login sessions',
+
+  async up(storage) {
+    await storage.ensureTable('sessions');
+  }
+};
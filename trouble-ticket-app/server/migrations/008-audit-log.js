@@ -0,0 +1,10 @@
+/**
+ * Create the audit_log tab recording staff and admin actions
+ */
+module.exports = {
+  description: 'Create audit_log table',
+
+  async up(storage) {
+    await storage.ensureTable('audit_log');
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Add editable staff roles
+ * The two roles accounts already hold become built-in roles: "admin" keeps every
+ * permission ("*") and "it_support" gets the ticket and analytics access it had before
+ */
+const BUILT_IN_ROLES = [
+  {
+    role_id: 'admin',
+    name: 'Administrator',
+    description: 'Full access, including settings, staff accounts and roles',
+    permissions: '*'
+  },
+  {
+    role_id: 'it_support',
+    name: 'IT Support',
+    description: 'Works the ticket queue',
+    permissions: 'tickets.read,tickets.update,tickets.close,analytics.read'
+  }
+];
+
+module.exports = {
+  description: 'Add roles table with built-in admin and it_support roles',
+
+  async up(storage) {
+    await storage.ensureTable('roles');
+
+    const existing = new Set((await storage.getRows('roles')).map(role => role.role_id));
+    const now = new Date().toISOString();
+    const roles = BUILT_IN_ROLES
+      .filter(role => !existing.has(role.role_id))
+      .map(role => ({ ...role, built_in: 'TRUE', created_at: now, updated_at: now }));
+
+    if (roles.length > 0) {
+      await storage.addRows('roles', roles);
+    }
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Create the api_tokens tab for machine integrations
+ */
+module.exports = {
+  description: 'Create api_tokens table',
+
+  async up(storage) {
+    await storage.ensureTable('api_tokens');
+  }
+};
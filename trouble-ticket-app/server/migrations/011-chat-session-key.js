@@ -0,0 +1,15 @@
+/**
+ * Generate the key that signs chat session secrets (stored encrypted like the API keys)
+ */
+const crypto = require('crypto');
+const { encrypt } = require('../middleware/encryption');
+
+module.exports = {
+  description: 'Generate chat session signing key',
+
+  async up(storage) {
+    if (!await storage.getSetting('chat_session_key')) {
+      await storage.updateSetting('chat_session_key', encrypt(crypto.randomBytes(32).toString('base64url')));
+    }
+  }
+};
@@ -0,0 +1,12 @@
+/**
+ * Add ticket queues and per-ticket queue and assignee columns
+ * Existing tickets start unassigned and outside any queue
+ */
+module.exports = {
+  description: 'Add queues table and ticket queue/assignee columns',
+
+  async up(storage) {
+    await storage.ensureTable('queues');
+    await storage.ensureColumns('tickets', ['queue', 'assignee']);
+  }
+};
@@ -0,0 +1,11 @@
+/**
+ * Add ticket severity and priority columns
+ * Existing tickets are left untriaged (both empty) rather than guessed
+ */
+module.exports = {
+  description: 'Add ticket severity and priority columns',
+
+  async up(storage) {
+    await storage.ensureColumns('tickets', ['severity', 'priority']);
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Add SLA policies and the ticket fields their timers need
+ * Existing tickets get their first response from the earliest IT support message, and
+ * tickets currently waiting for the user start paused from their last update
+ */
+module.exports = {
+  description: 'Add sla_policies table and ticket SLA timer columns',
+
+  async up(storage) {
+    await storage.ensureTable('sla_policies');
+    await storage.ensureColumns('tickets', ['first_response_at', 'sla_paused_at', 'sla_pauses']);
+
+    const firstResponses = new Map();
+    for (const message of await storage.getRows('message')) {
+      if (message.sender === 'it_support' && message.ticket_id) {
+        const earliest = firstResponses.get(message.ticket_id);
+        if (!earliest || message.timestamp < earliest) {
+          firstResponses.set(message.ticket_id, message.timestamp);
+        }
+      }
+    }
+
+    const changes = (await storage.getRows('tickets'))
+      .map(ticket => {
+        const updates = {};
+        if (!ticket.first_response_at && firstResponses.has(ticket.ticket_id)) {
+          updates.first_response_at = firstResponses.get(ticket.ticket_id);
+        }
+        if (ticket.status === 'waiting_clarification' && !ticket.sla_paused_at) {
+          updates.sla_paused_at = ticket.updated_at;
+        }
+        return { id: ticket.ticket_id, updates };
+      })
+      .filter(change => Object.keys(change.updates).length > 0);
+
+    if (changes.length > 0) {
+      await storage.updateRows('tickets', changes);
+    }
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Add the ticket_events timeline
+ * Existing tickets get a "created" event at their report time and, if closed, a status
+ * change to closed at their resolution time; earlier history was never recorded
+ */
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = {
+  description: 'Add ticket_events table and backfill creation and closing events',
+
+  async up(storage) {
+    await storage.ensureTable('ticket_events');
+
+    const recorded = new Set((await storage.getRows('ticket_events')).map(event => event.ticket_id));
+    const events = [];
+    for (const ticket of await storage.getRows('tickets')) {
+      if (recorded.has(ticket.ticket_id)) continue;
+
+      events.push({
+        event_id: uuidv4(),
+        ticket_id: ticket.ticket_id,
+        timestamp: ticket.reported_at,
+        type: 'created',
+        actor: 'system',
+        data: JSON.stringify({ source: 'backfill', application: ticket.application })
+      });
+      if (ticket.status === 'closed' && ticket.resolved_at) {
+        events.push({
+          event_id: uuidv4(),
+          ticket_id: ticket.ticket_id,
+          timestamp: ticket.resolved_at,
+          type: 'status_changed',
+          actor: 'system',
+          data: JSON.stringify({ from: '', to: 'closed' })
+        });
+      }
+    }
+
+    if (events.length > 0) {
+      await storage.addRows('ticket_events', events);
+    }
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Add ticket_comments, replacing the single it_notes field
+ * Each ticket's IT notes become its first comment, written by 'system' at the ticket's last
+ * update (who wrote them was never recorded), and the field is cleared.
+ * The comment id is derived from the ticket id, so a rerun after a failure between the two
+ * writes finds the comments it already added instead of adding them again
+ */
+const { v5: uuidv5 } = require('uuid');
+
+// Namespace for the ids of comments moved from it_notes
+const IT_NOTES_NAMESPACE = '6f1c2a4e-8d3b-4c5a-9e7f-0b1d2c3e4f50';
+
+module.exports = {
+  description: 'Add ticket_comments table and move IT notes into comments',
+
+  async up(storage) {
+    await storage.ensureTable('ticket_comments');
+
+    const withNotes = (await storage.getRows('tickets')).filter(ticket => (ticket.it_notes || '').trim());
+    if (withNotes.length === 0) {
+      return;
+    }
+
+    const existing = new Set((await storage.getRows('ticket_comments')).map(comment => comment.comment_id));
+    const comments = withNotes
+      .map(ticket => ({
+        comment_id: uuidv5(ticket.ticket_id, IT_NOTES_NAMESPACE),
+        ticket_id: ticket.ticket_id,
+        author: 'system',
+        body: ticket.it_notes.trim(),
+        mentions: '',
+        created_at: ticket.updated_at,
+        updated_at: ticket.updated_at,
+        history: ''
+      }))
+      .filter(comment => !existing.has(comment.comment_id));
+
+    if (comments.length > 0) {
+      await storage.addRows('ticket_comments', comments);
+    }
+    await storage.updateRows('tickets', withNotes.map(ticket => ({
+      id: ticket.ticket_id,
+      updates: { it_notes: '' }
+    })));
+  }
+};
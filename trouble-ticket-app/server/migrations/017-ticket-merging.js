@@ -0,0 +1,12 @@
+/**
+ * Add the ticket column recording which ticket a duplicate was merged into
+ * Ticket embeddings for duplicate detection live in the vector store and are created
+ * the first time a ticket is compared, so existing tickets need no backfill here
+ */
+module.exports = {
+  description: 'Add tickets.merged_into column',
+
+  async up(storage) {
+    await storage.ensureColumns('tickets', ['merged_into']);
+  }
+};
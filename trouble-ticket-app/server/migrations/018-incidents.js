@@ -0,0 +1,11 @@
+/**
+ * Add major incidents and the ticket column linking a ticket to its incident
+ */
+module.exports = {
+  description: 'Add incidents table and tickets.incident_id column',
+
+  async up(storage) {
+    await storage.ensureTable('incidents');
+    await storage.ensureColumns('tickets', ['incident_id']);
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Add chat_session_claims, recording which pre-secret chat sessions have been claimed
+ */
+module.exports = {
+  description: 'Add chat_session_claims table',
+
+  async up(storage) {
+    await storage.ensureTable('chat_session_claims');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Give the built-in "it_support" role back the analytics access it had before roles existed
+ * Migration 009 first created it without analytics.read. Only a role still holding exactly
+ * those defaults is changed; a role an admin has edited is left as they set it
+ */
+const ROLE_ID = 'it_support';
+const OLD_DEFAULTS = 'tickets.read,tickets.update,tickets.close';
+
+module.exports = {
+  description: 'Restore analytics.read for the it_support role',
+
+  async up(storage) {
+    const role = await storage.getRole(ROLE_ID);
+    if (!role || role.permissions !== OLD_DEFAULTS) {
+      return;
+    }
+
+    await storage.updateRole(ROLE_ID, {
+      permissions: `${OLD_DEFAULTS},analytics.read`,
+      updated_at: new Date().toISOString()
+    });
+  }
+};
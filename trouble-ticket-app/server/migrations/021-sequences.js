@@ -0,0 +1,40 @@
+/**
+ * Move sequence counters (ticket and incident ids) out of settings into the append-only
+ * sequences table
+ * Each counter becomes one row reserving the values already handed out, so numbering
+ * carries on where it stopped, and its settings row is deleted
+ */
+const COUNTER_PREFIX = 'sequence_';
+
+module.exports = {
+  description: 'Add sequences table and move sequence_* counters out of settings',
+
+  async up(storage) {
+    await storage.ensureTable('sequences');
+
+    const counters = (await storage.getRows('settings'))
+      .filter(row => (row.setting_key || '').startsWith(COUNTER_PREFIX));
+    if (counters.length === 0) {
+      return;
+    }
+
+    // The claim id is fixed per counter, so a rerun doesn't carry a counter over twice
+    const existing = new Set((await storage.getRows('sequences')).map(row => row.claim_id));
+    const now = new Date().toISOString();
+    const carried = counters
+      .map(row => ({
+        claim_id: `migrated-${row.setting_key}`,
+        name: row.setting_key.slice(COUNTER_PREFIX.length),
+        count: String(parseInt(row.setting_value, 10) || 0),
+        claimed_at: now
+      }))
+      .filter(row => !existing.has(row.claim_id));
+
+    if (carried.length > 0) {
+      await storage.addRows('sequences', carried);
+    }
+    for (const row of counters) {
+      await storage.deleteSetting(row.setting_key);
+    }
+  }
+};
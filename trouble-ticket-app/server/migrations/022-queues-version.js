@@ -0,0 +1,19 @@
+/**
+ * Add a version column to queues so round-robin assignment can't hand two concurrent
+ * escalations to the same member
+ * Existing queues start at version 1
+ */
+module.exports = {
+  description: 'Add version column to queues',
+
+  async up(storage) {
+    await storage.ensureColumns('queues', ['version']);
+
+    // updateRows bumps the (empty) version of each row to 1
+    const queues = await storage.getRows('queues');
+    const unversioned = queues.filter(queue => !queue.version);
+    if (unversioned.length > 0) {
+      await storage.updateRows('queues', unversioned.map(queue => ({ id: queue.queue_id, updates: {} })));
+    }
+  }
+};
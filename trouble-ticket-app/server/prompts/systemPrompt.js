@@ -170,8 +170,40 @@ Format your response as:
 [Questions for the user]`;
 }
 
+/**
+ * Generate a prompt for proposing a new ticket's severity and priority from its chat transcript
+ */
+function getTriagePrompt(ticketInfo, transcript) {
+  return `Assess the severity and priority of this IT support ticket, escalated from the conversation below.
+
+## Ticket Information
+- Application: ${ticketInfo.application}
+- Problem Summary: ${ticketInfo.problem_summary}
+- Problem Details: ${ticketInfo.problem_details}
+
+## Conversation
+${transcript || 'No conversation available.'}
+
+## Definitions
+Severity is the impact of the problem:
+- critical: the application is down or data is at risk, for many users, with no workaround
+- high: a key function is broken for several users, or for one user with no workaround
+- medium: a function is broken for one user, or a workaround exists
+- low: cosmetic issue, question or inconvenience
+
+Priority is how soon IT should work on it, given the severity and any urgency in the conversation (deadlines, payroll runs, customers waiting):
+- p1: now
+- p2: today
+- p3: within a few days
+- p4: when time allows
+
+Respond with JSON only:
+{"severity": "critical|high|medium|low", "priority": "p1|p2|p3|p4", "reason": "one sentence"}`;
+}
+
 module.exports = {
   getSystemPrompt,
   getDefaultSystemPrompt,
-  getITSupportPrompt
+  getITSupportPrompt,
+  getTriagePrompt
 };
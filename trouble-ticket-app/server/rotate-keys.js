@@ -0,0 +1,61 @@
+/**
+ * Encryption key rotation CLI
+ * Run with: node rotate-keys.js status      (show which key each secret setting is encrypted with)
+ *           node rotate-keys.js --dry-run   (show what a rotation would re-encrypt)
+ *           node rotate-keys.js             (re-encrypt every secret setting with the primary key)
+ *
+ * To rotate: put the new key first in ENCRYPTION_KEYS and keep the old one listed
+ * (ENCRYPTION_KEYS="2026-10:<new key>,default:<old key>"), run this, then drop the old key
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const storage = require('./services/storage');
+const { PRIMARY_KEY_ID, getKeyIds } = require('./middleware/encryption');
+const { checkSecrets, rotateSecrets } = require('./services/secretService');
+const { recordAudit } = require('./services/auditService');
+
+async function main() {
+  const command = process.argv.slice(2).find(arg => !arg.startsWith('--')) || 'rotate';
+  const dryRun = process.argv.includes('--dry-run');
+  console.log(`📊 Storage backend: ${storage.backend}`);
+  console.log(`🔑 Keys: ${getKeyIds().join(', ')} (primary: ${PRIMARY_KEY_ID})\n`);
+
+  if (command === 'status') {
+    const secrets = await checkSecrets();
+    for (const [key, { status, keyId, error }] of Object.entries(secrets)) {
+      console.log(`  ${key}: ${status}${keyId ? ` (key ${keyId})` : ''}${error ? ` - ${error}` : ''}`);
+    }
+    return;
+  }
+
+  if (command !== 'rotate') {
+    console.error(`❌ Unknown command "${command}". Use "status" or no command to rotate.`);
+    process.exit(1);
+  }
+
+  const result = await rotateSecrets({ dryRun });
+  result.rotated.forEach(key => console.log(`  ${key}: ${dryRun ? 'would be re-encrypted' : 're-encrypted'} with key ${result.keyId}`));
+  result.current.forEach(key => console.log(`  ${key}: already uses key ${result.keyId}`));
+  result.failed.forEach(({ key, error }) => console.log(`  ${key}: ⚠️  ${error}`));
+
+  if (!dryRun && result.rotated.length > 0) {
+    await recordAudit({ user: { username: 'cli', role: '' }, ip: '' }, {
+      action: 'settings.rotate_keys',
+      entityType: 'settings',
+      entityId: 'secrets',
+      after: { key_id: result.keyId, rotated: result.rotated.join(',') }
+    });
+  }
+
+  if (result.failed.length > 0) {
+    console.error(`\n❌ ${result.failed.length} secret(s) could not be decrypted with any configured key; re-enter them in Admin Settings`);
+    process.exit(1);
+  }
+  console.log(dryRun ? '\n🔍 Dry run - nothing was changed' : `\n✨ Secrets are encrypted with key ${result.keyId}`);
+}
+
+main().catch(error => {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+});
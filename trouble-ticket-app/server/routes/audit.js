@@ -0,0 +1,44 @@
+/**
+ * Audit log API routes
+ * Browse the record of staff and admin actions
+ */
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { auditQueryRules, validateRequest } = require('../middleware/validate');
+const auditService = require('../services/auditService');
+
+// Require the audit.read permission for all audit routes
+router.use(requirePermission('audit.read'));
+
+/**
+ * GET /api/audit?actor=&entityType=&entityId=&action=&from=&to=&limit=&offset=
+ * Search audit entries, newest first
+ */
+router.get('/', auditQueryRules, validateRequest, async (req, res) => {
+  try {
+    const { actor, entityType, entityId, action, from, to, limit, offset } = req.query;
+    res.json(await auditService.queryAudit({ actor, entityType, entityId, action, from, to, limit, offset }));
+  } catch (error) {
+    console.error('Audit log query error:', error);
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+/**
+ * GET /api/audit/filters
+ * Values for the filter dropdowns (actors seen in the log, entity types)
+ */
+router.get('/filters', async (req, res) => {
+  try {
+    res.json({
+      actors: await auditService.getAuditActors(),
+      entityTypes: auditService.ENTITY_TYPES
+    });
+  } catch (error) {
+    console.error('Audit filters error:', error);
+    res.status(500).json({ error: 'Failed to load audit filters' });
+  }
+});
+
+module.exports = router;
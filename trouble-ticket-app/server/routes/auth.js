@@ -0,0 +1,97 @@
+/**
+ * Login session API routes
+ * Issue, refresh and revoke the HttpOnly session cookie used by the staff UI
+ */
+const express = require('express');
+const router = express.Router();
+const {
+  authenticateCredentials,
+  loadRequestUser,
+  getSessionToken,
+  setSessionCookie,
+  clearSessionCookie
+} = require('../middleware/auth');
+const { loginRules, validateRequest } = require('../middleware/validate');
+const sessionService = require('../services/sessionService');
+const userService = require('../services/userService');
+const storage = require('../services/storage');
+const { recordAudit } = require('../services/auditService');
+
+function clientInfo(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') || '' };
+}
+
+/**
+ * POST /api/auth/login
+ * Check username and password and start a session
+ */
+router.post('/login', loginRules, validateRequest, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const { user, error, retryAfterSeconds } = await authenticateCredentials(username, password, { ip: req.ip });
+    if (retryAfterSeconds) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({ error, retryAfterSeconds });
+    }
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
+    const { token, session } = await sessionService.createSession(user.username, clientInfo(req));
+    await userService.recordLogin(user.username);
+
+    req.user = await loadRequestUser(user);
+    await recordAudit(req, { action: 'session.login', entityType: 'session', entityId: user.username });
+
+    setSessionCookie(res, token, session);
+    res.json({ user: req.user, expiresAt: session.expires_at });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Replace the current session with a new one (new token, new expiry)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshed = await sessionService.refreshSession(getSessionToken(req), clientInfo(req));
+    const user = refreshed ? await storage.getUser(refreshed.session.username) : null;
+
+    if (!user || user.enabled === 'FALSE') {
+      clearSessionCookie(res);
+      return res.status(401).json({ error: 'Session expired', message: 'Please log in again' });
+    }
+
+    setSessionCookie(res, refreshed.token, refreshed.session);
+    res.json({ user: await loadRequestUser(user), expiresAt: refreshed.session.expires_at });
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session and clear the cookie
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const token = getSessionToken(req);
+    const session = token ? await sessionService.getActiveSession(token) : null;
+    if (session) {
+      await sessionService.revokeSession(token);
+      req.user = { username: session.username };
+      await recordAudit(req, { action: 'session.logout', entityType: 'session', entityId: session.username });
+    }
+    clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+module.exports = router;
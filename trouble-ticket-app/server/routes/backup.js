@@ -0,0 +1,108 @@
+/**
+ * Backup API routes
+ * Download a full backup archive and restore from one (with dry-run diff)
+ * Archives hold password hashes, encrypted API keys, chat transcripts and documents; only
+ * accounts with backup.manage can download or restore them
+ */
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const os = require('os');
+const fs = require('fs');
+const { requirePermission } = require('../middleware/auth');
+const { handleUploadError } = require('../middleware/upload');
+const backupService = require('../services/backupService');
+const { recordAudit } = require('../services/auditService');
+
+// Uploaded archives are written to a temporary file and streamed from there, then deleted
+const MAX_ARCHIVE_SIZE_MB = parseInt(process.env.BACKUP_MAX_SIZE_MB, 10) || 500;
+const archiveUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, os.tmpdir()),
+    filename: (req, file, cb) => cb(null, `restore-${Date.now()}-${Math.round(Math.random() * 1E9)}.json.gz`)
+  }),
+  limits: { fileSize: MAX_ARCHIVE_SIZE_MB * 1024 * 1024 }
+});
+
+// Require the backup.manage permission for all backup routes
+router.use(requirePermission('backup.manage'));
+
+/**
+ * GET /api/backup
+ * Download a backup archive of all tables and data files, streamed as it is built
+ */
+router.get('/', async (req, res) => {
+  const filename = `backup-${new Date().toISOString().replace(/[:.]/g, '-')}.json.gz`;
+  res.set({
+    'Content-Type': 'application/gzip',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+
+  try {
+    const manifest = await backupService.createBackup(res);
+
+    await recordAudit(req, {
+      action: 'backup.create',
+      entityType: 'backup',
+      entityId: filename,
+      after: { tables: manifest.tables, files: manifest.files }
+    });
+  } catch (error) {
+    console.error('Create backup error:', error);
+    if (!res.headersSent && !res.destroyed) {
+      return res.status(500).json({ error: 'Failed to create backup', details: error.message });
+    }
+    // Part of the archive was already sent; cut the download so it can't be mistaken for a whole one
+    res.destroy(error);
+  }
+});
+
+/**
+ * POST /api/backup/restore?dryRun=false&restoreSessions=true
+ * Restore from an uploaded archive (multipart field "archive")
+ * Runs as a dry run returning the diff unless dryRun=false is passed explicitly. Login
+ * sessions are left as they are unless restoreSessions=true; the caller's own session is
+ * kept either way
+ */
+router.post('/restore',
+  archiveUpload.single('archive'),
+  handleUploadError,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No archive uploaded' });
+      }
+
+      const dryRun = req.query.dryRun !== 'false';
+      const result = await backupService.restoreBackup(req.file.path, {
+        dryRun,
+        restoreSessions: req.query.restoreSessions === 'true',
+        keepSessionId: req.authSession?.session_id || null
+      });
+
+      if (!dryRun) {
+        console.log(`Backup from ${result.archive.createdAt} restored`);
+        // Written after the restore so it isn't replaced by the archive's audit log
+        await recordAudit(req, {
+          action: 'backup.restore',
+          entityType: 'backup',
+          entityId: req.file.originalname,
+          after: { createdAt: result.archive.createdAt, tables: result.archive.tables, files: result.archive.files }
+        });
+      }
+      res.json(result);
+    } catch (error) {
+      if (error.name === 'InvalidBackupError') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Restore backup error:', error);
+      res.status(500).json({ error: 'Failed to restore backup', details: error.message });
+    } finally {
+      if (req.file) {
+        fs.rm(req.file.path, { force: true }, () => {});
+      }
+    }
+  }
+);
+
+module.exports = router;
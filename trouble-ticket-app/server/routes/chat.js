@@ -8,10 +8,18 @@ const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { chatMessageRules, sessionIdRules, validateRequest } = require('../middleware/validate');
-const googleSheets = require('../services/googleSheets');
+const { chatMessageRules, sessionIdRules, sessionClaimRules, validateRequest } = require('../middleware/validate');
+const storage = require('../services/storage');
+const { isOutageError } = require('../services/writeOutbox');
 const llmService = require('../services/llmService');
 const vectorService = require('../services/vectorService');
+const loginThrottle = require('../services/loginThrottle');
+const { createChatSession, verifyChatSession, claimLegacySession } = require('../services/chatSessionService');
+const { routeNewTicket } = require('../services/queueService');
+const { suggestTriage } = require('../services/triageService');
+const { trackTicketChange } = require('../services/slaService');
+const { indexTicket } = require('../services/duplicateService');
+const ticketEvents = require('../services/ticketEventService');
 const { getSystemPrompt } = require('../prompts/systemPrompt');
 
 // Configure image upload storage - persist to disk for session history
@@ -59,6 +67,53 @@ const imageUpload = multer({
   }
 });
 
+/**
+ * Require the secret issued with a chat session in the X-Session-Secret header (never in
+ * the URL, where it would reach access logs and Referer headers)
+ * Responds 403 rather than 401 so the client doesn't treat it as an expired staff login
+ * @param {Function} getSessionId - Reads the session id from the request
+ */
+function requireSessionSecret(getSessionId) {
+  return async (req, res, next) => {
+    try {
+      const sessionId = getSessionId(req);
+      if (!sessionId) {
+        return res.status(400).json({ error: 'sessionId is required' });
+      }
+
+      const secret = req.get('X-Session-Secret');
+      if (!await verifyChatSession(sessionId, secret)) {
+        return res.status(403).json({ error: 'Invalid chat session', message: 'Start a new conversation' });
+      }
+
+      req.chatSessionId = sessionId;
+      next();
+    } catch (error) {
+      console.error('Chat session check error:', error);
+      res.status(500).json({ error: 'Failed to verify chat session' });
+    }
+  };
+}
+
+/**
+ * Read context for an AI reply, falling back to a default while storage is unavailable
+ * The user's message is saved (or queued) first, so an outage only costs the reply its context
+ * @param {Function} read - Async storage read
+ * @param {*} fallback - Value to use when storage is unreachable
+ * @param {string} what - Description for the log
+ */
+async function readForReply(read, fallback, what) {
+  try {
+    return await read();
+  } catch (error) {
+    if (!isOutageError(error)) {
+      throw error;
+    }
+    console.warn(`Storage unavailable, replying without ${what}:`, error.message);
+    return fallback;
+  }
+}
+
 /**
  * Parse AI JSON response
  * Returns parsed object or null if parsing fails
@@ -98,12 +153,64 @@ function extractTicketDataLegacy(response) {
 }
 
 /**
- * POST /api/chat/upload-image
+ * Record the creation of a ticket escalated from the chat
+ */
+async function recordCreated(ticket) {
+  const { application, queue, assignee, severity, priority } = ticket;
+  await ticketEvents.recordTicketEvents([
+    ticketEvents.ticketEvent(ticket.ticket_id, 'created', ticketEvents.CHAT_ACTOR, {
+      source: 'chat', application, queue, assignee, severity, priority
+    }, ticket.reported_at)
+  ]);
+}
+
+/**
+ * POST /api/chat/session
+ * Start a chat session; the secret is returned once and must accompany every request for it
+ */
+router.post('/session', async (req, res) => {
+  try {
+    res.status(201).json(await createChatSession());
+  } catch (error) {
+    console.error('Create chat session error:', error);
+    res.status(500).json({ error: 'Failed to start chat session' });
+  }
+});
+
+/**
+ * POST /api/chat/session/claim
+ * Get the secret for a conversation started before sessions had secrets ({ sessionId });
+ * only conversations with an open ticket qualify, once each. Failed claims count towards
+ * the client IP's lockout, so legacy ids can't be guessed
+ */
+router.post('/session/claim', sessionClaimRules, validateRequest, async (req, res) => {
+  const lock = loginThrottle.checkLock({ ip: req.ip });
+  if (lock) {
+    res.set('Retry-After', String(lock.retryAfterSeconds));
+    return res.status(429).json({ error: 'Too many attempts', message: `Try again in ${lock.retryAfterSeconds} seconds` });
+  }
+
+  try {
+    const issued = await claimLegacySession(req.body.sessionId, { ip: req.ip });
+    console.log(`Claimed legacy chat session ${issued.sessionId}`);
+    res.status(201).json(issued);
+  } catch (error) {
+    if (error.name === 'ChatSessionError') {
+      loginThrottle.recordFailure({ ip: req.ip }, { reserved: false });
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Claim chat session error:', error);
+    res.status(500).json({ error: 'Failed to claim chat session' });
+  }
+});
+
+/**
+ * POST /api/chat/upload-image?sessionId=...
  * Upload an image for troubleshooting
  * Returns an imageId that can be used with the message endpoint
- * Images are persisted to disk for session history
+ * Images are persisted to disk for session history and only served to that session
  */
-router.post('/upload-image', imageUpload.single('image'), async (req, res) => {
+router.post('/upload-image', requireSessionSecret(req => req.query.sessionId), imageUpload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image uploaded' });
@@ -114,6 +221,7 @@ router.post('/upload-image', imageUpload.single('image'), async (req, res) => {
 
     // Track the uploaded image temporarily until it's used in a message
     uploadedImages.set(imageId, {
+      sessionId: req.chatSessionId,
       filename: req.file.filename,
       filepath: req.file.path,
       mimetype: req.file.mimetype,
@@ -151,14 +259,14 @@ router.post('/upload-image', imageUpload.single('image'), async (req, res) => {
  * Send a message and get AI response
  * Optionally include imageId to send an image with the message
  */
-router.post('/message', chatMessageRules, validateRequest, async (req, res) => {
+router.post('/message', chatMessageRules, validateRequest, requireSessionSecret(req => req.body.sessionId), async (req, res) => {
   try {
     const { sessionId, message, imageId } = req.body;
 
-    // Check if there's an image to process
+    // Check if there's an image to process (only images uploaded to this session)
     let imageData = null;
     let savedImageUrl = null;
-    if (imageId && uploadedImages.has(imageId)) {
+    if (imageId && uploadedImages.get(imageId)?.sessionId === sessionId) {
       const img = uploadedImages.get(imageId);
 
       // Read image from disk for LLM processing
@@ -177,11 +285,26 @@ router.post('/message', chatMessageRules, validateRequest, async (req, res) => {
       console.log(`Processing message with image: ${img.filename}`);
     }
 
-    // Get conversation history
-    const history = await googleSheets.getMessagesBySession(sessionId);
+    // Save user message (with image URL if present) before anything else can fail,
+    // so it is queued in the outbox rather than lost during a storage outage
+    const userMessageId = uuidv4();
+    await storage.addMessage({
+      message_id: userMessageId,
+      session_id: sessionId,
+      ticket_id: '',
+      sender: 'user',
+      content: message,
+      timestamp: new Date().toISOString(),
+      read: 'TRUE',
+      image_url: savedImageUrl || ''
+    });
+
+    // Get conversation history (without the message just saved, which is sent separately)
+    const history = (await readForReply(() => storage.getMessagesBySession(sessionId), [], 'conversation history'))
+      .filter(msg => msg.message_id !== userMessageId);
 
-    // Get knowledge base for context (from Google Sheets)
-    const knowledgeBase = await googleSheets.getKnowledgeBase();
+    // Get knowledge base for context (from storage)
+    const knowledgeBase = await readForReply(() => storage.getKnowledgeBase(), [], 'knowledge base');
     const kbContent = knowledgeBase.map(doc =>
       `### ${doc.title} (${doc.application})\n${doc.content}`
     ).join('\n\n---\n\n');
@@ -273,23 +396,11 @@ router.post('/message', chatMessageRules, validateRequest, async (req, res) => {
     const combinedContext = kbContent + vectorContext;
 
     // Get custom system prompt if configured
-    const customPrompt = await googleSheets.getSetting('system_prompt');
+    const customPrompt = await readForReply(() => storage.getSetting('system_prompt'), null, 'custom system prompt');
 
     // Build system prompt with combined context
     const systemPrompt = getSystemPrompt(combinedContext, customPrompt || null);
 
-    // Save user message (with image URL if present)
-    await googleSheets.addMessage({
-      message_id: uuidv4(),
-      session_id: sessionId,
-      ticket_id: '',
-      sender: 'user',
-      content: message,
-      timestamp: new Date().toISOString(),
-      read: 'TRUE',
-      image_url: savedImageUrl || ''
-    });
-
     // Get AI response (with or without image)
     let rawAiResponse;
     try {
@@ -337,17 +448,28 @@ router.post('/message', chatMessageRules, validateRequest, async (req, res) => {
 
         if (hasApplication && hasProblemSummary && hasProblemDetails) {
           // Try to find a matching mock log
-          const mockLog = await googleSheets.findMatchingMockLog(
+          const mockLog = await storage.findMatchingMockLog(
             parsedResponse.application,
             ticketData.error_pattern || ''
           );
 
+          // Route it to the application's queue and let the queue pick an assignee
+          const routing = await routeNewTicket(parsedResponse.application, { autoAssign: true });
+
+          // Propose severity and priority from the conversation so far
+          const triage = await suggestTriage(
+            { application: parsedResponse.application, ...ticketData },
+            [...history, { sender: 'user', content: message }]
+          );
+
           // Create the ticket
-          ticketCreated = await googleSheets.createTicket({
-            ticket_id: `TKT-${Date.now().toString().slice(-5)}`,
+          ticketCreated = await storage.createTicket({
+            ticket_id: await storage.allocateTicketId(),
             session_id: sessionId,
             status: 'open',
             application: parsedResponse.application || 'Unknown',
+            ...routing,
+            ...triage,
             problem_summary: ticketData.problem_summary || 'Issue reported by user',
             problem_details: ticketData.problem_details || message,
             reported_by: ticketData.user_name || '',
@@ -355,10 +477,12 @@ router.post('/message', chatMessageRules, validateRequest, async (req, res) => {
             updated_at: new Date().toISOString(),
             assigned_log: mockLog?.log_id || '',
             suggested_fix: mockLog?.suggested_fix || 'Requires manual analysis',
-            it_notes: '',
             resolved_at: ''
           });
 
+          await recordCreated(ticketCreated);
+          await indexTicket(ticketCreated);
+
           // Append ticket confirmation to response
           displayResponse += `\n\nI've created ticket **${ticketCreated.ticket_id}** for you. Our IT team will look into this and may reach out if they need more information.`;
         } else {
@@ -375,26 +499,33 @@ router.post('/message', chatMessageRules, validateRequest, async (req, res) => {
         const ticketData = extractTicketDataLegacy(rawAiResponse);
 
         if (ticketData) {
-          const mockLog = await googleSheets.findMatchingMockLog(
+          const mockLog = await storage.findMatchingMockLog(
             ticketData.application,
             ticketData.error_pattern || ''
           );
 
-          ticketCreated = await googleSheets.createTicket({
-            ticket_id: `TKT-${Date.now().toString().slice(-5)}`,
+          const routing = await routeNewTicket(ticketData.application, { autoAssign: true });
+          const triage = await suggestTriage(ticketData, [...history, { sender: 'user', content: message }]);
+
+          ticketCreated = await storage.createTicket({
+            ticket_id: await storage.allocateTicketId(),
             session_id: sessionId,
             status: 'open',
             application: ticketData.application || 'Unknown',
+            ...routing,
+            ...triage,
             problem_summary: ticketData.problem_summary || 'Issue reported by user',
             problem_details: ticketData.problem_details || message,
             reported_at: new Date().toISOString(),
             updated_at: new Date().toISOString(),
             assigned_log: mockLog?.log_id || '',
             suggested_fix: mockLog?.suggested_fix || 'Requires manual analysis',
-            it_notes: '',
             resolved_at: ''
           });
 
+          await recordCreated(ticketCreated);
+          await indexTicket(ticketCreated);
+
           displayResponse = rawAiResponse.replace(/\[CREATE_TICKET\][\s\S]*$/, '').trim();
           displayResponse += `\n\nI've created ticket **${ticketCreated.ticket_id}** for you. Our IT team will look into this and may reach out if they need more information.`;
         } else {
@@ -410,17 +541,24 @@ router.post('/message', chatMessageRules, validateRequest, async (req, res) => {
     let ticketsClosed = [];
     if (conversationStatus === 'resolved') {
       try {
-        const openTickets = await googleSheets.getOpenTicketsBySession(sessionId);
-        for (const ticket of openTickets) {
-          await googleSheets.updateTicket(ticket.ticket_id, {
+        const openTickets = await storage.getOpenTicketsBySession(sessionId);
+        const closedAt = new Date().toISOString();
+        await storage.updateTickets(openTickets.map(ticket => {
+          const updates = {
             status: 'closed',
-            resolved_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-            it_notes: (ticket.it_notes || '') + '\n[Auto-closed: User confirmed issue resolved]'
-          });
-          ticketsClosed.push(ticket.ticket_id);
-          console.log(`Auto-closed ticket ${ticket.ticket_id} - user confirmed resolved`);
-        }
+            resolved_at: closedAt,
+            updated_at: closedAt
+          };
+          return { id: ticket.ticket_id, updates: { ...updates, ...trackTicketChange(ticket, updates) } };
+        }));
+        await ticketEvents.recordTicketEvents(openTickets.map(ticket =>
+          ticketEvents.ticketEvent(ticket.ticket_id, 'auto_closed', ticketEvents.CHAT_ACTOR, {
+            from: ticket.status,
+            reason: 'User confirmed the issue is resolved'
+          }, closedAt)
+        ));
+        ticketsClosed = openTickets.map(ticket => ticket.ticket_id);
+        ticketsClosed.forEach(ticketId => console.log(`Auto-closed ticket ${ticketId} - user confirmed resolved`));
 
         // Append closure info to response if tickets were closed
         if (ticketsClosed.length > 0) {
@@ -438,7 +576,7 @@ router.post('/message', chatMessageRules, validateRequest, async (req, res) => {
     // Save AI response (human-readable version)
     // Include related_pages only if we're showing them to the user
     const pagesToStore = shouldShowPages ? relatedPages : null;
-    await googleSheets.addMessage({
+    await storage.addMessage({
       message_id: uuidv4(),
       session_id: sessionId,
       ticket_id: ticketCreated?.ticket_id || '',
@@ -468,10 +606,10 @@ router.post('/message', chatMessageRules, validateRequest, async (req, res) => {
  * GET /api/chat/session/:sessionId
  * Get all messages for a session
  */
-router.get('/session/:sessionId', sessionIdRules, validateRequest, async (req, res) => {
+router.get('/session/:sessionId', sessionIdRules, validateRequest, requireSessionSecret(req => req.params.sessionId), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const messages = await googleSheets.getMessagesBySession(sessionId);
+    const messages = await storage.getMessagesBySession(sessionId);
     res.json(messages);
   } catch (error) {
     console.error('Get session error:', error);
@@ -483,10 +621,10 @@ router.get('/session/:sessionId', sessionIdRules, validateRequest, async (req, r
  * GET /api/chat/notifications/:sessionId
  * Check for unread messages (for notification bell)
  */
-router.get('/notifications/:sessionId', sessionIdRules, validateRequest, async (req, res) => {
+router.get('/notifications/:sessionId', sessionIdRules, validateRequest, requireSessionSecret(req => req.params.sessionId), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const unreadMessages = await googleSheets.getUnreadMessages(sessionId);
+    const unreadMessages = await storage.getUnreadMessages(sessionId);
     res.json({
       hasNotifications: unreadMessages.length > 0,
       count: unreadMessages.length
@@ -501,14 +639,10 @@ router.get('/notifications/:sessionId', sessionIdRules, validateRequest, async (
  * POST /api/chat/mark-read
  * Mark messages as read
  */
-router.post('/mark-read', async (req, res) => {
+router.post('/mark-read', requireSessionSecret(req => req.body.sessionId), async (req, res) => {
   try {
     const { sessionId } = req.body;
-    if (!sessionId) {
-      return res.status(400).json({ error: 'sessionId is required' });
-    }
-
-    const count = await googleSheets.markMessagesAsRead(sessionId);
+    const count = await storage.markMessagesAsRead(sessionId);
     res.json({ success: true, markedCount: count });
   } catch (error) {
     console.error('Mark read error:', error);
@@ -517,10 +651,10 @@ router.post('/mark-read', async (req, res) => {
 });
 
 /**
- * GET /api/chat/images/:filename
- * Serve saved chat images
+ * GET /api/chat/images/:filename?sessionId=...
+ * Serve a saved chat image to the session it was uploaded to (secret in X-Session-Secret)
  */
-router.get('/images/:filename', (req, res) => {
+router.get('/images/:filename', requireSessionSecret(req => req.query.sessionId), async (req, res) => {
   try {
     const { filename } = req.params;
 
@@ -528,8 +662,15 @@ router.get('/images/:filename', (req, res) => {
     const sanitizedFilename = path.basename(filename);
     const imagePath = path.join(CHAT_IMAGES_DIR, sanitizedFilename);
 
-    // Check if file exists
-    if (!fs.existsSync(imagePath)) {
+    // The image must be pending for this session or attached to one of its messages
+    const imageUrl = `/api/chat/images/${sanitizedFilename}`;
+    const imageId = path.basename(sanitizedFilename, path.extname(sanitizedFilename));
+    const isPending = uploadedImages.get(imageId)?.sessionId === req.chatSessionId;
+    const isAttached = !isPending &&
+      (await storage.getMessagesBySession(req.chatSessionId)).some(msg => msg.image_url === imageUrl);
+
+    // Check if file exists (and don't reveal images of other sessions)
+    if (!(isPending || isAttached) || !fs.existsSync(imagePath)) {
       return res.status(404).json({ error: 'Image not found' });
     }
 
@@ -545,7 +686,7 @@ router.get('/images/:filename', (req, res) => {
     const contentType = contentTypes[ext] || 'image/jpeg';
 
     res.setHeader('Content-Type', contentType);
-    res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
+    res.setHeader('Cache-Control', 'private, max-age=31536000'); // Cache for 1 year, in the browser only
     res.sendFile(imagePath);
   } catch (error) {
     console.error('Error serving chat image:', error);
@@ -557,10 +698,10 @@ router.get('/images/:filename', (req, res) => {
  * GET /api/chat/export/:sessionId
  * Export chat transcript as text file
  */
-router.get('/export/:sessionId', sessionIdRules, validateRequest, async (req, res) => {
+router.get('/export/:sessionId', sessionIdRules, validateRequest, requireSessionSecret(req => req.params.sessionId), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const messages = await googleSheets.getMessagesBySession(sessionId);
+    const messages = await storage.getMessagesBySession(sessionId);
 
     if (messages.length === 0) {
       return res.status(404).json({ error: 'No messages found' });
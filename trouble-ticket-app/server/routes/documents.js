@@ -7,20 +7,24 @@ const router = express.Router();
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { upload, handleUploadError } = require('../middleware/upload');
-const { requireRole } = require('../middleware/auth');
+const { requirePermission, acceptApiTokens } = require('../middleware/auth');
 const documentService = require('../services/documentService');
 const vectorService = require('../services/vectorService');
-const googleSheets = require('../services/googleSheets');
+const storage = require('../services/storage');
+const { recordAudit } = require('../services/auditService');
+
+// Protected document routes take staff logins or API tokens
+router.use(acceptApiTokens);
 
 /**
  * POST /api/documents/upload
  * Upload and process a PDF or Markdown document
  * PDF: Text is extracted with page numbers for on-demand page rendering
  * Markdown: Text is chunked by headers for FAQ-style content
- * Requires admin role
+ * Requires the documents.upload permission
  */
 router.post('/upload',
-  requireRole('admin'),
+  requirePermission('documents.upload'),
   upload.single('file'),
   handleUploadError,
   async (req, res) => {
@@ -62,9 +66,9 @@ router.post('/upload',
         console.log(`Stored PDF for on-demand rendering: ${docId}`);
       }
 
-      // Save document metadata to Google Sheets
+      // Save document metadata to storage
       const fileExtClean = ext.replace('.', '');
-      await googleSheets.addDocument({
+      await storage.addDocument({
         doc_id: docId,
         filename: req.file.originalname,
         title: title || req.file.originalname.replace(ext, ''),
@@ -78,6 +82,18 @@ router.post('/upload',
         file_type: isMarkdown ? 'markdown' : 'pdf'
       });
 
+      await recordAudit(req, {
+        action: 'document.upload',
+        entityType: 'document',
+        entityId: docId,
+        after: {
+          filename: req.file.originalname,
+          title: title || req.file.originalname.replace(ext, ''),
+          application,
+          file_size: req.file.size
+        }
+      });
+
       // Clean up the temp uploaded file
       documentService.deleteFile(filePath);
 
@@ -117,7 +133,7 @@ router.post('/upload',
  */
 router.get('/applications', async (req, res) => {
   try {
-    const documents = await googleSheets.getAllDocuments();
+    const documents = await storage.getAllDocuments();
     const applications = [...new Set(documents.map(d => d.application))].filter(Boolean);
     res.json(applications);
   } catch (error) {
@@ -129,11 +145,11 @@ router.get('/applications', async (req, res) => {
 /**
  * GET /api/documents
  * List all uploaded documents
- * Requires admin role
+ * Requires the documents.read permission
  */
-router.get('/', requireRole('admin'), async (req, res) => {
+router.get('/', requirePermission('documents.read'), async (req, res) => {
   try {
-    const documents = await googleSheets.getAllDocuments();
+    const documents = await storage.getAllDocuments();
     res.json(documents);
   } catch (error) {
     console.error('List documents error:', error);
@@ -144,12 +160,12 @@ router.get('/', requireRole('admin'), async (req, res) => {
 /**
  * GET /api/documents/:docId
  * Get document details
- * Requires admin role
+ * Requires the documents.read permission
  */
-router.get('/:docId', requireRole('admin'), async (req, res) => {
+router.get('/:docId', requirePermission('documents.read'), async (req, res) => {
   try {
     const { docId } = req.params;
-    const document = await googleSheets.getDocument(docId);
+    const document = await storage.getDocument(docId);
 
     if (!document) {
       return res.status(404).json({ error: 'Document not found' });
@@ -165,11 +181,12 @@ router.get('/:docId', requireRole('admin'), async (req, res) => {
 /**
  * DELETE /api/documents/:docId
  * Delete a document, its vectors, stored PDF, and any legacy images
- * Requires admin role
+ * Requires the documents.upload permission
  */
-router.delete('/:docId', requireRole('admin'), async (req, res) => {
+router.delete('/:docId', requirePermission('documents.upload'), async (req, res) => {
   try {
     const { docId } = req.params;
+    const before = await storage.getDocument(docId);
 
     // Delete from vector database
     await vectorService.deleteDocument(docId);
@@ -180,13 +197,25 @@ router.delete('/:docId', requireRole('admin'), async (req, res) => {
     // Delete any legacy extracted images
     documentService.deleteDocumentImages(docId);
 
-    // Delete from Google Sheets
-    const deleted = await googleSheets.deleteDocument(docId);
+    // Delete from storage
+    const deleted = await storage.deleteDocument(docId);
 
     if (!deleted) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
+    await recordAudit(req, {
+      action: 'document.delete',
+      entityType: 'document',
+      entityId: docId,
+      before: {
+        filename: before.filename,
+        title: before.title,
+        application: before.application,
+        chunk_count: before.chunk_count
+      }
+    });
+
     res.json({ success: true, message: 'Document deleted successfully' });
   } catch (error) {
     console.error('Delete document error:', error);
@@ -265,12 +294,12 @@ router.post('/search', async (req, res) => {
 /**
  * GET /api/documents/stats
  * Get vector database statistics
- * Requires admin role
+ * Requires the documents.read permission
  */
-router.get('/stats/summary', requireRole('admin'), async (req, res) => {
+router.get('/stats/summary', requirePermission('documents.read'), async (req, res) => {
   try {
     const stats = await vectorService.getStats();
-    const documents = await googleSheets.getAllDocuments();
+    const documents = await storage.getAllDocuments();
 
     // Count total pages across all documents
     const totalPages = documents.reduce((sum, doc) => sum + (parseInt(doc.num_pages) || 0), 0);
@@ -320,9 +349,9 @@ router.get('/images/:filename', (req, res) => {
 /**
  * GET /api/documents/:docId/images
  * Get all images for a document
- * Requires admin role
+ * Requires the documents.read permission
  */
-router.get('/:docId/images', requireRole('admin'), async (req, res) => {
+router.get('/:docId/images', requirePermission('documents.read'), async (req, res) => {
   try {
     const { docId } = req.params;
 
@@ -1,47 +1,68 @@
 /**
- * Health check endpoint
- * Returns status of all services
+ * Health check endpoints
+ * The public check returns only the overall status, for load balancers and uptime probes.
+ * The per-service details (storage backend and path, tables, key ids, LLM provider) need
+ * the health.read permission
  */
 const express = require('express');
 const router = express.Router();
-const googleSheets = require('../services/googleSheets');
+const storage = require('../services/storage');
+const { checkSecrets } = require('../services/secretService');
+const { PRIMARY_KEY_ID } = require('../middleware/encryption');
+const { requirePermission } = require('../middleware/auth');
 
-router.get('/', async (req, res) => {
+/**
+ * Check every service
+ * @returns {Promise<Object>} - { status: 'ok'|'degraded', timestamp, services }
+ */
+async function checkServices() {
   const status = {
     status: 'ok',
     timestamp: new Date().toISOString(),
     services: {}
   };
 
-  // Check Google Sheets connection
+  // Check storage backend connection
   try {
-    const sheetsTest = await googleSheets.testConnection();
-    if (sheetsTest.success) {
-      status.services.googleSheets = {
+    const { success, error, ...details } = await storage.testConnection();
+    if (success) {
+      status.services.storage = {
         status: 'connected',
-        spreadsheet: sheetsTest.spreadsheetTitle,
-        sheets: sheetsTest.sheets
+        backend: storage.backend,
+        ...details
       };
     } else {
-      status.services.googleSheets = {
+      status.services.storage = {
         status: 'disconnected',
-        error: sheetsTest.error
+        backend: storage.backend,
+        error
       };
       status.status = 'degraded';
     }
   } catch (error) {
-    status.services.googleSheets = {
+    status.services.storage = {
       status: 'error',
+      backend: storage.backend,
       error: error.message
     };
     status.status = 'degraded';
   }
 
+  // Report writes waiting for the backend to recover
+  const outbox = storage.getOutboxStatus();
+  status.services.outbox = {
+    status: outbox.pending > 0 ? 'replaying' : 'empty',
+    ...outbox
+  };
+  if (outbox.pending > 0) {
+    status.status = 'degraded';
+  }
+
   // Check LLM configuration
   try {
-    const provider = await googleSheets.getSetting('api_provider');
-    const model = await googleSheets.getSetting('api_model');
-    const hasApiKey = !!(await googleSheets.getSetting('api_key'));
+    const provider = await storage.getSetting('api_provider');
+    const model = await storage.getSetting('api_model');
+    const hasApiKey = !!(await storage.getSetting('api_key'));
 
     status.services.llm = {
       status: hasApiKey ? 'configured' : 'not_configured',
@@ -60,8 +81,53 @@ router.get('/', async (req, res) => {
     status.status = 'degraded';
   }
 
-  const httpStatus = status.status === 'ok' ? 200 : 503;
-  res.status(httpStatus).json(status);
+  // Check that encrypted settings still decrypt with the configured keys
+  try {
+    const secrets = await checkSecrets();
+    const statuses = Object.values(secrets).map(secret => secret.status);
+    let secretsStatus = 'ok';
+    if (statuses.includes('undecryptable')) {
+      secretsStatus = 'undecryptable';
+    } else if (statuses.includes('needs_rotation')) {
+      secretsStatus = 'needs_rotation';
+    }
+
+    status.services.secrets = {
+      status: secretsStatus,
+      primaryKeyId: PRIMARY_KEY_ID,
+      settings: Object.fromEntries(Object.entries(secrets).map(([key, { status: keyStatus, keyId }]) => [key, { status: keyStatus, keyId }]))
+    };
+
+    if (secretsStatus === 'undecryptable') {
+      status.status = 'degraded';
+    }
+  } catch (error) {
+    status.services.secrets = {
+      status: 'error',
+      error: error.message
+    };
+    status.status = 'degraded';
+  }
+
+  return status;
+}
+
+/**
+ * GET /api/health
+ * Overall status only: 200 when every service is ok, 503 when degraded
+ */
+router.get('/', async (req, res) => {
+  const { status, timestamp } = await checkServices();
+  res.status(status === 'ok' ? 200 : 503).json({ status, timestamp });
+});
+
+/**
+ * GET /api/health/details
+ * Status of each service (health.read)
+ */
+router.get('/details', requirePermission('health.read'), async (req, res) => {
+  const status = await checkServices();
+  res.status(status.status === 'ok' ? 200 : 503).json(status);
 });
 
 module.exports = router;
@@ -0,0 +1,202 @@
+/**
+ * Major incident API routes
+ * Listing is open to anyone who can read tickets, linking tickets to anyone who can work
+ * them; declaring, updating and resolving incidents requires incidents.manage
+ */
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { hideLegacySessionIds } = require('../middleware/hideLegacySessions');
+const {
+  incidentListRules,
+  incidentCreateRules,
+  incidentUpdateRules,
+  incidentIdRules,
+  incidentLinkRules,
+  incidentUnlinkRules,
+  incidentResolveRules,
+  validateRequest
+} = require('../middleware/validate');
+const incidentService = require('../services/incidentService');
+const ticketEvents = require('../services/ticketEventService');
+const { recordAudit } = require('../services/auditService');
+
+const requireIncidentManager = requirePermission('incidents.manage');
+
+// Incident responses include the linked tickets, whose legacy chat session ids stay hidden
+router.use(hideLegacySessionIds);
+
+function incidentErrorResponse(res, error, fallback) {
+  if (error.name === 'IncidentError') {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /api/incidents
+ * List incidents, newest first, optionally filtered by status (open for every unresolved one)
+ */
+router.get('/', requirePermission('tickets.read'), incidentListRules, validateRequest, async (req, res) => {
+  try {
+    res.json({
+      incidents: await incidentService.listIncidents(req.query.status),
+      statuses: incidentService.INCIDENT_STATUSES
+    });
+  } catch (error) {
+    incidentErrorResponse(res, error, 'Failed to list incidents');
+  }
+});
+
+/**
+ * GET /api/incidents/:incidentId
+ * An incident with its child tickets
+ */
+router.get('/:incidentId', requirePermission('tickets.read'), incidentIdRules, validateRequest, async (req, res) => {
+  try {
+    const incident = await incidentService.getIncident(req.params.incidentId);
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    res.json(incident);
+  } catch (error) {
+    incidentErrorResponse(res, error, 'Failed to fetch incident');
+  }
+});
+
+/**
+ * POST /api/incidents
+ * Declare an incident ({ title, description?, application?, status? })
+ */
+router.post('/', requireIncidentManager, incidentCreateRules, validateRequest, async (req, res) => {
+  try {
+    const { title, description, application, status } = req.body;
+    const incident = await incidentService.createIncident({ title, description, application, status }, req.user.username);
+    await recordAudit(req, {
+      action: 'incident.create',
+      entityType: 'incident',
+      entityId: incident.incident_id,
+      after: { title, description, application, status: incident.status }
+    });
+    res.status(201).json(incident);
+  } catch (error) {
+    incidentErrorResponse(res, error, 'Failed to create incident');
+  }
+});
+
+/**
+ * PATCH /api/incidents/:incidentId
+ * Change an open incident's title, description, application or status
+ */
+router.patch('/:incidentId', requireIncidentManager, incidentUpdateRules, validateRequest, async (req, res) => {
+  try {
+    const { title, description, application, status } = req.body;
+    const changes = { title, description, application, status };
+    const { before, incident } = await incidentService.updateIncident(req.params.incidentId, changes);
+    await recordAudit(req, {
+      action: 'incident.update',
+      entityType: 'incident',
+      entityId: req.params.incidentId,
+      before,
+      after: changes
+    });
+    res.json(incident);
+  } catch (error) {
+    incidentErrorResponse(res, error, 'Failed to update incident');
+  }
+});
+
+/**
+ * POST /api/incidents/:incidentId/tickets
+ * Link tickets ({ ticket_ids }) to an open incident; tickets linked elsewhere move here
+ */
+router.post('/:incidentId/tickets', requirePermission('tickets.update'), incidentLinkRules, validateRequest, async (req, res) => {
+  try {
+    const { incident, linked } = await incidentService.linkTickets(req.params.incidentId, req.body.ticket_ids);
+    const linkedIds = linked.map(ticket => ticket.ticket_id);
+
+    if (linked.length > 0) {
+      await recordAudit(req, {
+        action: 'incident.link',
+        entityType: 'incident',
+        entityId: incident.incident_id,
+        after: { tickets: linkedIds.join(',') }
+      });
+      const now = new Date().toISOString();
+      await ticketEvents.recordTicketEvents(linked.map(ticket =>
+        ticketEvents.ticketEvent(ticket.ticket_id, 'incident_linked', ticketEvents.actorOf(req), {
+          incident_id: incident.incident_id,
+          title: incident.title,
+          from: ticket.incident_id || ''
+        }, now)
+      ));
+    }
+
+    res.json(await incidentService.getIncident(incident.incident_id));
+  } catch (error) {
+    incidentErrorResponse(res, error, 'Failed to link tickets');
+  }
+});
+
+/**
+ * DELETE /api/incidents/:incidentId/tickets/:ticketId
+ * Remove a ticket from an incident
+ */
+router.delete('/:incidentId/tickets/:ticketId', requirePermission('tickets.update'), incidentUnlinkRules, validateRequest, async (req, res) => {
+  try {
+    const { incidentId, ticketId } = req.params;
+    await incidentService.unlinkTicket(incidentId, ticketId);
+    await recordAudit(req, {
+      action: 'incident.unlink',
+      entityType: 'incident',
+      entityId: incidentId,
+      before: { tickets: ticketId }
+    });
+    await ticketEvents.recordTicketEvents([
+      ticketEvents.ticketEvent(ticketId, 'incident_unlinked', ticketEvents.actorOf(req), { incident_id: incidentId })
+    ]);
+
+    res.json(await incidentService.getIncident(incidentId));
+  } catch (error) {
+    incidentErrorResponse(res, error, 'Failed to unlink ticket');
+  }
+});
+
+/**
+ * POST /api/incidents/:incidentId/resolve
+ * Resolve an incident ({ resolution }): the resolution is sent to every affected user's
+ * chat and the open child tickets are closed
+ */
+router.post('/:incidentId/resolve', requireIncidentManager, incidentResolveRules, validateRequest, async (req, res) => {
+  try {
+    const actor = ticketEvents.actorOf(req);
+    const { before, incident, closed, notified } = await incidentService.resolveIncident(
+      req.params.incidentId,
+      req.body.resolution,
+      actor
+    );
+    const closedIds = closed.map(ticket => ticket.ticket_id);
+
+    await recordAudit(req, {
+      action: 'incident.resolve',
+      entityType: 'incident',
+      entityId: incident.incident_id,
+      before: { status: before.status },
+      after: { status: incident.status, resolution: incident.resolution, closed_tickets: closedIds.join(',') }
+    });
+    await ticketEvents.recordTicketEvents(closed.flatMap(ticket => [
+      ticketEvents.ticketEvent(ticket.ticket_id, 'incident_resolved', actor, {
+        incident_id: incident.incident_id,
+        resolution: incident.resolution
+      }, incident.resolved_at),
+      ...ticketEvents.changeEvents(ticket, { status: 'closed', updated_at: incident.resolved_at }, actor)
+    ]));
+
+    res.json({ ...incident, closed_tickets: closedIds, notified_sessions: notified });
+  } catch (error) {
+    incidentErrorResponse(res, error, 'Failed to resolve incident');
+  }
+});
+
+module.exports = router;
@@ -4,9 +4,10 @@
  */
 const express = require('express');
 const router = express.Router();
-const { requireRole } = require('../middleware/auth');
+const { requirePermission, acceptApiTokens } = require('../middleware/auth');
 const { knowledgeDocRules, validateRequest } = require('../middleware/validate');
-const googleSheets = require('../services/googleSheets');
+const storage = require('../services/storage');
+const { recordAudit } = require('../services/auditService');
 
 /**
  * GET /api/knowledge
@@ -14,7 +15,7 @@ const googleSheets = require('../services/googleSheets');
  */
 router.get('/', async (req, res) => {
   try {
-    const documents = await googleSheets.getKnowledgeBase();
+    const documents = await storage.getKnowledgeBase();
     res.json(documents);
   } catch (error) {
     console.error('Get knowledge base error:', error);
@@ -28,7 +29,7 @@ router.get('/', async (req, res) => {
  */
 router.get('/:id', async (req, res) => {
   try {
-    const doc = await googleSheets.getKnowledgeDoc(req.params.id);
+    const doc = await storage.getKnowledgeDoc(req.params.id);
     if (!doc) {
       return res.status(404).json({ error: 'Document not found' });
     }
@@ -39,8 +40,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Admin-only routes below
-router.use(requireRole('admin'));
+// Routes below require the kb.write permission (staff login or API token)
+router.use(acceptApiTokens, requirePermission('kb.write'));
 
 /**
  * POST /api/knowledge
@@ -50,13 +51,20 @@ router.post('/', knowledgeDocRules, validateRequest, async (req, res) => {
   try {
     const { application, title, content, keywords } = req.body;
 
-    const doc = await googleSheets.addKnowledgeDoc({
+    const doc = await storage.addKnowledgeDoc({
       application,
       title,
       content,
       keywords
     });
 
+    await recordAudit(req, {
+      action: 'knowledge_doc.create',
+      entityType: 'knowledge_doc',
+      entityId: doc.doc_id,
+      after: { application, title, content, keywords }
+    });
+
     res.status(201).json(doc);
   } catch (error) {
     console.error('Add document error:', error);
@@ -72,7 +80,8 @@ router.put('/:id', knowledgeDocRules, validateRequest, async (req, res) => {
   try {
     const { application, title, content, keywords } = req.body;
 
-    const doc = await googleSheets.updateKnowledgeDoc(req.params.id, {
+    const before = await storage.getKnowledgeDoc(req.params.id);
+    const doc = await storage.updateKnowledgeDoc(req.params.id, {
       application,
       title,
       content,
@@ -83,6 +92,14 @@ router.put('/:id', knowledgeDocRules, validateRequest, async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
 
+    await recordAudit(req, {
+      action: 'knowledge_doc.update',
+      entityType: 'knowledge_doc',
+      entityId: req.params.id,
+      before,
+      after: { application, title, content, keywords }
+    });
+
     res.json(doc);
   } catch (error) {
     console.error('Update document error:', error);
@@ -96,12 +113,20 @@ router.put('/:id', knowledgeDocRules, validateRequest, async (req, res) => {
  */
 router.delete('/:id', async (req, res) => {
   try {
-    const deleted = await googleSheets.deleteKnowledgeDoc(req.params.id);
+    const before = await storage.getKnowledgeDoc(req.params.id);
+    const deleted = await storage.deleteKnowledgeDoc(req.params.id);
 
     if (!deleted) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
+    await recordAudit(req, {
+      action: 'knowledge_doc.delete',
+      entityType: 'knowledge_doc',
+      entityId: req.params.id,
+      before: { application: before.application, title: before.title, keywords: before.keywords }
+    });
+
     res.json({ success: true, message: 'Document deleted' });
   } catch (error) {
     console.error('Delete document error:', error);
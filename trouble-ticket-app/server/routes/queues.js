@@ -0,0 +1,119 @@
+/**
+ * Ticket queue API routes
+ * Listing is open to anyone who can read tickets (to filter and move tickets),
+ * changing queues requires queues.manage
+ */
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { queueCreateRules, queueUpdateRules, validateRequest } = require('../middleware/validate');
+const queueService = require('../services/queueService');
+const storage = require('../services/storage');
+const { recordAudit } = require('../services/auditService');
+
+const requireQueueManager = requirePermission('queues.manage');
+
+function queueErrorResponse(res, error, fallback) {
+  if (error.name === 'QueueError') {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * Flatten list fields for the audit log
+ */
+function toAuditValues({ name, applications, members, assignment }) {
+  return { name, applications: applications?.join(','), members: members?.join(','), assignment };
+}
+
+/**
+ * GET /api/queues
+ * List queues with their open ticket counts, the assignment strategies and the staff
+ * who can be assigned tickets
+ */
+router.get('/', requirePermission('tickets.read', 'queues.manage'), async (req, res) => {
+  try {
+    res.json({
+      queues: await queueService.listQueues(),
+      strategies: queueService.ASSIGNMENT_STRATEGIES,
+      assignableStaff: await queueService.getAssignableStaff()
+    });
+  } catch (error) {
+    queueErrorResponse(res, error, 'Failed to list queues');
+  }
+});
+
+/**
+ * POST /api/queues
+ * Create a queue
+ */
+router.post('/', requireQueueManager, queueCreateRules, validateRequest, async (req, res) => {
+  try {
+    const { queue_id, name, applications, members, assignment } = req.body;
+    const queue = await queueService.createQueue({ queue_id, name, applications, members, assignment });
+    console.log(`Queue ${queue_id} created by ${req.user.username}`);
+    await recordAudit(req, {
+      action: 'queue.create',
+      entityType: 'queue',
+      entityId: queue_id,
+      after: toAuditValues(queue)
+    });
+    res.status(201).json(queue);
+  } catch (error) {
+    queueErrorResponse(res, error, 'Failed to create queue');
+  }
+});
+
+/**
+ * PATCH /api/queues/:queueId
+ * Change a queue's name, applications, members or assignment strategy
+ */
+router.patch('/:queueId', requireQueueManager, queueUpdateRules, validateRequest, async (req, res) => {
+  try {
+    const { name, applications, members, assignment } = req.body;
+    const existing = await storage.getQueue(req.params.queueId);
+    const queue = await queueService.updateQueue(req.params.queueId, { name, applications, members, assignment });
+
+    if (!queue) {
+      return res.status(404).json({ error: 'Queue not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'queue.update',
+      entityType: 'queue',
+      entityId: req.params.queueId,
+      before: existing,
+      after: toAuditValues({ name, applications, members, assignment })
+    });
+    res.json(queue);
+  } catch (error) {
+    queueErrorResponse(res, error, 'Failed to update queue');
+  }
+});
+
+/**
+ * DELETE /api/queues/:queueId
+ * Delete a queue that holds no open tickets
+ */
+router.delete('/:queueId', requireQueueManager, async (req, res) => {
+  try {
+    const existing = await storage.getQueue(req.params.queueId);
+    if (!await queueService.deleteQueue(req.params.queueId)) {
+      return res.status(404).json({ error: 'Queue not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'queue.delete',
+      entityType: 'queue',
+      entityId: req.params.queueId,
+      before: existing
+    });
+    res.json({ success: true });
+  } catch (error) {
+    queueErrorResponse(res, error, 'Failed to delete queue');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * Staff role API routes
+ * Roles bundle permissions; listing is open to account managers (to assign roles),
+ * changing roles requires roles.manage
+ */
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { roleCreateRules, roleUpdateRules, validateRequest } = require('../middleware/validate');
+const roleService = require('../services/roleService');
+const storage = require('../services/storage');
+const { recordAudit } = require('../services/auditService');
+
+const requireRoleManager = requirePermission('roles.manage');
+
+function roleErrorResponse(res, error, fallback) {
+  if (error.name === 'RoleError') {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /api/roles
+ * List roles and the permissions each grants, plus the permission catalogue
+ */
+router.get('/', requirePermission('users.manage', 'roles.manage'), async (req, res) => {
+  try {
+    res.json({
+      roles: await roleService.listRoles(),
+      permissions: roleService.PERMISSIONS
+    });
+  } catch (error) {
+    roleErrorResponse(res, error, 'Failed to list roles');
+  }
+});
+
+/**
+ * POST /api/roles
+ * Create a role
+ */
+router.post('/', requireRoleManager, roleCreateRules, validateRequest, async (req, res) => {
+  try {
+    const { role_id, name, description, permissions } = req.body;
+    const role = await roleService.createRole({ role_id, name, description, permissions });
+    console.log(`Role ${role_id} created by ${req.user.username}`);
+    await recordAudit(req, {
+      action: 'role.create',
+      entityType: 'role',
+      entityId: role_id,
+      after: { name: role.name, description: role.description, permissions: role.permissions.join(',') }
+    });
+    res.status(201).json(role);
+  } catch (error) {
+    roleErrorResponse(res, error, 'Failed to create role');
+  }
+});
+
+/**
+ * PATCH /api/roles/:roleId
+ * Change a role's name, description or permissions (takes effect on the next request)
+ */
+router.patch('/:roleId', requireRoleManager, roleUpdateRules, validateRequest, async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+    const existing = await storage.getRole(req.params.roleId);
+    const role = await roleService.updateRole(req.params.roleId, { name, description, permissions });
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'role.update',
+      entityType: 'role',
+      entityId: req.params.roleId,
+      before: existing,
+      after: { name, description, permissions: permissions?.join(',') }
+    });
+    res.json(role);
+  } catch (error) {
+    roleErrorResponse(res, error, 'Failed to update role');
+  }
+});
+
+/**
+ * DELETE /api/roles/:roleId
+ * Delete a custom role that no account holds
+ */
+router.delete('/:roleId', requireRoleManager, async (req, res) => {
+  try {
+    const existing = await storage.getRole(req.params.roleId);
+    if (!await roleService.deleteRole(req.params.roleId)) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      entityType: 'role',
+      entityId: req.params.roleId,
+      before: existing
+    });
+    res.json({ success: true });
+  } catch (error) {
+    roleErrorResponse(res, error, 'Failed to delete role');
+  }
+});
+
+module.exports = router;
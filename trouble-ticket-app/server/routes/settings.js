@@ -4,16 +4,47 @@
  */
 const express = require('express');
 const router = express.Router();
-const { requireRole } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 const { settingsRules, validateRequest } = require('../middleware/validate');
 const { encrypt, decrypt } = require('../middleware/encryption');
-const googleSheets = require('../services/googleSheets');
+const storage = require('../services/storage');
 const llmService = require('../services/llmService');
 const vectorService = require('../services/vectorService');
 const { getDefaultSystemPrompt } = require('../prompts/systemPrompt');
+const { recordAudit } = require('../services/auditService');
+const { checkSecrets } = require('../services/secretService');
 
-// Apply admin auth to all settings routes
-router.use(requireRole('admin'));
+// Every settings route needs one of the settings permissions; each route narrows it down
+router.use(requirePermission('settings.llm', 'settings.embeddings'));
+
+const requireLlmSettings = requirePermission('settings.llm');
+const requireEmbeddingSettings = requirePermission('settings.embeddings');
+
+// Shown in place of a masked key that no configured encryption key can decrypt
+const UNDECRYPTABLE_KEY_LABEL = '(cannot be decrypted - re-enter the key)';
+
+/**
+ * Save a group of settings and record the change in the audit log
+ * @param {Object} req - Request (identifies the admin)
+ * @param {string} group - Settings group, used as the audited entity ID
+ * @param {Object} values - setting_key -> value; undefined values are skipped
+ */
+async function saveSettings(req, group, values) {
+  const changes = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+  const current = await storage.getAllSettings();
+
+  for (const [key, value] of Object.entries(changes)) {
+    await storage.updateSetting(key, value);
+  }
+
+  await recordAudit(req, {
+    action: 'settings.update',
+    entityType: 'settings',
+    entityId: group,
+    before: Object.fromEntries(Object.keys(changes).map(key => [key, current[key] ?? null])),
+    after: changes
+  });
+}
 
 /**
  * GET /api/settings
@@ -21,34 +52,31 @@ router.use(requireRole('admin'));
  */
 router.get('/', async (req, res) => {
   try {
-    const settings = await googleSheets.getAllSettings();
+    const settings = await storage.getAllSettings();
 
     // Mask API key for display
     if (settings.api_key) {
-      let keyToMask = settings.api_key;
-
-      // Try to decrypt - if it fails, assume it's not encrypted
       try {
-        const decrypted = decrypt(settings.api_key);
-        if (decrypted && decrypted.length > 0) {
-          keyToMask = decrypted;
+        const keyToMask = decrypt(settings.api_key);
+        if (keyToMask.length > 12) {
+          settings.api_key_masked = `${keyToMask.substring(0, 8)}...${keyToMask.substring(keyToMask.length - 4)}`;
+        } else {
+          settings.api_key_masked = '(key configured)';
         }
       } catch {
-        // Not encrypted, use as-is
-      }
-
-      if (keyToMask && keyToMask.length > 12) {
-        settings.api_key_masked = `${keyToMask.substring(0, 8)}...${keyToMask.substring(keyToMask.length - 4)}`;
-      } else if (keyToMask) {
-        settings.api_key_masked = '(key configured)';
-      } else {
-        settings.api_key_masked = '';
+        // Encrypted with a key that is no longer configured; it has to be re-entered
+        settings.api_key_masked = UNDECRYPTABLE_KEY_LABEL;
       }
 
       delete settings.api_key; // Don't send actual key
     }
 
-    // Remove password hashes from response
+    // Never send the embedding key; report whether each secret can be decrypted instead
+    delete settings.embedding_api_key;
+    settings.secrets = await checkSecrets();
+
+    // Remove password hashes and the chat session signing key from response
+    delete settings.chat_session_key;
     delete settings.it_support_password_hash;
     delete settings.admin_password_hash;
 
@@ -63,27 +91,17 @@ router.get('/', async (req, res) => {
  * PUT /api/settings/api
  * Update API provider settings
  */
-router.put('/api', settingsRules, validateRequest, async (req, res) => {
+router.put('/api', requireLlmSettings, settingsRules, validateRequest, async (req, res) => {
   try {
     const { provider, apiKey, model, baseUrl } = req.body;
 
-    if (provider) {
-      await googleSheets.updateSetting('api_provider', provider);
-    }
-
-    if (apiKey) {
+    await saveSettings(req, 'api', {
+      api_provider: provider || undefined,
       // Encrypt API key before storing
-      const encryptedKey = encrypt(apiKey);
-      await googleSheets.updateSetting('api_key', encryptedKey);
-    }
-
-    if (model) {
-      await googleSheets.updateSetting('api_model', model);
-    }
-
-    if (baseUrl !== undefined) {
-      await googleSheets.updateSetting('api_base_url', baseUrl || '');
-    }
+      api_key: apiKey ? encrypt(apiKey) : undefined,
+      api_model: model || undefined,
+      api_base_url: baseUrl !== undefined ? baseUrl || '' : undefined
+    });
 
     res.json({ success: true, message: 'API settings updated' });
   } catch (error) {
@@ -96,7 +114,7 @@ router.put('/api', settingsRules, validateRequest, async (req, res) => {
  * POST /api/settings/test-api
  * Test API connection with provided or stored credentials
  */
-router.post('/test-api', async (req, res) => {
+router.post('/test-api', requireLlmSettings, async (req, res) => {
   try {
     const { provider, apiKey, model, baseUrl } = req.body;
 
@@ -124,9 +142,9 @@ router.post('/test-api', async (req, res) => {
  * GET /api/settings/system-prompt
  * Get the current system prompt (custom or default)
  */
-router.get('/system-prompt', async (req, res) => {
+router.get('/system-prompt', requireLlmSettings, async (req, res) => {
   try {
-    const customPrompt = await googleSheets.getSetting('system_prompt');
+    const customPrompt = await storage.getSetting('system_prompt');
     const defaultPrompt = getDefaultSystemPrompt();
 
     res.json({
@@ -144,7 +162,7 @@ router.get('/system-prompt', async (req, res) => {
  * PUT /api/settings/system-prompt
  * Update the system prompt
  */
-router.put('/system-prompt', async (req, res) => {
+router.put('/system-prompt', requireLlmSettings, async (req, res) => {
   try {
     const { prompt } = req.body;
 
@@ -153,7 +171,7 @@ router.put('/system-prompt', async (req, res) => {
     }
 
     // Save empty string to reset to default, otherwise save custom prompt
-    await googleSheets.updateSetting('system_prompt', prompt);
+    await saveSettings(req, 'system_prompt', { system_prompt: prompt });
 
     res.json({
       success: true,
@@ -173,7 +191,7 @@ router.put('/system-prompt', async (req, res) => {
  * GET /api/settings/embedding-providers
  * Get available embedding providers and their models
  */
-router.get('/embedding-providers', async (req, res) => {
+router.get('/embedding-providers', requireEmbeddingSettings, async (req, res) => {
   try {
     const providers = vectorService.getAvailableProviders();
     res.json(providers);
@@ -187,14 +205,18 @@ router.get('/embedding-providers', async (req, res) => {
  * GET /api/settings/embeddings
  * Get embedding configuration
  */
-router.get('/embeddings', async (req, res) => {
+router.get('/embeddings', requireEmbeddingSettings, async (req, res) => {
   try {
     const config = await vectorService.getEmbeddingConfig();
     const stats = await vectorService.getStats();
+    const secrets = await checkSecrets();
+    const storedKey = secrets[config.useChatKey ? 'api_key' : 'embedding_api_key'];
 
     // Mask API key
     let apiKeyMasked = '';
-    if (config.apiKey && config.apiKey !== 'not-required') {
+    if (storedKey.status === 'undecryptable') {
+      apiKeyMasked = UNDECRYPTABLE_KEY_LABEL;
+    } else if (config.apiKey && config.apiKey !== 'not-required') {
       if (config.apiKey.length > 12) {
         apiKeyMasked = `${config.apiKey.substring(0, 8)}...${config.apiKey.substring(config.apiKey.length - 4)}`;
       } else {
@@ -220,30 +242,17 @@ router.get('/embeddings', async (req, res) => {
  * PUT /api/settings/embeddings
  * Update embedding configuration
  */
-router.put('/embeddings', async (req, res) => {
+router.put('/embeddings', requireEmbeddingSettings, async (req, res) => {
   try {
     const { provider, model, apiKey, useChatKey, ollamaUrl } = req.body;
 
-    if (provider) {
-      await googleSheets.updateSetting('embedding_provider', provider);
-    }
-
-    if (model) {
-      await googleSheets.updateSetting('embedding_model', model);
-    }
-
-    if (useChatKey !== undefined) {
-      await googleSheets.updateSetting('embedding_use_chat_key', useChatKey ? 'true' : 'false');
-    }
-
-    if (apiKey) {
-      const encryptedKey = encrypt(apiKey);
-      await googleSheets.updateSetting('embedding_api_key', encryptedKey);
-    }
-
-    if (ollamaUrl !== undefined) {
-      await googleSheets.updateSetting('ollama_url', ollamaUrl || 'http://localhost:11434');
-    }
+    await saveSettings(req, 'embeddings', {
+      embedding_provider: provider || undefined,
+      embedding_model: model || undefined,
+      embedding_use_chat_key: useChatKey !== undefined ? (useChatKey ? 'true' : 'false') : undefined,
+      embedding_api_key: apiKey ? encrypt(apiKey) : undefined,
+      ollama_url: ollamaUrl !== undefined ? ollamaUrl || 'http://localhost:11434' : undefined
+    });
 
     res.json({ success: true, message: 'Embedding settings updated' });
   } catch (error) {
@@ -256,7 +265,7 @@ router.put('/embeddings', async (req, res) => {
  * POST /api/settings/test-embeddings
  * Test embedding connection
  */
-router.post('/test-embeddings', async (req, res) => {
+router.post('/test-embeddings', requireEmbeddingSettings, async (req, res) => {
   try {
     const { provider, model, apiKey, ollamaUrl } = req.body;
 
@@ -285,11 +294,11 @@ router.post('/test-embeddings', async (req, res) => {
  * GET /api/settings/image-extraction
  * Get image extraction configuration
  */
-router.get('/image-extraction', async (req, res) => {
+router.get('/image-extraction', requireEmbeddingSettings, async (req, res) => {
   try {
-    const enabled = await googleSheets.getSetting('image_extraction_enabled');
-    const visionModel = await googleSheets.getSetting('vision_model');
-    const maxImages = await googleSheets.getSetting('max_images_per_doc');
+    const enabled = await storage.getSetting('image_extraction_enabled');
+    const visionModel = await storage.getSetting('vision_model');
+    const maxImages = await storage.getSetting('max_images_per_doc');
 
     res.json({
       enabled: enabled !== 'false', // Default to true if not set
@@ -306,21 +315,15 @@ router.get('/image-extraction', async (req, res) => {
  * PUT /api/settings/image-extraction
  * Update image extraction configuration
  */
-router.put('/image-extraction', async (req, res) => {
+router.put('/image-extraction', requireEmbeddingSettings, async (req, res) => {
   try {
     const { enabled, visionModel, maxImagesPerDoc } = req.body;
 
-    if (enabled !== undefined) {
-      await googleSheets.updateSetting('image_extraction_enabled', enabled ? 'true' : 'false');
-    }
-
-    if (visionModel) {
-      await googleSheets.updateSetting('vision_model', visionModel);
-    }
-
-    if (maxImagesPerDoc !== undefined) {
-      await googleSheets.updateSetting('max_images_per_doc', String(maxImagesPerDoc));
-    }
+    await saveSettings(req, 'image_extraction', {
+      image_extraction_enabled: enabled !== undefined ? (enabled ? 'true' : 'false') : undefined,
+      vision_model: visionModel || undefined,
+      max_images_per_doc: maxImagesPerDoc !== undefined ? String(maxImagesPerDoc) : undefined
+    });
 
     res.json({ success: true, message: 'Image extraction settings updated' });
   } catch (error) {
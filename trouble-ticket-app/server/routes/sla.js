@@ -0,0 +1,137 @@
+/**
+ * SLA policy API routes
+ * Listing is open to anyone who can read tickets (to explain the timers they see),
+ * changing policies and business hours requires sla.manage
+ */
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const {
+  slaPolicyCreateRules,
+  slaPolicyUpdateRules,
+  slaPolicyIdRules,
+  businessHoursRules,
+  validateRequest
+} = require('../middleware/validate');
+const slaService = require('../services/slaService');
+const storage = require('../services/storage');
+const { recordAudit } = require('../services/auditService');
+
+const requireSlaManager = requirePermission('sla.manage');
+
+function slaErrorResponse(res, error, fallback) {
+  if (error.name === 'SlaError') {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /api/sla
+ * List policies (most specific first) and the business hours
+ */
+router.get('/', requirePermission('tickets.read', 'sla.manage'), async (req, res) => {
+  try {
+    res.json({
+      policies: await slaService.listPolicies(),
+      businessHours: await slaService.getBusinessHours()
+    });
+  } catch (error) {
+    slaErrorResponse(res, error, 'Failed to list SLA policies');
+  }
+});
+
+/**
+ * POST /api/sla/policies
+ * Create a policy
+ */
+router.post('/policies', requireSlaManager, slaPolicyCreateRules, validateRequest, async (req, res) => {
+  try {
+    const { name, application, priority, response_minutes, resolution_minutes, business_hours } = req.body;
+    const policy = await slaService.createPolicy({ name, application, priority, response_minutes, resolution_minutes, business_hours });
+    await recordAudit(req, {
+      action: 'sla_policy.create',
+      entityType: 'sla_policy',
+      entityId: policy.policy_id,
+      after: policy
+    });
+    res.status(201).json(policy);
+  } catch (error) {
+    slaErrorResponse(res, error, 'Failed to create SLA policy');
+  }
+});
+
+/**
+ * PATCH /api/sla/policies/:policyId
+ * Change a policy's name, scope, targets or clock
+ */
+router.patch('/policies/:policyId', requireSlaManager, slaPolicyUpdateRules, validateRequest, async (req, res) => {
+  try {
+    const { name, application, priority, response_minutes, resolution_minutes, business_hours } = req.body;
+    const changes = { name, application, priority, response_minutes, resolution_minutes, business_hours };
+    const existing = await storage.getSlaPolicy(req.params.policyId);
+    const policy = await slaService.updatePolicy(req.params.policyId, changes);
+
+    if (!policy) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'sla_policy.update',
+      entityType: 'sla_policy',
+      entityId: req.params.policyId,
+      before: existing,
+      after: changes
+    });
+    res.json(policy);
+  } catch (error) {
+    slaErrorResponse(res, error, 'Failed to update SLA policy');
+  }
+});
+
+/**
+ * DELETE /api/sla/policies/:policyId
+ * Delete a policy
+ */
+router.delete('/policies/:policyId', requireSlaManager, slaPolicyIdRules, validateRequest, async (req, res) => {
+  try {
+    const existing = await storage.getSlaPolicy(req.params.policyId);
+    if (!await slaService.deletePolicy(req.params.policyId)) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'sla_policy.delete',
+      entityType: 'sla_policy',
+      entityId: req.params.policyId,
+      before: existing
+    });
+    res.json({ success: true });
+  } catch (error) {
+    slaErrorResponse(res, error, 'Failed to delete SLA policy');
+  }
+});
+
+/**
+ * PUT /api/sla/business-hours
+ * Replace the business hours ({ days: [0-6], start: 'HH:MM', end: 'HH:MM' }, server time zone)
+ */
+router.put('/business-hours', requireSlaManager, businessHoursRules, validateRequest, async (req, res) => {
+  try {
+    const before = await slaService.getBusinessHours();
+    const hours = await slaService.setBusinessHours(req.body);
+    await recordAudit(req, {
+      action: 'settings.business_hours',
+      entityType: 'settings',
+      entityId: 'sla_business_hours',
+      before: { ...before, days: before.days.join(',') },
+      after: { ...hours, days: hours.days.join(',') }
+    });
+    res.json(hours);
+  } catch (error) {
+    slaErrorResponse(res, error, 'Failed to save business hours');
+  }
+});
+
+module.exports = router;
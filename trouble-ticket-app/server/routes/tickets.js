@@ -5,39 +5,143 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
-const { requireRole } = require('../middleware/auth');
-const { ticketUpdateRules, clarificationRules, validateRequest } = require('../middleware/validate');
-const googleSheets = require('../services/googleSheets');
+const { requireAuth, requirePermission, acceptApiTokens } = require('../middleware/auth');
+const { hideLegacySessionIds } = require('../middleware/hideLegacySessions');
+const {
+  MAX_BULK_TICKETS,
+  ticketListRules,
+  ticketCreateRules,
+  ticketUpdateRules,
+  ticketIdRules,
+  ticketAssignRules,
+  ticketMergeRules,
+  ticketBulkRules,
+  commentCreateRules,
+  commentUpdateRules,
+  clarificationRules,
+  validateRequest
+} = require('../middleware/validate');
+const storage = require('../services/storage');
 const llmService = require('../services/llmService');
 const { getITSupportPrompt } = require('../prompts/systemPrompt');
+const { recordAudit, recordAudits } = require('../services/auditService');
+const { hasPermission } = require('../services/roleService');
+const queueService = require('../services/queueService');
+const triageService = require('../services/triageService');
+const slaService = require('../services/slaService');
+const ticketEvents = require('../services/ticketEventService');
+const commentService = require('../services/commentService');
+const duplicateService = require('../services/duplicateService');
 
-// Apply auth to all ticket routes
-router.use(requireRole('it_support'));
+// Apply auth to all ticket routes (staff login or API token); each route checks its own permission
+router.use(acceptApiTokens, requireAuth());
+
+// Legacy chat session ids are enough to claim the conversation, so staff never see them
+router.use(hideLegacySessionIds);
+
+/**
+ * Tickets with their SLA state, filtered by status, queue, assignee, severity, priority and
+ * SLA state (sla=breached or at_risk); assignee=me means the user's own tickets, and none
+ * matches tickets without a queue, assignee, severity or priority
+ */
+async function findTickets({ status, queue, assignee, severity, priority, sla }, user) {
+  let tickets = status
+    ? await storage.getTicketsByStatus(status)
+    : await storage.getAllTickets();
+
+  if (queue) {
+    tickets = tickets.filter(ticket => (ticket.queue || 'none') === queue);
+  }
+  if (assignee) {
+    const username = { me: user.username, none: '' }[assignee] ?? assignee;
+    tickets = tickets.filter(ticket => (ticket.assignee || '') === username);
+  }
+  if (severity) {
+    tickets = tickets.filter(ticket => (ticket.severity || 'none') === severity);
+  }
+  if (priority) {
+    tickets = tickets.filter(ticket => (ticket.priority || 'none') === priority);
+  }
+
+  tickets = await slaService.withSla(tickets);
+  if (sla === 'breached') {
+    tickets = tickets.filter(ticket => ticket.sla?.breached);
+  } else if (sla === 'at_risk') {
+    tickets = tickets.filter(ticket => ticket.sla?.at_risk);
+  }
+  return tickets;
+}
 
 /**
  * GET /api/tickets
- * Get all tickets (optionally filtered by status)
+ * Get all tickets with their SLA state, optionally filtered (see findTickets) and sorted by
+ * priority, severity, newest or oldest
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('tickets.read'), ticketListRules, validateRequest, async (req, res) => {
   try {
-    const { status } = req.query;
-    const tickets = status
-      ? await googleSheets.getTicketsByStatus(status)
-      : await googleSheets.getAllTickets();
-    res.json(tickets);
+    const tickets = await findTickets(req.query, req.user);
+    res.json(triageService.sortTickets(tickets, req.query.sort));
   } catch (error) {
     console.error('Get tickets error:', error);
     res.status(500).json({ error: 'Failed to fetch tickets' });
   }
 });
 
+/**
+ * POST /api/tickets
+ * Create a ticket directly, for integrations such as monitoring or the HR portal
+ * (tickets from users are created by the chat)
+ */
+router.post('/', requirePermission('tickets.create'), ticketCreateRules, validateRequest, async (req, res) => {
+  try {
+    const { application, problem_summary, problem_details, reported_by, severity = '' } = req.body;
+    const priority = req.body.priority || triageService.DEFAULT_PRIORITY[severity] || '';
+    const now = new Date().toISOString();
+    const { queue } = await queueService.routeNewTicket(application);
+
+    const ticket = await storage.createTicket({
+      ticket_id: await storage.allocateTicketId(),
+      // No chat behind these tickets; a unique session keeps their messages apart
+      session_id: `api-${uuidv4()}`,
+      status: 'open',
+      application,
+      problem_summary,
+      problem_details: problem_details || problem_summary,
+      reported_by: reported_by || req.user.displayName,
+      reported_at: now,
+      updated_at: now,
+      queue,
+      severity,
+      priority
+    });
+
+    await recordAudit(req, {
+      action: 'ticket.create',
+      entityType: 'ticket',
+      entityId: ticket.ticket_id,
+      after: { application, problem_summary, reported_by: ticket.reported_by, queue, severity, priority }
+    });
+    await ticketEvents.recordTicketEvents([
+      ticketEvents.ticketEvent(ticket.ticket_id, 'created', ticketEvents.actorOf(req), {
+        source: 'api', application, queue, severity, priority
+      }, now)
+    ]);
+    await duplicateService.indexTicket(ticket);
+
+    res.status(201).json(ticket);
+  } catch (error) {
+    console.error('Create ticket error:', error);
+    res.status(500).json({ error: 'Failed to create ticket' });
+  }
+});
+
 /**
  * GET /api/tickets/analytics
- * Get ticket statistics for dashboard
+ * Get ticket statistics for dashboard, including the SLA breach report
  */
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', requirePermission('analytics.read'), async (req, res) => {
   try {
-    const tickets = await googleSheets.getAllTickets();
+    const tickets = await storage.getAllTickets();
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
@@ -82,7 +186,8 @@ router.get('/analytics', async (req, res) => {
       avgResolutionHours,
       topApplication,
       totalTickets: tickets.length,
-      closedTickets: closedTickets.length
+      closedTickets: closedTickets.length,
+      sla: slaService.buildBreachReport(await slaService.withSla(tickets))
     });
   } catch (error) {
     console.error('Analytics error:', error);
@@ -90,13 +195,27 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tickets/assignees
+ * Staff who can be assigned tickets (enabled accounts with tickets.update)
+ */
+router.get('/assignees', requirePermission('tickets.read'), async (req, res) => {
+  try {
+    res.json(await queueService.getAssignableStaff());
+  } catch (error) {
+    console.error('Get assignees error:', error);
+    res.status(500).json({ error: 'Failed to fetch assignees' });
+  }
+});
+
 /**
  * GET /api/tickets/:id
- * Get a single ticket by ID
+ * Get a single ticket by ID, with its SLA state, the tickets merged into it and the
+ * conversation of every session linked to it by those merges
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('tickets.read'), ticketIdRules, validateRequest, async (req, res) => {
   try {
-    const ticket = await googleSheets.getTicketById(req.params.id);
+    const ticket = await storage.getTicketById(req.params.id);
     if (!ticket) {
       return res.status(404).json({ error: 'Ticket not found' });
     }
@@ -104,31 +223,47 @@ router.get('/:id', async (req, res) => {
     // Fetch the associated mock log if assigned
     let mockLog = null;
     if (ticket.assigned_log) {
-      mockLog = await googleSheets.getMockLog(ticket.assigned_log);
+      mockLog = await storage.getMockLog(ticket.assigned_log);
     }
 
     // If no log assigned, try to find a matching one based on application and problem details
     if (!mockLog && ticket.application) {
       // Extract keywords from problem summary and details
       const keywords = `${ticket.problem_summary} ${ticket.problem_details}`.toLowerCase();
-      mockLog = await googleSheets.findMatchingMockLog(ticket.application, keywords);
+      mockLog = await storage.findMatchingMockLog(ticket.application, keywords);
 
       // If found, update the ticket with the assigned log for future reference
+      // (this bumps the version, so respond with the updated row)
       if (mockLog) {
-        await googleSheets.updateTicket(ticket.ticket_id, {
+        const updatedAt = new Date().toISOString();
+        Object.assign(ticket, await storage.updateTicket(ticket.ticket_id, {
           assigned_log: mockLog.log_id,
-          updated_at: new Date().toISOString()
-        });
+          updated_at: updatedAt
+        }));
+        await ticketEvents.recordTicketEvents([
+          ticketEvents.ticketEvent(ticket.ticket_id, 'log_matched', ticketEvents.SYSTEM_ACTOR, { log_id: mockLog.log_id }, updatedAt)
+        ]);
       }
     }
 
-    // Fetch conversation history
-    const messages = await googleSheets.getMessagesBySession(ticket.session_id);
+    // Fetch conversation history, including the sessions of merged duplicates
+    const mergedTickets = await duplicateService.getMergedTickets(ticket.ticket_id);
+    const messages = [];
+    for (const sessionId of new Set([ticket.session_id, ...mergedTickets.map(merged => merged.session_id)])) {
+      messages.push(...await storage.getMessagesBySession(sessionId));
+    }
+    if (mergedTickets.length > 0) {
+      messages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
 
+    const [withSla] = await slaService.withSla([ticket]);
     res.json({
-      ...ticket,
+      ...withSla,
       mockLog,
-      messages
+      messages,
+      merged_tickets: mergedTickets.map(({ ticket_id, session_id, reported_by, problem_summary }) => ({
+        ticket_id, session_id, reported_by, problem_summary
+      }))
     });
   } catch (error) {
     console.error('Get ticket error:', error);
@@ -136,63 +271,430 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tickets/:id/timeline
+ * Everything that happened to a ticket, oldest first
+ */
+router.get('/:id/timeline', requirePermission('tickets.read'), ticketIdRules, validateRequest, async (req, res) => {
+  try {
+    const ticket = await storage.getTicketById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    res.json({
+      ticket_id: ticket.ticket_id,
+      events: await ticketEvents.getTimeline(ticket.ticket_id)
+    });
+  } catch (error) {
+    console.error('Get timeline error:', error);
+    res.status(500).json({ error: 'Failed to fetch ticket timeline' });
+  }
+});
+
+/**
+ * GET /api/tickets/:id/duplicates
+ * Open tickets that likely report the same problem (match: duplicate) or a related one
+ * (match: related), by similarity of their embedded summary and details
+ */
+router.get('/:id/duplicates', requirePermission('tickets.read'), ticketIdRules, validateRequest, async (req, res) => {
+  try {
+    const duplicates = await duplicateService.findDuplicates(req.params.id);
+    if (!duplicates) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    res.json({ ticket_id: req.params.id, duplicates });
+  } catch (error) {
+    // Usually the embeddings provider isn't configured or can't be reached
+    console.error('Find duplicates error:', error.message);
+    res.status(503).json({ error: 'Duplicate detection is unavailable', message: error.message });
+  }
+});
+
+/**
+ * POST /api/tickets/:id/merge
+ * Merge duplicates ({ ticket_ids }) into this ticket: they are closed and their chat
+ * sessions linked to it, so clarification questions reach every affected user
+ */
+router.post('/:id/merge', requirePermission('tickets.update'), ticketMergeRules, validateRequest, async (req, res) => {
+  try {
+    const actor = ticketEvents.actorOf(req);
+    const { primary, merged, followers } = await duplicateService.mergeTickets(req.params.id, req.body.ticket_ids);
+    const mergedIds = merged.map(ticket => ticket.ticket_id);
+
+    await recordAudit(req, {
+      action: 'ticket.merge',
+      entityType: 'ticket',
+      entityId: primary.ticket_id,
+      after: { merged: mergedIds.join(','), moved: followers.map(ticket => ticket.ticket_id).join(',') }
+    });
+
+    const now = new Date().toISOString();
+    await ticketEvents.recordTicketEvents([
+      ticketEvents.ticketEvent(primary.ticket_id, 'duplicates_merged', actor, { ticket_ids: mergedIds }, now),
+      ...merged.flatMap(ticket => [
+        ticketEvents.ticketEvent(ticket.ticket_id, 'merged', actor, { into: primary.ticket_id }, now),
+        ...ticketEvents.changeEvents(ticket, { status: 'closed', updated_at: now }, actor)
+      ]),
+      ...followers.map(ticket =>
+        ticketEvents.ticketEvent(ticket.ticket_id, 'merged', actor, { into: primary.ticket_id, from: ticket.merged_into }, now)
+      )
+    ]);
+
+    res.json({
+      ticket_id: primary.ticket_id,
+      merged: mergedIds,
+      merged_tickets: (await duplicateService.getMergedTickets(primary.ticket_id)).map(ticket => ticket.ticket_id)
+    });
+  } catch (error) {
+    if (error.name === 'MergeError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Merge tickets error:', error);
+    res.status(500).json({ error: 'Failed to merge tickets' });
+  }
+});
+
+/**
+ * GET /api/tickets/:id/comments
+ * The ticket's internal comment thread, oldest first
+ */
+router.get('/:id/comments', requirePermission('tickets.read'), ticketIdRules, validateRequest, async (req, res) => {
+  try {
+    const ticket = await storage.getTicketById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    res.json(await commentService.listComments(ticket.ticket_id));
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+/**
+ * Add a comment to a ticket as the caller, and record it
+ */
+async function addTicketComment(req, ticket, body) {
+  const comment = await commentService.addComment(ticket.ticket_id, ticketEvents.actorOf(req), body);
+  await recordAudit(req, {
+    action: 'ticket_comment.create',
+    entityType: 'ticket_comment',
+    entityId: comment.comment_id,
+    after: { ticket_id: comment.ticket_id, body: comment.body, mentions: comment.mentions.join(',') }
+  });
+  await ticketEvents.recordTicketEvents([
+    ticketEvents.ticketEvent(ticket.ticket_id, 'comment_added', comment.author, {
+      comment_id: comment.comment_id,
+      mentions: comment.mentions
+    }, comment.created_at)
+  ]);
+  return comment;
+}
+
+/**
+ * POST /api/tickets/:id/comments
+ * Add an internal comment ({ body }); @usernames of staff are recorded as mentions
+ */
+router.post('/:id/comments', requirePermission('tickets.update'), commentCreateRules, validateRequest, async (req, res) => {
+  try {
+    const ticket = await storage.getTicketById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    res.status(201).json(await addTicketComment(req, ticket, req.body.body));
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+/**
+ * PATCH /api/tickets/:id/comments/:commentId
+ * Edit your own comment ({ body }); the previous text is kept in its history
+ */
+router.patch('/:id/comments/:commentId', requirePermission('tickets.update'), commentUpdateRules, validateRequest, async (req, res) => {
+  try {
+    const result = await commentService.editComment(req.params.id, req.params.commentId, ticketEvents.actorOf(req), req.body.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const { before, comment } = result;
+    if (comment !== before) {
+      await recordAudit(req, {
+        action: 'ticket_comment.update',
+        entityType: 'ticket_comment',
+        entityId: comment.comment_id,
+        before: { body: before.body, mentions: before.mentions.join(',') },
+        after: { body: comment.body, mentions: comment.mentions.join(',') }
+      });
+      await ticketEvents.recordTicketEvents([
+        ticketEvents.ticketEvent(comment.ticket_id, 'comment_edited', comment.author, {
+          comment_id: comment.comment_id,
+          mentions: comment.mentions
+        }, comment.updated_at)
+      ]);
+    }
+
+    res.json(comment);
+  } catch (error) {
+    if (error.name === 'CommentError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Edit comment error:', error);
+    res.status(500).json({ error: 'Failed to edit comment' });
+  }
+});
+
+/**
+ * Apply a status, severity or priority change to a ticket, and record it
+ * @param {Object} options - { expectedVersion } (see storage.updateTicket)
+ * @returns {Promise<Object|null>} - Updated ticket, or null if not found
+ */
+async function updateTicketFields(req, before, updates, options = {}) {
+  // A status change is the user-visible kind of response the SLA response timer waits for
+  const changes = {
+    ...updates,
+    ...slaService.trackTicketChange(before, updates, {
+      staffResponse: Boolean(updates.status) && updates.status !== before.status
+    })
+  };
+
+  const updated = await storage.updateTicket(before.ticket_id, changes, options);
+  if (!updated) {
+    return null;
+  }
+
+  await recordAudit(req, {
+    action: 'ticket.update',
+    entityType: 'ticket',
+    entityId: before.ticket_id,
+    before,
+    after: changes
+  });
+  await ticketEvents.recordTicketEvents(ticketEvents.changeEvents(before, changes, ticketEvents.actorOf(req)));
+  return updated;
+}
+
 /**
  * PATCH /api/tickets/:id
- * Update a ticket
+ * Update a ticket's status, severity or priority (IT notes are now comments)
+ * Requires the `version` last read; returns 409 with the current ticket if it is stale
  */
-router.patch('/:id', ticketUpdateRules, validateRequest, async (req, res) => {
+router.patch('/:id', requirePermission('tickets.update'), ticketUpdateRules, validateRequest, async (req, res) => {
   try {
-    const { status, it_notes } = req.body;
+    const { status, severity, priority, version } = req.body;
+    if (status === 'closed' && !hasPermission(req.user, 'tickets.close')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Closing tickets requires the tickets.close permission'
+      });
+    }
+
     const updates = {
       updated_at: new Date().toISOString()
     };
 
     if (status) updates.status = status;
-    if (it_notes !== undefined) updates.it_notes = it_notes;
+    if (severity !== undefined) updates.severity = severity;
+    if (priority !== undefined) updates.priority = priority;
     if (status === 'closed') updates.resolved_at = new Date().toISOString();
 
-    const updated = await googleSheets.updateTicket(req.params.id, updates);
+    const before = await storage.getTicketById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const updated = await updateTicketFields(req, before, updates, { expectedVersion: version });
     if (!updated) {
       return res.status(404).json({ error: 'Ticket not found' });
     }
 
-    res.json(updated);
+    const [withSla] = await slaService.withSla([updated]);
+    res.json(withSla);
   } catch (error) {
+    if (error.name === 'VersionConflictError') {
+      return res.status(409).json({
+        error: 'Ticket was modified by someone else',
+        current: error.current
+      });
+    }
     console.error('Update ticket error:', error);
     res.status(500).json({ error: 'Failed to update ticket' });
   }
 });
 
 /**
- * POST /api/tickets/:id/clarify
- * Send a clarification question to the user
+ * Apply an assignment change to a ticket and record it
+ * @param {Object} options - { expectedVersion } (see storage.updateTicket)
+ * @returns {Promise<Object>} - Updated ticket
+ */
+async function assignTicket(req, before, action, changes, options = {}) {
+  const updated = await queueService.assignTicket(before.ticket_id, changes, options);
+  await recordAudit(req, {
+    action,
+    entityType: 'ticket',
+    entityId: before.ticket_id,
+    before: { assignee: before.assignee || '', queue: before.queue || '' },
+    after: changes
+  });
+  await ticketEvents.recordTicketEvents(ticketEvents.changeEvents(before, { ...changes, updated_at: updated?.updated_at }, ticketEvents.actorOf(req)));
+  return updated;
+}
+
+/**
+ * Apply an assignment change, record it and send the response
  */
-router.post('/:id/clarify', clarificationRules, validateRequest, async (req, res) => {
+async function changeAssignment(req, res, action, changes) {
+  const before = await storage.getTicketById(req.params.id);
+  if (!before) {
+    return res.status(404).json({ error: 'Ticket not found' });
+  }
+
+  res.json(await assignTicket(req, before, action, changes));
+}
+
+function assignmentErrorResponse(res, error, fallback) {
+  if (error.name === 'QueueError') {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error.name === 'VersionConflictError') {
+    return res.status(409).json({
+      error: 'Ticket was modified by someone else',
+      current: error.current
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * POST /api/tickets/:id/claim
+ * Assign a ticket to yourself; taking one assigned to someone else needs tickets.assign
+ */
+router.post('/:id/claim', requirePermission('tickets.update'), ticketIdRules, validateRequest, async (req, res) => {
   try {
-    const { question } = req.body;
-    const ticket = await googleSheets.getTicketById(req.params.id);
+    if (req.user.tokenId) {
+      return res.status(400).json({ error: 'API tokens cannot claim tickets; use /assign' });
+    }
 
+    const ticket = await storage.getTicketById(req.params.id);
     if (!ticket) {
       return res.status(404).json({ error: 'Ticket not found' });
     }
+    if (ticket.assignee && ticket.assignee !== req.user.username && !hasPermission(req.user, 'tickets.assign')) {
+      return res.status(409).json({ error: `Ticket is already assigned to ${ticket.assignee}` });
+    }
+
+    // Only if nobody else claimed it since it was read
+    res.json(await assignTicket(req, ticket, 'ticket.claim', { assignee: req.user.username }, { expectedVersion: ticket.version }));
+  } catch (error) {
+    assignmentErrorResponse(res, error, 'Failed to claim ticket');
+  }
+});
+
+/**
+ * POST /api/tickets/:id/unassign
+ * Clear a ticket's assignee; unassigning someone else needs tickets.assign
+ */
+router.post('/:id/unassign', requirePermission('tickets.update'), ticketIdRules, validateRequest, async (req, res) => {
+  try {
+    const ticket = await storage.getTicketById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    if (ticket.assignee && ticket.assignee !== req.user.username && !hasPermission(req.user, 'tickets.assign')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Unassigning another staff member requires the tickets.assign permission'
+      });
+    }
 
-    // Add IT support message to the session
-    await googleSheets.addMessage({
+    // Only if the ticket wasn't reassigned since it was read
+    res.json(await assignTicket(req, ticket, 'ticket.unassign', { assignee: '' }, { expectedVersion: ticket.version }));
+  } catch (error) {
+    assignmentErrorResponse(res, error, 'Failed to unassign ticket');
+  }
+});
+
+/**
+ * POST /api/tickets/:id/assign
+ * Set a ticket's assignee and/or queue ({ assignee, queue }; null or '' clears either)
+ */
+router.post('/:id/assign', requirePermission('tickets.assign'), ticketAssignRules, validateRequest, async (req, res) => {
+  try {
+    const changes = {};
+    if (req.body.assignee !== undefined) changes.assignee = req.body.assignee || '';
+    if (req.body.queue !== undefined) changes.queue = req.body.queue || '';
+
+    await changeAssignment(req, res, 'ticket.assign', changes);
+  } catch (error) {
+    assignmentErrorResponse(res, error, 'Failed to assign ticket');
+  }
+});
+
+/**
+ * Send a clarification question to a ticket's user, and to the users of tickets merged into
+ * it, then wait for their answer
+ */
+async function sendClarification(req, ticket, question) {
+  // Add IT support message to the session of the ticket and of each merged duplicate
+  // (once per session: a user may have escalated the same problem twice)
+  const mergedTickets = await duplicateService.getMergedTickets(ticket.ticket_id);
+  const recipients = new Map([ticket, ...mergedTickets].reverse().map(recipient => [recipient.session_id, recipient]));
+  for (const recipient of recipients.values()) {
+    await storage.addMessage({
       message_id: uuidv4(),
-      session_id: ticket.session_id,
-      ticket_id: ticket.ticket_id,
+      session_id: recipient.session_id,
+      ticket_id: recipient.ticket_id,
       sender: 'it_support',
       content: question,
       timestamp: new Date().toISOString(),
       read: 'FALSE'  // Will trigger notification bell
     });
+  }
 
-    // Update ticket status
-    await googleSheets.updateTicket(ticket.ticket_id, {
-      status: 'waiting_clarification',
-      updated_at: new Date().toISOString()
-    });
+  // Update ticket status; the question counts as a response and pauses the SLA timers
+  const updates = {
+    status: 'waiting_clarification',
+    updated_at: new Date().toISOString()
+  };
+  await storage.updateTicket(ticket.ticket_id, {
+    ...updates,
+    ...slaService.trackTicketChange(ticket, updates, { staffResponse: true })
+  });
+  await ticketEvents.recordTicketEvents([
+    ticketEvents.ticketEvent(ticket.ticket_id, 'clarification_requested', ticketEvents.actorOf(req), { question }, updates.updated_at),
+    ...ticketEvents.changeEvents(ticket, updates, ticketEvents.actorOf(req))
+  ]);
+
+  await recordAudit(req, {
+    action: 'ticket.clarify',
+    entityType: 'ticket',
+    entityId: ticket.ticket_id,
+    before: { status: ticket.status },
+    after: { status: 'waiting_clarification', question }
+  });
+}
+
+/**
+ * POST /api/tickets/:id/clarify
+ * Send a clarification question to the user, and to the users of tickets merged into this one
+ */
+router.post('/:id/clarify', requirePermission('tickets.update'), clarificationRules, validateRequest, async (req, res) => {
+  try {
+    const { question } = req.body;
+    const ticket = await storage.getTicketById(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
 
+    await sendClarification(req, ticket, question);
     res.json({ success: true });
   } catch (error) {
     console.error('Clarify error:', error);
@@ -200,13 +702,200 @@ router.post('/:id/clarify', clarificationRules, validateRequest, async (req, res
   }
 });
 
+/**
+ * Apply a bulk change to the given tickets with one write per table: the ticket updates
+ * (version-checked against the tickets as loaded), comments, clarification messages,
+ * timeline events and audit entries. A status a ticket already has is left alone
+ * Throws VersionConflictError, with nothing applied, if a ticket changed in the meantime
+ * @param {Object[]} tickets - The tickets to change, as just loaded
+ * @returns {Promise<Object[]>} - { ticket_id, success, applied } per ticket; applied lists
+ *   the changes made (assignment, comment, status, question)
+ */
+async function applyBulkChanges(req, tickets, { status, comment, assignment, question }) {
+  const now = new Date().toISOString();
+  const actor = ticketEvents.actorOf(req);
+  const assigning = Object.keys(assignment).length > 0;
+
+  const plans = tickets.map(ticket => {
+    const applied = [];
+    const updates = { updated_at: now };
+    if (assigning) {
+      Object.assign(updates, assignment);
+      applied.push('assignment');
+    }
+    if (comment) {
+      applied.push('comment');
+    }
+    if (status && status !== ticket.status) {
+      updates.status = status;
+      if (status === 'closed') updates.resolved_at = now;
+      applied.push('status');
+    }
+    if (question) {
+      updates.status = 'waiting_clarification';
+      applied.push('question');
+    }
+    // A status change or question is the kind of response the SLA response timer waits for
+    const statusChanged = Boolean(updates.status) && updates.status !== ticket.status;
+    Object.assign(updates, slaService.trackTicketChange(ticket, updates, { staffResponse: statusChanged || Boolean(question) }));
+    return { ticket, updates, applied };
+  });
+
+  const changed = plans.filter(plan => plan.applied.some(change => change !== 'comment'));
+  await storage.updateTickets(changed.map(({ ticket, updates }) => ({
+    id: ticket.ticket_id,
+    updates,
+    expectedVersion: ticket.version
+  })));
+
+  const comments = comment ? await commentService.addComments(tickets.map(ticket => ticket.ticket_id), actor, comment) : [];
+
+  if (question) {
+    // Each ticket's user, and the users of tickets merged into it (once per session)
+    const allTickets = await storage.getAllTickets();
+    const recipients = new Map();
+    for (const ticket of tickets) {
+      const merged = allTickets.filter(other => other.merged_into === ticket.ticket_id);
+      for (const recipient of [ticket, ...merged].reverse()) {
+        recipients.set(`${ticket.ticket_id}:${recipient.session_id}`, recipient);
+      }
+    }
+    await storage.addMessages([...recipients.values()].map(recipient => ({
+      message_id: uuidv4(),
+      session_id: recipient.session_id,
+      ticket_id: recipient.ticket_id,
+      sender: 'it_support',
+      content: question,
+      timestamp: now,
+      read: 'FALSE'  // Will trigger notification bell
+    })));
+  }
+
+  const events = [];
+  const audits = [];
+  plans.forEach(({ ticket, updates, applied }, i) => {
+    if (applied.includes('assignment')) {
+      audits.push({
+        action: 'ticket.assign',
+        entityType: 'ticket',
+        entityId: ticket.ticket_id,
+        before: { assignee: ticket.assignee || '', queue: ticket.queue || '' },
+        after: assignment
+      });
+    }
+    if (comment) {
+      const added = comments[i];
+      audits.push({
+        action: 'ticket_comment.create',
+        entityType: 'ticket_comment',
+        entityId: added.comment_id,
+        after: { ticket_id: added.ticket_id, body: added.body, mentions: added.mentions.join(',') }
+      });
+      events.push(ticketEvents.ticketEvent(ticket.ticket_id, 'comment_added', actor, {
+        comment_id: added.comment_id,
+        mentions: added.mentions
+      }, added.created_at));
+    }
+    if (applied.includes('status')) {
+      audits.push({
+        action: 'ticket.update',
+        entityType: 'ticket',
+        entityId: ticket.ticket_id,
+        before: ticket,
+        after: { status: updates.status, resolved_at: updates.resolved_at }
+      });
+    }
+    if (question) {
+      events.push(ticketEvents.ticketEvent(ticket.ticket_id, 'clarification_requested', actor, { question }, now));
+      audits.push({
+        action: 'ticket.clarify',
+        entityType: 'ticket',
+        entityId: ticket.ticket_id,
+        before: { status: ticket.status },
+        after: { status: 'waiting_clarification', question }
+      });
+    }
+    events.push(...ticketEvents.changeEvents(ticket, updates, actor));
+  });
+  await ticketEvents.recordTicketEvents(events);
+  await recordAudits(req, audits);
+
+  return plans.map(({ ticket, applied }) => ({ ticket_id: ticket.ticket_id, success: true, applied }));
+}
+
+/**
+ * POST /api/tickets/bulk
+ * Apply one change to many tickets: those listed in ticket_ids, or those matching filter
+ * (the GET /api/tickets filters, e.g. { status: 'open', queue: 'network' }). The change is
+ * any of status, comment (internal), assignee/queue (needs tickets.assign) and question
+ * (a clarification for each ticket's user, instead of status). Closing needs tickets.close.
+ * The tickets are loaded once and each table is written once; if a ticket changes meanwhile,
+ * nothing is applied and the response is 409. Otherwise it reports each ticket:
+ * { results: [{ ticket_id, success, applied, error? }], succeeded, failed }
+ */
+router.post('/bulk', requirePermission('tickets.update'), ticketBulkRules, validateRequest, async (req, res) => {
+  try {
+    const { ticket_ids, filter, status, comment, assignee, queue, question } = req.body;
+    if (status === 'closed' && !hasPermission(req.user, 'tickets.close')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Closing tickets requires the tickets.close permission'
+      });
+    }
+
+    const assignment = {};
+    if (assignee !== undefined) assignment.assignee = assignee || '';
+    if (queue !== undefined) assignment.queue = queue || '';
+    if (Object.keys(assignment).length > 0 && !hasPermission(req.user, 'tickets.assign')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Assigning tickets requires the tickets.assign permission'
+      });
+    }
+    // Checked once here rather than failing on every ticket
+    await queueService.checkAssignment(assignment);
+
+    // Load the selected tickets once
+    let ticketIds;
+    let tickets;
+    if (ticket_ids) {
+      const byId = new Map((await storage.getAllTickets()).map(ticket => [ticket.ticket_id, ticket]));
+      ticketIds = [...new Set(ticket_ids)];
+      tickets = ticketIds.filter(id => byId.has(id)).map(id => byId.get(id));
+    } else {
+      tickets = await findTickets(filter, req.user);
+      ticketIds = tickets.map(ticket => ticket.ticket_id);
+    }
+    if (ticketIds.length > MAX_BULK_TICKETS) {
+      return res.status(400).json({
+        error: `The filter matches ${ticketIds.length} tickets; a bulk change is limited to ${MAX_BULK_TICKETS}. Narrow the filter`
+      });
+    }
+
+    const applied = new Map((await applyBulkChanges(req, tickets, { status, comment, assignment, question }))
+      .map(result => [result.ticket_id, result]));
+    const results = ticketIds.map(ticketId =>
+      applied.get(ticketId) || { ticket_id: ticketId, success: false, applied: [], error: 'Ticket not found' }
+    );
+
+    const succeeded = results.filter(result => result.success).length;
+    res.json({ results, succeeded, failed: results.length - succeeded });
+  } catch (error) {
+    if (error.name === 'VersionConflictError') {
+      return res.status(409).json({ error: 'Some of the tickets were modified by someone else; nothing was changed. Try again' });
+    }
+    assignmentErrorResponse(res, error, 'Failed to apply bulk change');
+  }
+});
+
 /**
  * POST /api/tickets/:id/analyze
- * Get AI analysis of ticket and associated logs
+ * Get AI analysis of ticket and associated logs, with the severity it assessed
+ * (suggestedSeverity/suggestedPriority, empty if the analysis didn't state one)
  */
-router.post('/:id/analyze', async (req, res) => {
+router.post('/:id/analyze', requirePermission('tickets.update'), ticketIdRules, validateRequest, async (req, res) => {
   try {
-    const ticket = await googleSheets.getTicketById(req.params.id);
+    const ticket = await storage.getTicketById(req.params.id);
     if (!ticket) {
       return res.status(404).json({ error: 'Ticket not found' });
     }
@@ -214,13 +903,13 @@ router.post('/:id/analyze', async (req, res) => {
     // Get the associated log
     let mockLog = null;
     if (ticket.assigned_log) {
-      mockLog = await googleSheets.getMockLog(ticket.assigned_log);
+      mockLog = await storage.getMockLog(ticket.assigned_log);
     }
 
     // If no log assigned, try to find one
     if (!mockLog && ticket.application) {
       const keywords = `${ticket.problem_summary} ${ticket.problem_details}`.toLowerCase();
-      mockLog = await googleSheets.findMatchingMockLog(ticket.application, keywords);
+      mockLog = await storage.findMatchingMockLog(ticket.application, keywords);
     }
 
     // Build analysis prompt
@@ -242,7 +931,7 @@ Provide a structured analysis with:
 
 1. **Root Cause Analysis:** What is likely causing this issue based on the logs and problem description?
 
-2. **Severity Assessment:** Is this Critical / High / Medium / Low? Why?
+2. **Severity Assessment:** Start with exactly one of Critical / High / Medium / Low, then explain why.
 
 3. **Recommended Solution:** Step-by-step fix for IT support to apply or communicate to user.
 
@@ -260,9 +949,13 @@ Be concise and actionable. Focus on practical steps.`;
       'You are an expert IT support analyst. Provide clear, actionable analysis.'
     );
 
+    const suggestedSeverity = triageService.parseSeverity(analysis);
+
     res.json({
       success: true,
       analysis,
+      suggestedSeverity,
+      suggestedPriority: triageService.DEFAULT_PRIORITY[suggestedSeverity] || '',
       hasLogs: !!mockLog,
       logId: mockLog?.log_id || null
     });
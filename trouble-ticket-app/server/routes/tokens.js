@@ -0,0 +1,73 @@
+/**
+ * API token management routes
+ * Issue, list and revoke tokens for machine integrations (requires tokens.manage)
+ */
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { apiTokenCreateRules, apiTokenIdRules, validateRequest } = require('../middleware/validate');
+const apiTokenService = require('../services/apiTokenService');
+const { recordAudit } = require('../services/auditService');
+
+// Require the tokens.manage permission for all token routes
+router.use(requirePermission('tokens.manage'));
+
+/**
+ * GET /api/tokens
+ * List tokens (without their secret values) and the scopes a token can hold
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      tokens: await apiTokenService.listTokens(),
+      scopes: apiTokenService.getScopeCatalogue()
+    });
+  } catch (error) {
+    console.error('List API tokens error:', error);
+    res.status(500).json({ error: 'Failed to list API tokens' });
+  }
+});
+
+/**
+ * POST /api/tokens
+ * Issue a token; the response is the only time the token itself is returned
+ */
+router.post('/', apiTokenCreateRules, validateRequest, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const { token, apiToken } = await apiTokenService.createToken({ name, scopes, expiresInDays }, req.user.username);
+    console.log(`API token "${name}" (${apiToken.token_prefix}) issued by ${req.user.username}`);
+    await recordAudit(req, {
+      action: 'api_token.create',
+      entityType: 'api_token',
+      entityId: apiToken.token_prefix,
+      after: { name, scopes: scopes.join(','), expires_at: apiToken.expires_at || 'never' }
+    });
+    res.status(201).json({ token, apiToken });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+/**
+ * DELETE /api/tokens/:tokenId
+ * Revoke a token; it stops working immediately but stays listed
+ */
+router.delete('/:tokenId', apiTokenIdRules, validateRequest, async (req, res) => {
+  try {
+    const apiToken = await apiTokenService.revokeToken(req.params.tokenId);
+    if (!apiToken) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    console.log(`API token "${apiToken.name}" (${apiToken.token_prefix}) revoked by ${req.user.username}`);
+    await recordAudit(req, { action: 'api_token.revoke', entityType: 'api_token', entityId: apiToken.token_prefix });
+    res.json(apiToken);
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+/**
+ * Staff account API routes
+ * GET /me for any signed-in staff member; account management requires users.manage
+ */
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { userCreateRules, userUpdateRules, passwordChangeRules, lockoutRules, validateRequest } = require('../middleware/validate');
+const userService = require('../services/userService');
+const loginThrottle = require('../services/loginThrottle');
+const storage = require('../services/storage');
+const { recordAudit } = require('../services/auditService');
+
+/**
+ * GET /api/users/me
+ * Return the signed-in account and, for cookie logins, when the session expires
+ */
+router.get('/me', requireAuth(), (req, res) => {
+  res.json({ user: req.user, expiresAt: req.authSession?.expires_at || null });
+});
+
+/**
+ * POST /api/users/me/password
+ * Change your own password (requires the current one); signs out your other sessions
+ */
+router.post('/me/password', requireAuth(), passwordChangeRules, validateRequest, async (req, res) => {
+  try {
+    await userService.changeOwnPassword(req.user.username, req.body.currentPassword, req.body.newPassword, {
+      sessionId: req.authSession?.session_id
+    });
+    await recordAudit(req, {
+      action: 'user.change_password',
+      entityType: 'user',
+      entityId: req.user.username,
+      before: { password: '' },
+      after: { password: req.body.newPassword }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    if (error.name === 'UserAccountError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Require the users.manage permission for the management routes
+router.use(requirePermission('users.manage'));
+
+/**
+ * GET /api/users
+ * List all staff accounts
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await userService.listUsers());
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+/**
+ * GET /api/users/lockouts
+ * Accounts and IPs with recent failed logins, including current lockouts
+ */
+router.get('/lockouts', (req, res) => {
+  res.json(loginThrottle.listLockouts());
+});
+
+/**
+ * DELETE /api/users/lockouts/:type/:id
+ * Clear the failure counter (and lockout) for an account or IP
+ */
+router.delete('/lockouts/:type/:id', lockoutRules, validateRequest, async (req, res) => {
+  const { type, id } = req.params;
+  if (!loginThrottle.unlock(type, id)) {
+    return res.status(404).json({ error: 'No failed logins recorded for this account or IP' });
+  }
+  console.log(`Login lockout for ${type} ${id} cleared by ${req.user.username}`);
+  await recordAudit(req, { action: 'login_lockout.clear', entityType: 'login_lockout', entityId: `${type}:${id}` });
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/users
+ * Create a staff account
+ */
+router.post('/', userCreateRules, validateRequest, async (req, res) => {
+  try {
+    const { username, display_name, role, password } = req.body;
+    const user = await userService.createUser({ username, display_name, role, password });
+    console.log(`User ${username} (${role}) created by ${req.user.username}`);
+    await recordAudit(req, {
+      action: 'user.create',
+      entityType: 'user',
+      entityId: username,
+      after: { display_name: user.display_name, role, password }
+    });
+    res.status(201).json(user);
+  } catch (error) {
+    if (error.name === 'UserAccountError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create user error:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+/**
+ * PATCH /api/users/:username
+ * Update display name, role, enabled flag or password
+ */
+router.patch('/:username', userUpdateRules, validateRequest, async (req, res) => {
+  try {
+    const { display_name, role, enabled, password } = req.body;
+    const existing = await storage.getUser(req.params.username);
+    const user = await userService.updateUser(
+      req.params.username,
+      { display_name, role, enabled, password },
+      req.user
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.update',
+      entityType: 'user',
+      entityId: req.params.username,
+      before: { ...userService.toPublicUser(existing), password: '' },
+      after: {
+        display_name,
+        role,
+        enabled,
+        ...(password ? { password } : {})
+      }
+    });
+    res.json(user);
+  } catch (error) {
+    if (error.name === 'UserAccountError') {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+module.exports = router;
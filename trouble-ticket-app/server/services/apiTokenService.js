@@ -0,0 +1,176 @@
+/**
+ * API token service
+ * Admins issue tokens for other systems (monitoring, HR portal) to call the ticket,
+ * knowledge and documents APIs with "Authorization: Bearer <token>". Each token carries
+ * scopes (a subset of the role permissions), an optional expiry, and can be revoked.
+ * Only the SHA-256 hash of a token is stored; the token itself is shown once at creation
+ */
+const crypto = require('crypto');
+const storage = require('./storage');
+const { PERMISSIONS } = require('./roleService');
+
+// Permissions a token can be granted: those checked by the routes that accept tokens
+const TOKEN_SCOPES = [
+  'tickets.read',
+  'tickets.create',
+  'tickets.update',
+  'tickets.close',
+  'tickets.assign',
+  'analytics.read',
+  'kb.write',
+  'documents.read',
+  'documents.upload'
+];
+
+const TOKEN_PREFIX = 'tt_';
+
+// Record last use at most this often, so busy integrations don't write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check whether a stored token can still be used
+ */
+function isActive(apiToken) {
+  return !!apiToken && !apiToken.revoked_at &&
+    (!apiToken.expires_at || new Date(apiToken.expires_at).getTime() > Date.now());
+}
+
+function parseScopes(apiToken) {
+  return (apiToken.scopes || '').split(',').filter(scope => TOKEN_SCOPES.includes(scope));
+}
+
+/**
+ * Token as returned by the API (never includes the token itself)
+ */
+function toPublicToken(apiToken) {
+  let status = 'active';
+  if (apiToken.revoked_at) {
+    status = 'revoked';
+  } else if (!isActive(apiToken)) {
+    status = 'expired';
+  }
+
+  return {
+    token_id: apiToken.token_id,
+    name: apiToken.name,
+    token_prefix: apiToken.token_prefix,
+    scopes: parseScopes(apiToken),
+    created_by: apiToken.created_by,
+    created_at: apiToken.created_at,
+    expires_at: apiToken.expires_at || null,
+    last_used_at: apiToken.last_used_at || null,
+    last_used_ip: apiToken.last_used_ip || null,
+    revoked_at: apiToken.revoked_at || null,
+    status
+  };
+}
+
+/**
+ * Scopes with their descriptions, for the token form
+ */
+function getScopeCatalogue() {
+  return Object.fromEntries(TOKEN_SCOPES.map(scope => [scope, PERMISSIONS[scope]]));
+}
+
+/**
+ * List all tokens, newest first
+ */
+async function listTokens() {
+  const tokens = await storage.getAllApiTokens();
+  return tokens
+    .map(toPublicToken)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Issue a token
+ * @param {Object} data - { name, scopes, expiresInDays } (no expiresInDays: never expires)
+ * @param {string} createdBy - Username of the admin issuing it
+ * @returns {Promise<{token: string, apiToken: Object}>} - The plaintext token (shown once) and its record
+ */
+async function createToken({ name, scopes, expiresInDays }, createdBy) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const now = Date.now();
+
+  const apiToken = await storage.addApiToken({
+    token_id: hashToken(token),
+    name,
+    token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: scopes.join(','),
+    created_by: createdBy,
+    created_at: new Date(now).toISOString(),
+    expires_at: expiresInDays ? new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : ''
+  });
+
+  return { token, apiToken: toPublicToken(apiToken) };
+}
+
+/**
+ * Look up the active token for a bearer value and note its use
+ * @param {string} token - Value from the Authorization header
+ * @param {Object} client - { ip } of the request
+ * @returns {Promise<Object|null>} - The stored token, or null if unknown, expired or revoked
+ */
+async function authenticateToken(token, { ip = '' } = {}) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const apiToken = await storage.getApiToken(hashToken(token));
+  if (!isActive(apiToken)) {
+    return null;
+  }
+
+  const lastUsed = apiToken.last_used_at ? new Date(apiToken.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_INTERVAL_MS || apiToken.last_used_ip !== ip) {
+    await storage.updateApiToken(apiToken.token_id, {
+      last_used_at: new Date().toISOString(),
+      last_used_ip: ip
+    });
+  }
+
+  return apiToken;
+}
+
+/**
+ * Build req.user for a token: its scopes act as its permissions
+ */
+function toTokenUser(apiToken) {
+  return {
+    username: `token:${apiToken.token_prefix}`,
+    displayName: apiToken.name,
+    role: 'api_token',
+    roleName: 'API token',
+    permissions: parseScopes(apiToken),
+    tokenId: apiToken.token_id
+  };
+}
+
+/**
+ * Revoke a token
+ * @returns {Promise<Object|null>} - The revoked token, or null if not found
+ */
+async function revokeToken(tokenId) {
+  const apiToken = await storage.getApiToken(tokenId);
+  if (!apiToken) {
+    return null;
+  }
+  if (apiToken.revoked_at) {
+    return toPublicToken(apiToken);
+  }
+  return toPublicToken(await storage.updateApiToken(tokenId, { revoked_at: new Date().toISOString() }));
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  getScopeCatalogue,
+  listTokens,
+  createToken,
+  authenticateToken,
+  toTokenUser,
+  revokeToken
+};
@@ -0,0 +1,173 @@
+/**
+ * Audit log service
+ * Records who did what to which entity, with the before/after values of the fields that
+ * changed. Secrets (API keys, passwords) are recorded as changed but never stored.
+ * Entries are append-only; recording never fails the action being audited
+ */
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+// Entity types written by the routes, for filter dropdowns
+const ENTITY_TYPES = ['ticket', 'settings', 'knowledge_doc', 'document', 'user', 'role', 'api_token', 'login_lockout', 'session', 'backup', 'queue', 'sla_policy', 'ticket_comment', 'incident'];
+
+// Values never written to the log
+const SECRET_FIELDS = new Set(['api_key', 'apiKey', 'embedding_api_key', 'password', 'password_hash', 'newPassword']);
+const REDACTED = '[redacted]';
+
+// Bookkeeping fields (version counters, SLA pause tracking) that would only add noise
+const IGNORED_FIELDS = new Set(['updated_at', 'version', 'sla_paused_at', 'sla_pauses']);
+
+// Long values (KB content, prompts) are cut so entries fit in one sheet cell
+const MAX_VALUE_LENGTH = 1000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Prepare values for storage: hide secrets and shorten long text
+ */
+function sanitize(values) {
+  if (!values) {
+    return null;
+  }
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => {
+    if (SECRET_FIELDS.has(key) && value) {
+      return [key, REDACTED];
+    }
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+      return [key, `${value.slice(0, MAX_VALUE_LENGTH)}… (${value.length} characters)`];
+    }
+    return [key, value];
+  }));
+}
+
+/**
+ * Reduce before/after snapshots to the fields that differ
+ */
+function changedFields(before, after) {
+  if (!before || !after) {
+    return { before, after };
+  }
+
+  const keys = Object.keys(after).filter(key =>
+    after[key] !== undefined && !IGNORED_FIELDS.has(key) && String(before[key] ?? '') !== String(after[key] ?? '')
+  );
+  return {
+    before: Object.fromEntries(keys.map(key => [key, before[key] ?? null])),
+    after: Object.fromEntries(keys.map(key => [key, after[key]]))
+  };
+}
+
+/**
+ * Build the stored row for an audit entry
+ */
+function toAuditRow(req, { action, entityType, entityId = '', before = null, after = null }) {
+  // Diff first so a changed secret still shows up, as [redacted] on both sides
+  const diff = changedFields(before, after);
+  return {
+    audit_id: uuidv4(),
+    timestamp: new Date().toISOString(),
+    actor: req.user?.username || 'anonymous',
+    actor_role: req.user?.role || '',
+    action,
+    entity_type: entityType,
+    entity_id: String(entityId),
+    before: diff.before ? JSON.stringify(sanitize(diff.before)) : '',
+    after: diff.after ? JSON.stringify(sanitize(diff.after)) : '',
+    ip: req.ip || ''
+  };
+}
+
+/**
+ * Record an action taken by the signed-in user
+ * @param {Object} req - Express request (req.user and req.ip identify the actor)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'ticket.update', 'settings.update'
+ * @param {string} entry.entityType - One of ENTITY_TYPES
+ * @param {string} [entry.entityId] - Ticket ID, setting group, username, ...
+ * @param {Object} [entry.before] - Values before the change (omit for creations)
+ * @param {Object} [entry.after] - Values after the change (omit for deletions)
+ */
+async function recordAudit(req, entry) {
+  try {
+    await storage.addAuditEntry(toAuditRow(req, entry));
+  } catch (error) {
+    console.error(`Audit log: failed to record ${entry.action} on ${entry.entityType} ${entry.entityId || ''}:`, error.message);
+  }
+}
+
+/**
+ * Record many actions taken by the signed-in user in one write (bulk changes)
+ * @param {Object} req - Express request
+ * @param {Object[]} entries - Entries as for recordAudit
+ */
+async function recordAudits(req, entries) {
+  if (entries.length === 0) {
+    return;
+  }
+  try {
+    await storage.addRows('audit_log', entries.map(entry => toAuditRow(req, entry)));
+  } catch (error) {
+    console.error(`Audit log: failed to record ${entries.length} entries:`, error.message);
+  }
+}
+
+function parseJson(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Search the audit log, newest first
+ * @param {Object} filters - { actor, entityType, entityId, action, from, to, limit, offset }
+ *   (from/to are ISO dates or timestamps; a date-only `to` includes that whole day)
+ * @returns {Promise<{entries: Object[], total: number}>}
+ */
+async function queryAudit({ actor, entityType, entityId, action, from, to, limit, offset } = {}) {
+  const toBound = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+
+  const matches = (await storage.getAuditEntries())
+    .filter(entry =>
+      (!actor || entry.actor === actor) &&
+      (!entityType || entry.entity_type === entityType) &&
+      (!entityId || entry.entity_id === entityId) &&
+      (!action || entry.action.startsWith(action)) &&
+      (!from || entry.timestamp >= from) &&
+      (!toBound || entry.timestamp <= toBound)
+    )
+    .reverse();
+
+  const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const start = parseInt(offset, 10) || 0;
+
+  return {
+    entries: matches.slice(start, start + pageSize).map(entry => ({
+      ...entry,
+      before: parseJson(entry.before),
+      after: parseJson(entry.after)
+    })),
+    total: matches.length
+  };
+}
+
+/**
+ * Actors that appear in the log, for filter dropdowns
+ */
+async function getAuditActors() {
+  const entries = await storage.getAuditEntries();
+  return [...new Set(entries.map(entry => entry.actor))].sort();
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  recordAudit,
+  recordAudits,
+  queryAudit,
+  getAuditActors
+};
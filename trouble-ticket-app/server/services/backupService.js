@@ -0,0 +1,475 @@
+/**
+ * Backup and restore service
+ * Snapshots every storage table together with the vector stores (data/vectors.json and
+ * data/ticket-vectors.json), stored documents, extracted page images and chat images into
+ * one versioned archive: gzipped JSON lines, written and read as a stream so data files
+ * never have to fit in memory. Archives hold password hashes, encrypted API keys, login
+ * sessions, chat transcripts and uploaded documents, so they must be kept as securely as
+ * the database itself.
+ * Restores replace the current data; a dry run reports the differences first
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const storage = require('./storage');
+const { SCHEMA } = require('./schema');
+const { loadMigrations, runMigrations } = require('./migrationService');
+
+// Archive format - bump ARCHIVE_VERSION when the layout changes
+const ARCHIVE_FORMAT = 'trouble-ticket-backup';
+// Version 2: one JSON record per line; version 1 (a single JSON document) is still read
+const ARCHIVE_VERSION = 2;
+
+// File contents are written in chunks of this many bytes, one record each
+const FILE_CHUNK_SIZE = 1024 * 1024;
+
+// Login sessions are only restored on request, so a restore doesn't sign everyone out
+const SESSIONS_TABLE = 'sessions';
+
+// Files under data/ included in the archive (the SQLite file is covered by the table dump)
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const FILE_DIRS = ['documents', 'images', 'chat-images'];
+const FILES = ['vectors.json', 'ticket-vectors.json'];
+
+/**
+ * Thrown for archives that can't be read or don't belong to this server
+ */
+class InvalidBackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidBackupError';
+    this.statusCode = 400;
+  }
+}
+
+// ============================================
+// FILES
+// ============================================
+
+/**
+ * List backed-up files as data/-relative POSIX paths
+ */
+function listDataFiles() {
+  const files = FILES.filter(file => fs.existsSync(path.join(DATA_DIR, file)));
+
+  const walk = (relDir) => {
+    const absDir = path.join(DATA_DIR, relDir);
+    if (!fs.existsSync(absDir)) return;
+    for (const entry of fs.readdirSync(absDir, { withFileTypes: true })) {
+      const relPath = `${relDir}/${entry.name}`;
+      if (entry.isDirectory()) {
+        walk(relPath);
+      } else if (entry.isFile()) {
+        files.push(relPath);
+      }
+    }
+  };
+  FILE_DIRS.forEach(walk);
+
+  return files.sort();
+}
+
+/**
+ * Check that an archive path stays inside the backed-up locations
+ */
+function isAllowedPath(relPath) {
+  if (relPath.includes('\\') || relPath.split('/').some(part => part === '..' || part === '')) {
+    return false;
+  }
+  return FILES.includes(relPath) || FILE_DIRS.some(dir => relPath.startsWith(`${dir}/`));
+}
+
+/**
+ * SHA-256 of a file, read as a stream
+ */
+async function hashFile(absPath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(absPath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// ============================================
+// ARCHIVE
+// ============================================
+
+/**
+ * Write a backup archive of all tables and data files to a stream
+ * Each table is read from storage in turn; files are streamed from disk in chunks
+ * @param {stream.Writable} output - Where the gzipped archive is written (a file or an HTTP response)
+ * @returns {Promise<Object>} - Summary of the archive (see summarize())
+ */
+async function createBackup(output) {
+  const gzip = zlib.createGzip();
+  const written = pipeline(gzip, output);
+
+  const writeRecord = async (record) => {
+    if (!gzip.write(`${JSON.stringify(record)}\n`)) {
+      await once(gzip, 'drain');
+    }
+  };
+
+  const header = {
+    type: 'header',
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    createdAt: new Date().toISOString(),
+    backend: storage.backend,
+    migrations: []
+  };
+  const tables = {};
+  let files = [];
+
+  try {
+    header.migrations = (await storage.getRows('schema_migrations')).map(row => row.migration_id);
+    await writeRecord(header);
+
+    for (const table of Object.keys(SCHEMA)) {
+      const rows = await storage.getRows(table);
+      await writeRecord({ type: 'table', table, count: rows.length });
+      for (const row of rows) {
+        await writeRecord({ type: 'row', table, row });
+      }
+      tables[table] = rows.length;
+    }
+
+    files = listDataFiles();
+    for (const relPath of files) {
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      await writeRecord({ type: 'file', path: relPath });
+      for await (const chunk of fs.createReadStream(path.join(DATA_DIR, relPath), { highWaterMark: FILE_CHUNK_SIZE })) {
+        hash.update(chunk);
+        size += chunk.length;
+        await writeRecord({ type: 'chunk', data: chunk.toString('base64') });
+      }
+      await writeRecord({ type: 'file_end', path: relPath, size, sha256: hash.digest('hex') });
+    }
+
+    await writeRecord({ type: 'end', tables, files: files.length });
+    gzip.end();
+  } catch (error) {
+    gzip.destroy(error);
+    await written.catch(() => {});
+    throw error;
+  }
+
+  await written;
+  return summarize(header, tables, files.length);
+}
+
+/**
+ * Check an archive's header: format, version, and that its schema isn't newer than ours
+ */
+function checkHeader(header) {
+  if (header?.format !== ARCHIVE_FORMAT) {
+    throw new InvalidBackupError('Not a backup archive created by this application');
+  }
+  if (!Number.isInteger(header.version) || header.version > ARCHIVE_VERSION) {
+    throw new InvalidBackupError(`Archive version ${header.version} is not supported (this server reads up to ${ARCHIVE_VERSION})`);
+  }
+
+  // Archives from a newer schema would lose columns this server doesn't know about
+  const known = new Set(loadMigrations().map(migration => migration.id));
+  const unknown = (header.migrations || []).filter(id => !known.has(id));
+  if (unknown.length > 0) {
+    throw new InvalidBackupError(`Archive was taken from a newer schema (unknown migrations: ${unknown.join(', ')})`);
+  }
+}
+
+function checkPath(relPath) {
+  if (typeof relPath !== 'string' || !isAllowedPath(relPath)) {
+    throw new InvalidBackupError(`Archive contains a file outside the data directories: ${relPath}`);
+  }
+}
+
+/**
+ * Read and validate an archive file as a stream
+ * Table rows are collected (restores write whole tables); each data file's content is
+ * hashed and, when a staging directory is given, written there under its data/ path
+ * @param {string} archivePath - Gzipped archive from createBackup()
+ * @param {string|null} stagingDir - Where to write the archive's files, or null to only check them
+ * @returns {Promise<{header: Object, tables: Object, files: Object}>} - files: { relPath: { size, sha256 } }
+ */
+async function readBackup(archivePath, stagingDir = null) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(archivePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  const tables = {};
+  const files = {};
+  let header = null;
+  let ended = false;
+  let file = null; // { relPath, hash, size, out }
+
+  const startFile = (relPath) => {
+    checkPath(relPath);
+    const out = stagingDir ? path.join(stagingDir, relPath) : null;
+    if (out) {
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, '');
+    }
+    file = { relPath, hash: crypto.createHash('sha256'), size: 0, out };
+  };
+  const addChunk = (buffer) => {
+    file.hash.update(buffer);
+    file.size += buffer.length;
+    if (file.out) {
+      fs.appendFileSync(file.out, buffer);
+    }
+  };
+  const endFile = (expected) => {
+    const sha256 = file.hash.digest('hex');
+    if (expected && (expected.sha256 !== sha256 || expected.size !== file.size)) {
+      throw new InvalidBackupError(`${file.relPath} is damaged (checksum mismatch)`);
+    }
+    files[file.relPath] = { size: file.size, sha256 };
+    file = null;
+  };
+
+  try {
+    for await (const line of lines) {
+      if (!line) continue;
+      const record = JSON.parse(line);
+
+      if (!header) {
+        checkHeader(record);
+        header = record;
+
+        // Version 1 archives are a single JSON document with every table and file inline
+        if (header.version === 1) {
+          Object.assign(tables, record.tables);
+          for (const [relPath, content] of Object.entries(record.files || {})) {
+            startFile(relPath);
+            addChunk(Buffer.from(content.data, 'base64'));
+            endFile(content);
+          }
+          ended = true;
+        }
+        continue;
+      }
+      if (ended) {
+        throw new InvalidBackupError('Archive has data after its end');
+      }
+
+      switch (record.type) {
+        case 'table':
+          tables[record.table] = [];
+          break;
+        case 'row':
+          if (!tables[record.table]) {
+            throw new InvalidBackupError(`Row for undeclared table ${record.table}`);
+          }
+          tables[record.table].push(record.row);
+          break;
+        case 'file':
+          startFile(record.path);
+          break;
+        case 'chunk':
+          if (!file) {
+            throw new InvalidBackupError('File content outside a file');
+          }
+          addChunk(Buffer.from(record.data, 'base64'));
+          break;
+        case 'file_end':
+          if (!file || file.relPath !== record.path) {
+            throw new InvalidBackupError(`Unexpected end of file ${record.path}`);
+          }
+          endFile(record);
+          break;
+        case 'end': {
+          const counts = Object.entries(record.tables || {});
+          if (counts.some(([table, count]) => tables[table]?.length !== count) || Object.keys(files).length !== record.files) {
+            throw new InvalidBackupError('Archive is incomplete (row or file counts don\'t match)');
+          }
+          ended = true;
+          break;
+        }
+        default:
+          throw new InvalidBackupError(`Unknown archive record "${record.type}"`);
+      }
+    }
+  } catch (error) {
+    if (error.name === 'InvalidBackupError') throw error;
+    throw new InvalidBackupError(`Not a backup archive: ${error.message}`);
+  }
+
+  if (!header) {
+    throw new InvalidBackupError('Not a backup archive: it is empty');
+  }
+  if (!ended) {
+    throw new InvalidBackupError('Archive is truncated (no end record)');
+  }
+  return { header, tables, files };
+}
+
+/**
+ * Archive summary: creation time, source backend, row and file counts
+ * @param {Object} header - The archive's header record
+ * @param {Object} tables - Row count, or rows, per table
+ * @param {number} fileCount
+ */
+function summarize(header, tables, fileCount) {
+  return {
+    format: header.format,
+    version: header.version,
+    createdAt: header.createdAt,
+    backend: header.backend,
+    tables: Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, Array.isArray(rows) ? rows.length : rows])),
+    files: fileCount
+  };
+}
+
+// ============================================
+// DIFF AND RESTORE
+// ============================================
+
+/**
+ * Keep only the schema's columns, as strings (the form both adapters return)
+ */
+function normalizeRow(table, row) {
+  return Object.fromEntries(SCHEMA[table].columns.map(column => [
+    column,
+    row[column] === undefined || row[column] === null ? '' : String(row[column])
+  ]));
+}
+
+/**
+ * Compare an archive against the current data
+ * Tables missing from the archive (added after it was taken) are left untouched on restore,
+ * and so are login sessions unless restoreSessions is set
+ */
+async function diffBackup(archive, { restoreSessions = false } = {}) {
+  const tables = {};
+  for (const table of Object.keys(SCHEMA)) {
+    if (!archive.tables[table]) {
+      tables[table] = { skipped: true, reason: 'not in archive' };
+      continue;
+    }
+    if (table === SESSIONS_TABLE && !restoreSessions) {
+      tables[table] = { skipped: true, reason: 'sessions are kept unless restoreSessions is set' };
+      continue;
+    }
+
+    const { key } = SCHEMA[table];
+    const current = new Map((await storage.getRows(table)).map(row => [row[key], normalizeRow(table, row)]));
+    const incoming = new Map(archive.tables[table].map(row => [row[key], normalizeRow(table, row)]));
+
+    const added = [...incoming.keys()].filter(id => !current.has(id));
+    const removed = [...current.keys()].filter(id => !incoming.has(id));
+    const changed = [...incoming.keys()].filter(id =>
+      current.has(id) && JSON.stringify(current.get(id)) !== JSON.stringify(incoming.get(id))
+    );
+
+    tables[table] = {
+      current: current.size,
+      archive: incoming.size,
+      added,
+      removed,
+      changed
+    };
+  }
+
+  const currentFiles = new Set(listDataFiles());
+  const incomingFiles = Object.keys(archive.files);
+  const changed = [];
+  for (const relPath of incomingFiles.filter(relPath => currentFiles.has(relPath))) {
+    if (await hashFile(path.join(DATA_DIR, relPath)) !== archive.files[relPath].sha256) {
+      changed.push(relPath);
+    }
+  }
+  const files = {
+    added: incomingFiles.filter(relPath => !currentFiles.has(relPath)),
+    removed: [...currentFiles].filter(relPath => !archive.files[relPath]),
+    changed
+  };
+
+  return { tables, files };
+}
+
+/**
+ * Restore an archive, or only report what would change
+ * The archive's files are unpacked into a staging directory first, so a damaged archive
+ * is rejected before anything is replaced
+ * @param {string} archivePath - Gzipped archive from createBackup()
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only compute the diff
+ * @param {boolean} options.restoreSessions - Also replace login sessions (signing everyone out
+ *   whose session isn't in the archive)
+ * @param {string} options.keepSessionId - Session to keep when sessions are restored (the
+ *   admin running the restore)
+ * @returns {Promise<{dryRun: boolean, archive: Object, diff: Object, migrationsApplied?: string[]}>}
+ */
+async function restoreBackup(archivePath, { dryRun = false, restoreSessions = false, keepSessionId = null } = {}) {
+  if (dryRun) {
+    const archive = await readBackup(archivePath);
+    const diff = await diffBackup(archive, { restoreSessions });
+    return { dryRun: true, archive: summarize(archive.header, archive.tables, Object.keys(archive.files).length), diff };
+  }
+
+  // Queued writes would replay on top of the restored data
+  const outbox = storage.getOutboxStatus();
+  if (outbox.pending > 0) {
+    throw new InvalidBackupError(`${outbox.pending} queued write(s) are waiting for the storage backend; restore once the outbox is empty`);
+  }
+
+  const stagingDir = fs.mkdtempSync(path.join(DATA_DIR, '.restore-'));
+  try {
+    const archive = await readBackup(archivePath, stagingDir);
+    const diff = await diffBackup(archive, { restoreSessions });
+
+    for (const table of Object.keys(SCHEMA)) {
+      if (diff.tables[table].skipped) continue;
+
+      const rows = archive.tables[table].map(row => normalizeRow(table, row));
+      if (table === SESSIONS_TABLE && keepSessionId && !rows.some(row => row.session_id === keepSessionId)) {
+        const own = (await storage.getRows(SESSIONS_TABLE)).find(row => row.session_id === keepSessionId);
+        if (own) {
+          rows.push(normalizeRow(table, own));
+        }
+      }
+
+      await storage.ensureTable(table);
+      await storage.replaceRows(table, rows);
+    }
+
+    for (const relPath of diff.files.removed) {
+      fs.unlinkSync(path.join(DATA_DIR, relPath));
+    }
+    for (const relPath of Object.keys(archive.files)) {
+      const absPath = path.join(DATA_DIR, relPath);
+      fs.mkdirSync(path.dirname(absPath), { recursive: true });
+      fs.renameSync(path.join(stagingDir, relPath), absPath);
+    }
+
+    // Loaded lazily: only restores need it, and it pulls in the embedding clients
+    require('./vectorService').reloadVectorStore();
+
+    // Bring data from an older schema up to date
+    const migrationsApplied = await runMigrations();
+
+    return {
+      dryRun: false,
+      archive: summarize(archive.header, archive.tables, Object.keys(archive.files).length),
+      diff,
+      migrationsApplied
+    };
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  ARCHIVE_VERSION,
+  InvalidBackupError,
+  createBackup,
+  readBackup,
+  diffBackup,
+  restoreBackup
+};
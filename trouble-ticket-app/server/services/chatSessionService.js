@@ -0,0 +1,135 @@
+/**
+ * Chat session ownership
+ * The server issues each chat session an id and a secret (an HMAC of the id under a key
+ * kept in settings). Only the browser that created the session holds the secret, and every
+ * session-scoped chat endpoint requires it, so knowing a session id is not enough to read it.
+ * Sessions that browsers created before secrets existed can be claimed once, while they
+ * have an open ticket and for a limited time, so their users keep receiving IT replies.
+ * Their ids are hidden from staff, since the id is all a claim needs
+ */
+const crypto = require('crypto');
+const storage = require('./storage');
+const { decrypt } = require('../middleware/encryption');
+
+// Setting holding the encrypted signing key (generated by migration 011)
+const SIGNING_KEY_SETTING = 'chat_session_key';
+
+// Ids browsers generated before the server issued sessions: sess_ + base36 time and randomness
+// (issued ids carry 22 base64url characters)
+const LEGACY_SESSION_ID_PATTERN = /^sess_[0-9a-z]{9,17}$/;
+const CLAIMS_TABLE = 'chat_session_claims';
+
+// Legacy sessions can be claimed for this many days after claiming was introduced (migration 019)
+const CLAIM_MIGRATION_ID = '019-chat-session-claims';
+const CLAIM_WINDOW_DAYS = parseInt(process.env.LEGACY_SESSION_CLAIM_DAYS, 10) || 30;
+
+/**
+ * Thrown when a legacy session can't be claimed
+ */
+class ChatSessionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ChatSessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Claims run one at a time, so two browsers can't both claim a session
+let claimLock = Promise.resolve();
+
+async function getSigningKey() {
+  const stored = await storage.getSetting(SIGNING_KEY_SETTING);
+  if (!stored) {
+    throw new Error('Chat session signing key is missing; run "npm run migrate"');
+  }
+  return decrypt(stored);
+}
+
+function sign(key, sessionId) {
+  return crypto.createHmac('sha256', key).update(sessionId).digest('base64url');
+}
+
+/**
+ * Issue a new chat session
+ * @returns {Promise<{sessionId: string, sessionSecret: string}>}
+ */
+async function createChatSession() {
+  const sessionId = `sess_${crypto.randomBytes(16).toString('base64url')}`;
+  return { sessionId, sessionSecret: sign(await getSigningKey(), sessionId) };
+}
+
+/**
+ * Check that a secret was issued for a session id
+ * @returns {Promise<boolean>}
+ */
+async function verifyChatSession(sessionId, sessionSecret) {
+  if (!sessionId || !sessionSecret) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(await getSigningKey(), sessionId));
+  const given = Buffer.from(String(sessionSecret));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Stand-in for session ids in staff and API responses
+ * Legacy ids are replaced by an HMAC (stable per session, so messages still line up with
+ * their tickets); issued ids are useless without their secret and are shown as they are
+ * @returns {Promise<Function>} - Maps a session id to what responses may show
+ */
+async function getSessionIdMask() {
+  const key = await getSigningKey();
+  return sessionId => (LEGACY_SESSION_ID_PATTERN.test(sessionId)
+    ? `legacy_${sign(key, `legacy:${sessionId}`).slice(0, 22)}`
+    : sessionId);
+}
+
+/**
+ * Whether legacy sessions can still be claimed
+ */
+async function isClaimWindowOpen() {
+  const migration = (await storage.getRows('schema_migrations')).find(row => row.migration_id === CLAIM_MIGRATION_ID);
+  const openedAt = Date.parse(migration?.applied_at);
+  return Number.isFinite(openedAt) && Date.now() < openedAt + CLAIM_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Issue the secret for a session created before secrets existed
+ * Only a session with an open ticket qualifies, only within the claim window, and only
+ * once: the first browser to claim it keeps it
+ * @param {string} sessionId - Legacy session id
+ * @param {Object} client - { ip } of the request, recorded with the claim
+ * @returns {Promise<{sessionId: string, sessionSecret: string}>}
+ */
+async function claimLegacySession(sessionId, { ip } = {}) {
+  if (!LEGACY_SESSION_ID_PATTERN.test(sessionId)) {
+    throw new ChatSessionError('Only conversations started before chat sessions were secured can be claimed');
+  }
+
+  const claim = claimLock.then(async () => {
+    if (!await isClaimWindowOpen()) {
+      throw new ChatSessionError('Conversations started before chat sessions were secured can no longer be reopened', 410);
+    }
+    const claims = await storage.getRows(CLAIMS_TABLE);
+    if (claims.some(row => row.session_id === sessionId)) {
+      throw new ChatSessionError('This conversation has already been claimed', 409);
+    }
+    if ((await storage.getOpenTicketsBySession(sessionId)).length === 0) {
+      throw new ChatSessionError('This conversation has no open ticket, so it can no longer be opened', 404);
+    }
+
+    await storage.addRows(CLAIMS_TABLE, [{ session_id: sessionId, claimed_at: new Date().toISOString(), ip: ip || '' }]);
+    return { sessionId, sessionSecret: sign(await getSigningKey(), sessionId) };
+  });
+  claimLock = claim.catch(() => {});
+  return claim;
+}
+
+module.exports = {
+  ChatSessionError,
+  createChatSession,
+  verifyChatSession,
+  getSessionIdMask,
+  claimLegacySession
+};
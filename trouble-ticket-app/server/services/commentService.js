@@ -0,0 +1,162 @@
+/**
+ * Internal ticket comments
+ * Staff discuss a ticket in a thread of comments. Each comment keeps its author, the staff
+ * members it @mentions and the earlier versions of its text. Comments live in their own
+ * table and are never read by the chat routes, so users never see them
+ */
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const { getAssignableStaff } = require('./queueService');
+
+// @username anywhere except inside an email address or a word
+const MENTION_PATTERN = /(^|[^\w@.])@([a-z0-9._-]{3,32})/gi;
+
+/**
+ * Thrown for comment changes that aren't allowed (editing someone else's comment)
+ */
+class CommentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CommentError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseHistory(value) {
+  try {
+    return value ? JSON.parse(value) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Comment as returned by the API
+ * history holds the earlier versions, oldest first ({ body, updated_at } of each)
+ */
+function toPublicComment(comment) {
+  const history = parseHistory(comment.history);
+  return {
+    comment_id: comment.comment_id,
+    ticket_id: comment.ticket_id,
+    author: comment.author,
+    body: comment.body,
+    mentions: (comment.mentions || '').split(',').filter(Boolean),
+    created_at: comment.created_at,
+    updated_at: comment.updated_at,
+    edited: history.length > 0,
+    history
+  };
+}
+
+/**
+ * Staff mentioned in a comment: @usernames of accounts that can work tickets
+ * Anything else after an @ is left as plain text
+ * @returns {Promise<string[]>} - Usernames, in order of first mention
+ */
+async function resolveMentions(body) {
+  const candidates = [...body.matchAll(MENTION_PATTERN)]
+    .map(match => match[2].toLowerCase().replace(/[.-]+$/, ''));
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const staff = new Set((await getAssignableStaff()).map(user => user.username));
+  return [...new Set(candidates)].filter(username => staff.has(username));
+}
+
+/**
+ * A ticket's comments, oldest first
+ */
+async function listComments(ticketId) {
+  const comments = await storage.getTicketComments(ticketId);
+  return comments
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .map(toPublicComment);
+}
+
+/**
+ * Add a comment to a ticket
+ * @param {string} ticketId - Ticket ID (the caller checks it exists)
+ * @param {string} author - Username or token:<prefix>
+ * @param {string} body - Comment text
+ */
+async function addComment(ticketId, author, body) {
+  const now = new Date().toISOString();
+  const mentions = await resolveMentions(body);
+  const comment = await storage.addTicketComment({
+    comment_id: uuidv4(),
+    ticket_id: ticketId,
+    author,
+    body,
+    mentions: mentions.join(','),
+    created_at: now,
+    updated_at: now
+  });
+  return toPublicComment(comment);
+}
+
+/**
+ * Add the same comment to many tickets in one write (bulk changes)
+ * @param {string[]} ticketIds - Ticket IDs (the caller checks they exist)
+ * @param {string} author - Username or token:<prefix>
+ * @param {string} body - Comment text
+ * @returns {Promise<Object[]>} - The comments, in ticketIds order
+ */
+async function addComments(ticketIds, author, body) {
+  if (ticketIds.length === 0) {
+    return [];
+  }
+
+  const now = new Date().toISOString();
+  const mentions = (await resolveMentions(body)).join(',');
+  const comments = await storage.addRows('ticket_comments', ticketIds.map(ticketId => ({
+    comment_id: uuidv4(),
+    ticket_id: ticketId,
+    author,
+    body,
+    mentions,
+    created_at: now,
+    updated_at: now,
+    history: ''
+  })));
+  return comments.map(toPublicComment);
+}
+
+/**
+ * Change a comment's text, keeping the previous text in its history
+ * Only the author may edit a comment
+ * @returns {Promise<{before: Object, comment: Object}|null>} - null if the ticket has no such comment
+ */
+async function editComment(ticketId, commentId, editor, body) {
+  const existing = await storage.getTicketComment(commentId);
+  if (!existing || existing.ticket_id !== ticketId) {
+    return null;
+  }
+  if (existing.author !== editor) {
+    throw new CommentError('Only the author can edit a comment', 403);
+  }
+
+  const before = toPublicComment(existing);
+  if (existing.body === body) {
+    return { before, comment: before };
+  }
+
+  const mentions = await resolveMentions(body);
+  const updated = await storage.updateTicketComment(commentId, {
+    body,
+    mentions: mentions.join(','),
+    updated_at: new Date().toISOString(),
+    history: JSON.stringify([...before.history, { body: existing.body, updated_at: existing.updated_at }])
+  });
+  return { before, comment: toPublicComment(updated) };
+}
+
+module.exports = {
+  CommentError,
+  resolveMentions,
+  listComments,
+  addComment,
+  addComments,
+  editComment
+};
@@ -0,0 +1,46 @@
+/**
+ * Optimistic concurrency helpers shared by the storage adapters
+ * Tables with a `version` column in services/schema.js get it bumped on every update;
+ * callers that pass an expected version are rejected if someone else wrote first
+ */
+
+/**
+ * Thrown when an update carries a version that is no longer current
+ * `current` holds the row as it is now so callers can show or merge it
+ */
+class VersionConflictError extends Error {
+  constructor(table, current, expectedVersion) {
+    super(`${table} row was modified by another update (expected version ${expectedVersion}, current ${parseVersion(current.version)})`);
+    this.name = 'VersionConflictError';
+    this.statusCode = 409;
+    this.current = current;
+  }
+}
+
+/**
+ * Parse a stored version value (rows written before versioning count as 0)
+ */
+function parseVersion(value) {
+  return parseInt(value, 10) || 0;
+}
+
+/**
+ * Check an expected version against the current row and return the next version
+ * @param {string} table - Table name, used in the error message
+ * @param {Object} current - Current row as a plain object
+ * @param {number} [expectedVersion] - Version the caller last read; skip the check when undefined
+ * @returns {string} - Version to store with the update
+ */
+function checkVersion(table, current, expectedVersion) {
+  const currentVersion = parseVersion(current.version);
+  if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== currentVersion) {
+    throw new VersionConflictError(table, current, expectedVersion);
+  }
+  return String(currentVersion + 1);
+}
+
+module.exports = {
+  VersionConflictError,
+  parseVersion,
+  checkVersion
+};
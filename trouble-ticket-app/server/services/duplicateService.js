@@ -0,0 +1,203 @@
+/**
+ * Duplicate and related ticket detection, and merging
+ * Each ticket's application, summary and details are embedded with the configured
+ * embeddings provider and compared against the open tickets. When an outage makes many
+ * users report the same problem, staff merge the duplicates into one primary ticket: the
+ * duplicates are closed and their chat sessions linked to the primary, so a question
+ * asked on the primary reaches every affected user
+ */
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const vectorService = require('./vectorService');
+const { trackTicketChange } = require('./slaService');
+
+const OPEN_STATUSES = ['open', 'waiting_clarification', 'waiting_confirmation'];
+
+// Cosine similarity at or above which a ticket is shown as a likely duplicate, or as related
+const DUPLICATE_SIMILARITY = 0.85;
+const RELATED_SIMILARITY = 0.7;
+
+const MAX_MATCHES = 5;
+
+/**
+ * Thrown for merges that aren't allowed (merging a ticket into itself or into a merged ticket)
+ */
+class MergeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MergeError';
+    this.statusCode = statusCode;
+  }
+}
+
+function ticketText(ticket) {
+  return [ticket.application, ticket.problem_summary, ticket.problem_details].filter(Boolean).join('\n');
+}
+
+function toIndexEntry(ticket) {
+  return { ticketId: ticket.ticket_id, text: ticketText(ticket) };
+}
+
+/**
+ * Whether a ticket can still be matched: open and not merged into another
+ */
+function isComparable(ticket) {
+  return OPEN_STATUSES.includes(ticket.status) && !ticket.merged_into;
+}
+
+/**
+ * Delete the embeddings of tickets that can no longer be matched (closed, merged, deleted)
+ * @param {Array} tickets - Every ticket
+ * @param {string[]} [keepIds] - Tickets whose embeddings are kept regardless
+ */
+function pruneEmbeddings(tickets, keepIds = []) {
+  const removed = vectorService.retainTickets([
+    ...tickets.filter(isComparable).map(ticket => ticket.ticket_id),
+    ...keepIds
+  ]);
+  if (removed > 0) {
+    console.log(`Duplicate detection: deleted ${removed} embeddings of closed or merged tickets`);
+  }
+}
+
+/**
+ * Embed a new ticket so later tickets can be compared with it, and delete the embeddings
+ * of tickets closed or merged since
+ * Never throws: without a working embeddings provider the ticket is embedded when it is
+ * first compared instead
+ */
+async function indexTicket(ticket) {
+  try {
+    await vectorService.indexTickets([toIndexEntry(ticket)]);
+    pruneEmbeddings(await storage.getAllTickets(), [ticket.ticket_id]);
+  } catch (error) {
+    console.warn(`Duplicate detection: could not embed ${ticket.ticket_id}: ${error.message}`);
+  }
+}
+
+/**
+ * Open tickets most similar to a ticket (excluding merged ones), embedding any ticket
+ * that isn't embedded yet
+ * Throws if the embeddings provider fails
+ * @returns {Promise<Array|null>} - Matches, most similar first, each with similarity and
+ *   match ('duplicate' or 'related'); null if the ticket doesn't exist
+ */
+async function findDuplicates(ticketId) {
+  const tickets = await storage.getAllTickets();
+  const ticket = tickets.find(t => t.ticket_id === ticketId);
+  if (!ticket) {
+    return null;
+  }
+
+  const candidates = tickets.filter(t =>
+    t.ticket_id !== ticketId && isComparable(t) && t.ticket_id !== ticket.merged_into
+  );
+  pruneEmbeddings(tickets, [ticketId]);
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  await vectorService.indexTickets([ticket, ...candidates].map(toIndexEntry));
+  const byId = new Map(candidates.map(t => [t.ticket_id, t]));
+
+  return vectorService.similarTickets(ticketId, [...byId.keys()])
+    .filter(({ similarity }) => similarity >= RELATED_SIMILARITY)
+    .slice(0, MAX_MATCHES)
+    .map(({ ticketId: matchId, similarity }) => {
+      const match = byId.get(matchId);
+      return {
+        ticket_id: match.ticket_id,
+        application: match.application,
+        problem_summary: match.problem_summary,
+        status: match.status,
+        reported_by: match.reported_by,
+        reported_at: match.reported_at,
+        similarity: Math.round(similarity * 1000) / 1000,
+        match: similarity >= DUPLICATE_SIMILARITY ? 'duplicate' : 'related'
+      };
+    });
+}
+
+/**
+ * Tickets merged into a ticket
+ */
+async function getMergedTickets(ticketId) {
+  const tickets = await storage.getAllTickets();
+  return tickets.filter(ticket => ticket.merged_into === ticketId);
+}
+
+/**
+ * Merge duplicates into a primary ticket
+ * Each duplicate is closed with merged_into set, and its user is told in their chat which
+ * ticket now tracks the problem. Tickets already merged into a duplicate move to the primary
+ * @param {string} primaryId - Ticket that stays open
+ * @param {string[]} duplicateIds - Tickets to merge into it
+ * @returns {Promise<{primary: Object, merged: Array, followers: Array}>} - The tickets as they
+ *   were before the merge (followers: those moved over from a duplicate)
+ */
+async function mergeTickets(primaryId, duplicateIds) {
+  const tickets = await storage.getAllTickets();
+  const byId = new Map(tickets.map(ticket => [ticket.ticket_id, ticket]));
+
+  const primary = byId.get(primaryId);
+  if (!primary) {
+    throw new MergeError('Ticket not found', 404);
+  }
+  if (primary.merged_into) {
+    throw new MergeError(`${primaryId} was merged into ${primary.merged_into}; merge into that ticket instead`, 409);
+  }
+
+  const ids = [...new Set(duplicateIds)];
+  const unknown = ids.filter(id => !byId.has(id));
+  if (unknown.length > 0) {
+    throw new MergeError(`Tickets not found: ${unknown.join(', ')}`, 404);
+  }
+  if (ids.includes(primaryId)) {
+    throw new MergeError("A ticket can't be merged into itself");
+  }
+  const alreadyMerged = ids.filter(id => byId.get(id).merged_into);
+  if (alreadyMerged.length > 0) {
+    throw new MergeError(`Already merged: ${alreadyMerged.map(id => `${id} into ${byId.get(id).merged_into}`).join(', ')}`, 409);
+  }
+
+  const merged = ids.map(id => byId.get(id));
+  const followers = tickets.filter(ticket => ids.includes(ticket.merged_into));
+  const now = new Date().toISOString();
+
+  await storage.updateTickets([
+    ...merged.map(ticket => {
+      const updates = {
+        merged_into: primaryId,
+        updated_at: now,
+        ...(ticket.status === 'closed' ? {} : { status: 'closed', resolved_at: now })
+      };
+      return { id: ticket.ticket_id, updates: { ...updates, ...trackTicketChange(ticket, updates) } };
+    }),
+    ...followers.map(ticket => ({ id: ticket.ticket_id, updates: { merged_into: primaryId, updated_at: now } }))
+  ]);
+  vectorService.removeTickets(ids);
+
+  for (const ticket of merged) {
+    await storage.addMessage({
+      message_id: uuidv4(),
+      session_id: ticket.session_id,
+      ticket_id: ticket.ticket_id,
+      sender: 'it_support',
+      content: `Your ticket ${ticket.ticket_id} reports the same problem as ticket ${primaryId}, so we've merged it into ${primaryId}. We'll keep you updated here.`,
+      timestamp: now,
+      read: 'FALSE'
+    });
+  }
+
+  return { primary, merged, followers };
+}
+
+module.exports = {
+  DUPLICATE_SIMILARITY,
+  RELATED_SIMILARITY,
+  MergeError,
+  indexTicket,
+  findDuplicates,
+  getMergedTickets,
+  mergeTickets
+};
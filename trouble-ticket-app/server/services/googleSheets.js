@@ -1,9 +1,13 @@
 /**
- * Google Sheets integration service
+ * Google Sheets storage adapter
  * Handles all database operations using Google Sheets as the backend
+ * Selected through services/storage.js when STORAGE_BACKEND=sheets (default)
  */
+const { v4: uuidv4 } = require('uuid');
 const { GoogleSpreadsheet } = require('google-spreadsheet');
 const { JWT } = require('google-auth-library');
+const { getTableSchema } = require('./schema');
+const { checkVersion } = require('./concurrency');
 
 // Configuration
 const SPREADSHEET_ID = process.env.GOOGLE_SPREADSHEET_ID;
@@ -26,6 +30,8 @@ function resetConnection() {
   doc = null;
   serviceAccountAuth = null;
   initPromise = null;
+  // Cached rows belong to the old connection
+  rowCache.clear();
 }
 
 /**
@@ -131,24 +137,314 @@ async function getSheet(sheetName) {
   return sheet;
 }
 
+// ============================================
+// ROW CACHE
+// ============================================
+
+// How long a tab's rows are served from memory before the sheet is re-read
+// (external edits made directly in the spreadsheet show up after at most this long)
+const CACHE_TTL_MS = Number.isNaN(parseInt(process.env.SHEETS_CACHE_TTL_MS, 10))
+  ? 30 * 1000
+  : parseInt(process.env.SHEETS_CACHE_TTL_MS, 10);
+
+// sheetName -> { promise, loadedAt, rows, indexes: Map(column -> Map(value -> rows[])) }
+const rowCache = new Map();
+
+/**
+ * Drop cached rows for one sheet, or for every sheet when no name is given
+ */
+function clearCache(sheetName) {
+  if (sheetName) {
+    rowCache.delete(sheetName);
+  } else {
+    rowCache.clear();
+  }
+}
+
+/**
+ * Get all rows of a sheet, reading through the cache
+ * Concurrent callers share a single in-flight download
+ */
+async function loadRows(sheetName) {
+  const cached = rowCache.get(sheetName);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.promise;
+  }
+
+  const entry = { loadedAt: Date.now(), rows: null, indexes: new Map() };
+  entry.promise = withRetry(async () => {
+    const sheet = await getSheet(sheetName);
+    return sheet.getRows();
+  }).then(rows => {
+    entry.rows = rows;
+    return rows;
+  });
+  rowCache.set(sheetName, entry);
+
+  try {
+    return await entry.promise;
+  } catch (error) {
+    // Don't cache failures
+    if (rowCache.get(sheetName) === entry) {
+      rowCache.delete(sheetName);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find rows whose column equals a value, using a lazily built index
+ */
+async function findRows(sheetName, column, value) {
+  const rows = await loadRows(sheetName);
+  const entry = rowCache.get(sheetName);
+
+  // Cache was invalidated while loading - scan the rows we got
+  if (!entry || entry.rows !== rows) {
+    return rows.filter(row => row.get(column) === value);
+  }
+
+  let index = entry.indexes.get(column);
+  if (!index) {
+    index = new Map();
+    for (const row of rows) {
+      const key = row.get(column);
+      if (!index.has(key)) {
+        index.set(key, []);
+      }
+      index.get(key).push(row);
+    }
+    entry.indexes.set(column, index);
+  }
+
+  return index.get(value) || [];
+}
+
+/**
+ * Find the first row whose column equals a value
+ */
+async function findRow(sheetName, column, value) {
+  const rows = await findRows(sheetName, column, value);
+  return rows[0] || null;
+}
+
+/**
+ * Append rows to a sheet and to its cached rows
+ */
+async function appendRows(sheetName, data) {
+  const sheet = await getSheet(sheetName);
+  const added = await sheet.addRows(data);
+
+  const entry = rowCache.get(sheetName);
+  if (entry && entry.rows) {
+    entry.rows.push(...added);
+    entry.indexes.clear();
+  } else {
+    // Load still in flight - it may or may not include the new rows
+    clearCache(sheetName);
+  }
+
+  return added;
+}
+
+/**
+ * Save a modified row; cached rows are updated in place so only indexes are rebuilt
+ */
+async function saveRow(sheetName, row) {
+  try {
+    await row.save();
+  } catch (error) {
+    // The row object holds unsaved values - force a re-read
+    clearCache(sheetName);
+    throw error;
+  }
+
+  const entry = rowCache.get(sheetName);
+  if (entry && entry.rows && entry.rows.includes(row)) {
+    entry.indexes.clear();
+  } else {
+    clearCache(sheetName);
+  }
+}
+
+/**
+ * Save many modified rows with a single values:batchUpdate request
+ */
+async function saveRows(sheetName, rows) {
+  if (rows.length === 0) {
+    return;
+  }
+
+  try {
+    await initSheet();
+    const response = await doc.sheetsApi.request({
+      method: 'post',
+      url: '/values:batchUpdate',
+      data: {
+        valueInputOption: 'USER_ENTERED',
+        includeValuesInResponse: true,
+        data: rows.map(row => ({
+          range: row.a1Range,
+          majorDimension: 'ROWS',
+          values: [row._rawData]
+        }))
+      }
+    });
+    // Mirror row.save(): keep the values as stored by Sheets
+    response.data.responses.forEach((result, i) => {
+      rows[i]._rawData = result.updatedData?.values?.[0] || rows[i]._rawData;
+    });
+  } catch (error) {
+    clearCache(sheetName);
+    throw error;
+  }
+
+  const entry = rowCache.get(sheetName);
+  if (entry && entry.rows && rows.every(row => entry.rows.includes(row))) {
+    entry.indexes.clear();
+  } else {
+    clearCache(sheetName);
+  }
+}
+
+/**
+ * Delete a row; row numbers below it shift, so the whole tab is invalidated
+ */
+async function deleteRow(sheetName, row) {
+  try {
+    await row.delete();
+  } finally {
+    clearCache(sheetName);
+  }
+}
+
 /**
  * Ensure required columns exist in a sheet
  * Adds missing columns to the header row
+ * @returns {Promise<string[]>} - The columns that were added
  */
 async function ensureColumns(sheetName, requiredColumns) {
+  const { columns } = getTableSchema(sheetName);
+  const undeclared = requiredColumns.filter(col => !columns.includes(col));
+  if (undeclared.length > 0) {
+    throw new Error(`Columns not declared in schema for ${sheetName}: ${undeclared.join(', ')}`);
+  }
+
   const sheet = await getSheet(sheetName);
-  await sheet.loadHeaderRow();
-  const existingHeaders = sheet.headerValues || [];
+  let existingHeaders = [];
+  try {
+    await sheet.loadHeaderRow();
+    existingHeaders = sheet.headerValues || [];
+  } catch {
+    // Empty sheet - no header row yet
+  }
 
   const missingColumns = requiredColumns.filter(col => !existingHeaders.includes(col));
 
   if (missingColumns.length > 0) {
     const newHeaders = [...existingHeaders, ...missingColumns];
     await sheet.setHeaderRow(newHeaders);
+    clearCache(sheetName);
     console.log(`Added missing columns to ${sheetName}: ${missingColumns.join(', ')}`);
   }
 
-  return sheet;
+  return missingColumns;
+}
+
+// ============================================
+// SCHEMA OPERATIONS (used by migrations)
+// ============================================
+
+/**
+ * Create a sheet (tab) if missing and add any columns declared in the schema
+ * @param {string} table - Sheet name from services/schema.js
+ * @returns {Promise<string[]>} - The columns that were added
+ */
+async function ensureTable(table) {
+  const { columns } = getTableSchema(table);
+  await initSheet();
+
+  if (!doc.sheetsByTitle[table]) {
+    await doc.addSheet({ title: table, headerValues: columns });
+    clearCache(table);
+    console.log(`Created sheet ${table}`);
+    return columns;
+  }
+
+  return ensureColumns(table, columns);
+}
+
+/**
+ * Get every row of a sheet as plain objects
+ */
+async function getRows(table) {
+  const rows = await loadRows(table);
+  return rows.map(rowToObject);
+}
+
+/**
+ * Append rows to a sheet
+ */
+async function addRows(table, rows) {
+  const added = await appendRows(table, rows);
+  return added.map(rowToObject);
+}
+
+/**
+ * Replace every data row of a sheet (used by backup restore)
+ * @returns {Promise<number>} - Number of rows written
+ */
+async function replaceRows(table, rows) {
+  const sheet = await getSheet(table);
+  try {
+    await sheet.clearRows();
+    if (rows.length > 0) {
+      await sheet.addRows(rows);
+    }
+  } finally {
+    clearCache(table);
+  }
+  return rows.length;
+}
+
+// ============================================
+// BATCH OPERATIONS
+// ============================================
+
+/**
+ * Apply many row updates in one round trip
+ * Versions are checked against the cached rows before any row is touched, so a
+ * conflict leaves the whole batch unapplied (within this process - Sheets has no row locks)
+ * @param {string} table - Sheet name from services/schema.js
+ * @param {Array<{id: string, updates: Object, expectedVersion?: number}>} changes - Key value and fields to set for each row
+ * @returns {Promise<Array<Object|null>>} - Updated rows in input order (null where the key was not found)
+ */
+async function updateRows(table, changes) {
+  const { key, columns } = getTableSchema(table);
+  const rows = await Promise.all(changes.map(change => findRow(table, key, change.id)));
+
+  const versions = columns.includes('version')
+    ? rows.map((row, i) => (row ? checkVersion(table, rowToObject(row), changes[i].expectedVersion) : null))
+    : [];
+
+  const dirty = new Set();
+  rows.forEach((row, i) => {
+    if (!row) {
+      return;
+    }
+    Object.entries(changes[i].updates).forEach(([column, value]) => {
+      if (column !== key) {
+        row.set(column, value);
+      }
+    });
+    if (versions[i]) {
+      row.set('version', versions[i]);
+    }
+    dirty.add(row);
+  });
+
+  await saveRows(table, [...dirty]);
+  return rows.map(row => (row ? rowToObject(row) : null));
 }
 
 // ============================================
@@ -159,8 +455,7 @@ async function ensureColumns(sheetName, requiredColumns) {
  * Create a new ticket
  */
 async function createTicket(ticketData) {
-  const sheet = await getSheet('tickets');
-  const row = await sheet.addRow({
+  const [row] = await appendRows('tickets', [{
     ticket_id: ticketData.ticket_id,
     session_id: ticketData.session_id,
     status: ticketData.status || 'open',
@@ -172,9 +467,13 @@ async function createTicket(ticketData) {
     updated_at: ticketData.updated_at || new Date().toISOString(),
     assigned_log: ticketData.assigned_log || '',
     suggested_fix: ticketData.suggested_fix || '',
-    it_notes: ticketData.it_notes || '',
-    resolved_at: ticketData.resolved_at || ''
-  });
+    resolved_at: ticketData.resolved_at || '',
+    version: '1',
+    queue: ticketData.queue || '',
+    assignee: ticketData.assignee || '',
+    severity: ticketData.severity || '',
+    priority: ticketData.priority || ''
+  }]);
   return rowToObject(row);
 }
 
@@ -182,8 +481,7 @@ async function createTicket(ticketData) {
  * Get all tickets
  */
 async function getAllTickets() {
-  const sheet = await getSheet('tickets');
-  const rows = await sheet.getRows();
+  const rows = await loadRows('tickets');
   return rows.map(rowToObject);
 }
 
@@ -191,20 +489,15 @@ async function getAllTickets() {
  * Get tickets filtered by status
  */
 async function getTicketsByStatus(status) {
-  const sheet = await getSheet('tickets');
-  const rows = await sheet.getRows();
-  return rows
-    .filter(row => row.get('status') === status)
-    .map(rowToObject);
+  const rows = await findRows('tickets', 'status', status);
+  return rows.map(rowToObject);
 }
 
 /**
  * Get a single ticket by ID
  */
 async function getTicketById(ticketId) {
-  const sheet = await getSheet('tickets');
-  const rows = await sheet.getRows();
-  const row = rows.find(r => r.get('ticket_id') === ticketId);
+  const row = await findRow('tickets', 'ticket_id', ticketId);
   return row ? rowToObject(row) : null;
 }
 
@@ -212,11 +505,9 @@ async function getTicketById(ticketId) {
  * Get open tickets for a session
  */
 async function getOpenTicketsBySession(sessionId) {
-  const sheet = await getSheet('tickets');
-  const rows = await sheet.getRows();
+  const rows = await findRows('tickets', 'session_id', sessionId);
   return rows
     .filter(row =>
-      row.get('session_id') === sessionId &&
       ['open', 'waiting_clarification', 'waiting_confirmation'].includes(row.get('status'))
     )
     .map(rowToObject);
@@ -224,22 +515,11 @@ async function getOpenTicketsBySession(sessionId) {
 
 /**
  * Update a ticket
+ * @param {number} [options.expectedVersion] - Reject with VersionConflictError if the ticket has moved on
  */
-async function updateTicket(ticketId, updates) {
-  const sheet = await getSheet('tickets');
-  const rows = await sheet.getRows();
-  const row = rows.find(r => r.get('ticket_id') === ticketId);
-
-  if (!row) {
-    return null;
-  }
-
-  Object.entries(updates).forEach(([key, value]) => {
-    row.set(key, value);
-  });
-
-  await row.save();
-  return rowToObject(row);
+async function updateTicket(ticketId, updates, { expectedVersion } = {}) {
+  const [updated] = await updateRows('tickets', [{ id: ticketId, updates, expectedVersion }]);
+  return updated;
 }
 
 // ============================================
@@ -249,22 +529,9 @@ async function updateTicket(ticketId, updates) {
 /**
  * Add a new message
  */
-// Track if message columns have been verified
-let messageColumnsVerified = false;
-
 async function addMessage(messageData) {
-  // Ensure required columns exist (only check once per session)
-  if (!messageColumnsVerified) {
-    await ensureColumns('message', [
-      'message_id', 'session_id', 'ticket_id', 'sender', 'content',
-      'timestamp', 'read', 'related_pages', 'image_url'
-    ]);
-    messageColumnsVerified = true;
-  }
-
   return withRetry(async () => {
-    const sheet = await getSheet('message');
-    const row = await sheet.addRow({
+    const [row] = await appendRows('message', [{
       message_id: messageData.message_id,
       session_id: messageData.session_id,
       ticket_id: messageData.ticket_id || '',
@@ -274,7 +541,7 @@ async function addMessage(messageData) {
       read: messageData.read || 'FALSE',
       related_pages: messageData.related_pages || '',
       image_url: messageData.image_url || ''
-    });
+    }]);
     return rowToObject(row);
   });
 }
@@ -283,62 +550,52 @@ async function addMessage(messageData) {
  * Get all messages for a session
  */
 async function getMessagesBySession(sessionId) {
-  return withRetry(async () => {
-    const sheet = await getSheet('message');
-    const rows = await sheet.getRows();
-    return rows
-      .filter(row => row.get('session_id') === sessionId)
-      .map(row => {
-        const message = rowToObject(row);
-        // Parse related_pages JSON if present
-        if (message.related_pages) {
-          try {
-            message.relatedPages = JSON.parse(message.related_pages);
-          } catch (e) {
-            message.relatedPages = null;
-          }
-        } else {
+  const rows = await findRows('message', 'session_id', sessionId);
+  return rows
+    .map(row => {
+      const message = rowToObject(row);
+      // Parse related_pages JSON if present
+      if (message.related_pages) {
+        try {
+          message.relatedPages = JSON.parse(message.related_pages);
+        } catch (e) {
           message.relatedPages = null;
         }
-        return message;
-      })
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-  });
+      } else {
+        message.relatedPages = null;
+      }
+      return message;
+    })
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Get unread rows from IT support for a session
+ */
+async function findUnreadRows(sessionId) {
+  const rows = await findRows('message', 'session_id', sessionId);
+  return rows.filter(row =>
+    row.get('read') === 'FALSE' &&
+    row.get('sender') === 'it_support'
+  );
 }
 
 /**
  * Get unread messages from IT support for a session
  */
 async function getUnreadMessages(sessionId) {
-  return withRetry(async () => {
-    const sheet = await getSheet('message');
-    const rows = await sheet.getRows();
-    return rows
-      .filter(row =>
-        row.get('session_id') === sessionId &&
-        row.get('read') === 'FALSE' &&
-        row.get('sender') === 'it_support'
-      )
-      .map(rowToObject);
-  });
+  const rows = await findUnreadRows(sessionId);
+  return rows.map(rowToObject);
 }
 
 /**
  * Mark messages as read for a session
  */
 async function markMessagesAsRead(sessionId) {
-  const sheet = await getSheet('message');
-  const rows = await sheet.getRows();
-  const unreadRows = rows.filter(row =>
-    row.get('session_id') === sessionId &&
-    row.get('read') === 'FALSE' &&
-    row.get('sender') === 'it_support'
-  );
+  const unreadRows = await findUnreadRows(sessionId);
 
-  for (const row of unreadRows) {
-    row.set('read', 'TRUE');
-    await row.save();
-  }
+  unreadRows.forEach(row => row.set('read', 'TRUE'));
+  await saveRows('message', unreadRows);
 
   return unreadRows.length;
 }
@@ -351,9 +608,7 @@ async function markMessagesAsRead(sessionId) {
  * Get a mock log by ID
  */
 async function getMockLog(logId) {
-  const sheet = await getSheet('mock_logs');
-  const rows = await sheet.getRows();
-  const row = rows.find(r => r.get('log_id') === logId);
+  const row = await findRow('mock_logs', 'log_id', logId);
   return row ? rowToObject(row) : null;
 }
 
@@ -361,85 +616,10 @@ async function getMockLog(logId) {
  * Get all mock logs
  */
 async function getAllMockLogs() {
-  const sheet = await getSheet('mock_logs');
-  const rows = await sheet.getRows();
+  const rows = await loadRows('mock_logs');
   return rows.map(rowToObject);
 }
 
-/**
- * Find a mock log matching an application and error pattern
- * Returns null if no confident match is found
- */
-async function findMatchingMockLog(application, errorPattern) {
-  const sheet = await getSheet('mock_logs');
-  const rows = await sheet.getRows();
-
-  // Common words to ignore in matching
-  const stopWords = new Set([
-    'the', 'a', 'an', 'is', 'are', 'was', 'were', 'been', 'be',
-    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
-    'could', 'should', 'may', 'might', 'must', 'shall', 'can',
-    'need', 'dare', 'ought', 'used', 'to', 'of', 'in', 'for',
-    'on', 'with', 'at', 'by', 'from', 'as', 'into', 'through',
-    'during', 'before', 'after', 'above', 'below', 'between',
-    'under', 'again', 'further', 'then', 'once', 'here', 'there',
-    'when', 'where', 'why', 'how', 'all', 'each', 'few', 'more',
-    'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only',
-    'own', 'same', 'so', 'than', 'too', 'very', 'just', 'and',
-    'but', 'if', 'or', 'because', 'until', 'while', 'it', 'its',
-    'app', 'application', 'error', 'issue', 'problem', 'help',
-    'please', 'thanks', 'thank', 'you', 'i', 'my', 'me', 'we'
-  ]);
-
-  // Filter meaningful keywords (length > 2 and not stop words)
-  const keywords = errorPattern.toLowerCase()
-    .split(/[,\s]+/)
-    .filter(k => k.length > 2 && !stopWords.has(k));
-
-  // If no meaningful keywords, return null
-  if (keywords.length === 0) {
-    return null;
-  }
-
-  let bestMatch = null;
-  let bestScore = 0;
-
-  for (const row of rows) {
-    const rowApp = (row.get('application') || '').toLowerCase();
-    const rowPattern = (row.get('error_pattern') || '').toLowerCase();
-
-    // Application must match (if specified)
-    if (application) {
-      const appLower = application.toLowerCase();
-      if (!rowApp.includes(appLower) && !appLower.includes(rowApp)) {
-        continue;
-      }
-    }
-
-    // Count matching keywords
-    const patternWords = rowPattern.split(/[,\s]+/).filter(w => w.length > 2);
-    let matchCount = 0;
-
-    for (const keyword of keywords) {
-      const hasMatch = patternWords.some(patternWord =>
-        patternWord.includes(keyword) || keyword.includes(patternWord)
-      );
-      if (hasMatch) matchCount++;
-    }
-
-    // Calculate match score (percentage of keywords matched)
-    const score = matchCount / keywords.length;
-
-    // Require at least 30% match OR at least 2 keyword matches
-    if ((score >= 0.3 || matchCount >= 2) && score > bestScore) {
-      bestScore = score;
-      bestMatch = row;
-    }
-  }
-
-  return bestMatch ? rowToObject(bestMatch) : null;
-}
-
 // ============================================
 // KNOWLEDGE BASE OPERATIONS
 // ============================================
@@ -448,20 +628,15 @@ async function findMatchingMockLog(application, errorPattern) {
  * Get all knowledge base documents
  */
 async function getKnowledgeBase() {
-  return withRetry(async () => {
-    const sheet = await getSheet('knowledge_base');
-    const rows = await sheet.getRows();
-    return rows.map(rowToObject);
-  });
+  const rows = await loadRows('knowledge_base');
+  return rows.map(rowToObject);
 }
 
 /**
  * Get a knowledge base document by ID
  */
 async function getKnowledgeDoc(docId) {
-  const sheet = await getSheet('knowledge_base');
-  const rows = await sheet.getRows();
-  const row = rows.find(r => r.get('doc_id') === docId);
+  const row = await findRow('knowledge_base', 'doc_id', docId);
   return row ? rowToObject(row) : null;
 }
 
@@ -469,10 +644,8 @@ async function getKnowledgeDoc(docId) {
  * Add a new knowledge base document
  */
 async function addKnowledgeDoc(docData) {
-  const sheet = await getSheet('knowledge_base');
-
   // Generate doc_id
-  const rows = await sheet.getRows();
+  const rows = await loadRows('knowledge_base');
   const maxId = rows.reduce((max, row) => {
     const id = row.get('doc_id');
     const num = parseInt(id?.replace('kb_', '') || '0', 10);
@@ -480,13 +653,13 @@ async function addKnowledgeDoc(docData) {
   }, 0);
   const docId = `kb_${String(maxId + 1).padStart(2, '0')}`;
 
-  const row = await sheet.addRow({
+  const [row] = await appendRows('knowledge_base', [{
     doc_id: docId,
     application: docData.application,
     title: docData.title,
     content: docData.content,
     keywords: docData.keywords || ''
-  });
+  }]);
   return rowToObject(row);
 }
 
@@ -494,9 +667,7 @@ async function addKnowledgeDoc(docData) {
  * Update a knowledge base document
  */
 async function updateKnowledgeDoc(docId, updates) {
-  const sheet = await getSheet('knowledge_base');
-  const rows = await sheet.getRows();
-  const row = rows.find(r => r.get('doc_id') === docId);
+  const row = await findRow('knowledge_base', 'doc_id', docId);
 
   if (!row) {
     return null;
@@ -508,7 +679,7 @@ async function updateKnowledgeDoc(docId, updates) {
     }
   });
 
-  await row.save();
+  await saveRow('knowledge_base', row);
   return rowToObject(row);
 }
 
@@ -516,15 +687,13 @@ async function updateKnowledgeDoc(docId, updates) {
  * Delete a knowledge base document
  */
 async function deleteKnowledgeDoc(docId) {
-  const sheet = await getSheet('knowledge_base');
-  const rows = await sheet.getRows();
-  const rowIndex = rows.findIndex(r => r.get('doc_id') === docId);
+  const row = await findRow('knowledge_base', 'doc_id', docId);
 
-  if (rowIndex === -1) {
+  if (!row) {
     return false;
   }
 
-  await rows[rowIndex].delete();
+  await deleteRow('knowledge_base', row);
   return true;
 }
 
@@ -536,8 +705,7 @@ async function deleteKnowledgeDoc(docId) {
  * Add a new document record
  */
 async function addDocument(docData) {
-  const sheet = await getSheet('documents');
-  const row = await sheet.addRow({
+  const [row] = await appendRows('documents', [{
     doc_id: docData.doc_id,
     filename: docData.filename,
     title: docData.title,
@@ -547,8 +715,9 @@ async function addDocument(docData) {
     chunk_count: docData.chunk_count || 0,
     image_count: docData.image_count || 0,
     file_size: docData.file_size || 0,
-    num_pages: docData.num_pages || 0
-  });
+    num_pages: docData.num_pages || 0,
+    file_type: docData.file_type || ''
+  }]);
   return rowToObject(row);
 }
 
@@ -557,8 +726,7 @@ async function addDocument(docData) {
  */
 async function getAllDocuments() {
   try {
-    const sheet = await getSheet('documents');
-    const rows = await sheet.getRows();
+    const rows = await loadRows('documents');
     return rows.map(rowToObject);
   } catch (error) {
     // Sheet might not exist yet
@@ -573,9 +741,7 @@ async function getAllDocuments() {
  * Get a document by ID
  */
 async function getDocument(docId) {
-  const sheet = await getSheet('documents');
-  const rows = await sheet.getRows();
-  const row = rows.find(r => r.get('doc_id') === docId);
+  const row = await findRow('documents', 'doc_id', docId);
   return row ? rowToObject(row) : null;
 }
 
@@ -583,9 +749,7 @@ async function getDocument(docId) {
  * Update a document
  */
 async function updateDocument(docId, updates) {
-  const sheet = await getSheet('documents');
-  const rows = await sheet.getRows();
-  const row = rows.find(r => r.get('doc_id') === docId);
+  const row = await findRow('documents', 'doc_id', docId);
 
   if (!row) {
     return null;
@@ -597,7 +761,7 @@ async function updateDocument(docId, updates) {
     }
   });
 
-  await row.save();
+  await saveRow('documents', row);
   return rowToObject(row);
 }
 
@@ -605,102 +769,735 @@ async function updateDocument(docId, updates) {
  * Delete a document
  */
 async function deleteDocument(docId) {
-  const sheet = await getSheet('documents');
-  const rows = await sheet.getRows();
-  const rowIndex = rows.findIndex(r => r.get('doc_id') === docId);
+  const row = await findRow('documents', 'doc_id', docId);
 
-  if (rowIndex === -1) {
+  if (!row) {
     return false;
   }
 
-  await rows[rowIndex].delete();
+  await deleteRow('documents', row);
   return true;
 }
 
 // ============================================
-// SETTINGS OPERATIONS
+// USER OPERATIONS
 // ============================================
 
 /**
- * Get a single setting by key
+ * Get all staff accounts
  */
-async function getSetting(key) {
-  return withRetry(async () => {
-    const sheet = await getSheet('settings');
-    const rows = await sheet.getRows();
-    const row = rows.find(r => r.get('setting_key') === key);
-    return row ? row.get('setting_value') : null;
-  });
+async function getAllUsers() {
+  const rows = await loadRows('users');
+  return rows.map(rowToObject);
 }
 
 /**
- * Update or create a setting
+ * Get a staff account by username
  */
-async function updateSetting(key, value) {
-  const sheet = await getSheet('settings');
-  const rows = await sheet.getRows();
-  const row = rows.find(r => r.get('setting_key') === key);
+async function getUser(username) {
+  const row = await findRow('users', 'username', username);
+  return row ? rowToObject(row) : null;
+}
 
-  if (row) {
-    row.set('setting_value', value);
-    row.set('updated_at', new Date().toISOString());
-    await row.save();
-  } else {
-    await sheet.addRow({
-      setting_key: key,
-      setting_value: value,
-      updated_at: new Date().toISOString()
-    });
-  }
+/**
+ * Add a staff account
+ */
+async function addUser(userData) {
+  const [row] = await appendRows('users', [{
+    username: userData.username,
+    display_name: userData.display_name || '',
+    role: userData.role,
+    password_hash: userData.password_hash,
+    enabled: userData.enabled || 'TRUE',
+    created_at: userData.created_at || new Date().toISOString(),
+    updated_at: userData.updated_at || new Date().toISOString(),
+    last_login_at: userData.last_login_at || ''
+  }]);
+  return rowToObject(row);
 }
 
 /**
- * Get all settings as an object
+ * Update a staff account
  */
-async function getAllSettings() {
-  const sheet = await getSheet('settings');
-  const rows = await sheet.getRows();
-  const settings = {};
-  rows.forEach(row => {
-    const key = row.get('setting_key');
-    if (key) {
-      settings[key] = row.get('setting_value');
+async function updateUser(username, updates) {
+  const row = await findRow('users', 'username', username);
+
+  if (!row) {
+    return null;
+  }
+
+  Object.entries(updates).forEach(([key, value]) => {
+    if (key !== 'username') {
+      row.set(key, value);
     }
   });
-  return settings;
+
+  await saveRow('users', row);
+  return rowToObject(row);
 }
 
 // ============================================
-// UTILITY FUNCTIONS
+// ROLE OPERATIONS
 // ============================================
 
 /**
- * Convert a Google Sheets row to a plain object
+ * Get all staff roles
  */
-function rowToObject(row) {
-  // Use the built-in toObject method if available
-  if (typeof row.toObject === 'function') {
-    return row.toObject();
-  }
-
-  // Fallback: access raw data
-  const obj = {};
-  const rawData = row._rawData;
-  const headers = row._worksheet ? row._worksheet.headerValues : [];
-
-  if (headers.length > 0) {
-    headers.forEach((header, index) => {
-      obj[header] = rawData[index] || '';
-    });
-  }
-
-  return obj;
+async function getAllRoles() {
+  const rows = await loadRows('roles');
+  return rows.map(rowToObject);
 }
 
 /**
- * Test the connection to Google Sheets
+ * Get a staff role by id
  */
-async function testConnection() {
+async function getRole(roleId) {
+  const row = await findRow('roles', 'role_id', roleId);
+  return row ? rowToObject(row) : null;
+}
+
+/**
+ * Add a staff role
+ */
+async function addRole(roleData) {
+  const [row] = await appendRows('roles', [{
+    role_id: roleData.role_id,
+    name: roleData.name,
+    description: roleData.description || '',
+    permissions: roleData.permissions || '',
+    built_in: roleData.built_in || 'FALSE',
+    created_at: roleData.created_at || new Date().toISOString(),
+    updated_at: roleData.updated_at || new Date().toISOString()
+  }]);
+  return rowToObject(row);
+}
+
+/**
+ * Update a staff role
+ */
+async function updateRole(roleId, updates) {
+  const row = await findRow('roles', 'role_id', roleId);
+
+  if (!row) {
+    return null;
+  }
+
+  Object.entries(updates).forEach(([key, value]) => {
+    if (key !== 'role_id') {
+      row.set(key, value);
+    }
+  });
+
+  await saveRow('roles', row);
+  return rowToObject(row);
+}
+
+/**
+ * Delete a staff role
+ */
+async function deleteRole(roleId) {
+  const row = await findRow('roles', 'role_id', roleId);
+
+  if (!row) {
+    return false;
+  }
+
+  await deleteRow('roles', row);
+  return true;
+}
+
+// ============================================
+// SESSION OPERATIONS
+// ============================================
+
+/**
+ * Get a login session by id (the hash of its token)
+ */
+async function getSession(sessionId) {
+  const row = await findRow('sessions', 'session_id', sessionId);
+  return row ? rowToObject(row) : null;
+}
+
+/**
+ * Get all login sessions of a staff account
+ */
+async function getSessionsByUser(username) {
+  const rows = await findRows('sessions', 'username', username);
+  return rows.map(rowToObject);
+}
+
+/**
+ * Add a login session
+ */
+async function addSession(sessionData) {
+  const [row] = await appendRows('sessions', [{
+    session_id: sessionData.session_id,
+    username: sessionData.username,
+    created_at: sessionData.created_at || new Date().toISOString(),
+    expires_at: sessionData.expires_at,
+    revoked_at: sessionData.revoked_at || '',
+    ip: sessionData.ip || '',
+    user_agent: sessionData.user_agent || ''
+  }]);
+  return rowToObject(row);
+}
+
+/**
+ * Update a login session
+ */
+async function updateSession(sessionId, updates) {
+  const row = await findRow('sessions', 'session_id', sessionId);
+
+  if (!row) {
+    return null;
+  }
+
+  Object.entries(updates).forEach(([key, value]) => {
+    if (key !== 'session_id') {
+      row.set(key, value);
+    }
+  });
+
+  await saveRow('sessions', row);
+  return rowToObject(row);
+}
+
+/**
+ * Delete login sessions by id
+ * Rows are deleted bottom-up so earlier row numbers stay valid
+ * @returns {Promise<number>} - Number of sessions deleted
+ */
+async function deleteSessions(sessionIds) {
+  const ids = new Set(sessionIds);
+  const rows = (await loadRows('sessions'))
+    .filter(row => ids.has(row.get('session_id')))
+    .sort((a, b) => b.rowNumber - a.rowNumber);
+
+  for (const row of rows) {
+    await deleteRow('sessions', row);
+  }
+  return rows.length;
+}
+
+// ============================================
+// API TOKEN OPERATIONS
+// ============================================
+
+/**
+ * Get all API tokens
+ */
+async function getAllApiTokens() {
+  const rows = await loadRows('api_tokens');
+  return rows.map(rowToObject);
+}
+
+/**
+ * Get an API token by id (the hash of the token)
+ */
+async function getApiToken(tokenId) {
+  const row = await findRow('api_tokens', 'token_id', tokenId);
+  return row ? rowToObject(row) : null;
+}
+
+/**
+ * Add an API token
+ */
+async function addApiToken(tokenData) {
+  const [row] = await appendRows('api_tokens', [{
+    token_id: tokenData.token_id,
+    name: tokenData.name,
+    token_prefix: tokenData.token_prefix,
+    scopes: tokenData.scopes || '',
+    created_by: tokenData.created_by || '',
+    created_at: tokenData.created_at || new Date().toISOString(),
+    expires_at: tokenData.expires_at || '',
+    last_used_at: tokenData.last_used_at || '',
+    last_used_ip: tokenData.last_used_ip || '',
+    revoked_at: tokenData.revoked_at || ''
+  }]);
+  return rowToObject(row);
+}
+
+/**
+ * Update an API token
+ */
+async function updateApiToken(tokenId, updates) {
+  const row = await findRow('api_tokens', 'token_id', tokenId);
+
+  if (!row) {
+    return null;
+  }
+
+  Object.entries(updates).forEach(([key, value]) => {
+    if (key !== 'token_id') {
+      row.set(key, value);
+    }
+  });
+
+  await saveRow('api_tokens', row);
+  return rowToObject(row);
+}
+
+// ============================================
+// QUEUE OPERATIONS
+// ============================================
+
+/**
+ * Get all ticket queues
+ */
+async function getAllQueues() {
+  const rows = await loadRows('queues');
+  return rows.map(rowToObject);
+}
+
+/**
+ * Get a ticket queue by id
+ */
+async function getQueue(queueId) {
+  const row = await findRow('queues', 'queue_id', queueId);
+  return row ? rowToObject(row) : null;
+}
+
+/**
+ * Add a ticket queue
+ */
+async function addQueue(queueData) {
+  const [row] = await appendRows('queues', [{
+    queue_id: queueData.queue_id,
+    name: queueData.name,
+    applications: queueData.applications || '',
+    members: queueData.members || '',
+    assignment: queueData.assignment || 'manual',
+    last_assigned: queueData.last_assigned || '',
+    created_at: queueData.created_at || new Date().toISOString(),
+    updated_at: queueData.updated_at || new Date().toISOString(),
+    version: '1'
+  }]);
+  return rowToObject(row);
+}
+
+/**
+ * Update a ticket queue
+ * @param {Object} options - { expectedVersion } - reject with VersionConflictError if stale
+ */
+async function updateQueue(queueId, updates, { expectedVersion } = {}) {
+  const [updated] = await updateRows('queues', [{ id: queueId, updates, expectedVersion }]);
+  return updated;
+}
+
+/**
+ * Delete a ticket queue
+ */
+async function deleteQueue(queueId) {
+  const row = await findRow('queues', 'queue_id', queueId);
+
+  if (!row) {
+    return false;
+  }
+
+  await deleteRow('queues', row);
+  return true;
+}
+
+// ============================================
+// SLA POLICY OPERATIONS
+// ============================================
+
+/**
+ * Get all SLA policies
+ */
+async function getAllSlaPolicies() {
+  const rows = await loadRows('sla_policies');
+  return rows.map(rowToObject);
+}
+
+/**
+ * Get an SLA policy by id
+ */
+async function getSlaPolicy(policyId) {
+  const row = await findRow('sla_policies', 'policy_id', policyId);
+  return row ? rowToObject(row) : null;
+}
+
+/**
+ * Add an SLA policy
+ */
+async function addSlaPolicy(policyData) {
+  const [row] = await appendRows('sla_policies', [{
+    policy_id: policyData.policy_id,
+    name: policyData.name,
+    application: policyData.application || '',
+    priority: policyData.priority || '',
+    response_minutes: policyData.response_minutes,
+    resolution_minutes: policyData.resolution_minutes,
+    business_hours: policyData.business_hours || 'FALSE',
+    created_at: policyData.created_at || new Date().toISOString(),
+    updated_at: policyData.updated_at || new Date().toISOString()
+  }]);
+  return rowToObject(row);
+}
+
+/**
+ * Update an SLA policy
+ */
+async function updateSlaPolicy(policyId, updates) {
+  const row = await findRow('sla_policies', 'policy_id', policyId);
+
+  if (!row) {
+    return null;
+  }
+
+  Object.entries(updates).forEach(([key, value]) => {
+    if (key !== 'policy_id') {
+      row.set(key, value);
+    }
+  });
+
+  await saveRow('sla_policies', row);
+  return rowToObject(row);
+}
+
+/**
+ * Delete an SLA policy
+ */
+async function deleteSlaPolicy(policyId) {
+  const row = await findRow('sla_policies', 'policy_id', policyId);
+
+  if (!row) {
+    return false;
+  }
+
+  await deleteRow('sla_policies', row);
+  return true;
+}
+
+// ============================================
+// INCIDENT OPERATIONS
+// ============================================
+
+/**
+ * Get all incidents
+ */
+async function getAllIncidents() {
+  const rows = await loadRows('incidents');
+  return rows.map(rowToObject);
+}
+
+/**
+ * Get an incident by id
+ */
+async function getIncident(incidentId) {
+  const row = await findRow('incidents', 'incident_id', incidentId);
+  return row ? rowToObject(row) : null;
+}
+
+/**
+ * Add an incident
+ */
+async function addIncident(incidentData) {
+  const [row] = await appendRows('incidents', [{
+    incident_id: incidentData.incident_id,
+    title: incidentData.title,
+    description: incidentData.description || '',
+    application: incidentData.application || '',
+    status: incidentData.status || 'investigating',
+    resolution: '',
+    created_by: incidentData.created_by || '',
+    created_at: incidentData.created_at || new Date().toISOString(),
+    updated_at: incidentData.updated_at || new Date().toISOString(),
+    resolved_by: '',
+    resolved_at: ''
+  }]);
+  return rowToObject(row);
+}
+
+/**
+ * Update an incident
+ */
+async function updateIncident(incidentId, updates) {
+  const row = await findRow('incidents', 'incident_id', incidentId);
+
+  if (!row) {
+    return null;
+  }
+
+  Object.entries(updates).forEach(([key, value]) => {
+    if (key !== 'incident_id') {
+      row.set(key, value);
+    }
+  });
+
+  await saveRow('incidents', row);
+  return rowToObject(row);
+}
+
+// ============================================
+// TICKET EVENT OPERATIONS
+// ============================================
+
+/**
+ * Append ticket events (the timeline is append-only: there is no update or delete)
+ */
+async function addTicketEvents(events) {
+  const rows = await appendRows('ticket_events', events.map(event => ({
+    event_id: event.event_id,
+    ticket_id: event.ticket_id,
+    timestamp: event.timestamp || new Date().toISOString(),
+    type: event.type,
+    actor: event.actor || '',
+    data: event.data || ''
+  })));
+  return rows.map(rowToObject);
+}
+
+/**
+ * Get a ticket's events in the order they were recorded
+ */
+async function getTicketEvents(ticketId) {
+  const rows = await findRows('ticket_events', 'ticket_id', ticketId);
+  return rows.map(rowToObject);
+}
+
+// ============================================
+// TICKET COMMENT OPERATIONS
+// ============================================
+
+/**
+ * Get a ticket's internal comments in the order they were written
+ */
+async function getTicketComments(ticketId) {
+  const rows = await findRows('ticket_comments', 'ticket_id', ticketId);
+  return rows.map(rowToObject);
+}
+
+/**
+ * Get a comment by id
+ */
+async function getTicketComment(commentId) {
+  const row = await findRow('ticket_comments', 'comment_id', commentId);
+  return row ? rowToObject(row) : null;
+}
+
+/**
+ * Add a comment
+ */
+async function addTicketComment(commentData) {
+  const [row] = await appendRows('ticket_comments', [{
+    comment_id: commentData.comment_id,
+    ticket_id: commentData.ticket_id,
+    author: commentData.author,
+    body: commentData.body,
+    mentions: commentData.mentions || '',
+    created_at: commentData.created_at || new Date().toISOString(),
+    updated_at: commentData.updated_at || commentData.created_at || new Date().toISOString(),
+    history: commentData.history || ''
+  }]);
+  return rowToObject(row);
+}
+
+/**
+ * Update a comment
+ */
+async function updateTicketComment(commentId, updates) {
+  const row = await findRow('ticket_comments', 'comment_id', commentId);
+
+  if (!row) {
+    return null;
+  }
+
+  Object.entries(updates).forEach(([key, value]) => {
+    if (key !== 'comment_id') {
+      row.set(key, value);
+    }
+  });
+
+  await saveRow('ticket_comments', row);
+  return rowToObject(row);
+}
+
+// ============================================
+// AUDIT LOG OPERATIONS
+// ============================================
+
+/**
+ * Append an audit log entry (the log is append-only: there is no update or delete)
+ */
+async function addAuditEntry(entry) {
+  const [row] = await appendRows('audit_log', [{
+    audit_id: entry.audit_id,
+    timestamp: entry.timestamp || new Date().toISOString(),
+    actor: entry.actor,
+    actor_role: entry.actor_role || '',
+    action: entry.action,
+    entity_type: entry.entity_type,
+    entity_id: entry.entity_id || '',
+    before: entry.before || '',
+    after: entry.after || '',
+    ip: entry.ip || ''
+  }]);
+  return rowToObject(row);
+}
+
+/**
+ * Get all audit log entries, oldest first
+ */
+async function getAuditEntries() {
+  const rows = await loadRows('audit_log');
+  return rows.map(rowToObject);
+}
+
+// ============================================
+// SETTINGS OPERATIONS
+// ============================================
+
+/**
+ * Get a single setting by key
+ */
+async function getSetting(key) {
+  const row = await findRow('settings', 'setting_key', key);
+  return row ? row.get('setting_value') : null;
+}
+
+/**
+ * Update or create a setting
+ */
+async function updateSetting(key, value) {
+  const row = await findRow('settings', 'setting_key', key);
+
+  if (row) {
+    row.set('setting_value', value);
+    row.set('updated_at', new Date().toISOString());
+    await saveRow('settings', row);
+  } else {
+    await appendRows('settings', [{
+      setting_key: key,
+      setting_value: value,
+      updated_at: new Date().toISOString()
+    }]);
+  }
+}
+
+/**
+ * Delete a setting
+ * @returns {Promise<boolean>} - Whether the setting existed
+ */
+async function deleteSetting(key) {
+  const row = await findRow('settings', 'setting_key', key);
+
+  if (!row) {
+    return false;
+  }
+
+  await deleteRow('settings', row);
+  return true;
+}
+
+// Running totals of every sequence up to a row of the sequences sheet, so a claim only reads
+// the rows appended since: { rowNumber, claimId, totals: Map(name -> total) }
+let sequenceCheckpoint = null;
+
+/**
+ * Read the claim rows up to (and including) a row of the sequences sheet, starting at the
+ * checkpoint when it is still in place
+ * The checkpoint row is read again to confirm rows above it weren't deleted by hand;
+ * otherwise the sheet is read from the top
+ */
+async function readClaimsUpTo(rowNumber) {
+  const checkpoint = sequenceCheckpoint;
+  const sheet = await getSheet('sequences');
+
+  if (checkpoint && checkpoint.rowNumber < rowNumber) {
+    // Data rows start on row 2, below the header
+    const rows = await withRetry(() => sheet.getRows({
+      offset: checkpoint.rowNumber - 2,
+      limit: rowNumber - checkpoint.rowNumber + 1
+    }));
+    if (rows[0]?.get('claim_id') === checkpoint.claimId) {
+      return { totals: new Map(checkpoint.totals), rows: rows.slice(1), fromTop: false };
+    }
+  }
+
+  const rows = await withRetry(() => sheet.getRows({ limit: rowNumber - 1 }));
+  return { totals: new Map(), rows, fromTop: true };
+}
+
+/**
+ * Return the next value of a named sequence
+ * Appends a claim row to the sequences sheet, then adds up the claims above it: the value is
+ * the sequence's running total at that row. Sheets appends land in a single order, so every
+ * process (the server, the CLI, a second instance) gets a different value without a lock.
+ * Totals are kept from one claim to the next, so only rows appended since are read
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} - The next value, starting at 1
+ */
+async function nextSequence(name) {
+  const claimId = uuidv4();
+  const [claim] = await appendRows('sequences', [{ claim_id: claimId, name, count: '1', claimed_at: new Date().toISOString() }]);
+
+  const { totals, rows, fromTop } = await readClaimsUpTo(claim.rowNumber);
+  for (const row of rows) {
+    const rowName = row.get('name');
+    totals.set(rowName, (totals.get(rowName) || 0) + (parseInt(row.get('count'), 10) || 0));
+  }
+
+  if (rows.at(-1)?.get('claim_id') !== claimId) {
+    throw new Error(`Sequence claim ${claimId} for ${name} was not found after appending it`);
+  }
+
+  // Claims made at the same time can finish out of order - keep the furthest checkpoint,
+  // unless the sheet had to be read from the top because it no longer holds
+  if (!sequenceCheckpoint || fromTop || sequenceCheckpoint.rowNumber < claim.rowNumber) {
+    sequenceCheckpoint = { rowNumber: claim.rowNumber, claimId, totals };
+  }
+  return totals.get(name);
+}
+
+/**
+ * Get all settings as an object
+ */
+async function getAllSettings() {
+  const rows = await loadRows('settings');
+  const settings = {};
+  rows.forEach(row => {
+    const key = row.get('setting_key');
+    if (key) {
+      settings[key] = row.get('setting_value');
+    }
+  });
+  return settings;
+}
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Convert a Google Sheets row to a plain object
+ */
+function rowToObject(row) {
+  // Use the built-in toObject method if available
+  if (typeof row.toObject === 'function') {
+    return row.toObject();
+  }
+
+  // Fallback: access raw data
+  const obj = {};
+  const rawData = row._rawData;
+  const headers = row._worksheet ? row._worksheet.headerValues : [];
+
+  if (headers.length > 0) {
+    headers.forEach((header, index) => {
+      obj[header] = rawData[index] || '';
+    });
+  }
+
+  return obj;
+}
+
+/**
+ * Test the connection to Google Sheets
+ */
+async function testConnection() {
   try {
     await initSheet();
     return {
@@ -722,6 +1519,16 @@ module.exports = {
   getSheet,
   testConnection,
 
+  // Schema (migrations)
+  ensureTable,
+  ensureColumns,
+  getRows,
+  addRows,
+  replaceRows,
+
+  // Batch
+  updateRows,
+
   // Tickets
   createTicket,
   getAllTickets,
@@ -739,7 +1546,6 @@ module.exports = {
   // Mock Logs
   getMockLog,
   getAllMockLogs,
-  findMatchingMockLog,
 
   // Knowledge Base
   getKnowledgeBase,
@@ -755,8 +1561,71 @@ module.exports = {
   updateDocument,
   deleteDocument,
 
+  // Users
+  getAllUsers,
+  getUser,
+  addUser,
+  updateUser,
+
+  // Roles
+  getAllRoles,
+  getRole,
+  addRole,
+  updateRole,
+  deleteRole,
+
+  // Sessions
+  getSession,
+  getSessionsByUser,
+  addSession,
+  updateSession,
+  deleteSessions,
+
+  // API tokens
+  getAllApiTokens,
+  getApiToken,
+  addApiToken,
+  updateApiToken,
+
+  // Queues
+  getAllQueues,
+  getQueue,
+  addQueue,
+  updateQueue,
+  deleteQueue,
+
+  // SLA policies
+  getAllSlaPolicies,
+  getSlaPolicy,
+  addSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy,
+
+  // Ticket events
+  addTicketEvents,
+  getTicketEvents,
+  getTicketComments,
+  getTicketComment,
+  addTicketComment,
+  updateTicketComment,
+
+  // Incidents
+  getAllIncidents,
+  getIncident,
+  addIncident,
+  updateIncident,
+
+  // Audit log
+  addAuditEntry,
+  getAuditEntries,
+
   // Settings
   getSetting,
   updateSetting,
-  getAllSettings
+  getAllSettings,
+  deleteSetting,
+  nextSequence,
+
+  // Cache
+  clearCache
 };
@@ -0,0 +1,270 @@
+/**
+ * Major incidents
+ * An incident (an LDAP outage, say) is one problem behind many tickets. It has its own
+ * status, and tickets link to it as its children. Resolving the incident posts the
+ * resolution into the chat of every affected user (including users whose tickets were
+ * merged into a child) and closes the children that are still open
+ */
+const { v5: uuidv5 } = require('uuid');
+const storage = require('./storage');
+const { trackTicketChange } = require('./slaService');
+
+// In lifecycle order; incidents are only resolved through resolveIncident
+const INCIDENT_STATUSES = {
+  investigating: 'Investigating',
+  identified: 'Cause identified',
+  monitoring: 'Fix applied, monitoring',
+  resolved: 'Resolved'
+};
+
+const OPEN_TICKET_STATUSES = ['open', 'waiting_clarification', 'waiting_confirmation'];
+
+const INCIDENT_ID_PREFIX = 'INC';
+const INCIDENT_ID_WIDTH = 6;
+
+// Namespace for the ids of resolution messages, one per incident and chat session
+const RESOLUTION_MESSAGE_NAMESPACE = 'c3a7e1d2-5b4f-4e8a-9c6d-2f1e0a9b8c7d';
+
+// Resolutions run one at a time, so a double-submitted resolve can't message users twice
+let resolveLock = Promise.resolve();
+
+/**
+ * Thrown for incident changes that aren't allowed (changing a resolved incident, unknown tickets)
+ */
+class IncidentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'IncidentError';
+    this.statusCode = statusCode;
+  }
+}
+
+function isResolved(incident) {
+  return incident.status === 'resolved';
+}
+
+/**
+ * Incident as returned by the API, with its linked and still-open ticket counts
+ */
+function toPublicIncident(incident, tickets = []) {
+  const children = tickets.filter(ticket => ticket.incident_id === incident.incident_id);
+  return {
+    ...incident,
+    ticket_count: children.length,
+    open_ticket_count: children.filter(ticket => OPEN_TICKET_STATUSES.includes(ticket.status)).length
+  };
+}
+
+async function findIncident(incidentId) {
+  const incident = await storage.getIncident(incidentId);
+  if (!incident) {
+    throw new IncidentError('Incident not found', 404);
+  }
+  return incident;
+}
+
+function assertNotResolved(incident) {
+  if (isResolved(incident)) {
+    throw new IncidentError(`${incident.incident_id} is resolved and can no longer be changed`, 409);
+  }
+}
+
+/**
+ * List incidents, newest first
+ * @param {string} [status] - A status, or 'open' for every incident not yet resolved
+ */
+async function listIncidents(status) {
+  const [incidents, tickets] = await Promise.all([storage.getAllIncidents(), storage.getAllTickets()]);
+  return incidents
+    .filter(incident => !status || (status === 'open' ? !isResolved(incident) : incident.status === status))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(incident => toPublicIncident(incident, tickets));
+}
+
+/**
+ * An incident with its child tickets
+ * @returns {Promise<Object|null>}
+ */
+async function getIncident(incidentId) {
+  const incident = await storage.getIncident(incidentId);
+  if (!incident) {
+    return null;
+  }
+
+  const tickets = await storage.getAllTickets();
+  return {
+    ...toPublicIncident(incident, tickets),
+    tickets: tickets
+      .filter(ticket => ticket.incident_id === incidentId)
+      .map(({ ticket_id, status, application, problem_summary, reported_by, reported_at, assignee }) => ({
+        ticket_id, status, application, problem_summary, reported_by, reported_at, assignee
+      }))
+  };
+}
+
+/**
+ * Declare an incident
+ * @param {Object} data - { title, description?, application?, status? }
+ * @param {string} actor - Who declared it
+ */
+async function createIncident({ title, description, application, status }, actor) {
+  if (status === 'resolved') {
+    throw new IncidentError('A new incident cannot be resolved; resolve it once it is declared');
+  }
+
+  const seq = await storage.nextSequence('incident_id');
+  const now = new Date().toISOString();
+  const incident = await storage.addIncident({
+    incident_id: `${INCIDENT_ID_PREFIX}-${String(seq).padStart(INCIDENT_ID_WIDTH, '0')}`,
+    title,
+    description,
+    application,
+    status: status || 'investigating',
+    created_by: actor,
+    created_at: now,
+    updated_at: now
+  });
+  return toPublicIncident(incident);
+}
+
+/**
+ * Change an open incident's title, description, application or status
+ * @returns {Promise<{before: Object, incident: Object}>}
+ */
+async function updateIncident(incidentId, changes) {
+  const before = await findIncident(incidentId);
+  assertNotResolved(before);
+  if (changes.status === 'resolved') {
+    throw new IncidentError('Resolve incidents with POST /api/incidents/:incidentId/resolve');
+  }
+
+  const updates = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+  const incident = await storage.updateIncident(incidentId, { ...updates, updated_at: new Date().toISOString() });
+  return { before, incident: toPublicIncident(incident, await storage.getAllTickets()) };
+}
+
+/**
+ * Link tickets to an open incident; a ticket linked to another incident moves to this one
+ * @returns {Promise<{incident: Object, linked: Array}>} - linked: the tickets as they were before
+ */
+async function linkTickets(incidentId, ticketIds) {
+  const incident = await findIncident(incidentId);
+  assertNotResolved(incident);
+
+  const tickets = await storage.getAllTickets();
+  const byId = new Map(tickets.map(ticket => [ticket.ticket_id, ticket]));
+  const ids = [...new Set(ticketIds)];
+  const unknown = ids.filter(id => !byId.has(id));
+  if (unknown.length > 0) {
+    throw new IncidentError(`Tickets not found: ${unknown.join(', ')}`, 404);
+  }
+
+  const linked = ids.map(id => byId.get(id)).filter(ticket => ticket.incident_id !== incidentId);
+  const now = new Date().toISOString();
+  await storage.updateTickets(linked.map(ticket => ({
+    id: ticket.ticket_id,
+    updates: { incident_id: incidentId, updated_at: now }
+  })));
+
+  return { incident, linked };
+}
+
+/**
+ * Remove a ticket from an open incident
+ * @returns {Promise<Object>} - The ticket as it was before
+ */
+async function unlinkTicket(incidentId, ticketId) {
+  assertNotResolved(await findIncident(incidentId));
+  const ticket = await storage.getTicketById(ticketId);
+  if (!ticket || ticket.incident_id !== incidentId) {
+    throw new IncidentError(`${ticketId} is not linked to ${incidentId}`, 404);
+  }
+
+  await storage.updateTicket(ticketId, { incident_id: '', updated_at: new Date().toISOString() });
+  return ticket;
+}
+
+/**
+ * Resolve an incident
+ * The resolution is posted into the chat session of every open child ticket and of the
+ * tickets merged into them (once per session), then the open children are closed.
+ * Children that were already closed are left as they are.
+ * Each message's id is derived from the incident and the session, so retrying a resolve
+ * that failed part way skips the users already messaged (or whose message is still queued
+ * in the outbox) and finishes the rest
+ * @param {string} incidentId - Incident to resolve
+ * @param {string} resolution - Message for the affected users
+ * @param {string} actor - Who resolved it
+ * @returns {Promise<{before: Object, incident: Object, closed: Array, notified: number}>} -
+ *   closed: the child tickets as they were before closing; notified: sessions messaged
+ */
+async function resolveIncident(incidentId, resolution, actor) {
+  const resolve = resolveLock.then(() => applyResolution(incidentId, resolution, actor));
+  resolveLock = resolve.catch(() => {});
+  return resolve;
+}
+
+async function applyResolution(incidentId, resolution, actor) {
+  const before = await findIncident(incidentId);
+  assertNotResolved(before);
+
+  const tickets = await storage.getAllTickets();
+  const open = tickets.filter(ticket => ticket.incident_id === incidentId && OPEN_TICKET_STATUSES.includes(ticket.status));
+  const now = new Date().toISOString();
+
+  const recipients = new Map();
+  for (const ticket of open) {
+    const merged = tickets.filter(other => other.merged_into === ticket.ticket_id);
+    for (const recipient of [ticket, ...merged]) {
+      if (!recipients.has(recipient.session_id)) {
+        recipients.set(recipient.session_id, recipient);
+      }
+    }
+  }
+  for (const recipient of recipients.values()) {
+    const messageId = uuidv5(`${incidentId}:${recipient.session_id}`, RESOLUTION_MESSAGE_NAMESPACE);
+    if (storage.isMessageQueued(messageId)) {
+      continue;
+    }
+    const sent = await storage.getMessagesBySession(recipient.session_id);
+    if (sent.some(message => message.message_id === messageId)) {
+      continue;
+    }
+
+    await storage.addMessage({
+      message_id: messageId,
+      session_id: recipient.session_id,
+      ticket_id: recipient.ticket_id,
+      sender: 'it_support',
+      content: resolution,
+      timestamp: now,
+      read: 'FALSE'
+    });
+  }
+
+  await storage.updateTickets(open.map(ticket => {
+    const updates = { status: 'closed', resolved_at: now, updated_at: now };
+    return { id: ticket.ticket_id, updates: { ...updates, ...trackTicketChange(ticket, updates, { staffResponse: true }) } };
+  }));
+
+  const incident = await storage.updateIncident(incidentId, {
+    status: 'resolved',
+    resolution,
+    resolved_by: actor,
+    resolved_at: now,
+    updated_at: now
+  });
+  return { before, incident: toPublicIncident(incident, await storage.getAllTickets()), closed: open, notified: recipients.size };
+}
+
+module.exports = {
+  INCIDENT_STATUSES,
+  IncidentError,
+  listIncidents,
+  getIncident,
+  createIncident,
+  updateIncident,
+  linkTickets,
+  unlinkTicket,
+  resolveIncident
+};
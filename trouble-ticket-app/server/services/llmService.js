@@ -4,7 +4,7 @@
  */
 const Anthropic = require('@anthropic-ai/sdk');
 const OpenAI = require('openai');
-const { getSetting } = require('./googleSheets');
+const { getSetting } = require('./storage');
 const { decrypt } = require('../middleware/encryption');
 
 // Provider configurations
@@ -65,11 +65,10 @@ async function getProviderConfig() {
   let apiKey = null;
   if (storedKey) {
     try {
-      const decrypted = decrypt(storedKey);
-      apiKey = decrypted || null;
+      apiKey = decrypt(storedKey) || null;
     } catch (e) {
-      console.error('Decryption error:', e.message);
-      // Decryption failed - key was encrypted with different key, fall back to env
+      // Encrypted with a key that is no longer configured - /health reports it as undecryptable
+      console.error(`Stored api_key cannot be decrypted, falling back to environment variables: ${e.message}`);
       apiKey = null;
     }
   }
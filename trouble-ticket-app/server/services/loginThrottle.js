@@ -0,0 +1,280 @@
+/**
+ * Brute-force protection for staff authentication
+ * Failed password checks are counted per client IP and per account. After a number of
+ * free attempts each further failure locks the key for an exponentially growing period
+ * (capped), and failures are forgotten once a window passes without new ones.
+ * Password checks are slow, so each one is reserved before it starts: attempts in flight
+ * count towards the free attempts alongside failures, and concurrent guesses can't all pass
+ * the lock check first. A reservation only becomes a failure if the credentials are wrong;
+ * valid ones just release it.
+ * Counters live in a pluggable store: in memory (single node, reset on restart) or in a
+ * JSON file that survives restarts
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const STORE_TYPE = (process.env.LOGIN_THROTTLE_STORE || 'memory').toLowerCase();
+// Relative paths resolve against the server directory
+const STORE_PATH = path.resolve(__dirname, '..', process.env.LOGIN_THROTTLE_PATH || 'data/login-throttle.json');
+const ACCOUNT_FREE_ATTEMPTS = parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS, 10) || 5;
+// Higher for IPs: a whole office can share one address
+const IP_FREE_ATTEMPTS = parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS, 10) || 20;
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 30) * 1000;
+const LOCKOUT_MAX_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 60) * 60 * 1000;
+const FAILURE_WINDOW_MS = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+
+// ============================================
+// STORES
+// ============================================
+
+/**
+ * Counters kept in process memory
+ */
+function createMemoryStore() {
+  const records = new Map();
+  return {
+    get: key => records.get(key) || null,
+    set: (key, record) => { records.set(key, record); },
+    delete: key => { records.delete(key); },
+    entries: () => [...records.entries()]
+  };
+}
+
+/**
+ * Counters kept in memory and mirrored to a JSON file on every change
+ */
+function createFileStore(filePath) {
+  const records = new Map();
+
+  try {
+    if (fs.existsSync(filePath)) {
+      Object.entries(JSON.parse(fs.readFileSync(filePath, 'utf8'))).forEach(([key, record]) => records.set(key, record));
+    }
+  } catch (error) {
+    console.error('Login throttle: failed to load counters, starting empty:', error.message);
+  }
+
+  // Write to a temp file, then rename, so a crash never leaves half a file
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(records), null, 2));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  return {
+    get: key => records.get(key) || null,
+    set: (key, record) => { records.set(key, record); save(); },
+    delete: key => { if (records.delete(key)) save(); },
+    entries: () => [...records.entries()]
+  };
+}
+
+const STORES = {
+  memory: () => createMemoryStore(),
+  file: () => createFileStore(STORE_PATH)
+};
+
+if (!STORES[STORE_TYPE]) {
+  throw new Error(`Unknown LOGIN_THROTTLE_STORE "${STORE_TYPE}". Options: ${Object.keys(STORES).join(', ')}`);
+}
+
+let store = STORES[STORE_TYPE]();
+
+// Attempts currently being checked, per key; process-local, so never persisted
+const inFlight = new Map();
+
+// ============================================
+// COUNTERS
+// ============================================
+
+function keysFor({ ip, username }) {
+  return [
+    ip && { key: `ip:${ip}`, freeAttempts: IP_FREE_ATTEMPTS },
+    username && { key: `account:${username}`, freeAttempts: ACCOUNT_FREE_ATTEMPTS }
+  ].filter(Boolean);
+}
+
+/**
+ * Read a record, dropping it once its failures have aged out and any lock has expired
+ */
+function getRecord(key, now = Date.now()) {
+  const record = store.get(key);
+  if (record && record.lockedUntil <= now && now - record.lastFailureAt > FAILURE_WINDOW_MS) {
+    store.delete(key);
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Drop every record that has aged out, so guessed usernames don't pile up
+ */
+function pruneExpired(now = Date.now()) {
+  store.entries().forEach(([key]) => getRecord(key, now));
+}
+
+/**
+ * Check whether an attempt from this IP or for this account is currently locked out
+ * @param {Object} attempt - { ip, username }
+ * @returns {{retryAfterSeconds: number, scope: string}|null} - null when the attempt may proceed
+ */
+function checkLock(attempt) {
+  const now = Date.now();
+  const locks = keysFor(attempt)
+    .map(({ key }) => ({ key, record: getRecord(key, now) }))
+    .filter(({ record }) => record && record.lockedUntil > now);
+
+  if (locks.length === 0) {
+    return null;
+  }
+
+  const longest = locks.reduce((a, b) => (a.record.lockedUntil >= b.record.lockedUntil ? a : b));
+  return {
+    retryAfterSeconds: Math.ceil((longest.record.lockedUntil - now) / 1000),
+    scope: longest.key.split(':')[0]
+  };
+}
+
+function countFailure(attempt) {
+  const now = Date.now();
+  pruneExpired(now);
+  for (const { key, freeAttempts } of keysFor(attempt)) {
+    const failures = (getRecord(key, now)?.failures || 0) + 1;
+    const excess = failures - freeAttempts;
+    const lockMs = excess > 0 ? Math.min(LOCKOUT_BASE_MS * 2 ** (excess - 1), LOCKOUT_MAX_MS) : 0;
+
+    store.set(key, {
+      failures,
+      lastFailureAt: now,
+      lockedUntil: lockMs ? now + lockMs : 0
+    });
+
+    if (lockMs) {
+      console.warn(`Login throttle: ${key} locked for ${Math.round(lockMs / 1000)}s after ${failures} failed attempts`);
+    }
+  }
+}
+
+/**
+ * Start a slow credential check: refuse it while the IP or account is locked out, or while
+ * the attempts already in flight could use up the remaining free attempts; otherwise
+ * reserve it. End it with recordSuccess, recordFailure or releaseAttempt
+ * The check and the reservation happen in one synchronous step
+ * @param {Object} attempt - { ip, username }
+ * @returns {{retryAfterSeconds: number, scope: string}|null} - The lock, or null when the
+ *   attempt may proceed
+ */
+function reserveAttempt(attempt) {
+  const lock = checkLock(attempt);
+  if (lock) {
+    return lock;
+  }
+
+  const keys = keysFor(attempt);
+  const busy = keys.find(({ key, freeAttempts }) =>
+    (getRecord(key)?.failures || 0) + (inFlight.get(key) || 0) > freeAttempts
+  );
+  if (busy) {
+    return { retryAfterSeconds: 1, scope: busy.key.split(':')[0] };
+  }
+
+  keys.forEach(({ key }) => inFlight.set(key, (inFlight.get(key) || 0) + 1));
+  return null;
+}
+
+/**
+ * End a reserved attempt without counting it (the check itself failed, e.g. storage errors)
+ */
+function releaseAttempt(attempt) {
+  keysFor(attempt).forEach(({ key }) => {
+    const pending = (inFlight.get(key) || 0) - 1;
+    if (pending > 0) {
+      inFlight.set(key, pending);
+    } else {
+      inFlight.delete(key);
+    }
+  });
+}
+
+/**
+ * Count a failed attempt against the IP and the account, ending its reservation
+ * @param {Object} attempt - { ip, username }
+ * @param {Object} options
+ * @param {boolean} options.reserved - false for fast checks that skip reserveAttempt (API
+ *   tokens, which only need checkLock first)
+ */
+function recordFailure(attempt, { reserved = true } = {}) {
+  if (reserved) {
+    releaseAttempt(attempt);
+  }
+  countFailure(attempt);
+}
+
+/**
+ * End an attempt whose credentials were valid
+ * The account's counter is cleared; the IP counter is left to age out, so one valid
+ * account can't reset it for guessing others
+ */
+function recordSuccess(attempt) {
+  releaseAttempt(attempt);
+  if (attempt.username) {
+    store.delete(`account:${attempt.username}`);
+  }
+}
+
+/**
+ * Keys with recorded failures, for the admin view
+ * @returns {Array<{type: string, id: string, failures: number, lastFailureAt: string, lockedUntil: string|null}>}
+ */
+function listLockouts() {
+  const now = Date.now();
+  return store.entries()
+    .filter(([key]) => getRecord(key, now))
+    .map(([key, record]) => {
+      const separator = key.indexOf(':');
+      return {
+        type: key.slice(0, separator),
+        id: key.slice(separator + 1),
+        failures: record.failures,
+        lastFailureAt: new Date(record.lastFailureAt).toISOString(),
+        lockedUntil: record.lockedUntil > now ? new Date(record.lockedUntil).toISOString() : null
+      };
+    })
+    .sort((a, b) => (b.lockedUntil || '').localeCompare(a.lockedUntil || '') || b.failures - a.failures);
+}
+
+/**
+ * Clear the counter for an account or IP (admin unlock)
+ * @param {string} type - 'account' or 'ip'
+ * @param {string} id - Username or IP address
+ * @returns {boolean} - Whether there was anything to clear
+ */
+function unlock(type, id) {
+  const key = `${type}:${id}`;
+  const existed = !!store.get(key);
+  store.delete(key);
+  return existed;
+}
+
+/**
+ * Replace the counter store (e.g. a shared store for multi-node deployments)
+ * @param {Object} customStore - Implements get(key), set(key, record), delete(key), entries()
+ */
+function setStore(customStore) {
+  store = customStore;
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  setStore,
+  checkLock,
+  reserveAttempt,
+  releaseAttempt,
+  recordFailure,
+  recordSuccess,
+  listLockouts,
+  unlock
+};
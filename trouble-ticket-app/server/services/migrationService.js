@@ -0,0 +1,91 @@
+/**
+ * Schema Migration Service
+ * Applies versioned migrations from migrations/ and records them in schema_migrations
+ * Migrations run in filename order (001-..., 002-...) and each runs once per backend
+ */
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+
+// Configuration
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^\d{3}-[a-z0-9-]+\.js$/;
+
+/**
+ * Load all migration modules sorted by ID
+ * @returns {Array<{id: string, description: string, up: Function}>}
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} must export an up(storage) function`);
+      }
+      return {
+        id: path.basename(file, '.js'),
+        description: migration.description || '',
+        up: migration.up
+      };
+    });
+}
+
+/**
+ * Get migration records already applied to the current backend, keyed by ID
+ */
+async function getAppliedMigrations() {
+  await storage.ensureTable('schema_migrations');
+  const rows = await storage.getRows('schema_migrations');
+  return new Map(rows.map(row => [row.migration_id, row]));
+}
+
+/**
+ * Get the status of every known migration
+ * @returns {Promise<Array<{id: string, description: string, applied: boolean, appliedAt: string|null}>>}
+ */
+async function getMigrationStatus() {
+  const applied = await getAppliedMigrations();
+  return loadMigrations().map(migration => ({
+    id: migration.id,
+    description: migration.description,
+    applied: applied.has(migration.id),
+    appliedAt: applied.get(migration.id)?.applied_at || null
+  }));
+}
+
+/**
+ * Apply all pending migrations in order
+ * Stops at the first failure so later migrations never run against a partial schema
+ * @returns {Promise<string[]>} - IDs of the migrations that were applied
+ */
+async function runMigrations() {
+  const applied = await getAppliedMigrations();
+  const pending = loadMigrations().filter(migration => !applied.has(migration.id));
+  const appliedNow = [];
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.id}: ${migration.description}`);
+    try {
+      await migration.up(storage);
+    } catch (error) {
+      throw new Error(`Migration ${migration.id} failed: ${error.message}`);
+    }
+
+    await storage.addRows('schema_migrations', [{
+      migration_id: migration.id,
+      description: migration.description,
+      applied_at: new Date().toISOString()
+    }]);
+    appliedNow.push(migration.id);
+  }
+
+  return appliedNow;
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  runMigrations
+};
@@ -0,0 +1,73 @@
+/**
+ * Password hashing
+ * Hashes are self-describing strings: scrypt$<N>$<r>$<p>$<salt>$<hash> (base64 salt and hash),
+ * so the cost can be raised later without breaking stored passwords.
+ * Unprefixed 64-character hex values are legacy unsalted SHA-256 hashes; they still verify
+ * but are reported as needing a rehash.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Current cost parameters (N=2^15 takes ~50-100ms and 32 MB per hash)
+const SCRYPT_N = 32768;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const LEGACY_SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+function deriveKey(password, salt, N, r, p, keyLength) {
+  // Node rejects scrypt calls above maxmem (default 32 MB); allow what N and r need
+  return scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Hash a password with a fresh random salt
+ * @param {string} password - The plaintext password
+ * @returns {Promise<string>} - Self-describing hash string
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await deriveKey(password, salt, SCRYPT_N, SCRYPT_R, SCRYPT_P, KEY_LENGTH);
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - The plaintext password
+ * @param {string} storedHash - Value from the users table
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>} - needsRehash is set for legacy
+ *   or weaker-than-current hashes, so callers can upgrade them after a successful login
+ */
+async function verifyPassword(password, storedHash) {
+  if (!storedHash) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (LEGACY_SHA256_PATTERN.test(storedHash)) {
+    const actual = crypto.createHash('sha256').update(password).digest();
+    const valid = crypto.timingSafeEqual(actual, Buffer.from(storedHash, 'hex'));
+    return { valid, needsRehash: valid };
+  }
+
+  const [scheme, N, r, p, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !hash) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await deriveKey(password, Buffer.from(salt, 'base64'), Number(N), Number(r), Number(p), expected.length);
+  const valid = crypto.timingSafeEqual(actual, expected);
+  const needsRehash = valid &&
+    (Number(N) < SCRYPT_N || Number(r) !== SCRYPT_R || Number(p) !== SCRYPT_P || expected.length < KEY_LENGTH);
+
+  return { valid, needsRehash };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,298 @@
+/**
+ * Ticket queues and assignment
+ * A queue groups tickets for a team, usually by the applications it supports. A ticket sits
+ * in at most one queue and is assigned to at most one staff member. Tickets escalated from
+ * the chat are routed to the queue covering their application and, if that queue
+ * auto-assigns, to one of its members
+ */
+const storage = require('./storage');
+const { resolveRole, hasPermission } = require('./roleService');
+
+// How a queue picks an assignee for tickets escalated from the chat
+const ASSIGNMENT_STRATEGIES = {
+  manual: 'No auto-assignment; tickets wait in the queue until claimed or assigned',
+  round_robin: 'Members take turns',
+  least_loaded: 'The member with the fewest open tickets'
+};
+
+const OPEN_STATUSES = ['open', 'waiting_clarification', 'waiting_confirmation'];
+
+// Tries at advancing a round-robin queue that other escalations keep advancing first
+const ROUND_ROBIN_ATTEMPTS = 5;
+let roundRobinLock = Promise.resolve();
+
+/**
+ * Thrown for queue and assignment changes that break an invariant
+ * (duplicate id, unknown queue, assignee who can't work tickets, queue still in use)
+ */
+class QueueError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'QueueError';
+    this.statusCode = statusCode;
+  }
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function isOpen(ticket) {
+  return OPEN_STATUSES.includes(ticket.status);
+}
+
+/**
+ * Queue as returned by the API, with its open and unassigned ticket counts
+ */
+function toPublicQueue(queue, tickets = []) {
+  const open = tickets.filter(ticket => ticket.queue === queue.queue_id && isOpen(ticket));
+  return {
+    queue_id: queue.queue_id,
+    name: queue.name,
+    applications: splitList(queue.applications),
+    members: splitList(queue.members),
+    assignment: ASSIGNMENT_STRATEGIES[queue.assignment] ? queue.assignment : 'manual',
+    open_count: open.length,
+    unassigned_count: open.filter(ticket => !ticket.assignee).length,
+    created_at: queue.created_at,
+    updated_at: queue.updated_at
+  };
+}
+
+/**
+ * Enabled staff accounts whose role lets them work tickets (tickets.update)
+ * @returns {Promise<Array<{username: string, display_name: string}>>}
+ */
+async function getAssignableStaff() {
+  const users = (await storage.getAllUsers()).filter(user => user.enabled !== 'FALSE');
+  const roles = new Map();
+  const assignable = [];
+
+  for (const user of users) {
+    if (!roles.has(user.role)) {
+      roles.set(user.role, await resolveRole(user.role));
+    }
+    if (hasPermission(roles.get(user.role), 'tickets.update')) {
+      assignable.push({ username: user.username, display_name: user.display_name || user.username });
+    }
+  }
+  return assignable;
+}
+
+async function assertAssignable(usernames) {
+  const assignable = new Set((await getAssignableStaff()).map(user => user.username));
+  const invalid = usernames.filter(username => !assignable.has(username));
+  if (invalid.length > 0) {
+    throw new QueueError(`Can't assign tickets to ${invalid.join(', ')}: no enabled account with the tickets.update permission`);
+  }
+}
+
+/**
+ * List all queues
+ */
+async function listQueues() {
+  const [queues, tickets] = await Promise.all([storage.getAllQueues(), storage.getAllTickets()]);
+  return queues
+    .map(queue => toPublicQueue(queue, tickets))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create a queue
+ * @param {Object} data - { queue_id, name, applications, members, assignment }
+ */
+async function createQueue({ queue_id, name, applications = [], members = [], assignment = 'manual' }) {
+  if (queue_id === 'none') {
+    throw new QueueError('"none" is reserved for tickets outside any queue');
+  }
+  if (await storage.getQueue(queue_id)) {
+    throw new QueueError(`Queue "${queue_id}" already exists`, 409);
+  }
+  await assertAssignable(members);
+
+  const now = new Date().toISOString();
+  const queue = await storage.addQueue({
+    queue_id,
+    name,
+    applications: applications.join(','),
+    members: members.join(','),
+    assignment,
+    created_at: now,
+    updated_at: now
+  });
+  return toPublicQueue(queue);
+}
+
+/**
+ * Update a queue's name, applications, members or assignment strategy
+ * @returns {Promise<Object|null>} - Updated queue, or null if not found
+ */
+async function updateQueue(queueId, { name, applications, members, assignment }) {
+  if (!await storage.getQueue(queueId)) {
+    return null;
+  }
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (name !== undefined) updates.name = name;
+  if (applications !== undefined) updates.applications = applications.join(',');
+  if (members !== undefined) {
+    await assertAssignable(members);
+    updates.members = members.join(',');
+  }
+  if (assignment !== undefined) updates.assignment = assignment;
+
+  const updated = await storage.updateQueue(queueId, updates);
+  return toPublicQueue(updated, await storage.getAllTickets());
+}
+
+/**
+ * Delete a queue that holds no open tickets
+ * @returns {Promise<boolean>} - false if not found
+ */
+async function deleteQueue(queueId) {
+  if (!await storage.getQueue(queueId)) {
+    return false;
+  }
+
+  const open = (await storage.getAllTickets()).filter(ticket => ticket.queue === queueId && isOpen(ticket));
+  if (open.length > 0) {
+    throw new QueueError(`Queue holds ${open.length} open ticket(s); move or close them first`, 409);
+  }
+
+  return storage.deleteQueue(queueId);
+}
+
+/**
+ * Find the queue whose applications include this one (case-insensitive)
+ */
+async function findQueueForApplication(application) {
+  const name = (application || '').toLowerCase();
+  const queues = await storage.getAllQueues();
+  return queues.find(queue => splitList(queue.applications).some(app => app.toLowerCase() === name)) || null;
+}
+
+/**
+ * Advance a round-robin queue to its next member
+ * Picks in this process run one at a time from a fresh read of the queue. last_assigned is
+ * written at the version read, so a pick racing another server re-reads and moves on from
+ * that server's pick
+ * @returns {Promise<string>} - Username, or '' if the queue is gone or kept changing
+ */
+function pickNextMember(queueId, members) {
+  const pick = roundRobinLock.then(async () => {
+    let queue = await storage.getQueue(queueId);
+    if (!queue) {
+      return '';
+    }
+    for (let attempt = 0; attempt < ROUND_ROBIN_ATTEMPTS; attempt++) {
+      const next = members[(members.indexOf(queue.last_assigned) + 1) % members.length];
+      try {
+        await storage.updateQueue(queueId, { last_assigned: next }, { expectedVersion: queue.version });
+        return next;
+      } catch (error) {
+        if (error.name !== 'VersionConflictError') {
+          throw error;
+        }
+        queue = error.current;
+      }
+    }
+    console.warn(`Round robin for queue ${queueId} kept conflicting; leaving the ticket unassigned`);
+    return '';
+  });
+  roundRobinLock = pick.catch(() => {});
+  return pick;
+}
+
+/**
+ * Pick the member of a queue who gets the next ticket
+ * Members who can no longer work tickets (disabled, role changed) are skipped
+ * @returns {Promise<string>} - Username, or '' if the queue assigns manually or has no one available
+ */
+async function pickAssignee(queue) {
+  if (!['round_robin', 'least_loaded'].includes(queue.assignment)) {
+    return '';
+  }
+
+  const assignable = new Set((await getAssignableStaff()).map(user => user.username));
+  const members = splitList(queue.members).filter(username => assignable.has(username));
+  if (members.length === 0) {
+    return '';
+  }
+
+  if (queue.assignment === 'round_robin') {
+    return pickNextMember(queue.queue_id, members);
+  }
+
+  // least_loaded: fewest open tickets across all queues, earlier members win ties
+  const load = new Map(members.map(username => [username, 0]));
+  for (const ticket of await storage.getAllTickets()) {
+    if (isOpen(ticket) && load.has(ticket.assignee)) {
+      load.set(ticket.assignee, load.get(ticket.assignee) + 1);
+    }
+  }
+  return members.reduce((best, username) => (load.get(username) < load.get(best) ? username : best));
+}
+
+/**
+ * Queue (and, for chat escalations, assignee) for a new ticket
+ * Routing never blocks ticket creation: if it fails, the ticket starts unrouted
+ * @param {string} application - The ticket's application
+ * @param {Object} options - { autoAssign } (pick an assignee using the queue's strategy)
+ * @returns {Promise<{queue: string, assignee: string}>}
+ */
+async function routeNewTicket(application, { autoAssign = false } = {}) {
+  try {
+    const queue = await findQueueForApplication(application);
+    if (!queue) {
+      return { queue: '', assignee: '' };
+    }
+    return { queue: queue.queue_id, assignee: autoAssign ? await pickAssignee(queue) : '' };
+  } catch (error) {
+    console.error(`Ticket routing failed for application "${application}":`, error.message);
+    return { queue: '', assignee: '' };
+  }
+}
+
+/**
+ * Check an assignment before applying it: the assignee must be able to work tickets and
+ * the queue must exist ('' or undefined skips either check)
+ * Throws QueueError otherwise
+ */
+async function checkAssignment({ assignee, queue }) {
+  if (assignee) {
+    await assertAssignable([assignee]);
+  }
+  if (queue && !await storage.getQueue(queue)) {
+    throw new QueueError(`Queue "${queue}" does not exist`);
+  }
+}
+
+/**
+ * Change a ticket's assignee and/or queue ('' clears either)
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} changes - { assignee, queue } (undefined leaves a field unchanged)
+ * @param {Object} options - { expectedVersion } (see storage.updateTicket)
+ * @returns {Promise<Object|null>} - Updated ticket, or null if not found
+ */
+async function assignTicket(ticketId, { assignee, queue }, options = {}) {
+  await checkAssignment({ assignee, queue });
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (assignee !== undefined) updates.assignee = assignee || '';
+  if (queue !== undefined) updates.queue = queue || '';
+
+  return storage.updateTicket(ticketId, updates, options);
+}
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  QueueError,
+  getAssignableStaff,
+  listQueues,
+  createQueue,
+  updateQueue,
+  deleteQueue,
+  routeNewTicket,
+  checkAssignment,
+  assignTicket
+};
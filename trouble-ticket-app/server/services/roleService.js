@@ -0,0 +1,181 @@
+/**
+ * Staff roles and permissions
+ * Every protected endpoint checks a named permission; roles bundle permissions and each
+ * staff account holds one role. The built-in "admin" role always holds every permission
+ * (stored as "*") and cannot be changed, so the app can't lock everyone out of it
+ */
+const storage = require('./storage');
+
+// Every permission an endpoint can require, with the description shown in the role editor
+const PERMISSIONS = {
+  'tickets.read': 'View tickets',
+  'tickets.create': 'Create tickets through the API',
+  'tickets.update': 'Change ticket status, comment on tickets, ask clarifications, run AI analysis',
+  'tickets.close': 'Close tickets',
+  'tickets.assign': 'Assign tickets to other staff, unassign them and move them between queues',
+  'queues.manage': 'Create and edit ticket queues and their auto-assignment',
+  'sla.manage': 'Create and edit SLA policies and business hours',
+  'incidents.manage': 'Declare major incidents, change their status and resolve them (closing their tickets)',
+  'analytics.read': 'View ticket analytics',
+  'kb.write': 'Create, edit and delete knowledge base articles',
+  'documents.read': 'View uploaded documents and their images',
+  'documents.upload': 'Upload and delete documents',
+  'settings.llm': 'Change the AI provider, model, API key and system prompt',
+  'settings.embeddings': 'Change embedding and image extraction settings',
+  'users.manage': 'Create and update staff accounts, clear login lockouts',
+  'roles.manage': 'Create and edit roles',
+  'tokens.manage': 'Issue and revoke API tokens',
+  'audit.read': 'Browse the audit log',
+  'health.read': 'View service health details (storage backend, encryption key ids, AI provider)',
+  'backup.manage': 'Download and restore backups'
+};
+
+const ADMIN_ROLE = 'admin';
+const ALL_PERMISSIONS = '*';
+
+/**
+ * Thrown for role changes that break an invariant (duplicate id, role in use, built-in role)
+ */
+class RoleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RoleError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Permissions granted by a stored role ("*" expands to every permission)
+ */
+function parsePermissions(role) {
+  if (!role) {
+    return [];
+  }
+  if (role.permissions === ALL_PERMISSIONS) {
+    return Object.keys(PERMISSIONS);
+  }
+  return (role.permissions || '').split(',').filter(permission => PERMISSIONS[permission]);
+}
+
+/**
+ * Role as returned by the API
+ */
+function toPublicRole(role, users = []) {
+  return {
+    role_id: role.role_id,
+    name: role.name,
+    description: role.description || '',
+    permissions: parsePermissions(role),
+    built_in: role.built_in === 'TRUE',
+    editable: role.role_id !== ADMIN_ROLE,
+    user_count: users.filter(user => user.role === role.role_id).length,
+    created_at: role.created_at,
+    updated_at: role.updated_at
+  };
+}
+
+/**
+ * Check whether a request user holds any of the given permissions
+ * @param {Object} user - req.user
+ * @param {...string} permissions - Permission names
+ */
+function hasPermission(user, ...permissions) {
+  return !!user && permissions.some(permission => user.permissions.includes(permission));
+}
+
+/**
+ * Look up a role and the permissions it grants
+ * Accounts whose role no longer exists get no permissions
+ * @returns {Promise<{role: Object|null, permissions: string[]}>}
+ */
+async function resolveRole(roleId) {
+  const role = await storage.getRole(roleId);
+  return { role, permissions: parsePermissions(role) };
+}
+
+/**
+ * List all roles with the number of accounts holding each
+ */
+async function listRoles() {
+  const [roles, users] = await Promise.all([storage.getAllRoles(), storage.getAllUsers()]);
+  return roles.map(role => toPublicRole(role, users));
+}
+
+/**
+ * Create a role
+ * @param {Object} data - { role_id, name, description, permissions }
+ */
+async function createRole({ role_id, name, description, permissions }) {
+  if (await storage.getRole(role_id)) {
+    throw new RoleError(`Role "${role_id}" already exists`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const role = await storage.addRole({
+    role_id,
+    name,
+    description: description || '',
+    permissions: permissions.join(','),
+    built_in: 'FALSE',
+    created_at: now,
+    updated_at: now
+  });
+  return toPublicRole(role);
+}
+
+/**
+ * Update a role's name, description or permissions
+ * @returns {Promise<Object|null>} - Updated role, or null if not found
+ */
+async function updateRole(roleId, { name, description, permissions }) {
+  const role = await storage.getRole(roleId);
+  if (!role) {
+    return null;
+  }
+  if (roleId === ADMIN_ROLE) {
+    throw new RoleError('The admin role always has every permission and cannot be changed', 403);
+  }
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (name !== undefined) updates.name = name;
+  if (description !== undefined) updates.description = description;
+  if (permissions !== undefined) updates.permissions = permissions.join(',');
+
+  const updated = await storage.updateRole(roleId, updates);
+  return toPublicRole(updated, await storage.getAllUsers());
+}
+
+/**
+ * Delete a custom role that no account holds
+ * @returns {Promise<boolean>} - false if not found
+ */
+async function deleteRole(roleId) {
+  const role = await storage.getRole(roleId);
+  if (!role) {
+    return false;
+  }
+  if (role.built_in === 'TRUE') {
+    throw new RoleError('Built-in roles cannot be deleted', 403);
+  }
+
+  const holders = (await storage.getAllUsers()).filter(user => user.role === roleId);
+  if (holders.length > 0) {
+    throw new RoleError(`Role is assigned to ${holders.length} account(s); reassign them first`, 409);
+  }
+
+  return storage.deleteRole(roleId);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLE,
+  RoleError,
+  parsePermissions,
+  toPublicRole,
+  hasPermission,
+  resolveRole,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,273 @@
+/**
+ * Storage schema
+ * Single source of truth for every tab (Google Sheets) / table (SQLite)
+ * Change columns here, then add a migration in migrations/ that applies the change
+ */
+
+// key: unique ID column, columns: full header row in order
+const SCHEMA = {
+  tickets: {
+    key: 'ticket_id',
+    columns: [
+      'ticket_id',
+      'session_id',
+      'status',
+      'application',
+      'problem_summary',
+      'problem_details',
+      'reported_by',
+      'reported_at',
+      'updated_at',
+      'assigned_log',
+      'suggested_fix',
+      'it_notes', // no longer written: moved to ticket_comments by migration 016
+      'resolved_at',
+      'version',
+      'queue',
+      'assignee',
+      'severity',
+      'priority',
+      'first_response_at',
+      'sla_paused_at',
+      'sla_pauses',
+      'merged_into',
+      'incident_id'
+    ]
+  },
+  message: {
+    key: 'message_id',
+    columns: [
+      'message_id',
+      'session_id',
+      'ticket_id',
+      'sender',
+      'content',
+      'timestamp',
+      'read',
+      'related_pages',
+      'image_url'
+    ]
+  },
+  mock_logs: {
+    key: 'log_id',
+    columns: [
+      'log_id',
+      'application',
+      'error_pattern',
+      'log_content',
+      'suggested_fix'
+    ]
+  },
+  knowledge_base: {
+    key: 'doc_id',
+    columns: [
+      'doc_id',
+      'application',
+      'title',
+      'content',
+      'keywords'
+    ]
+  },
+  documents: {
+    key: 'doc_id',
+    columns: [
+      'doc_id',
+      'filename',
+      'title',
+      'application',
+      'upload_date',
+      'status',
+      'chunk_count',
+      'image_count',
+      'file_size',
+      'num_pages',
+      'file_type'
+    ]
+  },
+  settings: {
+    key: 'setting_key',
+    columns: [
+      'setting_key',
+      'setting_value',
+      'updated_at'
+    ]
+  },
+  // Each row reserves `count` numbers of a sequence (1, or a counter carried over by
+  // migration 021), and a row's number is the sequence's running total at that row. Sheets
+  // only appends; SQLite folds a sequence's rows into one `total-<name>` row
+  sequences: {
+    key: 'claim_id',
+    columns: [
+      'claim_id',
+      'name',
+      'count',
+      'claimed_at'
+    ]
+  },
+  users: {
+    key: 'username',
+    columns: [
+      'username',
+      'display_name',
+      'role',
+      'password_hash',
+      'enabled',
+      'created_at',
+      'updated_at',
+      'last_login_at'
+    ]
+  },
+  roles: {
+    key: 'role_id',
+    columns: [
+      'role_id',
+      'name',
+      'description',
+      'permissions',
+      'built_in',
+      'created_at',
+      'updated_at'
+    ]
+  },
+  sessions: {
+    key: 'session_id',
+    columns: [
+      'session_id',
+      'username',
+      'created_at',
+      'expires_at',
+      'revoked_at',
+      'ip',
+      'user_agent'
+    ]
+  },
+  api_tokens: {
+    key: 'token_id',
+    columns: [
+      'token_id',
+      'name',
+      'token_prefix',
+      'scopes',
+      'created_by',
+      'created_at',
+      'expires_at',
+      'last_used_at',
+      'last_used_ip',
+      'revoked_at'
+    ]
+  },
+  queues: {
+    key: 'queue_id',
+    columns: [
+      'queue_id',
+      'name',
+      'applications',
+      'members',
+      'assignment',
+      'last_assigned',
+      'created_at',
+      'updated_at',
+      'version'
+    ]
+  },
+  sla_policies: {
+    key: 'policy_id',
+    columns: [
+      'policy_id',
+      'name',
+      'application',
+      'priority',
+      'response_minutes',
+      'resolution_minutes',
+      'business_hours',
+      'created_at',
+      'updated_at'
+    ]
+  },
+  incidents: {
+    key: 'incident_id',
+    columns: [
+      'incident_id',
+      'title',
+      'description',
+      'application',
+      'status',
+      'resolution',
+      'created_by',
+      'created_at',
+      'updated_at',
+      'resolved_by',
+      'resolved_at'
+    ]
+  },
+  ticket_events: {
+    key: 'event_id',
+    columns: [
+      'event_id',
+      'ticket_id',
+      'timestamp',
+      'type',
+      'actor',
+      'data'
+    ]
+  },
+  ticket_comments: {
+    key: 'comment_id',
+    columns: [
+      'comment_id',
+      'ticket_id',
+      'author',
+      'body',
+      'mentions',
+      'created_at',
+      'updated_at',
+      'history'
+    ]
+  },
+  // Chat sessions from before secrets were issued, claimed by their browser (one claim each)
+  chat_session_claims: {
+    key: 'session_id',
+    columns: [
+      'session_id',
+      'claimed_at',
+      'ip'
+    ]
+  },
+  audit_log: {
+    key: 'audit_id',
+    columns: [
+      'audit_id',
+      'timestamp',
+      'actor',
+      'actor_role',
+      'action',
+      'entity_type',
+      'entity_id',
+      'before',
+      'after',
+      'ip'
+    ]
+  },
+  schema_migrations: {
+    key: 'migration_id',
+    columns: [
+      'migration_id',
+      'description',
+      'applied_at'
+    ]
+  }
+};
+
+/**
+ * Get the definition for a table, throwing if it is not declared
+ * @param {string} table - Table (tab) name
+ */
+function getTableSchema(table) {
+  const definition = SCHEMA[table];
+  if (!definition) {
+    throw new Error(`Table "${table}" is not defined in services/schema.js`);
+  }
+  return definition;
+}
+
+module.exports = { SCHEMA, getTableSchema };
@@ -0,0 +1,56 @@
+/**
+ * Encrypted settings
+ * Reports which secret settings are readable with the configured keys and re-encrypts
+ * them with the primary key after a key rotation
+ */
+const storage = require('./storage');
+const { PRIMARY_KEY_ID, encrypt, decrypt, inspect } = require('../middleware/encryption');
+
+// Settings stored encrypted
+const SECRET_SETTINGS = ['api_key', 'embedding_api_key', 'chat_session_key'];
+
+/**
+ * Status of every secret setting
+ * @returns {Promise<Object>} - { setting: { status, keyId, error? } }, see encryption.inspect()
+ */
+async function checkSecrets() {
+  const secrets = {};
+  for (const key of SECRET_SETTINGS) {
+    secrets[key] = inspect(await storage.getSetting(key));
+  }
+  return secrets;
+}
+
+/**
+ * Re-encrypt every readable secret that isn't already under the primary key
+ * Undecryptable secrets are left alone and reported; they have to be re-entered
+ * @param {Object} options - { dryRun } (dryRun: report only, write nothing)
+ * @returns {Promise<{ keyId: string, rotated: string[], current: string[], failed: Object[] }>}
+ */
+async function rotateSecrets({ dryRun = false } = {}) {
+  const result = { keyId: PRIMARY_KEY_ID, rotated: [], current: [], failed: [] };
+
+  for (const key of SECRET_SETTINGS) {
+    const stored = await storage.getSetting(key);
+    const { status, error } = inspect(stored);
+
+    if (status === 'undecryptable') {
+      result.failed.push({ key, error });
+    } else if (status === 'needs_rotation') {
+      if (!dryRun) {
+        await storage.updateSetting(key, encrypt(decrypt(stored)));
+      }
+      result.rotated.push(key);
+    } else if (status === 'ok') {
+      result.current.push(key);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  SECRET_SETTINGS,
+  checkSecrets,
+  rotateSecrets
+};
@@ -0,0 +1,118 @@
+/**
+ * Login session service
+ * Staff logins get a random token sent in an HttpOnly cookie; only its SHA-256 hash is
+ * stored, so a leaked sessions table can't be replayed. Sessions expire after
+ * SESSION_TTL_HOURS, can be refreshed (rotating the token) and revoked
+ */
+const crypto = require('crypto');
+const storage = require('./storage');
+
+// Configuration
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 8) * 60 * 60 * 1000;
+const SESSION_COOKIE = 'tt_session';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check whether a stored session can still be used
+ */
+function isActive(session) {
+  return !!session && !session.revoked_at && new Date(session.expires_at).getTime() > Date.now();
+}
+
+/**
+ * Start a session for a staff account
+ * @param {string} username - Account signing in
+ * @param {Object} client - { ip, userAgent } of the request, kept for auditing
+ * @returns {Promise<{token: string, session: Object}>} - Token for the cookie and the stored session
+ */
+async function createSession(username, { ip = '', userAgent = '' } = {}) {
+  await pruneSessions(username);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const session = await storage.addSession({
+    session_id: hashToken(token),
+    username,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + SESSION_TTL_MS).toISOString(),
+    ip,
+    user_agent: userAgent.slice(0, 200)
+  });
+
+  return { token, session };
+}
+
+/**
+ * Look up the active session for a token
+ * @returns {Promise<Object|null>} - The session, or null if unknown, expired or revoked
+ */
+async function getActiveSession(token) {
+  if (!token) {
+    return null;
+  }
+  const session = await storage.getSession(hashToken(token));
+  return isActive(session) ? session : null;
+}
+
+/**
+ * Swap an active session for a new one with a fresh expiry
+ * @returns {Promise<{token: string, session: Object}|null>} - null if the token is no longer active
+ */
+async function refreshSession(token, client) {
+  const session = await getActiveSession(token);
+  if (!session) {
+    return null;
+  }
+  await revokeSession(token);
+  return createSession(session.username, client);
+}
+
+/**
+ * Revoke the session for a token (logout)
+ */
+async function revokeSession(token) {
+  await storage.updateSession(hashToken(token), { revoked_at: new Date().toISOString() });
+}
+
+/**
+ * Revoke every active session of an account (disabled account, password reset)
+ * @param {string} username - Account to sign out
+ * @param {Object} options
+ * @param {string} [options.exceptSessionId] - Session to keep (the one changing its own password)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeUserSessions(username, { exceptSessionId } = {}) {
+  const active = (await storage.getSessionsByUser(username))
+    .filter(session => isActive(session) && session.session_id !== exceptSessionId);
+  if (active.length > 0) {
+    const revokedAt = new Date().toISOString();
+    await storage.updateRows('sessions', active.map(session => ({
+      id: session.session_id,
+      updates: { revoked_at: revokedAt }
+    })));
+  }
+  return active.length;
+}
+
+/**
+ * Delete an account's expired and revoked sessions so the table doesn't grow without bound
+ */
+async function pruneSessions(username) {
+  const stale = (await storage.getSessionsByUser(username)).filter(session => !isActive(session));
+  if (stale.length > 0) {
+    await storage.deleteSessions(stale.map(session => session.session_id));
+  }
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  createSession,
+  getActiveSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,477 @@
+/**
+ * SLA policies and timers
+ * A policy sets first-response and resolution targets for tickets of an application and/or
+ * priority, counted in wall-clock time or in business hours. Both timers start when the
+ * ticket is reported and pause while it waits for the user (waiting_clarification).
+ * The response timer stops at the first staff response the user sees (a clarification
+ * question or a status change), the resolution timer when the ticket is closed.
+ * Timer states are computed on read, so policy changes apply to every ticket at once
+ */
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+const BUSINESS_HOURS_SETTING = 'sla_business_hours';
+
+// Monday-Friday, 09:00-17:00 in the server's time zone (TZ)
+const DEFAULT_BUSINESS_HOURS = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+
+// Statuses in which both timers are paused
+const PAUSED_STATUSES = ['waiting_clarification'];
+
+// A running timer is at risk once less than this share of its target remains
+const AT_RISK_FRACTION = 0.2;
+
+// Tickets listed in the analytics breach report
+const MAX_REPORTED_BREACHES = 100;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Thrown for policy changes that break an invariant (duplicate application/priority pair)
+ */
+class SlaError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SlaError';
+    this.statusCode = statusCode;
+  }
+}
+
+// ============================================
+// BUSINESS HOURS
+// ============================================
+
+/**
+ * Business hours used by policies that count business time
+ * @returns {Promise<{days: number[], start: string, end: string}>} - days: 0 (Sunday) to 6
+ */
+async function getBusinessHours() {
+  const stored = await storage.getSetting(BUSINESS_HOURS_SETTING);
+  if (!stored) {
+    return DEFAULT_BUSINESS_HOURS;
+  }
+  try {
+    return JSON.parse(stored);
+  } catch {
+    console.error(`Invalid ${BUSINESS_HOURS_SETTING} setting, using the default business hours`);
+    return DEFAULT_BUSINESS_HOURS;
+  }
+}
+
+/**
+ * Replace the business hours
+ */
+async function setBusinessHours({ days, start, end }) {
+  const hours = { days: [...new Set(days)].sort(), start, end };
+  await storage.updateSetting(BUSINESS_HOURS_SETTING, JSON.stringify(hours));
+  return hours;
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Opening and closing time of the business day that contains `day`, or null if it's closed
+ */
+function businessDay(day, hours) {
+  if (!hours.days.includes(day.getDay())) {
+    return null;
+  }
+  const open = new Date(day);
+  open.setHours(0, minutesOfDay(hours.start), 0, 0);
+  const close = new Date(day);
+  close.setHours(0, minutesOfDay(hours.end), 0, 0);
+  return { open, close };
+}
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Minutes between two times that count towards a target
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object|null} hours - Business hours, or null to count every minute
+ */
+function countedMinutes(from, to, hours) {
+  if (to <= from) {
+    return 0;
+  }
+  if (!hours) {
+    return (to - from) / MINUTE;
+  }
+
+  let total = 0;
+  for (let day = startOfDay(from); day < to; day.setDate(day.getDate() + 1)) {
+    const open = businessDay(day, hours);
+    if (open) {
+      const start = Math.max(from, open.open);
+      const end = Math.min(to, open.close);
+      if (end > start) total += (end - start) / MINUTE;
+    }
+  }
+  return total;
+}
+
+/**
+ * The time at which `minutes` more counted minutes have passed after `from`
+ * @returns {Date|null} - null if the business hours never open
+ */
+function addCountedMinutes(from, minutes, hours) {
+  if (!hours) {
+    return new Date(from.getTime() + minutes * MINUTE);
+  }
+
+  let remaining = minutes;
+  let cursor = from;
+  // A year of days is more than any target needs; the cap only guards against empty hours
+  for (let i = 0; i < 366; i++) {
+    const open = businessDay(cursor, hours);
+    if (open) {
+      const start = new Date(Math.max(cursor, open.open));
+      const available = Math.max(0, (open.close - start) / MINUTE);
+      if (remaining <= available) {
+        return new Date(start.getTime() + remaining * MINUTE);
+      }
+      remaining -= available;
+    }
+    cursor = startOfDay(cursor);
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return null;
+}
+
+// ============================================
+// TIMERS
+// ============================================
+
+/**
+ * Completed pauses of a ticket as [start, end] ISO pairs
+ */
+function parsePauses(ticket) {
+  try {
+    return ticket.sla_pauses ? JSON.parse(ticket.sla_pauses) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * SLA bookkeeping fields to write along with a ticket change
+ * @param {Object} ticket - The ticket before the change
+ * @param {Object} updates - The fields being changed (status, updated_at, ...)
+ * @param {Object} options - { staffResponse } (the change is a staff response the user sees)
+ * @returns {Object} - first_response_at, sla_paused_at and sla_pauses as needed
+ */
+function trackTicketChange(ticket, updates, { staffResponse = false } = {}) {
+  const at = updates.updated_at || new Date().toISOString();
+  const fields = {};
+
+  if (staffResponse && !ticket.first_response_at) {
+    fields.first_response_at = at;
+  }
+
+  if (updates.status && updates.status !== ticket.status) {
+    const pausing = PAUSED_STATUSES.includes(updates.status);
+    if (pausing && !ticket.sla_paused_at) {
+      fields.sla_paused_at = at;
+    } else if (!pausing && ticket.sla_paused_at) {
+      fields.sla_pauses = JSON.stringify([...parsePauses(ticket), [ticket.sla_paused_at, at]]);
+      fields.sla_paused_at = '';
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Counted minutes from the report until `until`, minus the time spent paused
+ */
+function elapsedMinutes(ticket, until, hours) {
+  const reported = new Date(ticket.reported_at);
+  const pauses = parsePauses(ticket);
+  if (ticket.sla_paused_at) {
+    pauses.push([ticket.sla_paused_at, until.toISOString()]);
+  }
+
+  return pauses.reduce((elapsed, [start, end]) => {
+    const from = new Date(Math.max(reported, new Date(start)));
+    const to = new Date(Math.min(until, new Date(end)));
+    return elapsed - countedMinutes(from, to, hours);
+  }, countedMinutes(reported, until, hours));
+}
+
+/**
+ * State of one timer
+ * @param {number} target - Target in minutes
+ * @param {Object} ticket - The ticket
+ * @param {string} stoppedAt - When the timer stopped (ISO), or '' if it is running
+ * @param {Object} context - { now, hours, paused }
+ * @returns {{ target_minutes, elapsed_minutes, remaining_minutes, due_at, state }}
+ *   state: met | breached (stopped), or on_track | at_risk | paused | breached (running)
+ */
+function evaluateTimer(target, ticket, stoppedAt, { now, hours, paused }) {
+  const until = stoppedAt ? new Date(stoppedAt) : now;
+  const elapsed = elapsedMinutes(ticket, until, hours);
+  const remaining = target - elapsed;
+
+  let state;
+  if (stoppedAt) {
+    state = remaining >= 0 ? 'met' : 'breached';
+  } else if (remaining < 0) {
+    state = 'breached';
+  } else if (paused) {
+    state = 'paused';
+  } else {
+    state = remaining <= target * AT_RISK_FRACTION ? 'at_risk' : 'on_track';
+  }
+
+  const dueAt = state === 'on_track' || state === 'at_risk' ? addCountedMinutes(now, remaining, hours) : null;
+  return {
+    target_minutes: target,
+    elapsed_minutes: Math.round(elapsed),
+    remaining_minutes: Math.round(remaining),
+    due_at: dueAt ? dueAt.toISOString() : null,
+    state
+  };
+}
+
+// ============================================
+// POLICIES
+// ============================================
+
+/**
+ * Policy as returned by the API
+ */
+function toPublicPolicy(policy) {
+  return {
+    policy_id: policy.policy_id,
+    name: policy.name,
+    application: policy.application || '',
+    priority: policy.priority || '',
+    response_minutes: parseInt(policy.response_minutes, 10),
+    resolution_minutes: parseInt(policy.resolution_minutes, 10),
+    business_hours: policy.business_hours === 'TRUE',
+    created_at: policy.created_at,
+    updated_at: policy.updated_at
+  };
+}
+
+/**
+ * All policies, most specific first (application and priority, application, priority, default)
+ */
+async function listPolicies() {
+  const specificity = policy => (policy.application ? 2 : 0) + (policy.priority ? 1 : 0);
+  return (await storage.getAllSlaPolicies())
+    .map(toPublicPolicy)
+    .sort((a, b) => specificity(b) - specificity(a) || (a.created_at || '').localeCompare(b.created_at || ''));
+}
+
+/**
+ * The policy that applies to a ticket: the first of the (sorted) policies whose application
+ * and priority match; a blank application or priority matches any
+ */
+function findPolicy(ticket, policies) {
+  const application = (ticket.application || '').toLowerCase();
+  return policies.find(policy =>
+    (!policy.application || policy.application.toLowerCase() === application) &&
+    (!policy.priority || policy.priority === ticket.priority)
+  ) || null;
+}
+
+async function assertUniqueScope(application, priority, exceptId = null) {
+  const clash = (await storage.getAllSlaPolicies()).find(policy =>
+    policy.policy_id !== exceptId &&
+    (policy.application || '').toLowerCase() === application.toLowerCase() &&
+    (policy.priority || '') === priority
+  );
+  if (clash) {
+    throw new SlaError(`Policy "${clash.name}" already covers this application and priority`, 409);
+  }
+}
+
+function assertTargets(responseMinutes, resolutionMinutes) {
+  if (resolutionMinutes < responseMinutes) {
+    throw new SlaError('The resolution target must not be shorter than the response target');
+  }
+}
+
+/**
+ * Create a policy
+ * @param {Object} data - { name, application, priority, response_minutes, resolution_minutes, business_hours }
+ */
+async function createPolicy({ name, application = '', priority = '', response_minutes, resolution_minutes, business_hours = false }) {
+  assertTargets(response_minutes, resolution_minutes);
+  await assertUniqueScope(application, priority);
+
+  const now = new Date().toISOString();
+  const policy = await storage.addSlaPolicy({
+    policy_id: uuidv4(),
+    name,
+    application,
+    priority,
+    response_minutes: String(response_minutes),
+    resolution_minutes: String(resolution_minutes),
+    business_hours: business_hours ? 'TRUE' : 'FALSE',
+    created_at: now,
+    updated_at: now
+  });
+  return toPublicPolicy(policy);
+}
+
+/**
+ * Update a policy
+ * @returns {Promise<Object|null>} - Updated policy, or null if not found
+ */
+async function updatePolicy(policyId, changes) {
+  const existing = await storage.getSlaPolicy(policyId);
+  if (!existing) {
+    return null;
+  }
+
+  const current = toPublicPolicy(existing);
+  const merged = { ...current, ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)) };
+  assertTargets(merged.response_minutes, merged.resolution_minutes);
+  if (merged.application !== current.application || merged.priority !== current.priority) {
+    await assertUniqueScope(merged.application, merged.priority, policyId);
+  }
+
+  const updated = await storage.updateSlaPolicy(policyId, {
+    name: merged.name,
+    application: merged.application,
+    priority: merged.priority,
+    response_minutes: String(merged.response_minutes),
+    resolution_minutes: String(merged.resolution_minutes),
+    business_hours: merged.business_hours ? 'TRUE' : 'FALSE',
+    updated_at: new Date().toISOString()
+  });
+  return toPublicPolicy(updated);
+}
+
+/**
+ * Delete a policy; its tickets fall back to the next matching policy
+ * @returns {Promise<boolean>} - false if not found
+ */
+async function deletePolicy(policyId) {
+  return storage.deleteSlaPolicy(policyId);
+}
+
+// ============================================
+// TICKET SLA STATE
+// ============================================
+
+/**
+ * Load what evaluating tickets needs, once per request
+ */
+async function loadContext() {
+  const [policies, businessHours] = await Promise.all([listPolicies(), getBusinessHours()]);
+  return { policies, businessHours };
+}
+
+/**
+ * SLA state of a ticket
+ * @param {Object} ticket - The ticket
+ * @param {Object} context - From loadContext()
+ * @param {Date} now - Evaluation time
+ * @returns {Object|null} - { policy_id, policy_name, business_hours, response, resolution, breached, at_risk },
+ *   or null if no policy applies
+ */
+function evaluateTicket(ticket, context, now = new Date()) {
+  const policy = findPolicy(ticket, context.policies);
+  if (!policy || !ticket.reported_at) {
+    return null;
+  }
+
+  const closedAt = ticket.status === 'closed' ? ticket.resolved_at || ticket.updated_at : '';
+  const timerContext = {
+    now,
+    hours: policy.business_hours ? context.businessHours : null,
+    paused: !closedAt && PAUSED_STATUSES.includes(ticket.status)
+  };
+
+  // A ticket closed without a response counts its closure as the response
+  const response = evaluateTimer(policy.response_minutes, ticket, ticket.first_response_at || closedAt, timerContext);
+  const resolution = evaluateTimer(policy.resolution_minutes, ticket, closedAt, timerContext);
+  const breached = response.state === 'breached' || resolution.state === 'breached';
+
+  return {
+    policy_id: policy.policy_id,
+    policy_name: policy.name,
+    business_hours: policy.business_hours,
+    response,
+    resolution,
+    breached,
+    at_risk: !breached && (response.state === 'at_risk' || resolution.state === 'at_risk')
+  };
+}
+
+/**
+ * Add each ticket's SLA state as `sla`
+ */
+async function withSla(tickets) {
+  const context = await loadContext();
+  const now = new Date();
+  return tickets.map(ticket => ({ ...ticket, sla: evaluateTicket(ticket, context, now) }));
+}
+
+/**
+ * SLA breach report for the analytics endpoint
+ * @param {Array} tickets - Tickets with their `sla` (see withSla)
+ * @returns {Object} - Counts, compliance, per-policy breakdown and the breached tickets
+ *   (open ones first, then most recently reported)
+ */
+function buildBreachReport(tickets) {
+  const tracked = tickets.filter(ticket => ticket.sla);
+  const breached = tracked.filter(ticket => ticket.sla.breached);
+  const policies = new Map();
+
+  for (const ticket of tracked) {
+    const entry = policies.get(ticket.sla.policy_id) || { policy_id: ticket.sla.policy_id, name: ticket.sla.policy_name, tracked: 0, breached: 0 };
+    entry.tracked++;
+    if (ticket.sla.breached) entry.breached++;
+    policies.set(ticket.sla.policy_id, entry);
+  }
+
+  const breachList = breached
+    .sort((a, b) => (a.status === 'closed') - (b.status === 'closed') || (b.reported_at || '').localeCompare(a.reported_at || ''))
+    .slice(0, MAX_REPORTED_BREACHES)
+    .map(ticket => ({
+      ticket_id: ticket.ticket_id,
+      application: ticket.application,
+      priority: ticket.priority || '',
+      status: ticket.status,
+      assignee: ticket.assignee || '',
+      reported_at: ticket.reported_at,
+      policy_name: ticket.sla.policy_name,
+      breached: ['response', 'resolution'].filter(timer => ticket.sla[timer].state === 'breached')
+    }));
+
+  return {
+    trackedTickets: tracked.length,
+    breachedTickets: breached.length,
+    responseBreaches: tracked.filter(ticket => ticket.sla.response.state === 'breached').length,
+    resolutionBreaches: tracked.filter(ticket => ticket.sla.resolution.state === 'breached').length,
+    atRiskTickets: tracked.filter(ticket => ticket.sla.at_risk).length,
+    compliancePercent: tracked.length > 0 ? Math.round(((tracked.length - breached.length) / tracked.length) * 100) : null,
+    byPolicy: [...policies.values()],
+    breaches: breachList
+  };
+}
+
+module.exports = {
+  SlaError,
+  getBusinessHours,
+  setBusinessHours,
+  trackTicketChange,
+  listPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  withSla,
+  buildBreachReport
+};
@@ -0,0 +1,1085 @@
+/**
+ * SQLite storage adapter
+ * Embedded local database with the same tables and row shapes as the Google Sheets tabs
+ * Selected through services/storage.js when STORAGE_BACKEND=sqlite
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getTableSchema } = require('./schema');
+const { checkVersion } = require('./concurrency');
+
+// Configuration
+// Relative paths resolve against the server directory
+const DB_PATH = path.resolve(__dirname, '..', process.env.SQLITE_PATH || 'data/app.db');
+
+let db = null;
+
+/**
+ * Open the database (tables are created by migrations)
+ */
+function getDb() {
+  if (db) return db;
+
+  const dir = path.dirname(DB_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+
+  console.log(`Connected to SQLite database: ${DB_PATH}`);
+  return db;
+}
+
+/**
+ * Convert a value to the string form the Sheets backend would return
+ */
+function toCell(value) {
+  if (value === undefined || value === null) return '';
+  return String(value);
+}
+
+/**
+ * Insert a row, keeping only known columns
+ */
+function insertRow(table, data) {
+  const { key, columns: tableColumns } = getTableSchema(table);
+  const columns = tableColumns.filter(c => data[c] !== undefined);
+  getDb()
+    .prepare(`INSERT INTO "${table}" (${columns.map(c => `"${c}"`).join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`)
+    .run(Object.fromEntries(columns.map(c => [c, toCell(data[c])])));
+  return selectOne(table, data[key]);
+}
+
+/**
+ * Select every row of a table in insertion order
+ */
+function selectAll(table, where = '', params = {}) {
+  return getDb()
+    .prepare(`SELECT * FROM "${table}" ${where ? `WHERE ${where}` : ''} ORDER BY rowid`)
+    .all(params);
+}
+
+/**
+ * Select a row by its primary key
+ */
+function selectOne(table, key) {
+  const keyColumn = getTableSchema(table).key;
+  return getDb()
+    .prepare(`SELECT * FROM "${table}" WHERE "${keyColumn}" = ?`)
+    .get(key) || null;
+}
+
+/**
+ * Update a row by its primary key, ignoring unknown columns and the key itself
+ * Tables with a version column get it bumped (and checked when expectedVersion is given)
+ */
+function updateRow(table, key, updates, expectedVersion) {
+  const { key: keyColumn, columns: tableColumns } = getTableSchema(table);
+  const current = selectOne(table, key);
+
+  if (!current) {
+    return null;
+  }
+
+  if (tableColumns.includes('version')) {
+    updates = { ...updates, version: checkVersion(table, current, expectedVersion) };
+  }
+
+  const columns = Object.keys(updates).filter(c => c !== keyColumn && tableColumns.includes(c));
+
+  if (columns.length > 0) {
+    getDb()
+      .prepare(`UPDATE "${table}" SET ${columns.map(c => `"${c}" = @${c}`).join(', ')} WHERE "${keyColumn}" = @__key`)
+      .run({ ...Object.fromEntries(columns.map(c => [c, toCell(updates[c])])), __key: key });
+  }
+
+  return selectOne(table, key);
+}
+
+/**
+ * Delete a row by its primary key
+ */
+function deleteRow(table, key) {
+  const keyColumn = getTableSchema(table).key;
+  const result = getDb()
+    .prepare(`DELETE FROM "${table}" WHERE "${keyColumn}" = ?`)
+    .run(key);
+  return result.changes > 0;
+}
+
+// ============================================
+// SCHEMA OPERATIONS (used by migrations)
+// ============================================
+
+/**
+ * Create a table if missing and add any columns declared in the schema
+ * @param {string} table - Table name from services/schema.js
+ * @returns {Promise<string[]>} - The columns that were added
+ */
+async function ensureTable(table) {
+  const { key, columns } = getTableSchema(table);
+  const existing = getDb().prepare(`PRAGMA table_info("${table}")`).all();
+
+  if (existing.length === 0) {
+    const rest = columns.filter(c => c !== key);
+    getDb().exec(`CREATE TABLE "${table}" ("${key}" TEXT PRIMARY KEY, ${rest.map(c => `"${c}" TEXT DEFAULT ''`).join(', ')})`);
+    console.log(`Created table ${table}`);
+    return columns;
+  }
+
+  return ensureColumns(table, columns);
+}
+
+/**
+ * Ensure required columns exist in a table
+ * @returns {Promise<string[]>} - The columns that were added
+ */
+async function ensureColumns(table, requiredColumns) {
+  const { columns } = getTableSchema(table);
+  const undeclared = requiredColumns.filter(c => !columns.includes(c));
+  if (undeclared.length > 0) {
+    throw new Error(`Columns not declared in schema for ${table}: ${undeclared.join(', ')}`);
+  }
+
+  const existing = getDb().prepare(`PRAGMA table_info("${table}")`).all().map(c => c.name);
+  const missingColumns = requiredColumns.filter(c => !existing.includes(c));
+
+  for (const column of missingColumns) {
+    getDb().exec(`ALTER TABLE "${table}" ADD COLUMN "${column}" TEXT DEFAULT ''`);
+  }
+  if (missingColumns.length > 0) {
+    console.log(`Added missing columns to ${table}: ${missingColumns.join(', ')}`);
+  }
+
+  return missingColumns;
+}
+
+/**
+ * Get every row of a table as plain objects
+ */
+async function getRows(table) {
+  return selectAll(table);
+}
+
+/**
+ * Append rows to a table in a single transaction
+ */
+async function addRows(table, rows) {
+  return getDb().transaction(() => rows.map(row => insertRow(table, row)))();
+}
+
+/**
+ * Replace every row of a table in a single transaction (used by backup restore)
+ * @returns {Promise<number>} - Number of rows written
+ */
+async function replaceRows(table, rows) {
+  return getDb().transaction(() => {
+    getDb().prepare(`DELETE FROM "${table}"`).run();
+    rows.forEach(row => insertRow(table, row));
+    return rows.length;
+  })();
+}
+
+// ============================================
+// BATCH OPERATIONS
+// ============================================
+
+/**
+ * Apply many row updates in a single transaction
+ * A version conflict on any row rolls back the whole batch
+ * @param {string} table - Table name from services/schema.js
+ * @param {Array<{id: string, updates: Object, expectedVersion?: number}>} changes - Key value and fields to set for each row
+ * @returns {Promise<Array<Object|null>>} - Updated rows in input order (null where the key was not found)
+ */
+async function updateRows(table, changes) {
+  return getDb().transaction(() =>
+    changes.map(change => updateRow(table, change.id, change.updates, change.expectedVersion))
+  )();
+}
+
+// ============================================
+// TICKET OPERATIONS
+// ============================================
+
+/**
+ * Create a new ticket
+ */
+async function createTicket(ticketData) {
+  return insertRow('tickets', {
+    ticket_id: ticketData.ticket_id,
+    session_id: ticketData.session_id,
+    status: ticketData.status || 'open',
+    application: ticketData.application,
+    problem_summary: ticketData.problem_summary,
+    problem_details: ticketData.problem_details,
+    reported_by: ticketData.reported_by || '',
+    reported_at: ticketData.reported_at || new Date().toISOString(),
+    updated_at: ticketData.updated_at || new Date().toISOString(),
+    assigned_log: ticketData.assigned_log || '',
+    suggested_fix: ticketData.suggested_fix || '',
+    resolved_at: ticketData.resolved_at || '',
+    version: '1',
+    queue: ticketData.queue || '',
+    assignee: ticketData.assignee || '',
+    severity: ticketData.severity || '',
+    priority: ticketData.priority || ''
+  });
+}
+
+/**
+ * Get all tickets
+ */
+async function getAllTickets() {
+  return selectAll('tickets');
+}
+
+/**
+ * Get tickets filtered by status
+ */
+async function getTicketsByStatus(status) {
+  return selectAll('tickets', 'status = @status', { status });
+}
+
+/**
+ * Get a single ticket by ID
+ */
+async function getTicketById(ticketId) {
+  return selectOne('tickets', ticketId);
+}
+
+/**
+ * Get open tickets for a session
+ */
+async function getOpenTicketsBySession(sessionId) {
+  return selectAll(
+    'tickets',
+    "session_id = @sessionId AND status IN ('open', 'waiting_clarification', 'waiting_confirmation')",
+    { sessionId }
+  );
+}
+
+/**
+ * Update a ticket
+ * @param {number} [options.expectedVersion] - Reject with VersionConflictError if the ticket has moved on
+ */
+async function updateTicket(ticketId, updates, { expectedVersion } = {}) {
+  return getDb().transaction(() => updateRow('tickets', ticketId, updates, expectedVersion))();
+}
+
+// ============================================
+// MESSAGE OPERATIONS
+// ============================================
+
+/**
+ * Add a new message
+ */
+async function addMessage(messageData) {
+  return insertRow('message', {
+    message_id: messageData.message_id,
+    session_id: messageData.session_id,
+    ticket_id: messageData.ticket_id || '',
+    sender: messageData.sender,
+    content: messageData.content,
+    timestamp: messageData.timestamp || new Date().toISOString(),
+    read: messageData.read || 'FALSE',
+    related_pages: messageData.related_pages || '',
+    image_url: messageData.image_url || ''
+  });
+}
+
+/**
+ * Get all messages for a session
+ */
+async function getMessagesBySession(sessionId) {
+  return selectAll('message', 'session_id = @sessionId', { sessionId })
+    .map(message => {
+      // Parse related_pages JSON if present
+      if (message.related_pages) {
+        try {
+          message.relatedPages = JSON.parse(message.related_pages);
+        } catch (e) {
+          message.relatedPages = null;
+        }
+      } else {
+        message.relatedPages = null;
+      }
+      return message;
+    })
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Get unread messages from IT support for a session
+ */
+async function getUnreadMessages(sessionId) {
+  return selectAll(
+    'message',
+    "session_id = @sessionId AND read = 'FALSE' AND sender = 'it_support'",
+    { sessionId }
+  );
+}
+
+/**
+ * Mark messages as read for a session
+ */
+async function markMessagesAsRead(sessionId) {
+  const result = getDb()
+    .prepare("UPDATE message SET read = 'TRUE' WHERE session_id = ? AND read = 'FALSE' AND sender = 'it_support'")
+    .run(sessionId);
+  return result.changes;
+}
+
+// ============================================
+// MOCK LOGS OPERATIONS
+// ============================================
+
+/**
+ * Get a mock log by ID
+ */
+async function getMockLog(logId) {
+  return selectOne('mock_logs', logId);
+}
+
+/**
+ * Get all mock logs
+ */
+async function getAllMockLogs() {
+  return selectAll('mock_logs');
+}
+
+// ============================================
+// KNOWLEDGE BASE OPERATIONS
+// ============================================
+
+/**
+ * Get all knowledge base documents
+ */
+async function getKnowledgeBase() {
+  return selectAll('knowledge_base');
+}
+
+/**
+ * Get a knowledge base document by ID
+ */
+async function getKnowledgeDoc(docId) {
+  return selectOne('knowledge_base', docId);
+}
+
+/**
+ * Add a new knowledge base document
+ */
+async function addKnowledgeDoc(docData) {
+  // Generate doc_id
+  const maxId = selectAll('knowledge_base').reduce((max, row) => {
+    const num = parseInt(row.doc_id?.replace('kb_', '') || '0', 10);
+    return num > max ? num : max;
+  }, 0);
+  const docId = `kb_${String(maxId + 1).padStart(2, '0')}`;
+
+  return insertRow('knowledge_base', {
+    doc_id: docId,
+    application: docData.application,
+    title: docData.title,
+    content: docData.content,
+    keywords: docData.keywords || ''
+  });
+}
+
+/**
+ * Update a knowledge base document
+ */
+async function updateKnowledgeDoc(docId, updates) {
+  return updateRow('knowledge_base', docId, updates);
+}
+
+/**
+ * Delete a knowledge base document
+ */
+async function deleteKnowledgeDoc(docId) {
+  return deleteRow('knowledge_base', docId);
+}
+
+// ============================================
+// DOCUMENT OPERATIONS
+// ============================================
+
+/**
+ * Add a new document record
+ */
+async function addDocument(docData) {
+  return insertRow('documents', {
+    doc_id: docData.doc_id,
+    filename: docData.filename,
+    title: docData.title,
+    application: docData.application || '',
+    upload_date: docData.upload_date || new Date().toISOString(),
+    status: docData.status || 'processing',
+    chunk_count: docData.chunk_count || 0,
+    image_count: docData.image_count || 0,
+    file_size: docData.file_size || 0,
+    num_pages: docData.num_pages || 0,
+    file_type: docData.file_type || ''
+  });
+}
+
+/**
+ * Get all documents
+ */
+async function getAllDocuments() {
+  return selectAll('documents');
+}
+
+/**
+ * Get a document by ID
+ */
+async function getDocument(docId) {
+  return selectOne('documents', docId);
+}
+
+/**
+ * Update a document
+ */
+async function updateDocument(docId, updates) {
+  return updateRow('documents', docId, updates);
+}
+
+/**
+ * Delete a document
+ */
+async function deleteDocument(docId) {
+  return deleteRow('documents', docId);
+}
+
+// ============================================
+// USER OPERATIONS
+// ============================================
+
+/**
+ * Get all staff accounts
+ */
+async function getAllUsers() {
+  return selectAll('users');
+}
+
+/**
+ * Get a staff account by username
+ */
+async function getUser(username) {
+  return selectOne('users', username);
+}
+
+/**
+ * Add a staff account
+ */
+async function addUser(userData) {
+  return insertRow('users', {
+    username: userData.username,
+    display_name: userData.display_name || '',
+    role: userData.role,
+    password_hash: userData.password_hash,
+    enabled: userData.enabled || 'TRUE',
+    created_at: userData.created_at || new Date().toISOString(),
+    updated_at: userData.updated_at || new Date().toISOString(),
+    last_login_at: userData.last_login_at || ''
+  });
+}
+
+/**
+ * Update a staff account
+ */
+async function updateUser(username, updates) {
+  return updateRow('users', username, updates);
+}
+
+// ============================================
+// ROLE OPERATIONS
+// ============================================
+
+/**
+ * Get all staff roles
+ */
+async function getAllRoles() {
+  return selectAll('roles');
+}
+
+/**
+ * Get a staff role by id
+ */
+async function getRole(roleId) {
+  return selectOne('roles', roleId);
+}
+
+/**
+ * Add a staff role
+ */
+async function addRole(roleData) {
+  return insertRow('roles', {
+    role_id: roleData.role_id,
+    name: roleData.name,
+    description: roleData.description || '',
+    permissions: roleData.permissions || '',
+    built_in: roleData.built_in || 'FALSE',
+    created_at: roleData.created_at || new Date().toISOString(),
+    updated_at: roleData.updated_at || new Date().toISOString()
+  });
+}
+
+/**
+ * Update a staff role
+ */
+async function updateRole(roleId, updates) {
+  return updateRow('roles', roleId, updates);
+}
+
+/**
+ * Delete a staff role
+ */
+async function deleteRole(roleId) {
+  return deleteRow('roles', roleId);
+}
+
+// ============================================
+// SESSION OPERATIONS
+// ============================================
+
+/**
+ * Get a login session by id (the hash of its token)
+ */
+async function getSession(sessionId) {
+  return selectOne('sessions', sessionId);
+}
+
+/**
+ * Get all login sessions of a staff account
+ */
+async function getSessionsByUser(username) {
+  return selectAll('sessions', 'username = @username', { username });
+}
+
+/**
+ * Add a login session
+ */
+async function addSession(sessionData) {
+  return insertRow('sessions', {
+    session_id: sessionData.session_id,
+    username: sessionData.username,
+    created_at: sessionData.created_at || new Date().toISOString(),
+    expires_at: sessionData.expires_at,
+    revoked_at: sessionData.revoked_at || '',
+    ip: sessionData.ip || '',
+    user_agent: sessionData.user_agent || ''
+  });
+}
+
+/**
+ * Update a login session
+ */
+async function updateSession(sessionId, updates) {
+  return updateRow('sessions', sessionId, updates);
+}
+
+/**
+ * Delete login sessions by id
+ * @returns {Promise<number>} - Number of sessions deleted
+ */
+async function deleteSessions(sessionIds) {
+  const db = getDb();
+  return db.transaction(() => sessionIds.filter(id => deleteRow('sessions', id)).length)();
+}
+
+// ============================================
+// API TOKEN OPERATIONS
+// ============================================
+
+/**
+ * Get all API tokens
+ */
+async function getAllApiTokens() {
+  return selectAll('api_tokens');
+}
+
+/**
+ * Get an API token by id (the hash of the token)
+ */
+async function getApiToken(tokenId) {
+  return selectOne('api_tokens', tokenId);
+}
+
+/**
+ * Add an API token
+ */
+async function addApiToken(tokenData) {
+  return insertRow('api_tokens', {
+    token_id: tokenData.token_id,
+    name: tokenData.name,
+    token_prefix: tokenData.token_prefix,
+    scopes: tokenData.scopes || '',
+    created_by: tokenData.created_by || '',
+    created_at: tokenData.created_at || new Date().toISOString(),
+    expires_at: tokenData.expires_at || '',
+    last_used_at: tokenData.last_used_at || '',
+    last_used_ip: tokenData.last_used_ip || '',
+    revoked_at: tokenData.revoked_at || ''
+  });
+}
+
+/**
+ * Update an API token
+ */
+async function updateApiToken(tokenId, updates) {
+  return updateRow('api_tokens', tokenId, updates);
+}
+
+// ============================================
+// QUEUE OPERATIONS
+// ============================================
+
+/**
+ * Get all ticket queues
+ */
+async function getAllQueues() {
+  return selectAll('queues');
+}
+
+/**
+ * Get a ticket queue by id
+ */
+async function getQueue(queueId) {
+  return selectOne('queues', queueId);
+}
+
+/**
+ * Add a ticket queue
+ */
+async function addQueue(queueData) {
+  return insertRow('queues', {
+    queue_id: queueData.queue_id,
+    name: queueData.name,
+    applications: queueData.applications || '',
+    members: queueData.members || '',
+    assignment: queueData.assignment || 'manual',
+    last_assigned: queueData.last_assigned || '',
+    created_at: queueData.created_at || new Date().toISOString(),
+    updated_at: queueData.updated_at || new Date().toISOString(),
+    version: '1'
+  });
+}
+
+/**
+ * Update a ticket queue
+ * @param {Object} options - { expectedVersion } - reject with VersionConflictError if stale
+ */
+async function updateQueue(queueId, updates, { expectedVersion } = {}) {
+  return getDb().transaction(() => updateRow('queues', queueId, updates, expectedVersion))();
+}
+
+/**
+ * Delete a ticket queue
+ */
+async function deleteQueue(queueId) {
+  return deleteRow('queues', queueId);
+}
+
+// ============================================
+// SLA POLICY OPERATIONS
+// ============================================
+
+/**
+ * Get all SLA policies
+ */
+async function getAllSlaPolicies() {
+  return selectAll('sla_policies');
+}
+
+/**
+ * Get an SLA policy by id
+ */
+async function getSlaPolicy(policyId) {
+  return selectOne('sla_policies', policyId);
+}
+
+/**
+ * Add an SLA policy
+ */
+async function addSlaPolicy(policyData) {
+  return insertRow('sla_policies', {
+    policy_id: policyData.policy_id,
+    name: policyData.name,
+    application: policyData.application || '',
+    priority: policyData.priority || '',
+    response_minutes: policyData.response_minutes,
+    resolution_minutes: policyData.resolution_minutes,
+    business_hours: policyData.business_hours || 'FALSE',
+    created_at: policyData.created_at || new Date().toISOString(),
+    updated_at: policyData.updated_at || new Date().toISOString()
+  });
+}
+
+/**
+ * Update an SLA policy
+ */
+async function updateSlaPolicy(policyId, updates) {
+  return updateRow('sla_policies', policyId, updates);
+}
+
+/**
+ * Delete an SLA policy
+ */
+async function deleteSlaPolicy(policyId) {
+  return deleteRow('sla_policies', policyId);
+}
+
+// ============================================
+// INCIDENT OPERATIONS
+// ============================================
+
+/**
+ * Get all incidents
+ */
+async function getAllIncidents() {
+  return selectAll('incidents');
+}
+
+/**
+ * Get an incident by id
+ */
+async function getIncident(incidentId) {
+  return selectOne('incidents', incidentId);
+}
+
+/**
+ * Add an incident
+ */
+async function addIncident(incidentData) {
+  return insertRow('incidents', {
+    incident_id: incidentData.incident_id,
+    title: incidentData.title,
+    description: incidentData.description || '',
+    application: incidentData.application || '',
+    status: incidentData.status || 'investigating',
+    resolution: '',
+    created_by: incidentData.created_by || '',
+    created_at: incidentData.created_at || new Date().toISOString(),
+    updated_at: incidentData.updated_at || new Date().toISOString(),
+    resolved_by: '',
+    resolved_at: ''
+  });
+}
+
+/**
+ * Update an incident
+ */
+async function updateIncident(incidentId, updates) {
+  return updateRow('incidents', incidentId, updates);
+}
+
+// ============================================
+// TICKET EVENT OPERATIONS
+// ============================================
+
+/**
+ * Append ticket events (the timeline is append-only: there is no update or delete)
+ */
+async function addTicketEvents(events) {
+  return getDb().transaction(() => events.map(event => insertRow('ticket_events', {
+    event_id: event.event_id,
+    ticket_id: event.ticket_id,
+    timestamp: event.timestamp || new Date().toISOString(),
+    type: event.type,
+    actor: event.actor || '',
+    data: event.data || ''
+  })))();
+}
+
+/**
+ * Get a ticket's events in the order they were recorded
+ */
+async function getTicketEvents(ticketId) {
+  return selectAll('ticket_events', 'ticket_id = @ticketId', { ticketId });
+}
+
+// ============================================
+// TICKET COMMENT OPERATIONS
+// ============================================
+
+/**
+ * Get a ticket's internal comments in the order they were written
+ */
+async function getTicketComments(ticketId) {
+  return selectAll('ticket_comments', 'ticket_id = @ticketId', { ticketId });
+}
+
+/**
+ * Get a comment by id
+ */
+async function getTicketComment(commentId) {
+  return selectOne('ticket_comments', commentId);
+}
+
+/**
+ * Add a comment
+ */
+async function addTicketComment(commentData) {
+  return insertRow('ticket_comments', {
+    comment_id: commentData.comment_id,
+    ticket_id: commentData.ticket_id,
+    author: commentData.author,
+    body: commentData.body,
+    mentions: commentData.mentions || '',
+    created_at: commentData.created_at || new Date().toISOString(),
+    updated_at: commentData.updated_at || commentData.created_at || new Date().toISOString(),
+    history: commentData.history || ''
+  });
+}
+
+/**
+ * Update a comment
+ */
+async function updateTicketComment(commentId, updates) {
+  return updateRow('ticket_comments', commentId, updates);
+}
+
+// ============================================
+// AUDIT LOG OPERATIONS
+// ============================================
+
+/**
+ * Append an audit log entry (the log is append-only: there is no update or delete)
+ */
+async function addAuditEntry(entry) {
+  return insertRow('audit_log', {
+    audit_id: entry.audit_id,
+    timestamp: entry.timestamp || new Date().toISOString(),
+    actor: entry.actor,
+    actor_role: entry.actor_role || '',
+    action: entry.action,
+    entity_type: entry.entity_type,
+    entity_id: entry.entity_id || '',
+    before: entry.before || '',
+    after: entry.after || '',
+    ip: entry.ip || ''
+  });
+}
+
+/**
+ * Get all audit log entries, oldest first
+ */
+async function getAuditEntries() {
+  return selectAll('audit_log');
+}
+
+// ============================================
+// SETTINGS OPERATIONS
+// ============================================
+
+/**
+ * Get a single setting by key
+ */
+async function getSetting(key) {
+  const row = selectOne('settings', key);
+  return row ? row.setting_value : null;
+}
+
+/**
+ * Update or create a setting
+ */
+async function updateSetting(key, value) {
+  getDb()
+    .prepare(`INSERT INTO settings (setting_key, setting_value, updated_at) VALUES (@key, @value, @now)
+      ON CONFLICT(setting_key) DO UPDATE SET setting_value = @value, updated_at = @now`)
+    .run({ key, value: toCell(value), now: new Date().toISOString() });
+}
+
+/**
+ * Delete a setting
+ * @returns {Promise<boolean>} - Whether the setting existed
+ */
+async function deleteSetting(key) {
+  return deleteRow('settings', key);
+}
+
+/**
+ * Return the next value of a named sequence
+ * Each sequence is one running-total row bumped inside an immediate transaction, so
+ * processes sharing the database never get the same value and a claim costs the same
+ * however many numbers were handed out
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} - The next value, starting at 1
+ */
+async function nextSequence(name) {
+  const totalId = `total-${name}`;
+  const claimedAt = new Date().toISOString();
+
+  return getDb().transaction(() => {
+    const { changes } = getDb()
+      .prepare(`UPDATE sequences SET count = CAST(count AS INTEGER) + 1, claimed_at = ? WHERE claim_id = ?`)
+      .run(claimedAt, totalId);
+
+    if (changes === 0) {
+      // No total row yet: fold the sequence's claim rows (one per number handed out before,
+      // or a counter carried over by migration 021) into one
+      const { total } = getDb()
+        .prepare(`SELECT COALESCE(SUM(CAST(count AS INTEGER)), 0) AS total FROM sequences WHERE name = ?`)
+        .get(name);
+      getDb().prepare(`DELETE FROM sequences WHERE name = ?`).run(name);
+      insertRow('sequences', { claim_id: totalId, name, count: String(total + 1), claimed_at: claimedAt });
+    }
+
+    return parseInt(selectOne('sequences', totalId).count, 10);
+  }).immediate();
+}
+
+/**
+ * Get all settings as an object
+ */
+async function getAllSettings() {
+  const settings = {};
+  selectAll('settings').forEach(row => {
+    if (row.setting_key) {
+      settings[row.setting_key] = row.setting_value;
+    }
+  });
+  return settings;
+}
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Test the connection to the SQLite database
+ */
+async function testConnection() {
+  try {
+    const tables = getDb()
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name")
+      .all()
+      .map(t => t.name);
+    return {
+      success: true,
+      database: DB_PATH,
+      tables
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  // Initialization
+  getDb,
+  testConnection,
+
+  // Schema (migrations)
+  ensureTable,
+  ensureColumns,
+  getRows,
+  addRows,
+  replaceRows,
+
+  // Batch
+  updateRows,
+
+  // Tickets
+  createTicket,
+  getAllTickets,
+  getTicketsByStatus,
+  getTicketById,
+  getOpenTicketsBySession,
+  updateTicket,
+
+  // Messages
+  addMessage,
+  getMessagesBySession,
+  getUnreadMessages,
+  markMessagesAsRead,
+
+  // Mock Logs
+  getMockLog,
+  getAllMockLogs,
+
+  // Knowledge Base
+  getKnowledgeBase,
+  getKnowledgeDoc,
+  addKnowledgeDoc,
+  updateKnowledgeDoc,
+  deleteKnowledgeDoc,
+
+  // Documents
+  addDocument,
+  getAllDocuments,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+
+  // Users
+  getAllUsers,
+  getUser,
+  addUser,
+  updateUser,
+
+  // Roles
+  getAllRoles,
+  getRole,
+  addRole,
+  updateRole,
+  deleteRole,
+
+  // Sessions
+  getSession,
+  getSessionsByUser,
+  addSession,
+  updateSession,
+  deleteSessions,
+
+  // API tokens
+  getAllApiTokens,
+  getApiToken,
+  addApiToken,
+  updateApiToken,
+
+  // Queues
+  getAllQueues,
+  getQueue,
+  addQueue,
+  updateQueue,
+  deleteQueue,
+
+  // SLA policies
+  getAllSlaPolicies,
+  getSlaPolicy,
+  addSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy,
+
+  // Ticket events
+  addTicketEvents,
+  getTicketEvents,
+  getTicketComments,
+  getTicketComment,
+  addTicketComment,
+  updateTicketComment,
+
+  // Incidents
+  getAllIncidents,
+  getIncident,
+  addIncident,
+  updateIncident,
+
+  // Audit log
+  addAuditEntry,
+  getAuditEntries,
+
+  // Settings
+  getSetting,
+  updateSetting,
+  getAllSettings,
+  deleteSetting,
+  nextSequence
+};
@@ -0,0 +1,388 @@
+/**
+ * Storage service
+ * Selects the persistence adapter (Google Sheets or SQLite) from STORAGE_BACKEND
+ * and exposes a single interface for tickets, messages, mock logs,
+ * knowledge base, documents and settings
+ */
+
+const { VersionConflictError } = require('./concurrency');
+const { createWriteOutbox, isOutageError } = require('./writeOutbox');
+
+// Available adapters - loaded lazily so the unused backend's dependencies never load
+const ADAPTERS = {
+  sheets: () => require('./googleSheets'),
+  sqlite: () => require('./sqliteStorage')
+};
+
+// Methods every adapter must implement
+const STORAGE_METHODS = [
+  'testConnection',
+
+  // Schema (migrations)
+  'ensureTable',
+  'ensureColumns',
+  'getRows',
+  'addRows',
+  'replaceRows',
+
+  // Batch
+  'updateRows',
+
+  // Tickets
+  'createTicket',
+  'getAllTickets',
+  'getTicketsByStatus',
+  'getTicketById',
+  'getOpenTicketsBySession',
+  'updateTicket',
+
+  // Messages
+  'addMessage',
+  'getMessagesBySession',
+  'getUnreadMessages',
+  'markMessagesAsRead',
+
+  // Mock Logs
+  'getMockLog',
+  'getAllMockLogs',
+
+  // Knowledge Base
+  'getKnowledgeBase',
+  'getKnowledgeDoc',
+  'addKnowledgeDoc',
+  'updateKnowledgeDoc',
+  'deleteKnowledgeDoc',
+
+  // Documents
+  'addDocument',
+  'getAllDocuments',
+  'getDocument',
+  'updateDocument',
+  'deleteDocument',
+
+  // Users
+  'getAllUsers',
+  'getUser',
+  'addUser',
+  'updateUser',
+
+  // Roles
+  'getAllRoles',
+  'getRole',
+  'addRole',
+  'updateRole',
+  'deleteRole',
+
+  // Sessions
+  'getSession',
+  'getSessionsByUser',
+  'addSession',
+  'updateSession',
+  'deleteSessions',
+
+  // API tokens
+  'getAllApiTokens',
+  'getApiToken',
+  'addApiToken',
+  'updateApiToken',
+
+  // Queues
+  'getAllQueues',
+  'getQueue',
+  'addQueue',
+  'updateQueue',
+  'deleteQueue',
+
+  // SLA policies
+  'getAllSlaPolicies',
+  'getSlaPolicy',
+  'addSlaPolicy',
+  'updateSlaPolicy',
+  'deleteSlaPolicy',
+
+  // Incidents
+  'getAllIncidents',
+  'getIncident',
+  'addIncident',
+  'updateIncident',
+
+  // Ticket events
+  'addTicketEvents',
+  'getTicketEvents',
+
+  // Ticket comments
+  'getTicketComments',
+  'getTicketComment',
+  'addTicketComment',
+  'updateTicketComment',
+
+  // Audit log
+  'addAuditEntry',
+  'getAuditEntries',
+
+  // Settings
+  'getSetting',
+  'updateSetting',
+  'getAllSettings',
+  'deleteSetting',
+  'nextSequence'
+];
+
+const BACKEND = (process.env.STORAGE_BACKEND || 'sheets').toLowerCase();
+
+if (!ADAPTERS[BACKEND]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${BACKEND}". Options: ${Object.keys(ADAPTERS).join(', ')}`);
+}
+
+const adapter = ADAPTERS[BACKEND]();
+
+const missingMethods = STORAGE_METHODS.filter(name => typeof adapter[name] !== 'function');
+if (missingMethods.length > 0) {
+  throw new Error(`Storage adapter "${BACKEND}" is missing: ${missingMethods.join(', ')}`);
+}
+
+// Common words to ignore when matching mock logs
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'is', 'are', 'was', 'were', 'been', 'be',
+  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
+  'could', 'should', 'may', 'might', 'must', 'shall', 'can',
+  'need', 'dare', 'ought', 'used', 'to', 'of', 'in', 'for',
+  'on', 'with', 'at', 'by', 'from', 'as', 'into', 'through',
+  'during', 'before', 'after', 'above', 'below', 'between',
+  'under', 'again', 'further', 'then', 'once', 'here', 'there',
+  'when', 'where', 'why', 'how', 'all', 'each', 'few', 'more',
+  'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only',
+  'own', 'same', 'so', 'than', 'too', 'very', 'just', 'and',
+  'but', 'if', 'or', 'because', 'until', 'while', 'it', 'its',
+  'app', 'application', 'error', 'issue', 'problem', 'help',
+  'please', 'thanks', 'thank', 'you', 'i', 'my', 'me', 'we'
+]);
+
+/**
+ * Find a mock log matching an application and error pattern
+ * Returns null if no confident match is found
+ */
+async function findMatchingMockLog(application, errorPattern) {
+  let logs;
+  try {
+    logs = await adapter.getAllMockLogs();
+  } catch (error) {
+    // A log hint isn't worth failing a ticket escalation over during an outage
+    if (!isOutageError(error)) {
+      throw error;
+    }
+    console.warn('Mock log lookup skipped, storage unavailable:', error.message);
+    return null;
+  }
+
+  // Filter meaningful keywords (length > 2 and not stop words)
+  const keywords = errorPattern.toLowerCase()
+    .split(/[,\s]+/)
+    .filter(k => k.length > 2 && !STOP_WORDS.has(k));
+
+  // If no meaningful keywords, return null
+  if (keywords.length === 0) {
+    return null;
+  }
+
+  let bestMatch = null;
+  let bestScore = 0;
+
+  for (const log of logs) {
+    const logApp = (log.application || '').toLowerCase();
+    const logPattern = (log.error_pattern || '').toLowerCase();
+
+    // Application must match (if specified)
+    if (application) {
+      const appLower = application.toLowerCase();
+      if (!logApp.includes(appLower) && !appLower.includes(logApp)) {
+        continue;
+      }
+    }
+
+    // Count matching keywords
+    const patternWords = logPattern.split(/[,\s]+/).filter(w => w.length > 2);
+    let matchCount = 0;
+
+    for (const keyword of keywords) {
+      const hasMatch = patternWords.some(patternWord =>
+        patternWord.includes(keyword) || keyword.includes(patternWord)
+      );
+      if (hasMatch) matchCount++;
+    }
+
+    // Calculate match score (percentage of keywords matched)
+    const score = matchCount / keywords.length;
+
+    // Require at least 30% match OR at least 2 keyword matches
+    if ((score >= 0.3 || matchCount >= 2) && score > bestScore) {
+      bestScore = score;
+      bestMatch = log;
+    }
+  }
+
+  return bestMatch;
+}
+
+// Ticket ID format: PREFIX-000123 (legacy IDs like TKT-12345 keep resolving)
+const TICKET_ID_PREFIX = process.env.TICKET_ID_PREFIX || 'TKT';
+const TICKET_ID_WIDTH = parseInt(process.env.TICKET_ID_WIDTH, 10) || 6;
+
+// Tickets created while the backend is down get a provisional ID instead: 9 followed by
+// nine digits of the time in tenths of a second, far above the sequential IDs
+let lastProvisionalId = 0;
+
+function provisionalTicketId(prefix) {
+  lastProvisionalId = Math.max(lastProvisionalId + 1, Math.floor(Date.now() / 100) % 1e9);
+  return `${prefix}-9${String(lastProvisionalId).padStart(9, '0')}`;
+}
+
+/**
+ * Allocate the next sequential ticket ID
+ * Skips any value already taken (e.g. by a legacy timestamp-based ID). If the backend is
+ * unreachable, returns a provisional ID so the ticket can still be queued in the outbox;
+ * it keeps that ID once replayed
+ * @param {Object} options - Optional overrides
+ * @param {string} options.prefix - ID prefix (default TICKET_ID_PREFIX)
+ * @param {number} options.width - Zero-padded digit count (default TICKET_ID_WIDTH)
+ * @returns {Promise<string>} - A ticket ID such as TKT-000042
+ */
+async function allocateTicketId({ prefix = TICKET_ID_PREFIX, width = TICKET_ID_WIDTH } = {}) {
+  if (!/^[A-Z][A-Z0-9]{0,9}$/.test(prefix)) {
+    throw new Error(`Invalid ticket ID prefix "${prefix}". Use 1-10 uppercase letters or digits, starting with a letter`);
+  }
+  if (!Number.isInteger(width) || width < 4 || width > 10) {
+    throw new Error(`Invalid ticket ID width "${width}". Use a value between 4 and 10`);
+  }
+
+  try {
+    for (;;) {
+      const seq = await adapter.nextSequence(`ticket_id_${prefix}`);
+      const ticketId = `${prefix}-${String(seq).padStart(width, '0')}`;
+      if (!(await adapter.getTicketById(ticketId))) {
+        return ticketId;
+      }
+    }
+  } catch (error) {
+    if (!isOutageError(error)) {
+      throw error;
+    }
+    const ticketId = provisionalTicketId(prefix);
+    console.warn(`Storage unavailable, using provisional ticket ID ${ticketId}:`, error.message);
+    return ticketId;
+  }
+}
+
+// Writes that must survive a backend outage go through the outbox
+const outbox = createWriteOutbox(async (method, args) => {
+  // A create replayed after a crash mid-drain was already applied; any other ticket
+  // holding the ID (a provisional ID clash) rejects the write
+  if (method === 'createTicket') {
+    const existing = await adapter.getTicketById(args[0].ticket_id);
+    if (existing) {
+      if (existing.session_id === args[0].session_id) {
+        return existing;
+      }
+      throw new Error(`Ticket ID ${args[0].ticket_id} is already taken`);
+    }
+  }
+  return adapter[method](...args);
+});
+
+/**
+ * Update many tickets in one round trip, queuing the batch if the backend is unavailable
+ * Throws VersionConflictError (nothing applied) if any expectedVersion is stale; a queued
+ * batch's version checks happen on replay
+ * @param {Array<{id: string, updates: Object, expectedVersion?: number}>} changes - Ticket ID and fields to set for each ticket
+ * @returns {Promise<Array<Object|null>>} - Updated tickets in input order (null where the ID was not found)
+ */
+async function updateTickets(changes) {
+  if (changes.length === 0) {
+    return [];
+  }
+  return outbox.write('updateRows', ['tickets', changes], () =>
+    changes.map(({ id, updates }) => ({ ticket_id: id, ...updates }))
+  );
+}
+
+/**
+ * Add a message, queuing it if the backend is unavailable
+ */
+async function addMessage(messageData) {
+  // Fix the timestamp now so a replayed message keeps its original position
+  const data = { ...messageData, timestamp: messageData.timestamp || new Date().toISOString() };
+  return outbox.write('addMessage', [data], () => ({
+    ...data,
+    ticket_id: data.ticket_id || '',
+    read: data.read || 'FALSE'
+  }));
+}
+
+/**
+ * Whether a message is waiting in the outbox, so a retried action doesn't queue it twice
+ */
+function isMessageQueued(messageId) {
+  return outbox.isPending((method, args) =>
+    (method === 'addMessage' && args[0].message_id === messageId) ||
+    (method === 'addRows' && args[0] === 'message' && args[1].some(row => row.message_id === messageId))
+  );
+}
+
+/**
+ * Add many messages in one round trip (bulk clarifications), queuing them if the backend is unavailable
+ */
+async function addMessages(messages) {
+  if (messages.length === 0) {
+    return [];
+  }
+  const now = new Date().toISOString();
+  const rows = messages.map(message => ({
+    ...message,
+    ticket_id: message.ticket_id || '',
+    timestamp: message.timestamp || now,
+    read: message.read || 'FALSE',
+    related_pages: message.related_pages || '',
+    image_url: message.image_url || ''
+  }));
+  return outbox.write('addRows', ['message', rows], () => rows);
+}
+
+/**
+ * Create a ticket, queuing it if the backend is unavailable
+ */
+async function createTicket(ticketData) {
+  const now = new Date().toISOString();
+  const data = { ...ticketData, reported_at: ticketData.reported_at || now, updated_at: ticketData.updated_at || now };
+  return outbox.write('createTicket', [data], () => ({
+    ...data,
+    status: data.status || 'open',
+    version: '1'
+  }));
+}
+
+/**
+ * Update a ticket, queuing it if the backend is unavailable
+ * A queued update's version check happens on replay; a conflict then moves it to the outbox's failed list
+ */
+async function updateTicket(ticketId, updates, options = {}) {
+  return outbox.write('updateTicket', [ticketId, updates, options], () => ({
+    ticket_id: ticketId,
+    ...updates
+  }));
+}
+
+module.exports = {
+  backend: BACKEND,
+  ...Object.fromEntries(STORAGE_METHODS.map(name => [name, adapter[name]])),
+  addMessage,
+  addMessages,
+  isMessageQueued,
+  createTicket,
+  updateTicket,
+  startOutbox: outbox.start,
+  getOutboxStatus: outbox.getStatus,
+  findMatchingMockLog,
+  allocateTicketId,
+  updateTickets,
+  VersionConflictError
+};
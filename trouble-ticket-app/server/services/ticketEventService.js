@@ -0,0 +1,122 @@
+/**
+ * Ticket timeline
+ * Every change to a ticket is recorded as an event in the append-only ticket_events table:
+ * creation, status, severity, priority, assignee and queue changes, internal comments,
+ * clarification questions, log matches, merges, incident links and closes from the chat.
+ * The audit log answers "what did this person do", the timeline "what happened to this ticket"
+ */
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+// Event type -> label shown in the timeline
+const EVENT_TYPES = {
+  created: 'Ticket created',
+  status_changed: 'Status changed',
+  notes_updated: 'IT notes edited', // before comments replaced IT notes
+  comment_added: 'Comment added',
+  comment_edited: 'Comment edited',
+  severity_changed: 'Severity changed',
+  priority_changed: 'Priority changed',
+  assignee_changed: 'Assignee changed',
+  queue_changed: 'Queue changed',
+  clarification_requested: 'Clarification requested',
+  auto_closed: 'Closed from the chat',
+  log_matched: 'System log matched',
+  merged: 'Merged into another ticket',
+  duplicates_merged: 'Duplicates merged in',
+  incident_linked: 'Linked to incident',
+  incident_unlinked: 'Removed from incident',
+  incident_resolved: 'Incident resolved'
+};
+
+// Ticket fields whose changes are recorded, and the event each produces
+const FIELD_EVENTS = {
+  status: 'status_changed',
+  severity: 'severity_changed',
+  priority: 'priority_changed',
+  assignee: 'assignee_changed',
+  queue: 'queue_changed'
+};
+
+// Actors for changes no staff member made
+const CHAT_ACTOR = 'chat';
+const SYSTEM_ACTOR = 'system';
+
+/**
+ * Build an event for a ticket
+ * @param {string} ticketId - Ticket ID
+ * @param {string} type - One of EVENT_TYPES
+ * @param {string} actor - Username, token:<prefix>, 'chat' or 'system'
+ * @param {Object} [data] - Type-specific details ({ from, to } for changes)
+ * @param {string} [timestamp] - When it happened (defaults to now)
+ */
+function ticketEvent(ticketId, type, actor, data = {}, timestamp = new Date().toISOString()) {
+  return { event_id: uuidv4(), ticket_id: ticketId, timestamp, type, actor, data };
+}
+
+/**
+ * One event per recorded field that an update changes
+ * @param {Object} before - The ticket before the update
+ * @param {Object} updates - The fields being written (updated_at is used as the event time)
+ * @param {string} actor - Who made the change
+ */
+function changeEvents(before, updates, actor) {
+  return Object.entries(FIELD_EVENTS)
+    .filter(([field]) => updates[field] !== undefined && String(before[field] ?? '') !== String(updates[field] ?? ''))
+    .map(([field, type]) => ticketEvent(before.ticket_id, type, actor, {
+      from: before[field] || '',
+      to: updates[field] || ''
+    }, updates.updated_at));
+}
+
+/**
+ * Write events to the timeline
+ * Never throws: a ticket change that succeeded is not failed because its event couldn't be written
+ */
+async function recordTicketEvents(events) {
+  if (events.length === 0) {
+    return;
+  }
+  try {
+    await storage.addTicketEvents(events.map(event => ({ ...event, data: JSON.stringify(event.data) })));
+  } catch (error) {
+    const ticketIds = [...new Set(events.map(event => event.ticket_id))].join(', ');
+    console.error(`Ticket timeline: failed to record ${events.length} event(s) for ${ticketIds}:`, error.message);
+  }
+}
+
+/**
+ * Who made a request, as recorded on events
+ */
+function actorOf(req) {
+  return req.user?.username || SYSTEM_ACTOR;
+}
+
+/**
+ * A ticket's events, oldest first
+ */
+async function getTimeline(ticketId) {
+  const events = await storage.getTicketEvents(ticketId);
+  return events
+    .map(event => {
+      let data = {};
+      try {
+        data = event.data ? JSON.parse(event.data) : {};
+      } catch {
+        data = { raw: event.data };
+      }
+      return { ...event, data, label: EVENT_TYPES[event.type] || event.type };
+    })
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  CHAT_ACTOR,
+  SYSTEM_ACTOR,
+  ticketEvent,
+  changeEvents,
+  recordTicketEvents,
+  actorOf,
+  getTimeline
+};
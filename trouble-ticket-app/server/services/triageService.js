@@ -0,0 +1,124 @@
+/**
+ * Ticket severity and priority
+ * Severity is the impact of a problem, priority how soon IT should work on it. Both are
+ * proposed by the LLM when the chat escalates a ticket and can be changed by staff.
+ * Tickets from before these fields existed, or whose triage failed, have neither
+ */
+const llmService = require('./llmService');
+const { getTriagePrompt } = require('../prompts/systemPrompt');
+
+// Highest first; the order is used for sorting
+const SEVERITIES = {
+  critical: 'Application down or data at risk for many users, no workaround',
+  high: 'Key function broken for several users, or for one user with no workaround',
+  medium: 'Function broken for one user, or a workaround exists',
+  low: 'Cosmetic issue, question or inconvenience'
+};
+
+const PRIORITIES = {
+  p1: 'Now',
+  p2: 'Today',
+  p3: 'Within a few days',
+  p4: 'When time allows'
+};
+
+// Priority implied by a severity when nothing else is known (e.g. API tickets with only a severity)
+const DEFAULT_PRIORITY = { critical: 'p1', high: 'p2', medium: 'p3', low: 'p4' };
+
+const TICKET_SORTS = ['priority', 'severity', 'newest', 'oldest'];
+
+// Messages of the conversation sent to the LLM; the most recent ones matter most
+const MAX_TRANSCRIPT_MESSAGES = 30;
+
+function normalizeSeverity(value) {
+  const severity = String(value || '').trim().toLowerCase();
+  return SEVERITIES[severity] ? severity : '';
+}
+
+function normalizePriority(value) {
+  const priority = String(value || '').trim().toLowerCase().replace(/^(\d)$/, 'p$1');
+  return PRIORITIES[priority] ? priority : '';
+}
+
+/**
+ * Severity named in a free-text analysis ("**Severity Assessment:** High - ...")
+ * @returns {string} - Severity, or '' if none is stated
+ */
+function parseSeverity(text) {
+  const match = (text || '').match(/severity(?: assessment)?\W*(critical|high|medium|low)\b/i);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Propose a severity and priority for a new ticket from its chat transcript
+ * Never throws: triage is advisory, so a failed LLM call leaves both fields unset
+ * @param {Object} ticketInfo - { application, problem_summary, problem_details }
+ * @param {Array} messages - The session's messages, oldest first
+ * @returns {Promise<{severity: string, priority: string}>}
+ */
+async function suggestTriage(ticketInfo, messages = []) {
+  const transcript = messages
+    .slice(-MAX_TRANSCRIPT_MESSAGES)
+    .map(message => `${message.sender === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join('\n');
+
+  try {
+    const response = await llmService.sendMessage(
+      getTriagePrompt(ticketInfo, transcript),
+      [],
+      [],
+      'You triage IT support tickets. Output valid JSON only.'
+    );
+    const json = response.match(/\{[\s\S]*\}/);
+    const suggestion = json ? JSON.parse(json[0]) : {};
+    const severity = normalizeSeverity(suggestion.severity);
+    return {
+      severity,
+      priority: normalizePriority(suggestion.priority) || DEFAULT_PRIORITY[severity] || ''
+    };
+  } catch (error) {
+    console.error('Ticket triage failed, leaving severity and priority unset:', error.message);
+    return { severity: '', priority: '' };
+  }
+}
+
+/**
+ * Position of a value in a ranking (highest first); unset values sort last
+ */
+function rank(levels, value) {
+  const index = Object.keys(levels).indexOf(value);
+  return index === -1 ? Object.keys(levels).length : index;
+}
+
+/**
+ * Sort tickets for the ticket list
+ * priority: most urgent first, then most severe, then oldest
+ * severity: most severe first, then most urgent, then oldest
+ * @param {Array} tickets - Tickets to sort (not modified)
+ * @param {string} sort - One of TICKET_SORTS; anything else keeps the stored order
+ */
+function sortTickets(tickets, sort) {
+  const byAge = (a, b) => (a.reported_at || '').localeCompare(b.reported_at || '');
+  const byPriority = (a, b) => rank(PRIORITIES, a.priority) - rank(PRIORITIES, b.priority);
+  const bySeverity = (a, b) => rank(SEVERITIES, a.severity) - rank(SEVERITIES, b.severity);
+
+  const comparators = {
+    priority: (a, b) => byPriority(a, b) || bySeverity(a, b) || byAge(a, b),
+    severity: (a, b) => bySeverity(a, b) || byPriority(a, b) || byAge(a, b),
+    newest: (a, b) => byAge(b, a),
+    oldest: byAge
+  };
+  return comparators[sort] ? [...tickets].sort(comparators[sort]) : tickets;
+}
+
+module.exports = {
+  SEVERITIES,
+  PRIORITIES,
+  DEFAULT_PRIORITY,
+  TICKET_SORTS,
+  normalizeSeverity,
+  normalizePriority,
+  parseSeverity,
+  suggestTriage,
+  sortTickets
+};
@@ -0,0 +1,164 @@
+/**
+ * Staff account service
+ * Creates and updates per-user accounts; password hashes never leave this module
+ */
+const storage = require('./storage');
+const { hashPassword, verifyPassword } = require('./passwordService');
+const { revokeUserSessions } = require('./sessionService');
+
+/**
+ * Thrown for account changes that break an invariant (duplicate username, last admin, ...)
+ */
+class UserAccountError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UserAccountError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Account as returned by the API (no password hash)
+ */
+function toPublicUser(user) {
+  return {
+    username: user.username,
+    display_name: user.display_name || '',
+    role: user.role,
+    enabled: user.enabled !== 'FALSE',
+    created_at: user.created_at,
+    updated_at: user.updated_at,
+    last_login_at: user.last_login_at || null
+  };
+}
+
+/**
+ * List all staff accounts
+ */
+async function listUsers() {
+  const users = await storage.getAllUsers();
+  return users.map(toPublicUser);
+}
+
+/**
+ * Reject roles that don't exist (see services/roleService.js)
+ */
+async function assertRoleExists(roleId) {
+  if (!await storage.getRole(roleId)) {
+    throw new UserAccountError(`Role "${roleId}" does not exist`);
+  }
+}
+
+/**
+ * Create a staff account
+ * @param {Object} data - { username, display_name, role, password }
+ */
+async function createUser({ username, display_name, role, password }) {
+  if (await storage.getUser(username)) {
+    throw new UserAccountError(`Username "${username}" is already taken`, 409);
+  }
+  await assertRoleExists(role);
+
+  const now = new Date().toISOString();
+  const user = await storage.addUser({
+    username,
+    display_name: display_name || '',
+    role,
+    password_hash: await hashPassword(password),
+    enabled: 'TRUE',
+    created_at: now,
+    updated_at: now
+  });
+  return toPublicUser(user);
+}
+
+/**
+ * Check whether a change would leave no enabled admin account
+ */
+async function isLastEnabledAdmin(username) {
+  const users = await storage.getAllUsers();
+  const admins = users.filter(u => u.role === 'admin' && u.enabled !== 'FALSE');
+  return admins.length === 1 && admins[0].username === username;
+}
+
+/**
+ * Update a staff account
+ * @param {string} username - Account to change
+ * @param {Object} changes - Any of { display_name, role, enabled, password }
+ * @param {Object} actor - req.user of the admin making the change
+ * @returns {Promise<Object|null>} - Updated account, or null if not found
+ */
+async function updateUser(username, { display_name, role, enabled, password }, actor) {
+  const user = await storage.getUser(username);
+  if (!user) {
+    return null;
+  }
+
+  const disabling = enabled === false && user.enabled !== 'FALSE';
+  const demoting = role !== undefined && role !== 'admin' && user.role === 'admin';
+
+  if (role !== undefined) {
+    await assertRoleExists(role);
+  }
+  if (disabling && actor?.username === username) {
+    throw new UserAccountError('You cannot disable your own account');
+  }
+  if ((disabling || demoting) && user.role === 'admin' && await isLastEnabledAdmin(username)) {
+    throw new UserAccountError('At least one enabled admin account is required');
+  }
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (display_name !== undefined) updates.display_name = display_name;
+  if (role !== undefined) updates.role = role;
+  if (enabled !== undefined) updates.enabled = enabled ? 'TRUE' : 'FALSE';
+  if (password) updates.password_hash = await hashPassword(password);
+
+  const updated = await storage.updateUser(username, updates);
+
+  // Sign the account out everywhere once it can no longer use its old login
+  if (disabling || password) {
+    await revokeUserSessions(username);
+  }
+
+  return toPublicUser(updated);
+}
+
+/**
+ * Change the signed-in user's own password
+ * Other sessions are signed out; the one making the change stays signed in
+ * @param {string} username - Signed-in account
+ * @param {string} currentPassword - Must match the stored password
+ * @param {string} newPassword - Replacement password
+ * @param {Object} options
+ * @param {string} [options.sessionId] - Current session to keep
+ */
+async function changeOwnPassword(username, currentPassword, newPassword, { sessionId } = {}) {
+  const user = await storage.getUser(username);
+  const { valid } = await verifyPassword(currentPassword, user?.password_hash);
+  if (!valid) {
+    throw new UserAccountError('Current password is incorrect', 403);
+  }
+
+  await storage.updateUser(username, {
+    password_hash: await hashPassword(newPassword),
+    updated_at: new Date().toISOString()
+  });
+  await revokeUserSessions(username, { exceptSessionId: sessionId });
+}
+
+/**
+ * Record a successful login
+ */
+async function recordLogin(username) {
+  await storage.updateUser(username, { last_login_at: new Date().toISOString() });
+}
+
+module.exports = {
+  UserAccountError,
+  toPublicUser,
+  listUsers,
+  createUser,
+  updateUser,
+  changeOwnPassword,
+  recordLogin
+};
@@ -6,11 +6,14 @@
 const fs = require('fs');
 const path = require('path');
 const OpenAI = require('openai');
-const { getSetting } = require('./googleSheets');
+const { getSetting } = require('./storage');
 const { decrypt } = require('../middleware/encryption');
 
 // Configuration
 const VECTOR_STORE_PATH = path.join(__dirname, '..', 'data', 'vectors.json');
+// Ticket embeddings hold ticket text in vector form, so they're kept out of vectors.json
+// (which ships with the repo) in a file of their own that git ignores
+const TICKET_VECTORS_PATH = path.join(__dirname, '..', 'data', 'ticket-vectors.json');
 
 // Embedding provider configurations
 const EMBEDDING_PROVIDERS = {
@@ -54,6 +57,7 @@ if (!fs.existsSync(dataDir)) {
 
 // In-memory cache
 let vectorStore = null;
+let ticketVectors = null; // { ticketId: { embedding, provider, model } }
 let embeddingClient = null;
 let currentProvider = null;
 
@@ -78,6 +82,42 @@ function loadVectorStore() {
   return vectorStore;
 }
 
+/**
+ * Load ticket embeddings from disk
+ * Embeddings stored in vectors.json by earlier versions are moved to their own file
+ */
+function loadTicketVectors() {
+  if (ticketVectors) return ticketVectors;
+
+  try {
+    ticketVectors = fs.existsSync(TICKET_VECTORS_PATH)
+      ? JSON.parse(fs.readFileSync(TICKET_VECTORS_PATH, 'utf8'))
+      : {};
+  } catch (error) {
+    console.error('Error loading ticket vectors:', error);
+    ticketVectors = {};
+  }
+
+  loadVectorStore();
+  if (vectorStore.tickets) {
+    ticketVectors = { ...vectorStore.tickets, ...ticketVectors };
+    delete vectorStore.tickets;
+    saveTicketVectors();
+    saveVectorStore();
+  }
+
+  return ticketVectors;
+}
+
+/**
+ * Drop the in-memory copies and re-read the vector stores (after a backup restore)
+ */
+function reloadVectorStore() {
+  vectorStore = null;
+  ticketVectors = null;
+  return loadVectorStore();
+}
+
 /**
  * Save vector store to disk
  */
@@ -90,6 +130,18 @@ function saveVectorStore() {
   }
 }
 
+/**
+ * Save ticket embeddings to disk
+ */
+function saveTicketVectors() {
+  try {
+    fs.writeFileSync(TICKET_VECTORS_PATH, JSON.stringify(ticketVectors));
+  } catch (error) {
+    console.error('Error saving ticket vectors:', error);
+    throw error;
+  }
+}
+
 /**
  * Get embedding configuration from settings
  */
@@ -108,8 +160,8 @@ async function getEmbeddingConfig() {
       try {
         apiKey = decrypt(storedKey) || null;
       } catch (e) {
-        console.error('Decryption error:', e.message);
-        apiKey = null; // Fall back to env variables
+        console.error(`Stored api_key cannot be decrypted, falling back to environment variables: ${e.message}`);
+        apiKey = null;
       }
     }
   } else {
@@ -119,8 +171,8 @@ async function getEmbeddingConfig() {
       try {
         apiKey = decrypt(embeddingKey) || null;
       } catch (e) {
-        console.error('Decryption error:', e.message);
-        apiKey = null; // Fall back to env variables
+        console.error(`Stored embedding_api_key cannot be decrypted, falling back to environment variables: ${e.message}`);
+        apiKey = null;
       }
     }
   }
@@ -480,6 +532,79 @@ async function deleteDocument(docId) {
   return { success: true };
 }
 
+/**
+ * Embed tickets that have no embedding from the configured provider and model yet
+ * Ticket embeddings are kept apart from the document chunks, so knowledge base
+ * searches never return tickets
+ * @param {Array<{ticketId: string, text: string}>} tickets
+ * @returns {Promise<number>} - Number of tickets embedded
+ */
+async function indexTickets(tickets) {
+  loadTicketVectors();
+  const config = await getEmbeddingConfig();
+
+  const missing = tickets.filter(({ ticketId }) => {
+    const stored = ticketVectors[ticketId];
+    return !stored || stored.provider !== config.provider || stored.model !== config.model;
+  });
+  if (missing.length === 0) {
+    return 0;
+  }
+
+  const embeddings = await generateEmbeddings(missing.map(ticket => ticket.text));
+  missing.forEach(({ ticketId }, i) => {
+    ticketVectors[ticketId] = { embedding: embeddings[i], provider: config.provider, model: config.model };
+  });
+
+  saveTicketVectors();
+  return missing.length;
+}
+
+/**
+ * Delete the embeddings of tickets that are no longer compared (merged, closed, deleted)
+ * @param {string[]} ticketIds
+ * @returns {number} - Number of embeddings deleted
+ */
+function removeTickets(ticketIds) {
+  loadTicketVectors();
+  const stored = ticketIds.filter(ticketId => ticketVectors[ticketId]);
+  if (stored.length === 0) {
+    return 0;
+  }
+
+  stored.forEach(ticketId => delete ticketVectors[ticketId]);
+  saveTicketVectors();
+  return stored.length;
+}
+
+/**
+ * Delete the embeddings of every ticket except the given ones
+ * @param {string[]} ticketIds - Tickets whose embeddings are kept
+ * @returns {number} - Number of embeddings deleted
+ */
+function retainTickets(ticketIds) {
+  const keep = new Set(ticketIds);
+  return removeTickets(Object.keys(loadTicketVectors()).filter(ticketId => !keep.has(ticketId)));
+}
+
+/**
+ * Similarity of a ticket to each candidate ticket, most similar first
+ * Only embeddings from the same provider and model are compared (call indexTickets first)
+ * @returns {Array<{ticketId: string, similarity: number}>}
+ */
+function similarTickets(ticketId, candidateIds) {
+  const tickets = loadTicketVectors();
+  const target = tickets[ticketId];
+  if (!target) {
+    return [];
+  }
+
+  return candidateIds
+    .filter(id => id !== ticketId && tickets[id]?.provider === target.provider && tickets[id]?.model === target.model)
+    .map(id => ({ ticketId: id, similarity: cosineSimilarity(target.embedding, tickets[id].embedding) }))
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
 /**
  * Get collection statistics
  */
@@ -490,6 +615,7 @@ async function getStats() {
   return {
     collectionName: 'file_based_store',
     totalChunks: vectorStore.chunks.length,
+    totalTickets: Object.keys(loadTicketVectors()).length,
     embeddingProvider: config.provider,
     embeddingModel: config.model,
     storedProvider: vectorStore.provider,
@@ -502,7 +628,9 @@ async function getStats() {
  */
 async function clearAll() {
   vectorStore = { chunks: [], provider: null, model: null };
+  ticketVectors = {};
   saveVectorStore();
+  saveTicketVectors();
   return { success: true };
 }
 
@@ -569,8 +697,13 @@ module.exports = {
   addImageChunks,
   search,
   deleteDocument,
+  indexTickets,
+  removeTickets,
+  retainTickets,
+  similarTickets,
   getStats,
   clearAll,
+  reloadVectorStore,
   getAvailableProviders,
   testConnection,
   getEmbeddingConfig
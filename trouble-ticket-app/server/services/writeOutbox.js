@@ -0,0 +1,280 @@
+/**
+ * Durable write outbox
+ * Critical writes (chat messages, ticket creation and single or batch updates) that fail because the
+ * storage backend is unreachable are persisted to disk and replayed in order once it
+ * recovers, instead of being lost with a 500
+ *
+ * The server is the outbox's only owner: the file is locked to the process that calls
+ * start(), and other processes (the CLI scripts) never read or write it
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+// Relative paths resolve against the server directory
+const OUTBOX_PATH = path.resolve(__dirname, '..', process.env.OUTBOX_PATH || 'data/outbox.json');
+const LOCK_PATH = `${OUTBOX_PATH}.lock`;
+const RETRY_INTERVAL_MS = parseInt(process.env.OUTBOX_RETRY_MS, 10) || 15 * 1000;
+// Rejected writes kept for inspection; the oldest are dropped beyond this
+const MAX_FAILED = parseInt(process.env.OUTBOX_MAX_FAILED, 10) || 100;
+
+// Network failures worth waiting out (anything else is a real error and is not queued)
+const OUTAGE_ERROR_CODES = new Set([
+  'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE',
+  'SQLITE_BUSY', 'SQLITE_LOCKED', 'SQLITE_IOERR'
+]);
+
+/**
+ * Check whether an error means the backend is temporarily unavailable
+ */
+function isOutageError(error) {
+  if (OUTAGE_ERROR_CODES.has(error.code)) {
+    return true;
+  }
+
+  // Google APIs: request timeout, rate limit and server errors
+  const httpStatus = error.response?.status || (typeof error.code === 'number' ? error.code : null);
+  if (httpStatus) {
+    return httpStatus === 408 || httpStatus === 429 || httpStatus >= 500;
+  }
+
+  return /timeout|socket hang up/i.test(error.message || '');
+}
+
+/**
+ * Check whether a process is still running
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Lock the outbox file to this process, taking over a lock left by one that has exited
+ * @throws {Error} If another running process owns the outbox
+ */
+function acquireLock() {
+  const dir = path.dirname(LOCK_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(LOCK_PATH, String(process.pid), { flag: 'wx' });
+      process.on('exit', releaseLock);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const owner = parseInt(fs.readFileSync(LOCK_PATH, 'utf8'), 10);
+    if (owner && owner !== process.pid && isRunning(owner)) {
+      throw new Error(`Write outbox ${OUTBOX_PATH} is in use by process ${owner}; give each server its own OUTBOX_PATH`);
+    }
+    fs.rmSync(LOCK_PATH, { force: true });
+  }
+  throw new Error(`Write outbox ${OUTBOX_PATH}: could not take the lock`);
+}
+
+function releaseLock() {
+  try {
+    if (fs.readFileSync(LOCK_PATH, 'utf8') === String(process.pid)) {
+      fs.unlinkSync(LOCK_PATH);
+    }
+  } catch (error) {
+    // Already gone
+  }
+}
+
+/**
+ * Create an outbox that replays queued writes through `execute(method, args)`
+ * Until start() is called the outbox is a pass-through: outage errors reach the caller and
+ * nothing is queued, so a CLI script never touches the server's queue
+ * @param {Function} execute - Performs a write against the storage adapter
+ */
+function createWriteOutbox(execute) {
+  // pending: writes waiting for replay, oldest first
+  // failed: writes the backend rejected on replay (kept for inspection, never retried)
+  let state = { pending: [], failed: [] };
+  let lastError = null;
+  let draining = null;
+  let retryTimer = null;
+  let started = false;
+
+  /**
+   * Load queued writes left over from a previous run
+   */
+  function load() {
+    try {
+      if (fs.existsSync(OUTBOX_PATH)) {
+        const data = JSON.parse(fs.readFileSync(OUTBOX_PATH, 'utf8'));
+        state = { pending: data.pending || [], failed: data.failed || [] };
+        if (state.pending.length > 0) {
+          console.log(`Write outbox: ${state.pending.length} queued write(s) to replay`);
+        }
+      }
+    } catch (error) {
+      console.error('Write outbox: failed to load, starting empty:', error.message);
+    }
+  }
+
+  /**
+   * Persist the queue (write to a temp file, then rename, so a crash never leaves half a file)
+   */
+  function save() {
+    const dir = path.dirname(OUTBOX_PATH);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${OUTBOX_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, OUTBOX_PATH);
+  }
+
+  function scheduleRetry() {
+    if (!started || retryTimer || state.pending.length === 0) {
+      return;
+    }
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      drain();
+    }, RETRY_INTERVAL_MS);
+    // Never keep a CLI process alive just to retry
+    retryTimer.unref();
+  }
+
+  /**
+   * Replay queued writes in order, stopping at the first outage error
+   */
+  function drain() {
+    if (draining) {
+      return draining;
+    }
+
+    draining = (async () => {
+      while (state.pending.length > 0) {
+        const entry = state.pending[0];
+        try {
+          await execute(entry.method, entry.args);
+          console.log(`Write outbox: replayed ${entry.method} (${entry.id})`);
+        } catch (error) {
+          if (isOutageError(error)) {
+            entry.attempts += 1;
+            entry.lastError = error.message;
+            lastError = { message: error.message, at: new Date().toISOString() };
+            save();
+            break;
+          }
+          console.error(`Write outbox: ${entry.method} (${entry.id}) rejected, moving to failed:`, error.message);
+          state.failed.push({ ...entry, error: error.message, failedAt: new Date().toISOString() });
+          if (state.failed.length > MAX_FAILED) {
+            const dropped = state.failed.splice(0, state.failed.length - MAX_FAILED);
+            console.warn(`Write outbox: dropped ${dropped.length} oldest failed write(s), keeping ${MAX_FAILED}`);
+          }
+        }
+        state.pending.shift();
+        save();
+      }
+      if (state.pending.length === 0) {
+        lastError = null;
+      }
+    })().finally(() => {
+      draining = null;
+      scheduleRetry();
+    });
+
+    return draining;
+  }
+
+  function enqueue(method, args, error) {
+    state.pending.push({
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      method,
+      args,
+      queuedAt: new Date().toISOString(),
+      attempts: error ? 1 : 0,
+      lastError: error?.message || null
+    });
+    if (error) {
+      lastError = { message: error.message, at: new Date().toISOString() };
+    }
+    save();
+    scheduleRetry();
+  }
+
+  /**
+   * Perform a write, queuing it if the backend is down (or earlier writes are still queued)
+   * @param {string} method - Storage method name
+   * @param {Array} args - JSON-serializable arguments
+   * @param {Function} queuedResult - Builds the value (an object, or an array of objects)
+   *   returned to the caller when the write is queued
+   */
+  async function write(method, args, queuedResult) {
+    const queued = () => {
+      const result = queuedResult();
+      return Array.isArray(result) ? result.map(item => ({ ...item, queued: true })) : { ...result, queued: true };
+    };
+
+    // Keep ordering: once anything is queued, later writes wait behind it
+    if (state.pending.length > 0 || draining) {
+      enqueue(method, args);
+      return queued();
+    }
+
+    try {
+      return await execute(method, args);
+    } catch (error) {
+      // Only the owning process may queue: nobody would replay anything else
+      if (!started || !isOutageError(error)) {
+        throw error;
+      }
+      console.warn(`Write outbox: storage unavailable, queued ${method}:`, error.message);
+      enqueue(method, args, error);
+      return queued();
+    }
+  }
+
+  /**
+   * Whether a queued write matches, so callers can skip writes already waiting for replay
+   * @param {Function} predicate - Called with (method, args) for each queued write
+   */
+  function isPending(predicate) {
+    return state.pending.some(entry => predicate(entry.method, entry.args));
+  }
+
+  /**
+   * Queue depth and last error, for the health endpoint
+   */
+  function getStatus() {
+    return {
+      pending: state.pending.length,
+      failed: state.failed.length,
+      oldestQueuedAt: state.pending[0]?.queuedAt || null,
+      lastError
+    };
+  }
+
+  /**
+   * Take ownership of the outbox file and begin replaying writes queued by a previous run
+   * @throws {Error} If another running process owns the outbox
+   */
+  function start() {
+    if (!started) {
+      acquireLock();
+      load();
+      started = true;
+    }
+    return drain();
+  }
+
+  return { start, write, drain, isPending, getStatus };
+}
+
+module.exports = { createWriteOutbox, isOutageError };
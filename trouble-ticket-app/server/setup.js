@@ -1,60 +1,14 @@
 /**
- * Setup script to initialize Google Sheets with headers and sample data
- * Run with: node setup-sheets.js
+ * Setup script to initialize storage with the schema and sample data
+ * Works with whichever STORAGE_BACKEND is configured (Google Sheets or SQLite)
+ * Run with: node setup.js
  */
 require('dotenv').config();
 
-const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { JWT } = require('google-auth-library');
-
-const SPREADSHEET_ID = process.env.GOOGLE_SPREADSHEET_ID;
-
-// Sheet configurations with headers
-const SHEETS_CONFIG = {
-  tickets: [
-    'ticket_id',
-    'session_id',
-    'status',
-    'application',
-    'problem_summary',
-    'problem_details',
-    'reported_by',
-    'reported_at',
-    'updated_at',
-    'assigned_log',
-    'suggested_fix',
-    'it_notes',
-    'resolved_at'
-  ],
-  message: [
-    'message_id',
-    'session_id',
-    'ticket_id',
-    'sender',
-    'content',
-    'timestamp',
-    'read'
-  ],
-  mock_logs: [
-    'log_id',
-    'application',
-    'error_pattern',
-    'log_content',
-    'suggested_fix'
-  ],
-  knowledge_base: [
-    'doc_id',
-    'application',
-    'title',
-    'content',
-    'keywords'
-  ],
-  settings: [
-    'setting_key',
-    'setting_value',
-    'updated_at'
-  ]
-};
+const storage = require('./services/storage');
+const { runMigrations } = require('./services/migrationService');
+const { getTableSchema } = require('./services/schema');
+const { hashPassword } = require('./services/passwordService');
 
 // Sample mock logs data
 const MOCK_LOGS_DATA = [
@@ -166,66 +120,73 @@ The delivery status syncs every 15 minutes. If not updated:
 const SETTINGS_DATA = [
   { setting_key: 'api_provider', setting_value: 'anthropic', updated_at: new Date().toISOString() },
   { setting_key: 'api_key', setting_value: '', updated_at: new Date().toISOString() },
-  { setting_key: 'api_model', setting_value: 'claude-sonnet-4-20250514', updated_at: new Date().toISOString() },
-  { setting_key: 'it_support_password_hash', setting_value: '5e884898da28047d91ef76adafd3a4e8979cb1b1e739f2a2e7a48df8d1c7fd9d', updated_at: new Date().toISOString() }, // "password"
-  { setting_key: 'admin_password_hash', setting_value: '5e884898da28047d91ef76adafd3a4e8979cb1b1e739f2a2e7a48df8d1c7fd9d', updated_at: new Date().toISOString() } // "password"
+  { setting_key: 'api_model', setting_value: 'claude-sonnet-4-20250514', updated_at: new Date().toISOString() }
 ];
 
-async function setup() {
-  console.log('🚀 Starting Google Sheets setup...\n');
-
-  if (!SPREADSHEET_ID) {
-    console.error('❌ GOOGLE_SPREADSHEET_ID not set in .env');
-    process.exit(1);
-  }
+// Default staff accounts
+const USERS_DATA = [
+  { username: 'admin', display_name: 'Administrator', role: 'admin' },
+  { username: 'it_support', display_name: 'IT Support', role: 'it_support' }
+].map(user => ({
+  ...user,
+  password_hash: '', // set in setup() (hashing is async)
+  enabled: 'TRUE',
+  created_at: new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+  last_login_at: ''
+}));
+
+// Tables to seed when empty
+const SEED_DATA = {
+  mock_logs: MOCK_LOGS_DATA,
+  knowledge_base: KNOWLEDGE_BASE_DATA,
+  settings: SETTINGS_DATA,
+  users: USERS_DATA
+};
 
-  // Initialize auth
-  const serviceAccountAuth = new JWT({
-    email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-    key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-  });
+// Tables seeded row by row instead: each default whose key is missing is added, since
+// migrations write their own rows into them (e.g. the chat session key)
+const SEED_MISSING_KEYS = ['settings'];
 
-  const doc = new GoogleSpreadsheet(SPREADSHEET_ID, serviceAccountAuth);
+async function setup() {
+  console.log(`🚀 Starting setup (storage backend: ${storage.backend})...\n`);
 
   try {
-    await doc.loadInfo();
-    console.log(`📊 Connected to: ${doc.title}\n`);
+    // Create tables and columns from the schema
+    const applied = await runMigrations();
+    console.log(`✅ Schema ready (${applied.length} migration(s) applied)\n`);
 
-    // Setup each sheet
-    for (const [sheetName, headers] of Object.entries(SHEETS_CONFIG)) {
-      console.log(`Setting up "${sheetName}" sheet...`);
+    for (const user of USERS_DATA) {
+      user.password_hash = await hashPassword('password');
+    }
 
-      const sheet = doc.sheetsByTitle[sheetName];
-      if (!sheet) {
-        console.error(`  ❌ Sheet "${sheetName}" not found! Please create it first.`);
+    // Add sample data to empty tables
+    for (const [table, rows] of Object.entries(SEED_DATA)) {
+      const existing = await storage.getRows(table);
+      if (SEED_MISSING_KEYS.includes(table)) {
+        const { key } = getTableSchema(table);
+        const existingKeys = new Set(existing.map(row => row[key]));
+        const missing = rows.filter(row => !existingKeys.has(row[key]));
+        if (missing.length > 0) {
+          await storage.addRows(table, missing);
+        }
+        console.log(`  ✅ Added ${missing.length} missing default row(s) to "${table}"`);
         continue;
       }
-
-      // Set headers
-      await sheet.setHeaderRow(headers);
-      console.log(`  ✅ Headers set: ${headers.join(', ')}`);
-
-      // Add sample data based on sheet type
-      if (sheetName === 'mock_logs') {
-        await sheet.addRows(MOCK_LOGS_DATA);
-        console.log(`  ✅ Added ${MOCK_LOGS_DATA.length} sample mock logs`);
-      } else if (sheetName === 'knowledge_base') {
-        await sheet.addRows(KNOWLEDGE_BASE_DATA);
-        console.log(`  ✅ Added ${KNOWLEDGE_BASE_DATA.length} sample KB documents`);
-      } else if (sheetName === 'settings') {
-        await sheet.addRows(SETTINGS_DATA);
-        console.log(`  ✅ Added initial settings (default password: "password")`);
+      if (existing.length > 0) {
+        console.log(`  ⏭️  "${table}" already has ${existing.length} rows, skipping`);
+        continue;
       }
 
-      console.log('');
+      await storage.addRows(table, rows);
+      console.log(`  ✅ Added ${rows.length} rows to "${table}"`);
     }
 
-    console.log('✨ Setup complete!\n');
-    console.log('📝 Default login credentials:');
-    console.log('   IT Support: password');
-    console.log('   Admin: password');
-    console.log('\n⚠️  Change these passwords in the settings sheet before production use!');
+    console.log('\n✨ Setup complete!\n');
+    console.log('📝 Default login credentials (username / password):');
+    console.log('   IT Support: it_support / password');
+    console.log('   Admin: admin / password');
+    console.log('\n⚠️  Change these passwords before production use!');
 
   } catch (error) {
     console.error('❌ Setup failed:', error.message);
@@ -0,0 +1,121 @@
+/**
+ * Storage adapter parity
+ * Each add/create method must write the same columns on Sheets as on SQLite. Google Sheets
+ * is replaced with an in-memory spreadsheet that records the rows appended to each tab
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parity-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(tmpDir, 'tickets.db');
+process.env.OUTBOX_PATH = path.join(tmpDir, 'outbox.json');
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+process.env.GOOGLE_SPREADSHEET_ID = 'parity-test';
+process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL = 'parity@test.invalid';
+process.env.GOOGLE_PRIVATE_KEY = 'unused';
+
+// Rows appended to each tab, by tab name
+const appended = new Map();
+
+class FakeSheet {
+  constructor(title) {
+    this.title = title;
+  }
+
+  async addRows(rows) {
+    appended.set(this.title, rows);
+    return rows.map(row => ({ toObject: () => ({ ...row }) }));
+  }
+
+  async getRows() {
+    return [];
+  }
+}
+
+class FakeSpreadsheet {
+  constructor() {
+    this.title = 'Parity test';
+    const sheets = {};
+    this.sheetsByTitle = new Proxy(sheets, {
+      get: (target, title) => (typeof title === 'string' ? (target[title] ||= new FakeSheet(title)) : undefined)
+    });
+  }
+
+  async loadInfo() {}
+}
+
+require.cache[require.resolve('google-spreadsheet')] = {
+  exports: { GoogleSpreadsheet: FakeSpreadsheet }
+};
+
+const sheets = require('../services/googleSheets');
+const sqlite = require('../services/sqliteStorage');
+const { runMigrations } = require('../services/migrationService');
+const { getTableSchema } = require('../services/schema');
+
+// Adapter methods that add one row, with the table they write
+const ADD_METHODS = [
+  ['createTicket', 'tickets'],
+  ['addMessage', 'message'],
+  ['addKnowledgeDoc', 'knowledge_base'],
+  ['addDocument', 'documents'],
+  ['addUser', 'users'],
+  ['addRole', 'roles'],
+  ['addSession', 'sessions'],
+  ['addApiToken', 'api_tokens'],
+  ['addQueue', 'queues'],
+  ['addSlaPolicy', 'sla_policies'],
+  ['addIncident', 'incidents'],
+  ['addTicketComment', 'ticket_comments'],
+  ['addAuditEntry', 'audit_log']
+];
+
+// A row with a distinct value in every column, so a dropped column shows up as missing
+function sampleRow(table) {
+  const { key, columns } = getTableSchema(table);
+  return Object.fromEntries(columns.map(column => [column, column === key ? `parity-${table}` : `value of ${column}`]));
+}
+
+// Columns whose sample value was stored as given
+function keptColumns(sample, stored) {
+  return Object.keys(sample).filter(column => stored && String(stored[column] ?? '') === sample[column]).sort();
+}
+
+before(async () => {
+  await runMigrations();
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+for (const [method, table] of ADD_METHODS) {
+  test(`${method} writes the same columns on both backends`, async () => {
+    const sample = sampleRow(table);
+
+    await sheets[method]({ ...sample });
+    const [sheetRow] = appended.get(table);
+
+    // The newest row: some methods generate their own key
+    await sqlite[method]({ ...sample });
+    const sqliteRow = (await sqlite.getRows(table)).at(-1);
+
+    assert.deepStrictEqual(keptColumns(sample, sheetRow), keptColumns(sample, sqliteRow));
+  });
+}
+
+test('addTicketEvents writes the same columns on both backends', async () => {
+  const sample = sampleRow('ticket_events');
+
+  await sheets.addTicketEvents([{ ...sample }]);
+  const [sheetRow] = appended.get('ticket_events');
+
+  await sqlite.addTicketEvents([{ ...sample }]);
+  const sqliteRow = (await sqlite.getRows('ticket_events')).at(-1);
+
+  assert.deepStrictEqual(keptColumns(sample, sheetRow), keptColumns(sample, sqliteRow));
+});
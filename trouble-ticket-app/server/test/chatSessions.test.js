@@ -0,0 +1,61 @@
+/**
+ * Claiming chat sessions created before session secrets
+ * Runs against a throwaway SQLite database
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-session-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(tmpDir, 'tickets.db');
+process.env.OUTBOX_PATH = path.join(tmpDir, 'outbox.json');
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const storage = require('../services/storage');
+const { runMigrations } = require('../services/migrationService');
+const { createChatSession, verifyChatSession, getSessionIdMask, claimLegacySession } = require('../services/chatSessionService');
+const { maskSessionIds } = require('../middleware/hideLegacySessions');
+
+const LEGACY_ID = 'sess_lx2k9a1b2c3d4e5f';
+
+before(async () => {
+  await runMigrations();
+  await storage.createTicket({ ticket_id: 'TKT-000001', session_id: LEGACY_ID, application: 'VPN' });
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('staff responses show a stand-in for legacy session ids', async () => {
+  const issued = await createChatSession();
+  const body = {
+    tickets: [{ ticket_id: 'TKT-000001', session_id: LEGACY_ID }, { ticket_id: 'TKT-000002', session_id: issued.sessionId }],
+    messages: [{ session_id: LEGACY_ID }]
+  };
+
+  const masked = maskSessionIds(body, await getSessionIdMask());
+
+  assert.match(masked.tickets[0].session_id, /^legacy_/);
+  assert.strictEqual(masked.messages[0].session_id, masked.tickets[0].session_id);
+  assert.strictEqual(masked.tickets[1].session_id, issued.sessionId);
+  assert.ok(!JSON.stringify(masked).includes(LEGACY_ID));
+});
+
+test('a legacy session can be claimed once', async () => {
+  const issued = await claimLegacySession(LEGACY_ID);
+  assert.ok(await verifyChatSession(LEGACY_ID, issued.sessionSecret));
+
+  await assert.rejects(claimLegacySession(LEGACY_ID), { name: 'ChatSessionError', statusCode: 409 });
+});
+
+test('legacy sessions can no longer be claimed once the claim window has passed', async () => {
+  await storage.createTicket({ ticket_id: 'TKT-000003', session_id: 'sess_lx2k9a1b2zzzzzzz', application: 'VPN' });
+  const longAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString();
+  await storage.updateRows('schema_migrations', [{ id: '019-chat-session-claims', updates: { applied_at: longAgo } }]);
+
+  await assert.rejects(claimLegacySession('sess_lx2k9a1b2zzzzzzz'), { name: 'ChatSessionError', statusCode: 410 });
+});
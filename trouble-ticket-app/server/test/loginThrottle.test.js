@@ -0,0 +1,80 @@
+/**
+ * Login lockout under concurrent attempts
+ * Storage is replaced with an in-memory users table, so no backend is needed
+ */
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { hashPassword } = require('../services/passwordService');
+
+const users = new Map();
+require.cache[require.resolve('../services/storage')] = {
+  exports: {
+    getUser: async username => users.get(username) || null,
+    updateUser: async () => {}
+  }
+};
+
+const loginThrottle = require('../services/loginThrottle');
+const { authenticateCredentials } = require('../middleware/auth');
+
+// Defaults: 5 free attempts per account, 20 per IP
+const ACCOUNT_FREE_ATTEMPTS = 5;
+
+beforeEach(() => {
+  loginThrottle.setStore(loginThrottle.createMemoryStore());
+});
+
+test('parallel wrong passwords are locked out after the free attempts', async () => {
+  users.set('alice', { username: 'alice', password_hash: await hashPassword('correct horse') });
+
+  const results = await Promise.all(
+    Array.from({ length: 60 }, (_, i) => authenticateCredentials('alice', 'wrong', { ip: `10.0.0.${i}` }))
+  );
+
+  const rejected = results.filter(result => result.error && !result.retryAfterSeconds);
+  const locked = results.filter(result => result.retryAfterSeconds);
+  // The free attempts plus the one that triggers the lock get a password check; the rest are refused
+  assert.strictEqual(rejected.length, ACCOUNT_FREE_ATTEMPTS + 1);
+  assert.strictEqual(locked.length, 60 - rejected.length);
+});
+
+test('parallel guesses from one IP against unknown accounts lock the IP', async () => {
+  const results = await Promise.all(
+    Array.from({ length: 30 }, (_, i) => authenticateCredentials(`ghost${i}`, 'wrong', { ip: '10.1.1.1' }))
+  );
+
+  assert.ok(results.some(result => result.retryAfterSeconds), 'expected some attempts to be locked out');
+});
+
+test('a valid login gives back its reserved attempt', async () => {
+  users.set('bob', { username: 'bob', password_hash: await hashPassword('s3cret pass') });
+
+  const result = await authenticateCredentials('bob', 's3cret pass', { ip: '10.2.2.2' });
+
+  assert.strictEqual(result.user.username, 'bob');
+  assert.deepStrictEqual(loginThrottle.listLockouts(), []);
+});
+
+test('concurrent requests with a valid API token are never throttled', async () => {
+  const apiToken = { token_id: 'tok-1', token_prefix: 'tt_abcd', name: 'Monitoring', scopes: 'tickets.read', last_used_at: '', last_used_ip: '' };
+  const storage = require.cache[require.resolve('../services/storage')].exports;
+  storage.getApiToken = async () => apiToken;
+  // A slow last-used write, as on Sheets, keeps every request in flight at once
+  storage.updateApiToken = () => new Promise(resolve => setTimeout(resolve, 50));
+
+  const { requirePermission } = require('../middleware/auth');
+  const check = requirePermission('tickets.read');
+  const request = () => new Promise(resolve => {
+    const req = { ip: '10.3.3.3', acceptApiTokens: true, headers: { authorization: 'Bearer tt_valid-token' } };
+    const res = {
+      set: () => res,
+      status: status => ({ json: () => resolve(status) })
+    };
+    check(req, res, () => resolve(200));
+  });
+
+  const statuses = await Promise.all(Array.from({ length: 25 }, request));
+
+  assert.deepStrictEqual(statuses, Array(25).fill(200));
+  assert.deepStrictEqual(loginThrottle.listLockouts(), []);
+});
@@ -0,0 +1,52 @@
+/**
+ * Round-robin assignment under concurrent escalations
+ * Runs against a throwaway SQLite database
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(tmpDir, 'tickets.db');
+process.env.OUTBOX_PATH = path.join(tmpDir, 'outbox.json');
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const storage = require('../services/storage');
+const { runMigrations } = require('../services/migrationService');
+const { routeNewTicket } = require('../services/queueService');
+
+const MEMBERS = ['ana', 'ben', 'cleo'];
+
+before(async () => {
+  await runMigrations();
+  for (const username of MEMBERS) {
+    await storage.addUser({ username, role: 'it_support', password_hash: 'unused' });
+  }
+  await storage.addQueue({
+    queue_id: 'network',
+    name: 'Network',
+    applications: 'VPN',
+    members: MEMBERS.join(','),
+    assignment: 'round_robin'
+  });
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('concurrent escalations to a round-robin queue take turns', async () => {
+  const routes = await Promise.all(
+    Array.from({ length: 9 }, () => routeNewTicket('VPN', { autoAssign: true }))
+  );
+
+  const counts = Object.fromEntries(MEMBERS.map(username => [username, 0]));
+  for (const { queue, assignee } of routes) {
+    assert.strictEqual(queue, 'network');
+    counts[assignee] += 1;
+  }
+  assert.deepStrictEqual(counts, { ana: 3, ben: 3, cleo: 3 });
+});
@@ -0,0 +1,83 @@
+/**
+ * Ticket and incident id sequences
+ * Runs against a throwaway SQLite database shared with child processes standing in for
+ * the CLI or a second server instance
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sequence-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(tmpDir, 'tickets.db');
+process.env.OUTBOX_PATH = path.join(tmpDir, 'outbox.json');
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const storage = require('../services/storage');
+const { runMigrations } = require('../services/migrationService');
+const moveCounters = require('../migrations/021-sequences');
+
+// Allocate ticket ids from a separate process sharing the database
+async function allocateElsewhere(count) {
+  const script = `
+    const storage = require('./services/storage');
+    Promise.all(Array.from({ length: ${count} }, () => storage.allocateTicketId()))
+      .then(ids => { console.log(JSON.stringify(ids)); process.exit(0); });
+  `;
+  const { stdout } = await promisify(execFile)(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: process.env,
+    timeout: 30000
+  });
+  return JSON.parse(stdout.trim().split('\n').pop());
+}
+
+before(async () => {
+  await runMigrations();
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('processes allocating ticket ids at the same time never get the same id', async () => {
+  const [here, first, second] = await Promise.all([
+    Promise.all(Array.from({ length: 20 }, () => storage.allocateTicketId())),
+    allocateElsewhere(20),
+    allocateElsewhere(20)
+  ]);
+
+  const ids = [...here, ...first, ...second];
+  assert.strictEqual(new Set(ids).size, 60);
+});
+
+test('a counter kept in settings carries over and leaves settings', async () => {
+  await storage.updateSetting('sequence_incident_id', '41');
+
+  await moveCounters.up(storage);
+  await moveCounters.up(storage);
+
+  assert.strictEqual(await storage.nextSequence('incident_id'), 42);
+  const settings = await storage.getAllSettings();
+  assert.deepStrictEqual(Object.keys(settings).filter(key => key.startsWith('sequence_')), []);
+});
+
+test('a sequence keeps a single row however many numbers it hands out', async () => {
+  await storage.addRows('sequences', [
+    { claim_id: 'older-claim-1', name: 'report_id', count: '1', claimed_at: '' },
+    { claim_id: 'older-claim-2', name: 'report_id', count: '1', claimed_at: '' }
+  ]);
+
+  const values = [];
+  for (let i = 0; i < 5; i++) {
+    values.push(await storage.nextSequence('report_id'));
+  }
+
+  assert.deepStrictEqual(values, [3, 4, 5, 6, 7]);
+  const rows = (await storage.getRows('sequences')).filter(row => row.name === 'report_id');
+  assert.strictEqual(rows.length, 1);
+});
@@ -0,0 +1,101 @@
+/**
+ * Sequences on the Google Sheets adapter
+ * Google Sheets is replaced with an in-memory spreadsheet that counts the rows each read returns
+ */
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.GOOGLE_SPREADSHEET_ID = 'sequence-test';
+process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL = 'sequences@test.invalid';
+process.env.GOOGLE_PRIVATE_KEY = 'unused';
+
+class FakeRow {
+  constructor(sheet, rowNumber, values) {
+    this.sheet = sheet;
+    this.rowNumber = rowNumber;
+    this.values = values;
+  }
+
+  get(column) {
+    return this.values[column];
+  }
+}
+
+class FakeSheet {
+  constructor(title) {
+    this.title = title;
+    this.rows = [];
+    this.rowsRead = 0;
+  }
+
+  // Data rows start on row 2, below the header
+  async addRows(data) {
+    return data.map(values => {
+      const row = new FakeRow(this, this.rows.length + 2, { ...values });
+      this.rows.push(row);
+      return row;
+    });
+  }
+
+  async getRows({ offset = 0, limit = Infinity } = {}) {
+    const rows = this.rows.slice(offset, offset + limit);
+    this.rowsRead += rows.length;
+    return rows;
+  }
+}
+
+const tabs = {};
+
+class FakeSpreadsheet {
+  constructor() {
+    this.title = 'Sequence test';
+    this.sheetsByTitle = new Proxy(tabs, {
+      get: (target, title) => (typeof title === 'string' ? (target[title] ||= new FakeSheet(title)) : undefined)
+    });
+  }
+
+  async loadInfo() {}
+}
+
+require.cache[require.resolve('google-spreadsheet')] = {
+  exports: { GoogleSpreadsheet: FakeSpreadsheet }
+};
+
+const sheets = require('../services/googleSheets');
+
+beforeEach(() => {
+  delete tabs.sequences;
+});
+
+test('each claim only reads the rows appended since the last one', async () => {
+  const sequences = new FakeSpreadsheet().sheetsByTitle.sequences;
+  await sequences.addRows(Array.from({ length: 50 }, (_, i) => ({ claim_id: `older-${i}`, name: 'ticket_id_TKT', count: '1' })));
+
+  assert.strictEqual(await sheets.nextSequence('ticket_id_TKT'), 51);
+  const firstRead = sequences.rowsRead;
+
+  const values = [];
+  for (let i = 0; i < 10; i++) {
+    values.push(await sheets.nextSequence(i % 2 ? 'incident_id' : 'ticket_id_TKT'));
+  }
+
+  assert.deepStrictEqual(values, [52, 1, 53, 2, 54, 3, 55, 4, 56, 5]);
+  // The checkpoint row and the new claim
+  assert.strictEqual(sequences.rowsRead - firstRead, 10 * 2);
+});
+
+test('rows deleted above the checkpoint make the next claim read from the top', async () => {
+  const sequences = new FakeSpreadsheet().sheetsByTitle.sequences;
+  await sheets.nextSequence('ticket_id_TKT');
+  await sheets.nextSequence('ticket_id_TKT');
+
+  // Someone tidies the sheet by hand into one row reserving both numbers, then another
+  // process claims 3 and 4
+  sequences.rows = [new FakeRow(sequences, 2, { claim_id: 'tidied', name: 'ticket_id_TKT', count: '2' })];
+  await sequences.addRows([
+    { claim_id: 'elsewhere-1', name: 'ticket_id_TKT', count: '1' },
+    { claim_id: 'elsewhere-2', name: 'ticket_id_TKT', count: '1' }
+  ]);
+
+  assert.strictEqual(await sheets.nextSequence('ticket_id_TKT'), 5);
+});
@@ -0,0 +1,134 @@
+/**
+ * Write outbox during a storage outage
+ * Runs against a throwaway SQLite database whose adapter calls are made to time out
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(tmpDir, 'tickets.db');
+process.env.OUTBOX_PATH = path.join(tmpDir, 'outbox.json');
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+const adapter = require('../services/sqliteStorage');
+const storage = require('../services/storage');
+const { runMigrations } = require('../services/migrationService');
+const incidentService = require('../services/incidentService');
+
+const outage = Object.assign(new Error('connect ETIMEDOUT'), { code: 'ETIMEDOUT' });
+const originals = {};
+
+// Make these adapter methods fail as if the backend were unreachable, until restore()
+function breakAdapter(...methods) {
+  for (const method of methods) {
+    originals[method] = adapter[method];
+    adapter[method] = async () => { throw outage; };
+  }
+}
+
+function restore() {
+  Object.assign(adapter, originals);
+}
+
+before(async () => {
+  await runMigrations();
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Run a script in a separate process sharing the database and outbox file
+async function runElsewhere(script) {
+  const { stdout } = await promisify(execFile)(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: process.env,
+    timeout: 30000
+  });
+  return stdout.trim().split('\n').pop();
+}
+
+test('before the outbox is started, outage errors reach the caller and nothing is queued', async () => {
+  breakAdapter('addMessage');
+  await assert.rejects(storage.addMessage({ message_id: 'm-1', session_id: 'session-1' }), /ETIMEDOUT/);
+  restore();
+
+  assert.strictEqual(storage.getOutboxStatus().pending, 0);
+  assert.strictEqual(fs.existsSync(process.env.OUTBOX_PATH), false);
+});
+
+test('a ticket escalated during an outage gets a provisional ID and is replayed', async () => {
+  await storage.startOutbox();
+  breakAdapter('nextSequence', 'getTicketById', 'createTicket', 'updateRows');
+
+  const ticketId = await storage.allocateTicketId();
+  assert.match(ticketId, /^TKT-9\d{9}$/);
+
+  const ticket = await storage.createTicket({ ticket_id: ticketId, session_id: 'session-1', application: 'VPN' });
+  assert.strictEqual(ticket.queued, true);
+
+  const [closed] = await storage.updateTickets([{ id: ticketId, updates: { status: 'closed' } }]);
+  assert.deepStrictEqual(closed, { ticket_id: ticketId, status: 'closed', queued: true });
+  assert.strictEqual(storage.getOutboxStatus().pending, 2);
+
+  restore();
+  await storage.startOutbox();
+
+  assert.strictEqual(storage.getOutboxStatus().pending, 0);
+  assert.strictEqual(storage.getOutboxStatus().failed, 0);
+  const stored = await storage.getTicketById(ticketId);
+  assert.strictEqual(stored.status, 'closed');
+  assert.strictEqual(stored.session_id, 'session-1');
+});
+
+test('provisional IDs are unique within a process', async () => {
+  breakAdapter('nextSequence');
+  const ids = await Promise.all(Array.from({ length: 20 }, () => storage.allocateTicketId()));
+  restore();
+
+  assert.strictEqual(new Set(ids).size, ids.length);
+});
+
+test('only the process that started the outbox can own it', async () => {
+  const result = await runElsewhere(`
+    const storage = require('./services/storage');
+    try {
+      storage.startOutbox();
+      console.log('started');
+    } catch (error) {
+      console.log(error.message);
+    }
+    process.exit(0);
+  `);
+
+  assert.match(result, new RegExp(`in use by process ${process.pid}`));
+});
+
+test('an incident resolve retried during an outage queues each user message once', async () => {
+  await storage.startOutbox();
+  const incident = await incidentService.createIncident({ title: 'LDAP down', description: 'Logins fail', application: 'VPN' }, 'admin');
+  await storage.createTicket({ ticket_id: 'TKT-000101', session_id: 'session-2', application: 'VPN' });
+  await incidentService.linkTickets(incident.incident_id, ['TKT-000101']);
+
+  // Incident updates don't go through the outbox, so the resolve fails and is retried
+  breakAdapter('addMessage', 'updateRows');
+  const { updateIncident } = storage;
+  storage.updateIncident = async () => { throw outage; };
+  for (let attempt = 0; attempt < 2; attempt++) {
+    await assert.rejects(incidentService.resolveIncident(incident.incident_id, 'LDAP is back', 'admin'), /ETIMEDOUT/);
+  }
+  storage.updateIncident = updateIncident;
+  restore();
+  await storage.startOutbox();
+
+  // A second copy would be rejected on replay (SQLite) or duplicated (Sheets)
+  assert.strictEqual(storage.getOutboxStatus().failed, 0);
+  const messages = await storage.getMessagesBySession('session-2');
+  assert.strictEqual(messages.filter(message => message.content === 'LDAP is back').length, 1);
+});